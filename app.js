@@ -34,6 +34,15 @@ const setupGoogleStrategy = require('./services/googleOAuthService');
 const emailListRoutes = require('./routes/emailListRoutes');
 const chatbotRoutes = require('./routes/chatbotRoutes');
 const tagRoutes = require('./routes/tagRoutes');
+const inventoryRoutes = require('./routes/inventoryRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
+const priceScheduleRoutes = require('./routes/priceScheduleRoutes');
+const localizationRoutes = require('./routes/localizationRoutes');
+const returnRoutes = require('./routes/returnRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const codRoutes = require('./routes/codRoutes');
+const wishlistRoutes = require('./routes/wishlistRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
 
 
 
@@ -66,10 +75,12 @@ app.use(
       }
     },
     credentials: true,
+    exposedHeaders: ['Idempotent-Replayed', 'X-Cart-Token'],
   })
 );
 // Body Parsing Middleware
-app.use(json());
+// Keep the raw body for webhook signature verification
+app.use(json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(urlencoded({ extended: true }));
 
 // Rate Limiting Middleware
@@ -151,6 +162,15 @@ app.use('/api/review', reviewRoutes);
 app.use('/api/email-list', emailListRoutes);
 app.use('/api/chatbot', chatbotRoutes);
 app.use('/api/tags', tagRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/price-schedules', priceScheduleRoutes);
+app.use('/api/localization', localizationRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/cod', codRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
 
 
 // Serve an HTML file on the root route to indicate the server is running
@@ -0,0 +1,12 @@
+// config/paypal.js
+
+const paypal = require('paypal-rest-sdk'); // Consider upgrading to @paypal/checkout-server-sdk for newer features
+
+// Configure PayPal
+paypal.configure({
+  mode: process.env.PAYPAL_MODE || 'sandbox', // 'sandbox' or 'live'
+  client_id: process.env.PAYPAL_CLIENT_ID,
+  client_secret: process.env.PAYPAL_CLIENT_SECRET,
+});
+
+module.exports = paypal;
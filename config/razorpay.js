@@ -0,0 +1,18 @@
+// config/razorpay.js
+
+const Razorpay = require('razorpay');
+
+let razorpay = null;
+
+// The Razorpay SDK throws without credentials, so the client is created on first use
+const getRazorpay = () => {
+  if (!razorpay) {
+    razorpay = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID, // Ensure RAZORPAY_KEY_ID is set in .env
+      key_secret: process.env.RAZORPAY_KEY_SECRET,
+    });
+  }
+  return razorpay;
+};
+
+module.exports = getRazorpay;
@@ -6,8 +6,9 @@ const ORDER_STATUS = {
     SHIPPED: 'shipped',
     DELIVERED: 'delivered',
     CANCELLED: 'cancelled',
+    RETURN_REQUESTED: 'return_requested',
+    RETURNED: 'returned',
     REFUNDED: 'refunded',
   };
   
   module.exports = ORDER_STATUS;
-  
\ No newline at end of file
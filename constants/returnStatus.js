@@ -0,0 +1,14 @@
+// constants/returnStatus.js
+
+const RETURN_STATUS = {
+    REQUESTED: 'requested',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    PICKUP_SCHEDULED: 'pickup_scheduled',
+    RECEIVED: 'received',
+    INSPECTED: 'inspected',
+    REFUNDED: 'refunded',
+    REPLACED: 'replaced',
+  };
+  
+  module.exports = RETURN_STATUS;
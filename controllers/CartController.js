@@ -2,8 +2,107 @@
 
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const logger = require('../utils/logger');
+const { resolveEffectivePrice } = require('../utils/effectivePrice');
+const { applyActivePromotions } = require('../services/promotionService');
+const { priceCouponLines, evaluateCouponForCustomer } = require('../services/couponService');
+const { quoteOrder } = require('../services/pricingService');
+const { restoreCartFromToken } = require('../services/cartRecoveryService');
+const { revalidateCart, hasBlockingNotices } = require('../services/cartService');
+const {
+  getGuestCartExpiry,
+  issueCartToken,
+  getRequestCartToken,
+  mergeGuestCart,
+} = require('../services/guestCartService');
 const { validationResult } = require('express-validator');
 
+// Query for the cart of the request: the customer's own cart, or the guest cart of the token
+// (visitors without a token match no cart)
+const getCartQuery = (req) => {
+  if (req.user) return { user: req.user._id };
+  return { _id: req.guestCartId || null, user: null };
+};
+
+// Who the cart belongs to, for logs
+const describeOwner = (req) => (req.user ? `user: ${req.user.id}` : `guest cart: ${req.guestCartId || 'new'}`);
+
+// Save a cart; guest carts get a fresh expiry and their token is (re)issued in the X-Cart-Token header
+const saveCart = async (req, res, cart) => {
+  if (!cart.user) {
+    cart.expiresAt = getGuestCartExpiry();
+  }
+  await cart.save();
+  if (!cart.user) {
+    res.setHeader('X-Cart-Token', issueCartToken(cart));
+  }
+  return cart;
+};
+
+// Promotion fields of a cart, to tell whether re-pricing its promotions changed anything
+const getPromotionState = (cart) =>
+  JSON.stringify({
+    promotionDiscount: cart.promotionDiscount,
+    appliedPromotions: cart.appliedPromotions.map(({ promotion, name, type, summary, discount }) => ({
+      promotion: String(promotion),
+      name,
+      type,
+      summary,
+      discount,
+    })),
+    lines: cart.items.map((item) => item.promotionDiscount),
+  });
+
+// Price cart lines for a shipping address the way checkout does: promotions, coupon, tax and shipping
+const quoteCartItems = async (req, items, { shippingAddress, couponCode }) => {
+  const { lines, unpricedItems } = await priceCouponLines(
+    items.map((item) => ({
+      product: item.product,
+      sku: item.sku,
+      quantity: item.quantity,
+    }))
+  );
+
+  const promotionResult = await applyActivePromotions(lines);
+
+  // A coupon that does not apply is reported but does not fail the quote
+  let couponDiscount = 0;
+  let coupon = null;
+  if (couponCode) {
+    coupon = { code: String(couponCode).toUpperCase(), applied: false, message: null };
+    if (!promotionResult.couponsAllowed) {
+      coupon.message = `Coupons cannot be combined with the '${promotionResult.couponBlockedBy}' promotion.`;
+    } else {
+      const { coupon: found, evaluation } = await evaluateCouponForCustomer(couponCode, {
+        customer: req.user ? req.user._id : null,
+        lines: promotionResult.lines,
+      });
+      if (!found) {
+        coupon.message = 'Invalid or inactive coupon code.';
+      } else {
+        coupon.applied = evaluation.applicable;
+        coupon.message = evaluation.message;
+        couponDiscount = evaluation.discount;
+      }
+    }
+  }
+
+  const quote = await quoteOrder({
+    lines,
+    discount: promotionResult.totalDiscount + couponDiscount,
+    address: shippingAddress,
+  });
+
+  return {
+    ...quote,
+    promotionDiscount: promotionResult.totalDiscount,
+    couponDiscount,
+    appliedPromotions: promotionResult.appliedPromotions,
+    coupon,
+    unpricedItems,
+  };
+};
+
 // Adds an item to the user's cart
 exports.addItemToCart = async (req, res) => {
   // Validate request
@@ -13,8 +112,8 @@ exports.addItemToCart = async (req, res) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const userId = req.user.id;
-  const { productId, variant, packaging, quantity } = req.body;
+  const owner = describeOwner(req);
+  const { productId, sku, quantity } = req.body;
 
   console.log('Add to Cart Request Body:', req.body);
 
@@ -26,31 +125,26 @@ exports.addItemToCart = async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    // Validate variant
-    const selectedVariant = product.variants.find(v => v.size === variant);
+    // Validate SKU (one size and packaging combination)
+    const selectedVariant = Product.findSku(product, sku);
     if (!selectedVariant) {
-      console.log(`Variant not found: ${variant} for product: ${productId}`);
-      return res.status(400).json({ message: 'Variant not found for the selected product' });
-    }
-
-    // Validate packaging
-    if (!product.packaging.includes(packaging)) {
-      console.log(`Invalid packaging option: ${packaging} for product: ${productId}`);
-      return res.status(400).json({ message: 'Invalid packaging option selected' });
+      console.log(`SKU not found: ${sku} for product: ${productId}`);
+      return res.status(400).json({ message: 'SKU not found for the selected product' });
     }
 
     // Find or create cart
-    let cart = await Cart.findOne({ user: userId });
+    let cart = await Cart.findOne(getCartQuery(req));
     if (!cart) {
-      cart = new Cart({ user: userId, items: [] });
-      console.log(`Created new cart for user: ${userId}`);
+      cart = req.user
+        ? new Cart({ user: req.user._id, items: [] })
+        : new Cart({ items: [], expiresAt: getGuestCartExpiry() });
+      console.log(`Created new cart for ${owner}`);
     }
 
     // Check if item already exists in cart
     const existingItem = cart.items.find(item =>
       item.product.toString() === productId &&
-      item.variant === variant &&
-      item.packaging === packaging
+      String(item.sku) === sku
     );
 
     if (existingItem) {
@@ -62,17 +156,18 @@ exports.addItemToCart = async (req, res) => {
       cart.items.push({
         product: productId,
         title: product.title,
-        variant,
-        packaging,
+        sku: selectedVariant._id,
+        variant: selectedVariant.size,
+        packaging: selectedVariant.packaging,
         quantity,
-        price: selectedVariant.price, // Use the variant price
-        thumbnail: product.thumbnail,
+        price: resolveEffectivePrice(product, selectedVariant), // Price the SKU sells for now
+        thumbnail: selectedVariant.images[0] || product.thumbnail,
       });
-      console.log(`Added new item to cart: productId=${productId}, variant=${variant}, packaging=${packaging}`);
+      console.log(`Added new item to cart: productId=${productId}, sku=${sku}`);
     }
 
     // Save cart
-    await cart.save();
+    await saveCart(req, res, cart);
 
     // Populate the product field before sending the response
     await cart.populate('items.product');
@@ -95,21 +190,22 @@ exports.updateCartItemQuantity = async (req, res) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const userId = req.user.id;
-  const { productId, variant, packaging, quantity } = req.body;
+  const owner = describeOwner(req);
+  const { productId, sku, quantity } = req.body;
 
   console.log('Update Cart Item Request Body:', req.body);
 
   try {
-    const cart = await Cart.findOne({ user: userId });
+    const cart = await Cart.findOne(getCartQuery(req));
     if (!cart) {
-      console.log(`Cart not found for user: ${userId}`);
+      console.log(`Cart not found for ${owner}`);
       return res.status(404).json({ message: 'Cart not found' });
     }
 
     // Log current cart items
     console.log('Current Cart Items:', cart.items.map(item => ({
       productId: item.product.toString(),
+      sku: item.sku,
       variant: item.variant,
       packaging: item.packaging,
       quantity: item.quantity,
@@ -118,12 +214,11 @@ exports.updateCartItemQuantity = async (req, res) => {
     // Find item
     const item = cart.items.find(item =>
       item.product.toString() === productId &&
-      item.variant === variant &&
-      item.packaging === packaging
+      String(item.sku) === sku
     );
 
     if (!item) {
-      console.log(`Item not found in cart: productId=${productId}, variant=${variant}, packaging=${packaging}`);
+      console.log(`Item not found in cart: productId=${productId}, sku=${sku}`);
       return res.status(404).json({ message: 'Item not found in cart' });
     }
 
@@ -132,7 +227,7 @@ exports.updateCartItemQuantity = async (req, res) => {
     console.log(`Updated quantity for item: ${item._id}, new quantity: ${item.quantity}`);
 
     // Save cart
-    await cart.save();
+    await saveCart(req, res, cart);
 
     // Populate the product field before sending the response
     await cart.populate('items.product');
@@ -155,21 +250,22 @@ exports.removeItemFromCart = async (req, res) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
-  const userId = req.user.id;
-  const { productId, variant, packaging } = req.body;
+  const owner = describeOwner(req);
+  const { productId, sku } = req.body;
 
   console.log('Remove Item from Cart Request Body:', req.body);
 
   try {
-    const cart = await Cart.findOne({ user: userId });
+    const cart = await Cart.findOne(getCartQuery(req));
     if (!cart) {
-      console.log(`Cart not found for user: ${userId}`);
+      console.log(`Cart not found for ${owner}`);
       return res.status(404).json({ message: 'Cart not found' });
     }
 
     // Log current cart items
     console.log('Current Cart Items:', cart.items.map(item => ({
       productId: item.product.toString(),
+      sku: item.sku,
       variant: item.variant,
       packaging: item.packaging,
       quantity: item.quantity,
@@ -180,23 +276,22 @@ exports.removeItemFromCart = async (req, res) => {
       item =>
         !(
           item.product.toString() === productId &&
-          item.variant === variant &&
-          item.packaging === packaging
+          String(item.sku) === sku
         )
     );
 
     if (cart.items.length === initialLength) {
-      console.log(`Item not found to remove: productId=${productId}, variant=${variant}, packaging=${packaging}`);
+      console.log(`Item not found to remove: productId=${productId}, sku=${sku}`);
       return res.status(404).json({ message: 'Item not found in cart' });
     }
 
     // Save cart
-    await cart.save();
+    await saveCart(req, res, cart);
 
     // Populate the product field before sending the response
     await cart.populate('items.product');
 
-    console.log(`Removed item from cart: productId=${productId}, variant=${variant}, packaging=${packaging}`);
+    console.log(`Removed item from cart: productId=${productId}, sku=${sku}`);
 
     res.status(200).json(cart);
   } catch (error) {
@@ -205,20 +300,62 @@ exports.removeItemFromCart = async (req, res) => {
   }
 };
 
-// Fetches the user's cart
+// Fetches the user's cart, with notices for lines whose price, stock or product changed
+// since they were added (?autoCorrect=true applies the corrections)
 exports.getCart = async (req, res) => {
-  const userId = req.user.id;
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('Validation Errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const owner = describeOwner(req);
+  const autoCorrect = req.query.autoCorrect === true;
 
   try {
-    const cart = await Cart.findOne({ user: userId }).populate('items.product');
+    const cart = await Cart.findOne(getCartQuery(req)).populate('items.product');
     if (!cart) {
-      console.log(`Cart not found for user: ${userId}`);
+      console.log(`Cart not found for ${owner}`);
       return res.status(404).json({ message: 'Cart not found' });
     }
-    console.log(`Fetched cart for user: ${userId}`);
+    console.log(`Fetched cart for ${owner}`);
+    const promotionState = getPromotionState(cart);
+
+    // Check every line against the current catalogue
+    const { notices, corrected } = await revalidateCart(cart, { autoCorrect });
+    if (autoCorrect) {
+      await cart.populate('items.product');
+    }
+
+    // Re-price automatic promotions against the current cart contents
+    const promotionResult = await applyActivePromotions(
+      cart.items
+        .filter((item) => item.product)
+        .map((item) => ({
+          product: item.product._id,
+          sku: item.sku,
+          variant: item.variant,
+          packaging: item.packaging,
+          quantity: item.quantity,
+          price: item.price,
+        }))
+    );
+    let lineIndex = 0;
+    cart.items.forEach((item) => {
+      item.promotionDiscount = item.product ? promotionResult.lines[lineIndex++].promotionDiscount : 0;
+    });
+    cart.appliedPromotions = promotionResult.appliedPromotions;
+    cart.promotionDiscount = promotionResult.totalDiscount;
+
+    // Reading the cart only writes it back when corrections were applied or its promotions changed
+    if (corrected || getPromotionState(cart) !== promotionState) {
+      await saveCart(req, res, cart);
+    }
+
     // Log the populated cart for debugging
     console.log('Populated Cart:', JSON.stringify(cart, null, 2));
-    res.status(200).json(cart);
+    res.status(200).json({ ...cart.toJSON(), notices, corrected });
   } catch (error) {
     console.error('Error fetching cart:', error);
     res.status(500).json({ message: 'Server error' });
@@ -227,18 +364,19 @@ exports.getCart = async (req, res) => {
 
 // Clears all items from the user's cart
 exports.clearCart = async (req, res) => {
-  const userId = req.user.id;
+  const owner = describeOwner(req);
 
   try {
-    const cart = await Cart.findOne({ user: userId });
+    const cart = await Cart.findOne(getCartQuery(req));
     if (!cart) {
-      console.log(`Cart not found for user: ${userId}`);
+      console.log(`Cart not found for ${owner}`);
       return res.status(404).json({ message: 'Cart not found' });
     }
 
     // Log cart items before clearing
     console.log('Clearing Cart Items:', cart.items.map(item => ({
       productId: item.product.toString(),
+      sku: item.sku,
       variant: item.variant,
       packaging: item.packaging,
       quantity: item.quantity,
@@ -246,13 +384,131 @@ exports.clearCart = async (req, res) => {
 
     // Clear items and save cart
     cart.items = [];
-    await cart.save();
+    await saveCart(req, res, cart);
 
-    console.log(`Cleared cart for user: ${userId}`);
+    console.log(`Cleared cart for ${owner}`);
 
     res.status(200).json({ message: 'Cart cleared successfully' });
   } catch (error) {
     console.error('Error clearing cart:', error);
     res.status(500).json({ message: 'Server error' });
   }
-};
\ No newline at end of file
+};
+// Quotes the user's cart for a shipping address: promotions, coupon, tax and shipping
+exports.getQuote = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn(`Cart quote validation failed: ${JSON.stringify(errors.array())}`);
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const owner = describeOwner(req);
+  const { shippingAddress, couponCode } = req.body;
+
+  try {
+    const cart = await Cart.findOne(getCartQuery(req));
+    if (!cart || cart.items.length === 0) {
+      logger.warn(`Cart not found or empty for ${owner}`);
+      return res.status(404).json({ message: 'Cart is empty' });
+    }
+
+    const quote = await quoteCartItems(req, cart.items, { shippingAddress, couponCode });
+
+    logger.info(`Quoted cart for ${owner}`);
+
+    res.status(200).json({ success: true, data: quote });
+  } catch (error) {
+    logger.error(`Error quoting cart: ${error.message}`);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Previews checkout: revalidates the cart against the catalogue and quotes the lines that would be ordered.
+// With autoCorrect the corrections are saved to the cart.
+exports.getCheckoutPreview = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('Validation Errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const owner = describeOwner(req);
+  const { shippingAddress, couponCode, autoCorrect = false } = req.body;
+
+  try {
+    const cart = await Cart.findOne(getCartQuery(req));
+    if (!cart || cart.items.length === 0) {
+      console.log(`Cart not found or empty for ${owner}`);
+      return res.status(404).json({ message: 'Cart is empty' });
+    }
+
+    const { items, notices, corrected } = await revalidateCart(cart, { autoCorrect });
+    if (autoCorrect) {
+      await saveCart(req, res, cart);
+    }
+
+    // Checkout goes through once nothing blocking is left in the cart itself
+    const canCheckout = items.length > 0 && (autoCorrect || !hasBlockingNotices(notices));
+    const quote = items.length > 0 ? await quoteCartItems(req, items, { shippingAddress, couponCode }) : null;
+
+    console.log(`Checkout preview for ${owner}: ${notices.length} notices, can checkout: ${canCheckout}`);
+
+    res.status(200).json({
+      success: true,
+      data: { notices, corrected, canCheckout, items, quote },
+    });
+  } catch (error) {
+    console.error('Error previewing checkout:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Merges the guest cart of the X-Cart-Token header (or body cartToken) into the user's cart
+exports.mergeGuestCart = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('Validation Errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { merged, cart, notices } = await mergeGuestCart({ user: req.user, token: getRequestCartToken(req) });
+    if (!merged) {
+      return res.status(404).json({ message: 'Guest cart not found' });
+    }
+
+    await cart.populate('items.product');
+    console.log(`Merged guest cart into cart of user: ${req.user.id}`);
+
+    res.status(200).json({ success: true, data: { cart, notices } });
+  } catch (error) {
+    console.error('Error merging guest cart:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Restores a cart from the signed link in an abandoned-cart email
+exports.restoreCart = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    console.log('Validation Errors:', errors.array());
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { cart, couponCode } = await restoreCartFromToken(req.body.token);
+    console.log(`Restored cart ${cart._id} from recovery link`);
+
+    res.status(200).json({ success: true, data: { cart, couponCode } });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error restoring cart:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -11,6 +11,10 @@ const sendEmail = require("../utils/sendEmail");
 const logger = require("../utils/logger");
 const ERROR_CODES = require("../constants/errorCodes");
 const cloudinary = require("../config/cloudinary");
+const {
+  getRequestCartToken,
+  mergeGuestCartOnLogin,
+} = require("../services/guestCartService");
 
 // Import related models for cascading deletes
 const Order = require("../models/Order");
@@ -309,10 +313,14 @@ Your Company Team`;
 
     logger.info(`User logged in: ${user.email}`);
 
+    // Bring along the cart built before signing in
+    const cart = await mergeGuestCartOnLogin(user, getRequestCartToken(req));
+
     res.status(200).json({
       success: true,
       token,
       data: user,
+      cart,
     });
   } catch (error) {
     logger.error("Login Error:", error);
@@ -368,10 +376,14 @@ exports.verifyOTP = async (req, res, next) => {
 
     logger.info(`Admin user logged in after OTP verification: ${user.email}`);
 
+    // Bring along the cart built before signing in
+    const cart = await mergeGuestCartOnLogin(user, getRequestCartToken(req));
+
     res.status(200).json({
       success: true,
       token,
       data: user,
+      cart,
     });
   } catch (error) {
     logger.error("Verify OTP Error:", error);
@@ -2,9 +2,12 @@
 
 const Category = require('../models/Category');
 const BlogPost = require('../models/BlogPost'); // Ensure this model exists and is correctly defined
+const Product = require('../models/Product');
 const asyncHandler = require('express-async-handler');
 const logger = require('../utils/logger'); // Ensure you have a logger utility
 const ERROR_CODES = require('../constants/errorCodes'); // Define your error codes
+const { cascadeCategoryDeletion } = require('../services/categoryService');
+const { refreshProductSearchFields } = require('../services/searchService');
 
 // @desc    Create a new category
 // @route   POST /api/categories
@@ -138,13 +141,28 @@ exports.updateCategory = asyncHandler(async (req, res, next) => {
       category.parent = updates.parent && updates.parent.trim() !== "" ? updates.parent : null;
     }
 
+    // A category in use by products has to stay a product category
+    if (updates.type && updates.type !== category.type && (await Product.exists({ category: category._id }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the type of a category that products are assigned to',
+      });
+    }
+
     // Update other fields
     if (updates.type) category.type = updates.type;
     if (updates.description !== undefined) category.description = updates.description;
     if (updates.isActive !== undefined) category.isActive = updates.isActive;
 
+    const pathChanged = category.isModified('name') || category.isModified('parent');
     await category.save();
 
+    // Products are searchable by the names of their category and its parents
+    if (pathChanged && category.type === 'product') {
+      const subtreeIds = await Category.getDescendantIds([category._id]);
+      await refreshProductSearchFields({ category: { $in: subtreeIds } });
+    }
+
     res.status(200).json({
       success: true,
       data: category,
@@ -157,11 +175,12 @@ exports.updateCategory = asyncHandler(async (req, res, next) => {
 });
 
 // @desc    Delete a category
-// @route   DELETE /api/categories/:id
+// @route   DELETE /api/categories/:id?cascade=true&reassignTo=:categoryId
 // @access  Private/Admin
 exports.deleteCategory = asyncHandler(async (req, res, next) => {
   try {
     const categoryId = req.params.id;
+    const { cascade = false, reassignTo } = req.query;
 
     // Validate category ID format
     if (!categoryId.match(/^[0-9a-fA-F]{24}$/)) {
@@ -183,23 +202,50 @@ exports.deleteCategory = asyncHandler(async (req, res, next) => {
       });
     }
 
-    // Check for subcategories
-    const subcategories = await Category.find({ parent: categoryId });
-    if (subcategories.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot delete category because it has subcategories',
-      });
+    let cascadeResult = null;
+    if (cascade) {
+      // Move subcategories up a level and products to reassignTo (or the parent)
+      cascadeResult = await cascadeCategoryDeletion(category, { reassignTo });
+    } else {
+      // Check for products still assigned to this category
+      const productCount = await Product.countDocuments({ category: categoryId });
+      if (productCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot delete category because products are assigned to it. Use cascade=true to move them.',
+          productCount,
+        });
+      }
+
+      // Check for subcategories
+      const subcategories = await Category.find({ parent: categoryId });
+      if (subcategories.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot delete category because it has subcategories',
+        });
+      }
     }
 
     // Delete the category using findByIdAndDelete to avoid deprecation warnings
     await Category.findByIdAndDelete(categoryId);
 
+    if (cascadeResult && cascadeResult.affectedProducts.length > 0) {
+      await refreshProductSearchFields({ _id: { $in: cascadeResult.affectedProducts } });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Category deleted successfully',
+      ...(cascadeResult && {
+        productsMoved: cascadeResult.productsMoved,
+        subcategoriesMoved: cascadeResult.subcategoriesMoved,
+      }),
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, ...error.details });
+    }
     logger.error('Delete Category Error:', error);
     res.status(500).json({ success: false, message: ERROR_CODES.SERVER_ERROR || 'Internal Server Error' });
   }
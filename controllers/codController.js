@@ -0,0 +1,198 @@
+// controllers/codController.js
+
+const asyncHandler = require('express-async-handler');
+const Order = require('../models/Order');
+const CodRemittance = require('../models/CodRemittance');
+const logger = require('../utils/logger');
+const MESSAGES = require('../messages/en');
+const { deleteCache } = require('../services/redisService');
+const {
+  checkCodEligibility,
+  issueDeliveryOtp,
+  confirmCodDelivery,
+  recordRefusedDelivery,
+  createRemittanceBatch,
+  reconcileRemittance,
+} = require('../services/codService');
+
+// Drop the order list caches after a COD step changed an order
+const clearOrderCaches = async (order) => {
+  await deleteCache(`orders_${order.customer._id || order.customer}`);
+  await deleteCache('all_orders');
+};
+
+/**
+ * Shared handler shell for COD delivery steps: loads the order, runs the step
+ * and responds with the updated order.
+ * @param {Function} step - async (order, req) => void
+ * @param {Object} options
+ * @param {string} options.message - Success message.
+ * @param {string} [options.select] - Extra fields to load (e.g. the OTP hash).
+ * @returns {Function} - Express handler.
+ */
+const handleCodStep = (step, { message, select = null }) =>
+  asyncHandler(async (req, res, next) => {
+    const query = Order.findById(req.params.id).populate('customer', 'name email');
+    if (select) query.select(select);
+    const order = await query;
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: MESSAGES.ORDER.ORDER_NOT_FOUND });
+    }
+
+    await step(order, req);
+    await clearOrderCaches(order);
+
+    res.status(200).json({ success: true, data: order, message });
+  });
+
+/**
+ * @desc    Check whether cash on delivery can be offered at checkout
+ * @route   GET /api/cod/eligibility
+ * @access  Private
+ */
+exports.getCodEligibility = asyncHandler(async (req, res, next) => {
+  const { amount, pincode } = req.query;
+
+  const { eligible, reasons } = await checkCodEligibility({
+    customer: req.user._id,
+    amount: Number(amount),
+    address: { zip: pincode },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { eligible, reasons },
+    message: MESSAGES.COD.ELIGIBILITY_CHECKED,
+  });
+});
+
+/**
+ * @desc    Send (or resend) the delivery OTP of a shipped COD order
+ * @route   POST /api/cod/orders/:id/otp
+ * @access  Private/Admin/Order Manager
+ */
+exports.sendDeliveryOtp = handleCodStep((order) => issueDeliveryOtp(order), {
+  message: MESSAGES.COD.OTP_SENT,
+});
+
+/**
+ * @desc    Confirm a COD delivery with the customer's OTP and record the cash collected
+ * @route   POST /api/cod/orders/:id/confirm-delivery
+ * @access  Private/Admin/Order Manager
+ */
+exports.confirmDelivery = handleCodStep(
+  (order, req) =>
+    confirmCodDelivery(order, {
+      otp: req.body.otp,
+      collectedAmount: req.body.collectedAmount,
+      actor: req.user,
+    }),
+  { message: MESSAGES.COD.DELIVERY_CONFIRMED, select: '+cod.deliveryOtpHash' }
+);
+
+/**
+ * @desc    Record that the customer refused a COD delivery
+ * @route   POST /api/cod/orders/:id/refuse
+ * @access  Private/Admin/Order Manager
+ */
+exports.refuseDelivery = handleCodStep(
+  (order, req) => recordRefusedDelivery(order, { reason: req.body.reason, actor: req.user }),
+  { message: MESSAGES.COD.DELIVERY_REFUSED }
+);
+
+/**
+ * @desc    List courier remittances
+ * @route   GET /api/cod/remittances
+ * @access  Private/Admin/Finance Manager
+ */
+exports.getRemittances = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 20, courier, status, startDate, endDate } = req.query;
+
+  const query = {};
+  if (courier) query.courier = courier.toLowerCase();
+  if (status) query.status = { $in: status.split(',') };
+  if (startDate || endDate) {
+    query.remittedAt = {};
+    if (startDate) query.remittedAt.$gte = new Date(startDate);
+    if (endDate) query.remittedAt.$lte = new Date(endDate);
+  }
+
+  const remittances = await CodRemittance.find(query)
+    .select('-lines')
+    .sort({ remittedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit, 10));
+
+  const count = await CodRemittance.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: remittances,
+    count,
+    message: MESSAGES.COD.REMITTANCE_FETCHED,
+  });
+});
+
+/**
+ * @desc    Get a courier remittance with its order lines
+ * @route   GET /api/cod/remittances/:id
+ * @access  Private/Admin/Finance Manager
+ */
+exports.getRemittanceById = asyncHandler(async (req, res, next) => {
+  const remittance = await CodRemittance.findById(req.params.id)
+    .populate('lines.order', 'orderNumber status paymentStatus grandTotal cod.collectedAmount cod.status')
+    .populate('createdBy reconciledBy', 'name email');
+
+  if (!remittance) {
+    return res.status(404).json({ success: false, message: MESSAGES.COD.REMITTANCE_NOT_FOUND });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: remittance,
+    message: MESSAGES.COD.REMITTANCE_FETCHED,
+  });
+});
+
+/**
+ * @desc    Record a courier remittance batch and match it to orders
+ * @route   POST /api/cod/remittances
+ * @access  Private/Admin/Finance Manager
+ */
+exports.createRemittance = asyncHandler(async (req, res, next) => {
+  const { courier, reference, remittedAt, lines, notes } = req.body;
+
+  const remittance = await createRemittanceBatch({
+    courier,
+    reference,
+    remittedAt,
+    lines,
+    notes,
+    actor: req.user,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: remittance,
+    message: MESSAGES.COD.REMITTANCE_CREATED,
+  });
+});
+
+/**
+ * @desc    Reconcile a remittance batch, marking its matched orders paid
+ * @route   POST /api/cod/remittances/:id/reconcile
+ * @access  Private/Admin/Finance Manager
+ */
+exports.reconcileRemittance = asyncHandler(async (req, res, next) => {
+  const { remittance, paidOrders } = await reconcileRemittance(req.params.id, { actor: req.user });
+  logger.info(`COD remittance ${remittance._id} reconciled by ${req.user._id}`);
+
+  await deleteCache('all_orders');
+
+  res.status(200).json({
+    success: true,
+    data: { remittance, paidOrders },
+    message: MESSAGES.COD.REMITTANCE_RECONCILED,
+  });
+});
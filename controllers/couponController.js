@@ -3,7 +3,28 @@
 const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
 const Coupon = require('../models/Coupon');
+const Cart = require('../models/Cart');
 const MESSAGES = require('../messages/en');
+const { priceCouponLines, evaluateCouponForCustomer } = require('../services/couponService');
+const { applyActivePromotions } = require('../services/promotionService');
+
+// Rule fields an admin can set on a coupon
+const COUPON_RULE_FIELDS = [
+  'startDate',
+  'perUserLimit',
+  'minOrderValue',
+  'maxDiscount',
+  'firstOrderOnly',
+  'applicableProducts',
+  'applicableCategories',
+];
+
+// Pick the rule fields present in the request body
+const pickRuleFields = (body) =>
+  COUPON_RULE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
 
 /**
  * @desc    Get all coupons with optional filters
@@ -100,6 +121,7 @@ exports.createCoupon = asyncHandler(async (req, res, next) => {
       expirationDate,
       maxUses,
       isActive,
+      ...pickRuleFields(req.body),
     });
 
     res.status(201).json({
@@ -143,6 +165,7 @@ exports.updateCoupon = asyncHandler(async (req, res, next) => {
     if (expirationDate !== undefined) coupon.expirationDate = expirationDate;
     if (maxUses !== undefined) coupon.maxUses = maxUses;
     if (isActive !== undefined) coupon.isActive = isActive;
+    coupon.set(pickRuleFields(req.body));
 
     await coupon.save();
 
@@ -252,50 +275,61 @@ exports.activateCoupon = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Apply a coupon to an order
+ * @desc    Evaluate a coupon against items (or the user's cart) with a line-by-line breakdown
  * @route   POST /api/coupons/apply
- * @access  Public
+ * @access  Private
  */
 exports.applyCoupon = asyncHandler(async (req, res, next) => {
-  const { code, orderTotal } = req.body;
-
-  // Find the coupon
-  const coupon = await Coupon.findOne({ code: code.toUpperCase() });
-
-  if (!coupon) {
-    return res.status(404).json({ success: false, message: MESSAGES.Coupon.Coupon_NOT_FOUND });
+  const { code, items } = req.body;
+
+  // Fall back to the user's cart when no items are sent
+  let requestedItems = items;
+  if (!requestedItems || requestedItems.length === 0) {
+    const cart = await Cart.findOne({ user: req.user._id });
+    requestedItems = cart
+      ? cart.items.map((item) => ({
+          product: item.product,
+          sku: item.sku,
+          quantity: item.quantity,
+        }))
+      : [];
   }
 
-  if (!coupon.isActive) {
-    return res.status(400).json({ success: false, message: MESSAGES.Coupon.ALREADY_INACTIVE });
-  }
-
-  const currentDate = new Date();
-  if (coupon.expirationDate < currentDate) {
-    return res.status(400).json({ success: false, message: MESSAGES.Coupon.COUPON_EXPIRED });
+  if (requestedItems.length === 0) {
+    return res.status(400).json({ success: false, message: 'No items to apply the coupon to.' });
   }
 
-  if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
-    return res.status(400).json({ success: false, message: MESSAGES.Coupon.APPLY_FAILED });
-  }
+  const { lines, unpricedItems } = await priceCouponLines(requestedItems);
 
-  // Calculate discount
-  let discountAmount = 0;
-  if (coupon.discountType === 'percentage') {
-    discountAmount = (coupon.discount / 100) * orderTotal;
-  } else if (coupon.discountType === 'fixed') {
-    discountAmount = coupon.discount;
+  // Coupons are evaluated after automatic promotions, on what the promotions leave
+  const promotionResult = await applyActivePromotions(lines);
+  if (!promotionResult.couponsAllowed) {
+    return res.status(400).json({
+      success: false,
+      data: { appliedPromotions: promotionResult.appliedPromotions, unpricedItems },
+      message: `Coupons cannot be combined with the '${promotionResult.couponBlockedBy}' promotion.`,
+    });
   }
 
-  discountAmount = Math.min(discountAmount, orderTotal); // Ensure discount does not exceed order total
+  const { coupon, evaluation } = await evaluateCouponForCustomer(code, {
+    customer: req.user._id,
+    lines: promotionResult.lines,
+  });
 
-  // Increment usedCount
-  coupon.usedCount += 1;
-  await coupon.save();
+  if (!coupon) {
+    return res.status(404).json({ success: false, message: MESSAGES.Coupon.Coupon_NOT_FOUND });
+  }
 
-  res.status(200).json({
-    success: true,
-    discount: discountAmount,
-    message: MESSAGES.Coupon.APPLY_SUCCESS,
+  // Checking a coupon does not consume it; usage is recorded when the order is placed
+  res.status(evaluation.applicable ? 200 : 400).json({
+    success: evaluation.applicable,
+    data: {
+      ...evaluation,
+      appliedPromotions: promotionResult.appliedPromotions,
+      promotionDiscount: promotionResult.totalDiscount,
+      unpricedItems,
+    },
+    discount: evaluation.discount,
+    message: evaluation.applicable ? MESSAGES.Coupon.APPLY_SUCCESS : evaluation.message,
   });
 });
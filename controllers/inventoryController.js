@@ -0,0 +1,27 @@
+// controllers/inventoryController.js
+const asyncHandler = require('express-async-handler');
+const { listReservations } = require('../services/inventoryService');
+
+/**
+ * @desc    List stock reservations (holds) with their orders and customers
+ * @route   GET /api/inventory/reservations
+ * @access  Private/Admin/Inventory Manager/Order Manager
+ */
+exports.getReservations = asyncHandler(async (req, res) => {
+  const { status = 'active', product, page = 1, limit = 20 } = req.query;
+
+  const { reservations, total } = await listReservations({
+    status,
+    product,
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+  });
+
+  res.status(200).json({
+    success: true,
+    count: reservations.length,
+    total,
+    data: reservations,
+    message: 'Stock reservations fetched successfully.',
+  });
+});
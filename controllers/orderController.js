@@ -3,13 +3,43 @@
 const mongoose = require('mongoose'); // Added for ObjectId validation
 const Order = require('../models/Order');
 const Product = require('../models/Product');
-const Coupon = require('../models/Coupon');
 const Transaction = require('../models/Transaction');
 const logger = require('../utils/logger');
 const MESSAGES = require('../messages/en'); // Ensure this path is correct
 const ERROR_CODES = require('../constants/errorCodes');
+const ORDER_STATUS = require('../constants/orderStatus');
 const asyncHandler = require('express-async-handler');
 const { processPayment } = require('../services/paymentService');
+const {
+  commitOrderStock,
+  releaseReservation,
+} = require('../services/inventoryService');
+const { reverseRedemptions } = require('../services/couponService');
+const {
+  canTransition,
+  transitionOrder,
+  buildTimeline,
+  getAllowedTransitions,
+} = require('../services/orderLifecycleService');
+const { placeOrder } = require('../services/orderService');
+const { isCashOnDelivery, issueDeliveryOtp } = require('../services/codService');
+const {
+  getOrCreateInvoice,
+  createCreditNote,
+  getInvoiceFileName,
+  renderInvoicePdf,
+} = require('../services/invoiceService');
+const Invoice = require('../models/Invoice');
+const Return = require('../models/Return');
+const User = require('../models/User');
+const USER_ROLES = require('../constants/userRoles');
+const RETURN_STATUS = require('../constants/returnStatus');
+const { refundOrderPayment, getOrderLedger } = require('../services/refundService');
+const {
+  buildReturnItems,
+  getReturnedQuantities,
+  notifyReturnUpdate,
+} = require('../services/returnService');
 const { setCache, getCache, deleteCache } = require('../services/redisService');
 const crypto = require('crypto');
 const sendEmail = require('../services/emailService'); // Ensure the correct path
@@ -37,129 +67,56 @@ const capitalize = (s) => {
   return s.charAt(0).toUpperCase() + s.slice(1);
 };
 
+// Helper function to collect the email addresses of the staff who handle returns
+const getAdminEmails = async () => {
+  const admins = await User.find({
+    role: { $in: [USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER] },
+    isActive: true,
+  }).select('email').lean();
+  return admins.map((admin) => admin.email);
+};
+
+// Helper function to render a tax document as an email attachment (empty if it cannot be produced)
+const buildDocumentAttachments = async (loadDocument, orderId) => {
+  try {
+    const document = await loadDocument();
+    return [{ filename: getInvoiceFileName(document), content: await renderInvoicePdf(document), type: 'application/pdf' }];
+  } catch (documentError) {
+    logger.error(`Failed to attach tax document for order ${orderId}: ${documentError.message}`);
+    return [];
+  }
+};
+
 /**
  * @desc    Create a new order
  * @route   POST /api/orders
  * @access  Private/Customer
  */
 exports.createOrder = asyncHandler(async (req, res, next) => {
-  const { items, shippingAddress, billingAddress, paymentMethod, couponCode } = req.body;
-
-  if (!items || !Array.isArray(items) || items.length === 0) {
-    return res.status(400).json({ success: false, message: 'No items provided for the order.' });
-  }
-
-  let totalAmount = 0;
-  const populatedItems = [];
-
-  // Validate and calculate total amount
-  for (const item of items) {
-    const product = await Product.findById(item.product);
-
-    if (!product || !product.isActive) {
-      logger.warn(`Invalid product ID ${item.product} for order creation.`);
-      return res.status(400).json({ success: false, message: `Product with ID ${item.product} is invalid.` });
-    }
-
-    // Check if 'variants' field exists and is an array
-    if (!product.variants || !Array.isArray(product.variants) || product.variants.length === 0) {
-      logger.warn(`Product ${product._id} (${product.title}) has undefined or invalid 'variants' field.`);
-      return res.status(400).json({ success: false, message: `Product ${product.title} has invalid variants.` });
-    }
-
-    // Validate variant
-    const selectedVariant = product.variants.find(
-      (v) => v.size.toLowerCase() === item.variant.toLowerCase()
-    );
-    if (!selectedVariant) {
-      logger.warn(`Variant ${item.variant} not found for product ${product.title}.`);
-      return res.status(400).json({
-        success: false,
-        message: `Variant ${item.variant} not found for product ${product.title}.`,
-      });
-    }
-
-    // Validate packaging
-    if (!product.packaging.includes(item.packaging)) {
-      logger.warn(`Packaging ${item.packaging} not valid for product ${product.title}.`);
-      return res.status(400).json({
-        success: false,
-        message: `Packaging ${item.packaging} is not available for product ${product.title}.`,
-      });
-    }
-
-    // Check stock
-    if (selectedVariant.stock < item.quantity) {
-      logger.warn(`Insufficient stock for product ${product.title}, variant ${item.variant}. Requested: ${item.quantity}, Available: ${selectedVariant.stock}`);
-      return res.status(400).json({
-        success: false,
-        message: `Insufficient stock for product ${product.title}, variant ${item.variant}.`,
-      });
-    }
+  const { items, shippingAddress, billingAddress, paymentMethod, couponCode, gstin } = req.body;
 
-    // Calculate item total
-    const itemTotal = selectedVariant.price * item.quantity;
-    totalAmount += itemTotal;
-
-    // Add to populated items
-    populatedItems.push({
-      product: product._id,
-      quantity: item.quantity,
-      price: selectedVariant.price,
-      variant: selectedVariant.size,
-      packaging: item.packaging,
+  // Pricing, promotions, coupon, tax, stock holds and the order itself
+  let order;
+  try {
+    order = await placeOrder({
+      customer: req.user._id,
+      actor: req.user,
+      items,
+      shippingAddress,
+      billingAddress,
+      paymentMethod,
+      couponCode,
+      gstin,
+    });
+  } catch (placeError) {
+    if (!placeError.statusCode) throw placeError;
+    return res.status(placeError.statusCode).json({
+      success: false,
+      message: placeError.message,
+      ...(placeError.details || {}),
     });
   }
-
-  // Apply coupon if provided
-  let discount = 0;
-  if (couponCode) {
-    const coupon = await Coupon.findOne({ code: couponCode, isActive: true });
-
-    if (!coupon) {
-      logger.warn(`Invalid or inactive coupon code: ${couponCode}`);
-      return res.status(400).json({ success: false, message: 'Invalid or inactive coupon code.' });
-    }
-
-    // Validate coupon usage
-    const couponValidation = Coupon.canApplyCoupon(coupon);
-    if (!couponValidation.success) {
-      logger.warn(`Coupon validation failed: ${couponValidation.message}`);
-      return res.status(400).json({ success: false, message: couponValidation.message });
-    }
-
-    // Apply coupon
-    discount = coupon.discountType === 'percentage' ? (totalAmount * (coupon.discount / 100)) : coupon.discount;
-    totalAmount -= discount;
-
-    // Ensure totalAmount doesn't go below zero
-    totalAmount = Math.max(totalAmount, 0);
-
-    // Increment used count
-    coupon.usedCount += 1;
-    if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
-      coupon.isActive = false;
-    }
-    await coupon.save();
-  }
-
-  // Create order number
-  const orderNumber = `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-
-  // Set initial status to 'pending'
-  const order = await Order.create({
-    orderNumber,
-    customer: req.user._id,
-    items: populatedItems,
-    totalAmount,
-    paymentMethod,
-    shippingAddress,
-    billingAddress,
-    status: 'pending', // Set to 'pending' initially
-    paymentStatus: ['cod', 'cash_on_delivery'].includes(paymentMethod.toLowerCase()) ? 'pending' : 'paid', // Updated assignment
-    discount,
-    couponCode: couponCode || null,
-  });
+  const { discount } = order;
 
   // Send Order Confirmation Email
   try {
@@ -338,9 +295,11 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
           </tbody>
         </table>
 
-        <p><strong>Subtotal:</strong> $${(totalAmount + discount).toFixed(2)}</p>
+        <p><strong>Subtotal:</strong> $${order.subtotal.toFixed(2)}</p>
         ${discount > 0 ? `<p><strong>Discount:</strong> -$${discount.toFixed(2)}</p>` : ''}
-        <p><strong>Total Amount:</strong> $${totalAmount.toFixed(2)}</p>
+        ${order.taxAmount > 0 ? `<p><strong>Tax (${order.taxRate}%):</strong> $${order.taxAmount.toFixed(2)}</p>` : ''}
+        <p><strong>Shipping:</strong> ${order.shippingAmount > 0 ? `$${order.shippingAmount.toFixed(2)}` : 'Free'}</p>
+        <p><strong>Total Amount:</strong> $${order.grandTotal.toFixed(2)}</p>
 
         <p>Your order status is currently: <strong>${capitalize(order.status)}</strong>.</p>
 
@@ -370,11 +329,11 @@ exports.createOrder = asyncHandler(async (req, res, next) => {
     // Optionally, you can choose to proceed without failing the order creation
   }
 
-  // For 'cod' payments, no immediate stock deduction or processing is done
+  // For 'cod' payments, no payment processing is done here
   // Payment status remains 'pending' until the admin accepts the order
 
-  // For online payments, payment is still 'paid' if not 'cod' or 'cash_on_delivery'
-  // You might want to integrate payment verification based on your payment gateway
+  // Online orders stay 'pending' with their stock held until POST /api/payments/pay
+  // or a gateway webhook confirms the charge
 
   // Invalidate cache if necessary
   await deleteCache(`orders_${req.user._id}`);
@@ -416,7 +375,7 @@ exports.acceptOrder = asyncHandler(async (req, res, next) => {
     });
   }
 
-  if (order.status !== 'pending') {
+  if (order.status !== ORDER_STATUS.PENDING) {
     logger.warn(`Attempted to accept order ${order._id} with status ${order.status}.`);
     return res.status(400).json({
       success: false,
@@ -425,38 +384,15 @@ exports.acceptOrder = asyncHandler(async (req, res, next) => {
   }
 
   // Update status to 'processing'
-  order.status = 'processing';
+  transitionOrder(order, ORDER_STATUS.PROCESSING, { actor: req.user, reason: 'Order accepted' });
   order.updatedAt = Date.now();
 
-  // Deduct stock
+  // Commit the checkout hold (or take the stock again if the hold expired)
   try {
-    await Promise.all(
-      order.items.map(async (item) => {
-        const product = await Product.findById(item.product._id);
-        if (!product) {
-          throw new Error(`Product with ID ${item.product._id} not found.`);
-        }
-
-        if (!product.variants || !Array.isArray(product.variants)) {
-          throw new Error(`Product ${product.title} has invalid variants.`);
-        }
-
-        const variant = product.variants.find(v => v.size.toLowerCase() === item.variant.toLowerCase());
-        if (!variant) {
-          throw new Error(`Variant ${item.variant} not found for product ${product.title}.`);
-        }
-
-        if (variant.stock < item.quantity) {
-          throw new Error(`Insufficient stock for product ${product.title}, variant ${item.variant}.`);
-        }
-
-        variant.stock -= item.quantity;
-        await product.save();
-      })
-    );
+    await commitOrderStock(order);
   } catch (stockError) {
     logger.error(`Stock Deduction Error for Order ID ${order._id}: ${stockError.message}`);
-    return res.status(400).json({
+    return res.status(stockError.statusCode || 400).json({
       success: false,
       message: stockError.message || 'Error deducting stock.',
     });
@@ -643,9 +579,11 @@ exports.acceptOrder = asyncHandler(async (req, res, next) => {
           </tbody>
         </table>
 
-        <p><strong>Subtotal:</strong> $${(order.totalAmount + order.discount).toFixed(2)}</p>
+        <p><strong>Subtotal:</strong> $${order.subtotal.toFixed(2)}</p>
         ${order.discount > 0 ? `<p><strong>Discount:</strong> -$${order.discount.toFixed(2)}</p>` : ''}
-        <p><strong>Total Amount:</strong> $${order.totalAmount.toFixed(2)}</p>
+        ${order.taxAmount > 0 ? `<p><strong>Tax (${order.taxRate}%):</strong> $${order.taxAmount.toFixed(2)}</p>` : ''}
+        <p><strong>Shipping:</strong> ${order.shippingAmount > 0 ? `$${order.shippingAmount.toFixed(2)}` : 'Free'}</p>
+        <p><strong>Total Amount:</strong> $${order.grandTotal.toFixed(2)}</p>
 
         <p>Your order status is currently: <strong>${capitalize(order.status)}</strong>.</p>
 
@@ -689,7 +627,7 @@ exports.acceptOrder = asyncHandler(async (req, res, next) => {
  */
 exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const { status } = req.body;
+  const { status, reason } = req.body;
 
   // Validate the order ID
   if (!isValidObjectId(id)) {
@@ -713,32 +651,48 @@ exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Define allowed status transitions (Extended to include additional transitions)
-  const allowedTransitions = {
-    pending: ['processing', 'shipped', 'delivered', 'cancelled'],
-    processing: ['shipped', 'delivered', 'cancelled'],
-    shipped: ['delivered', 'refunded'],
-    delivered: ['refunded'],
-    cancelled: [],
-    refunded: [],
-  };
+  const previousStatus = order.status;
 
-  if (!allowedTransitions[order.status].includes(status)) {
-    logger.warn(`Invalid status transition from ${order.status} to ${status} for Order ID ${id}.`);
-    return res.status(400).json({ success: false, message: 'Invalid status transition.' });
+  // Cash on delivery orders are delivered only with the customer's OTP
+  if (status === ORDER_STATUS.DELIVERED && isCashOnDelivery(order.paymentMethod)) {
+    return res.status(400).json({
+      success: false,
+      message: MESSAGES.COD.OTP_REQUIRED,
+    });
   }
 
-  // Update the order status
-  order.status = status;
+  // Update the order status through the lifecycle (rejects illegal transitions)
+  try {
+    transitionOrder(order, status, { actor: req.user, reason });
+  } catch (transitionError) {
+    logger.warn(`Invalid status transition from ${previousStatus} to ${status} for Order ID ${id}.`);
+    return res.status(transitionError.statusCode || 400).json({
+      success: false,
+      message: transitionError.message,
+      allowedTransitions: getAllowedTransitions(previousStatus),
+    });
+  }
+
+  // Keep stock in step with the new status
+  try {
+    if (status === ORDER_STATUS.PROCESSING) {
+      await commitOrderStock(order);
+    } else if (status === ORDER_STATUS.CANCELLED) {
+      await releaseReservation(order._id, 'order_cancelled');
+      await reverseRedemptions(order._id);
+    }
+  } catch (stockError) {
+    logger.error(`Stock update failed for Order ID ${order._id}: ${stockError.message}`);
+    return res.status(stockError.statusCode || 400).json({
+      success: false,
+      message: stockError.message || 'Error updating stock.',
+    });
+  }
 
   // Handle specific status changes
-  if (status === 'shipped') {
-    // Set shipping date
-    order.shippingDate = Date.now();
+  if (status === ORDER_STATUS.SHIPPED) {
     logger.info(`Order ID ${order._id} marked as shipped.`);
-  } else if (status === 'delivered') {
-    // Set delivery date
-    order.deliveryDate = Date.now();
+  } else if (status === ORDER_STATUS.DELIVERED) {
     logger.info(`Order ID ${order._id} marked as delivered.`);
 
     // Send Order Delivered Email
@@ -916,9 +870,11 @@ exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
             </tbody>
           </table>
 
-          <p><strong>Subtotal:</strong> $${(order.totalAmount + order.discount).toFixed(2)}</p>
+          <p><strong>Subtotal:</strong> $${order.subtotal.toFixed(2)}</p>
           ${order.discount > 0 ? `<p><strong>Discount:</strong> -$${order.discount.toFixed(2)}</p>` : ''}
-          <p><strong>Total Amount:</strong> $${order.totalAmount.toFixed(2)}</p>
+          ${order.taxAmount > 0 ? `<p><strong>Tax (${order.taxRate}%):</strong> $${order.taxAmount.toFixed(2)}</p>` : ''}
+          <p><strong>Shipping:</strong> ${order.shippingAmount > 0 ? `$${order.shippingAmount.toFixed(2)}` : 'Free'}</p>
+          <p><strong>Total Amount:</strong> $${order.grandTotal.toFixed(2)}</p>
 
           <p>Your order status is currently: <strong>${capitalize(order.status)}</strong>.</p>
 
@@ -940,6 +896,7 @@ exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
         subject: 'Your Order Has Been Delivered - 10X Formulas',
         message: `Hi ${order.customer.name}, your order has been delivered.`,
         html: emailHtml,
+        attachments: await buildDocumentAttachments(() => getOrCreateInvoice(order), order._id),
       });
 
       logger.info(`Order delivered email sent to ${order.customer.email}`);
@@ -951,6 +908,15 @@ exports.updateOrderStatus = asyncHandler(async (req, res, next) => {
 
   await order.save();
 
+  // The customer needs a delivery OTP to hand to the courier
+  if (status === ORDER_STATUS.SHIPPED && isCashOnDelivery(order.paymentMethod)) {
+    try {
+      await issueDeliveryOtp(order);
+    } catch (otpError) {
+      logger.error(`Failed to issue delivery OTP for Order ID ${order._id}: ${otpError.message}`);
+    }
+  }
+
   // Invalidate cache
   await deleteCache(`orders_${order.customer._id}`);
   await deleteCache('all_orders');
@@ -992,15 +958,28 @@ exports.cancelOrder = asyncHandler(async (req, res, next) => {
     });
   }
 
-  if (order.status === 'cancelled' || order.status === 'refunded') {
+  if (order.status === ORDER_STATUS.CANCELLED || order.status === ORDER_STATUS.REFUNDED) {
     return res.status(400).json({
       success: false,
       message: 'Order is already cancelled or refunded.',
     });
   }
 
-  // If the order is in 'processing' or beyond, restore stock
-  if (['processing', 'shipped', 'delivered'].includes(order.status)) {
+  if (!canTransition(order.status, ORDER_STATUS.CANCELLED)) {
+    return res.status(400).json({
+      success: false,
+      message: `Orders with '${order.status}' status cannot be cancelled.`,
+    });
+  }
+
+  const previousStatus = order.status;
+
+  // Release the stock hold (active or committed) back to the variants and give the coupon use back
+  const releasedReservation = await releaseReservation(order._id, 'order_cancelled');
+  await reverseRedemptions(order._id);
+
+  // Orders accepted before holds existed have no reservation: restore their stock directly
+  if (!releasedReservation && [ORDER_STATUS.PROCESSING, ORDER_STATUS.SHIPPED].includes(previousStatus)) {
     try {
       await Promise.all(
         order.items.map(async (item) => {
@@ -1013,7 +992,10 @@ exports.cancelOrder = asyncHandler(async (req, res, next) => {
             throw new Error(`Product ${product.title} has invalid variants.`);
           }
 
-          const variant = product.variants.find(v => v.size.toLowerCase() === item.variant.toLowerCase());
+          // Orders placed before SKUs existed only recorded the variant size
+          const variant = item.sku
+            ? Product.findSku(product, item.sku)
+            : product.variants.find(v => v.size.toLowerCase() === item.variant.toLowerCase());
           if (!variant) {
             throw new Error(`Variant ${item.variant} not found for product ${product.title}.`);
           }
@@ -1031,13 +1013,32 @@ exports.cancelOrder = asyncHandler(async (req, res, next) => {
     }
   }
 
-  order.status = 'cancelled';
-  order.paymentStatus = 'refunded'; // Assuming full refund
   order.cancellationReason = reason || 'No reason provided.';
+  transitionOrder(order, ORDER_STATUS.CANCELLED, { actor: req.user, reason: order.cancellationReason });
   order.updatedAt = Date.now();
 
   await order.save();
 
+  // Give back what was paid through the refund ledger; a failed refund can be retried from the refund endpoint
+  if (order.paymentStatus === 'paid') {
+    try {
+      const { balance } = await getOrderLedger(order);
+      if (balance.refundable > 0) {
+        await refundOrderPayment(order, {
+          amount: balance.refundable,
+          reason: `Order cancelled: ${order.cancellationReason}`,
+          actor: req.user,
+        });
+      }
+      if (order.paymentStatus === 'refunded') {
+        transitionOrder(order, ORDER_STATUS.REFUNDED, { actor: req.user, reason: 'Cancelled order refunded' });
+        await order.save();
+      }
+    } catch (refundError) {
+      logger.error(`Automatic refund failed for cancelled order ${order._id}: ${refundError.message}`);
+    }
+  }
+
   // Invalidate cache
   await deleteCache(`orders_${order.customer._id}`);
   await deleteCache('all_orders');
@@ -1228,13 +1229,18 @@ exports.cancelOrder = asyncHandler(async (req, res, next) => {
  * @access  Private/Admin/Order Manager/Analytics Viewer
  */
 exports.getAllOrders = asyncHandler(async (req, res, next) => {
-  const { status, dateFrom, dateTo, customer, page = 1, limit = 10 } = req.query;
+  const { status, dateFrom, dateTo, customer, stockShortfall, page = 1, limit = 10 } = req.query;
   let filter = {};
 
   if (status) {
     filter.status = status;
   }
 
+  // Paid orders whose stock could not be taken and need a refund or a restock
+  if (stockShortfall === 'true') {
+    filter['stockShortfall.detectedAt'] = { $ne: null };
+  }
+
   if (customer) {
     if (isValidObjectId(customer)) {
       filter.customer = customer;
@@ -1371,6 +1377,156 @@ exports.getOrderById = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get the status timeline of an order
+ * @route   GET /api/orders/:id/timeline
+ * @access  Private (owner or admin)
+ */
+exports.getOrderTimeline = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  // Validate the order ID
+  if (!isValidObjectId(id)) {
+    logger.warn(`Invalid order ID received: ${id}`);
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid order ID.',
+    });
+  }
+
+  const isCustomer = req.user.role === 'user';
+  const query = Order.findById(id).select('orderNumber customer status statusHistory createdAt');
+  if (!isCustomer) {
+    query.populate('statusHistory.changedBy', 'name email role');
+  }
+  const order = await query;
+
+  if (!order) {
+    logger.warn(`Order with ID ${id} not found.`);
+    return res.status(404).json({
+      success: false,
+      message: MESSAGES.ORDER.ORDER_NOT_FOUND || 'Order not found.',
+    });
+  }
+
+  // If the user is a customer, ensure they own the order
+  if (isCustomer && String(order.customer) !== String(req.user._id)) {
+    logger.warn(`User ${req.user._id} attempted to access timeline of order ${order._id} not owned by them.`);
+    return res.status(403).json({
+      success: false,
+      message: MESSAGES.GENERAL.FORBIDDEN || 'Access forbidden.',
+    });
+  }
+
+  const data = {
+    orderNumber: order.orderNumber,
+    status: order.status,
+    timeline: buildTimeline(order, { includeActor: !isCustomer }),
+  };
+  if (!isCustomer) {
+    data.allowedTransitions = getAllowedTransitions(order.status);
+  }
+
+  res.status(200).json({
+    success: true,
+    data,
+    message: 'Order timeline fetched successfully.',
+  });
+});
+
+/**
+ * @desc    Download the tax invoice (or a credit note) of an order as PDF
+ * @route   GET /api/orders/:id/invoice?type=credit_note&number=
+ * @access  Private (owner or admin)
+ */
+exports.getOrderInvoice = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { type = 'invoice', number } = req.query;
+
+  // Validate the order ID
+  if (!isValidObjectId(id)) {
+    logger.warn(`Invalid order ID received: ${id}`);
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid order ID.',
+    });
+  }
+
+  const order = await Order.findById(id).populate('customer', 'name email');
+  if (!order) {
+    logger.warn(`Order with ID ${id} not found.`);
+    return res.status(404).json({
+      success: false,
+      message: MESSAGES.ORDER.ORDER_NOT_FOUND || 'Order not found.',
+    });
+  }
+
+  // If the user is a customer, ensure they own the order
+  if (req.user.role === 'user' && String(order.customer._id) !== String(req.user._id)) {
+    logger.warn(`User ${req.user._id} attempted to download an invoice of order ${order._id} not owned by them.`);
+    return res.status(403).json({
+      success: false,
+      message: MESSAGES.GENERAL.FORBIDDEN || 'Access forbidden.',
+    });
+  }
+
+  let document;
+  if (type === 'credit_note') {
+    const query = { order: order._id, type: 'credit_note' };
+    if (number) query.number = number;
+    document = await Invoice.findOne(query).sort({ issuedAt: -1 });
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'No credit note found for this order.' });
+    }
+  } else {
+    try {
+      document = await getOrCreateInvoice(order);
+    } catch (invoiceError) {
+      return res.status(invoiceError.statusCode || 500).json({ success: false, message: invoiceError.message });
+    }
+  }
+
+  const pdf = await renderInvoicePdf(document);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${getInvoiceFileName(document)}"`,
+    'Content-Length': pdf.length,
+  });
+  res.status(200).send(pdf);
+});
+
+/**
+ * @desc    Get the payment ledger (charges and refunds) and refundable balance of an order
+ * @route   GET /api/orders/:id/refunds
+ * @access  Private/Admin/Order Manager/Finance Manager
+ */
+exports.getOrderRefunds = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    logger.warn(`Invalid order ID received: ${id}`);
+    return res.status(400).json({ success: false, message: 'Invalid order ID.' });
+  }
+
+  const order = await Order.findById(id).select('orderNumber paymentMethod paymentStatus grandTotal paymentDetails');
+  if (!order) {
+    return res.status(404).json({ success: false, message: MESSAGES.ORDER.ORDER_NOT_FOUND || 'Order not found.' });
+  }
+
+  const { transactions, balance } = await getOrderLedger(order);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      orderNumber: order.orderNumber,
+      paymentStatus: order.paymentStatus,
+      balance,
+      transactions,
+    },
+  });
+});
+
 // src/controllers/orderController.js
 
 /**
@@ -1936,20 +2092,25 @@ exports.updateTracking = asyncHandler(async (req, res, next) => {
  */
 exports.returnOrder = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
-  const { items, reason } = req.body;
+  const { items, reason, preferredResolution } = req.body;
 
   // Validate input using Joi
   const schema = Joi.object({
     items: Joi.array().items(
       Joi.object({
         productId: Joi.string().required(),
-        quantity: Joi.number().positive().required(),
+        sku: Joi.string().hex().length(24).optional(),
+        variant: Joi.string().optional(),
+        quantity: Joi.number().integer().positive().required(),
+        customerNote: Joi.string().max(500).optional(),
+        photos: Joi.array().items(Joi.string().uri()).max(5).optional(),
       })
     ).min(1).required(),
     reason: Joi.string().max(500).optional(),
+    preferredResolution: Joi.string().valid('refund', 'replacement').optional(),
   });
 
-  const { error } = schema.validate({ items, reason });
+  const { error } = schema.validate({ items, reason, preferredResolution });
   if (error) {
     return res.status(400).json({ success: false, message: error.details[0].message });
   }
@@ -1960,23 +2121,27 @@ exports.returnOrder = asyncHandler(async (req, res, next) => {
     return res.status(400).json({ success: false, message: 'Invalid order ID.' });
   }
 
-  const order = await Order.findById(id)
-    .populate('customer', 'name email')
-    .populate('items.product', 'title price');
+  const order = await Order.findById(id).populate('customer', 'name email');
 
   if (!order) {
     logger.warn(`Order with ID ${id} not found for return.`);
     return res.status(404).json({ success: false, message: 'Order not found.' });
   }
 
+  // Customers can only return their own orders
+  if (req.user.role === 'user' && String(order.customer._id) !== String(req.user._id)) {
+    logger.warn(`User ${req.user._id} attempted to return order ${order._id} not owned by them.`);
+    return res.status(403).json({ success: false, message: MESSAGES.GENERAL.FORBIDDEN || 'Access forbidden.' });
+  }
+
   // Check if the order is eligible for return
-  if (!['delivered'].includes(order.status)) {
+  if (order.status !== ORDER_STATUS.DELIVERED) {
     return res.status(400).json({ success: false, message: 'Only delivered orders can be returned.' });
   }
 
-  // Check if the return request is within the return window (e.g., 30 days)
+  // Check if the return request is within the return window (counted from delivery)
   const returnWindowDays = 30;
-  const orderDate = new Date(order.createdAt);
+  const orderDate = new Date(order.deliveryDate || order.createdAt);
   const currentDate = new Date();
   const diffTime = Math.abs(currentDate - orderDate);
   const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
@@ -1984,32 +2149,32 @@ exports.returnOrder = asyncHandler(async (req, res, next) => {
     return res.status(400).json({ success: false, message: `Return window of ${returnWindowDays} days has expired.` });
   }
 
-  // Validate that the items being returned are part of the order
-  for (const returnItem of items) {
-    const orderedItem = order.items.find(
-      (item) => String(item.product._id) === String(returnItem.productId)
-    );
-    if (!orderedItem) {
-      return res.status(400).json({ success: false, message: `Product with ID ${returnItem.productId} is not part of this order.` });
-    }
-    if (returnItem.quantity > orderedItem.quantity - (orderedItem.returned || 0)) {
-      return res.status(400).json({ success: false, message: `Return quantity for product ${orderedItem.product.title} exceeds the purchased quantity.` });
-    }
+  // Validate that the items being returned are part of the order and not returned already
+  let returnItems;
+  try {
+    returnItems = buildReturnItems(order, items, await getReturnedQuantities(order._id));
+  } catch (itemError) {
+    return res.status(itemError.statusCode || 400).json({ success: false, message: itemError.message, details: itemError.details });
   }
 
-  // Create a return request (Assuming you have a Return model)
   const returnRequest = await Return.create({
     order: order._id,
     customer: order.customer._id,
-    items,
+    items: returnItems,
     reason: reason || 'No reason provided.',
-    status: 'pending',
+    preferredResolution: preferredResolution || 'refund',
+    status: RETURN_STATUS.REQUESTED,
     requestedAt: new Date(),
   });
 
-  // Notify Admins about the return request (Assuming you have a way to get admin emails)
+  transitionOrder(order, ORDER_STATUS.RETURN_REQUESTED, { actor: req.user, reason: reason || 'Return requested' });
+  await order.save();
+
+  await notifyReturnUpdate(returnRequest, { customer: order.customer, order });
+
+  // Notify the order managers about the return request
   try {
-    const adminEmails = await getAdminEmails(); // Implement this function based on your admin setup
+    const adminEmails = await getAdminEmails();
 
     const emailHtml = `
     <!DOCTYPE html>
@@ -2023,26 +2188,28 @@ exports.returnOrder = asyncHandler(async (req, res, next) => {
     </head>
     <body>
       <p>Hi Admin,</p>
-      <p>A customer has requested a return for order <strong>${order.orderNumber}</strong>.</p>
+      <p>A customer has requested return <strong>${returnRequest.returnNumber}</strong> for order <strong>${order.orderNumber}</strong>.</p>
       <p><strong>Customer:</strong> ${order.customer.name} (${order.customer.email})</p>
       <p><strong>Items to Return:</strong></p>
       <ul>
-        ${items.map(item => `<li>Product ID: ${item.productId}, Quantity: ${item.quantity}</li>`).join('')}
+        ${returnItems.map(item => `<li>Product ID: ${item.productId}, Variant: ${item.variant}, Quantity: ${item.quantity}</li>`).join('')}
       </ul>
       <p><strong>Reason:</strong> ${reason || 'No reason provided.'}</p>
+      <p><strong>Preferred Resolution:</strong> ${capitalize(returnRequest.preferredResolution)}</p>
       <p>Please review the return request.</p>
     </body>
     </html>
     `;
 
-    await sendEmail({
-      email: adminEmails,
-      subject: 'New Return Request - 10X Formulas',
-      message: `A new return request has been submitted for order ${order.orderNumber}.`,
-      html: emailHtml,
-    });
-
-    logger.info(`Return request email sent to admins for Order ID ${order._id}`);
+    if (adminEmails.length > 0) {
+      await sendEmail({
+        email: adminEmails,
+        subject: 'New Return Request - 10X Formulas',
+        message: `A new return request has been submitted for order ${order.orderNumber}.`,
+        html: emailHtml,
+      });
+      logger.info(`Return request email sent to admins for Order ID ${order._id}`);
+    }
   } catch (emailError) {
     logger.error(`Failed to send return request email for Order ID ${order._id}: ${emailError.message}`);
     // Proceed without failing the return request creation
@@ -2091,40 +2258,36 @@ exports.refundOrder = asyncHandler(async (req, res, next) => {
   }
 
   // Check if the order is eligible for refund
-  if (!['delivered', 'returned'].includes(order.status)) {
-    return res.status(400).json({ success: false, message: 'Only delivered or returned orders can be refunded.' });
+  if (![ORDER_STATUS.DELIVERED, ORDER_STATUS.RETURNED, ORDER_STATUS.CANCELLED].includes(order.status)) {
+    return res.status(400).json({ success: false, message: 'Only delivered, returned or cancelled orders can be refunded.' });
   }
 
-  // Calculate the refundable amount
-  const refundableAmount = order.totalAmount - order.totalRefunded;
-  if (amount > refundableAmount) {
-    return res.status(400).json({ success: false, message: `Refund amount exceeds refundable limit of $${refundableAmount.toFixed(2)}.` });
+  // Refund through the ledger: the refundable balance is checked there and the money goes back via the original gateway
+  let refund;
+  let balance;
+  try {
+    ({ refund, balance } = await refundOrderPayment(order, { amount, reason: reason || 'No reason provided.', actor: req.user }));
+  } catch (refundError) {
+    logger.error(`Refund processing failed for Order ID ${id}: ${refundError.message}`);
+    return res.status(refundError.statusCode || 500).json({
+      success: false,
+      message: refundError.message || 'Refund processing failed.',
+      details: refundError.details,
+    });
   }
 
-  // Process the refund via payment gateway
-  const refundResponse = await processPaymentRefund(order.paymentTransactionId, amount);
-
-  if (!refundResponse.success) {
-    logger.error(`Refund processing failed for Order ID ${id}: ${refundResponse.message}`);
-    return res.status(500).json({ success: false, message: 'Refund processing failed.' });
+  if (order.paymentStatus === 'refunded' && canTransition(order.status, ORDER_STATUS.REFUNDED)) {
+    transitionOrder(order, ORDER_STATUS.REFUNDED, { actor: req.user, reason: reason || 'Order fully refunded' });
+    await order.save();
   }
 
-  // Update the order's refunded amount
-  order.totalRefunded += amount;
-  if (order.totalRefunded >= order.totalAmount) {
-    order.paymentStatus = 'refunded';
-    order.status = 'refunded';
+  // Issue the matching credit note
+  let creditNote = null;
+  try {
+    creditNote = await createCreditNote(order, { amount, reason });
+  } catch (creditNoteError) {
+    logger.error(`Failed to issue credit note for Order ID ${order._id}: ${creditNoteError.message}`);
   }
-  await order.save();
-
-  // Create a refund record
-  const refund = await Refund.create({
-    order: order._id,
-    amount,
-    reason: reason || 'No reason provided.',
-    refundedAt: new Date(),
-    transactionId: refundResponse.data.id, // Assuming the refund ID from the gateway
-  });
 
   // Send Refund Confirmation Email
   try {
@@ -2143,6 +2306,7 @@ exports.refundOrder = asyncHandler(async (req, res, next) => {
       <p>Your refund for order <strong>${order.orderNumber}</strong> has been processed.</p>
       <p><strong>Amount Refunded:</strong> $${amount.toFixed(2)}</p>
       <p><strong>Reason:</strong> ${reason || 'No reason provided.'}</p>
+      ${creditNote ? `<p>Your credit note <strong>${creditNote.number}</strong> is attached.</p>` : ''}
       <p>Thank you for shopping with us.</p>
     </body>
     </html>
@@ -2153,6 +2317,7 @@ exports.refundOrder = asyncHandler(async (req, res, next) => {
       subject: 'Your Refund Has Been Processed - 10X Formulas',
       message: `Hi ${order.customer.name}, your refund has been processed.`,
       html: emailHtml,
+      attachments: creditNote ? await buildDocumentAttachments(() => creditNote, order._id) : [],
     });
 
     logger.info(`Refund confirmation email sent to ${order.customer.email}`);
@@ -2164,40 +2329,28 @@ exports.refundOrder = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     data: refund,
-    message: 'Refund processed successfully.',
+    creditNote,
+    balance,
+    message: refund.status === 'pending' ? 'Refund initiated; the payment gateway will confirm it shortly.' : 'Refund processed successfully.',
   });
 });
 
-// Helper function to process refunds via payment gateway (Stripe example)
-async function processPaymentRefund(transactionId, amount) {
-  try {
-    // Replace with your payment gateway's refund logic
-    const refund = await stripe.refunds.create({
-      charge: transactionId,
-      amount: Math.round(amount * 100), // amount in cents
-    });
-    return { success: true, data: refund };
-  } catch (error) {
-    return { success: false, message: error.message };
-  }
-}
-
-
 /**
  * @desc    Allow bulk status updates for orders
  * @route   PUT /api/orders/bulk-update
  * @access  Private/Admin/Order Manager
  */
 exports.bulkUpdateOrders = asyncHandler(async (req, res, next) => {
-  const { orderIds, status } = req.body;
+  const { orderIds, status, reason } = req.body;
 
   // Validate input using Joi
   const schema = Joi.object({
     orderIds: Joi.array().items(Joi.string().required()).min(1).required(),
-    status: Joi.string().valid('pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded').required(),
+    status: Joi.string().valid(...Object.values(ORDER_STATUS)).required(),
+    reason: Joi.string().max(500).optional(),
   });
 
-  const { error } = schema.validate({ orderIds, status });
+  const { error } = schema.validate({ orderIds, status, reason });
   if (error) {
     return res.status(400).json({ success: false, message: error.details[0].message });
   }
@@ -2208,23 +2361,13 @@ exports.bulkUpdateOrders = asyncHandler(async (req, res, next) => {
     return res.status(400).json({ success: false, message: `Invalid order IDs: ${invalidIds.join(', ')}` });
   }
 
-  // Define allowed status transitions
-  const allowedTransitions = {
-    pending: ['processing', 'shipped', 'delivered', 'cancelled'],
-    processing: ['shipped', 'delivered', 'cancelled'],
-    shipped: ['delivered', 'refunded'],
-    delivered: ['refunded'],
-    cancelled: [],
-    refunded: [],
-  };
-
   // Fetch all orders to be updated
   const orders = await Order.find({ _id: { $in: orderIds } })
     .populate('customer', 'name email')
     .populate('items.product', 'title price');
 
   // Check allowed transitions
-  const invalidTransitions = orders.filter(order => !allowedTransitions[order.status].includes(status));
+  const invalidTransitions = orders.filter(order => !canTransition(order.status, status));
   if (invalidTransitions.length > 0) {
     const invalidOrderNumbers = invalidTransitions.map(order => order.orderNumber).join(', ');
     return res.status(400).json({ success: false, message: `Invalid status transition for orders: ${invalidOrderNumbers}` });
@@ -2232,17 +2375,23 @@ exports.bulkUpdateOrders = asyncHandler(async (req, res, next) => {
 
   // Update each order
   const updatedOrders = [];
+  const failedOrders = [];
   for (const order of orders) {
-    order.status = status;
-
-    // Handle specific status updates if needed
-    if (status === 'shipped') {
-      order.shippingDate = new Date();
-      // Optionally, set tracking details if provided
-    } else if (status === 'delivered') {
-      order.deliveryDate = new Date();
+    // Keep stock in step with the new status; skip orders whose stock cannot be committed
+    try {
+      if (status === ORDER_STATUS.PROCESSING) {
+        await commitOrderStock(order);
+      } else if (status === ORDER_STATUS.CANCELLED) {
+        await releaseReservation(order._id, 'order_cancelled');
+        await reverseRedemptions(order._id);
+      }
+    } catch (stockError) {
+      logger.error(`Stock update failed for Order ID ${order._id}: ${stockError.message}`);
+      failedOrders.push({ orderNumber: order.orderNumber, message: stockError.message });
+      continue;
     }
 
+    transitionOrder(order, status, { actor: req.user, reason });
     await order.save();
     updatedOrders.push(order);
 
@@ -2271,6 +2420,10 @@ exports.bulkUpdateOrders = asyncHandler(async (req, res, next) => {
         subject: `Your Order Status Updated to ${capitalize(status)} - 10X Formulas`,
         message: `Hi ${order.customer.name}, your order status has been updated to ${status}.`,
         html: emailHtml,
+        attachments:
+          status === ORDER_STATUS.DELIVERED
+            ? await buildDocumentAttachments(() => getOrCreateInvoice(order), order._id)
+            : [],
       });
 
       logger.info(`Bulk update email sent to ${order.customer.email} for Order ID ${order._id}`);
@@ -2283,6 +2436,7 @@ exports.bulkUpdateOrders = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     data: updatedOrders,
+    failed: failedOrders,
     message: 'Bulk order status updated successfully.',
   });
 });
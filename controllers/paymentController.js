@@ -1,162 +1,11 @@
 const Order = require('../models/Order');
 const Product = require('../models/Product');
-const Coupon = require('../models/Coupon');
-const Transaction = require('../models/Transaction');
-const logger = require('../utils/logger');
 const MESSAGES = require('../messages/en');
 const ERROR_CODES = require('../constants/errorCodes');
 const asyncHandler = require('express-async-handler');
-const { processPayment } = require('../services/paymentService');
+const { processPayment, capturePayment } = require('../services/paymentService');
+const { receiveWebhook } = require('./webhookController');
 const { setCache, getCache, deleteCache } = require('../services/redisService');
-const crypto = require('crypto');
-
-// Encryption key for sensitive data
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'defaultEncryptionKey123456'; // Replace with a secure key in production
-const IV_LENGTH = 16;
-
-// Helper function to encrypt sensitive fields
-const encrypt = (text) => {
-  const iv = crypto.randomBytes(IV_LENGTH);
-  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(ENCRYPTION_KEY), iv);
-  let encrypted = cipher.update(text);
-  encrypted = Buffer.concat([encrypted, cipher.final()]);
-  return iv.toString('hex') + ':' + encrypted.toString('hex');
-};
-
-/**
- * @desc    Create a new order
- * @route   POST /api/orders
- * @access  Private/Customer
- */
-exports.createOrder = asyncHandler(async (req, res, next) => {
-  const { items, shippingAddress, billingAddress, paymentMethod, couponCode } = req.body;
-
-  if (!items || items.length === 0) {
-    return res.status(400).json({ success: false, message: 'No items provided for the order.' });
-  }
-
-  let totalAmount = 0;
-  const populatedItems = [];
-
-  // Validate and calculate total amount
-  for (const item of items) {
-    const product = await Product.findById(item.product);
-
-    if (!product || !product.isActive) {
-      return res.status(400).json({ success: false, message: `Product with ID ${item.product} is invalid.` });
-    }
-
-    if (product.stock < item.quantity) {
-      return res.status(400).json({ success: false, message: `Insufficient stock for product ${product.name}.` });
-    }
-
-    const itemTotal = product.price * item.quantity;
-    totalAmount += itemTotal;
-
-    populatedItems.push({
-      product: product._id,
-      quantity: item.quantity,
-      price: product.price,
-    });
-  }
-
-  // Apply coupon if provided
-  let discount = 0;
-  if (couponCode) {
-    const coupon = await Coupon.findOne({ code: couponCode, isActive: true });
-
-    if (!coupon) {
-      return res.status(400).json({ success: false, message: 'Invalid or inactive coupon code.' });
-    }
-
-    // Validate coupon usage
-    const couponValidation = Coupon.canApplyCoupon(coupon);
-    if (!couponValidation.success) {
-      return res.status(400).json({ success: false, message: couponValidation.message });
-    }
-
-    // Apply coupon
-    discount = coupon.discountType === 'percentage' ? (totalAmount * (coupon.discount / 100)) : coupon.discount;
-    totalAmount -= discount;
-
-    // Increment used count
-    coupon.usedCount += 1;
-    if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
-      coupon.isActive = false;
-    }
-    await coupon.save();
-  }
-
-  // Create order number
-  const orderNumber = `ORD${Date.now()}`;
-
-  const order = await Order.create({
-    orderNumber,
-    customer: req.user._id,
-    items: populatedItems,
-    totalAmount,
-    paymentMethod,
-    shippingAddress,
-    billingAddress,
-    status: 'pending',
-    paymentStatus: 'pending',
-    discount,
-    couponCode: couponCode || null,
-  });
-
-  // Process payment
-  try {
-    const paymentIntent = await processPayment(order, { paymentMethod });
-
-    if (paymentIntent.status === 'succeeded') {
-      // Update order status
-      order.paymentStatus = 'paid';
-      order.status = 'processing';
-      order.paymentDetails = {
-        transactionId: encrypt(paymentIntent.id),
-        fee: paymentIntent.charges.data[0].balance_transaction, // Example
-      };
-      await order.save();
-
-      // Create transaction record
-      await Transaction.create({
-        order: order._id,
-        paymentMethod: order.paymentMethod,
-        amount: order.finalAmount,
-        status: 'completed',
-        transactionId: encrypt(paymentIntent.id),
-        metadata: paymentIntent,
-      });
-
-      // Deduct stock
-      await Promise.all(
-        populatedItems.map(async (item) => {
-          await Product.findByIdAndUpdate(item.product, { $inc: { stock: -item.quantity } });
-        })
-      );
-
-      // Invalidate cache
-      await deleteCache(`orders_${req.user._id}`);
-      await deleteCache('all_orders');
-
-      res.status(201).json({
-        success: true,
-        data: order,
-        message: MESSAGES.ORDER.CREATE_SUCCESS,
-      });
-    } else {
-      // Payment failed
-      await Order.findByIdAndRemove(order._id);
-
-      res.status(500).json({ success: false, message: MESSAGES.ORDER.PAYMENT_FAILED });
-    }
-  } catch (error) {
-    logger.error('Payment Processing Error:', error);
-    await Order.findByIdAndRemove(order._id);
-
-    res.status(500).json({ success: false, message: MESSAGES.ORDER.PAYMENT_FAILED });
-  }
-});
 
 // @desc    Get all orders with optional filters
 // @route   GET /api/orders
@@ -315,3 +164,107 @@ exports.cancelOrder = asyncHandler(async (req, res, next) => {
     message: MESSAGES.ORDER.CANCEL_SUCCESS,
   });
 });
+
+// Load an order the authenticated customer may pay for
+const findPayableOrder = async (req, res) => {
+  const order = await Order.findById(req.body.orderId);
+
+  if (!order) {
+    res.status(404).json({ success: false, message: MESSAGES.ORDER.ORDER_NOT_FOUND });
+    return null;
+  }
+
+  if (String(order.customer) !== String(req.user._id)) {
+    res.status(403).json({ success: false, message: MESSAGES.GENERAL.FORBIDDEN });
+    return null;
+  }
+
+  return order;
+};
+
+// Respond with a payment result: paid, waiting on the customer or gateway, or declined
+const sendPaymentResult = (res, order, result) => {
+  const data = {
+    orderId: order._id,
+    paymentStatus: order.paymentStatus,
+    status: result.status,
+    gateway: result.gateway,
+    chargeId: result.chargeId,
+    clientSecret: result.clientSecret,
+    redirectUrl: result.redirectUrl,
+    gatewayOrderId: result.gatewayOrderId,
+    keyId: result.keyId,
+    nextAction: result.nextAction,
+  };
+
+  if (result.status === 'succeeded') {
+    return res.status(200).json({ success: true, data, message: MESSAGES.PAYMENT.PROCESS_SUCCESS });
+  }
+  if (result.status === 'declined') {
+    return res.status(402).json({ success: false, data, message: result.message || MESSAGES.PAYMENT.PAYMENT_FAILED });
+  }
+  const message = result.status === 'requires_action' ? MESSAGES.PAYMENT.ACTION_REQUIRED : MESSAGES.PAYMENT.PENDING;
+  return res.status(202).json({ success: true, data, message });
+};
+
+// Build a controller that completes a payment with the given request fields
+const verifyPayment = (pickDetails) =>
+  asyncHandler(async (req, res) => {
+    const order = await findPayableOrder(req, res);
+    if (!order) return;
+
+    const result = await capturePayment(order, pickDetails(req.body));
+    sendPaymentResult(res, order, result);
+  });
+
+// @desc    Pay for an order at the gateway configured for its payment method
+// @route   POST /api/payments/pay
+// @access  Private/Customer
+exports.payOrder = asyncHandler(async (req, res, next) => {
+  const order = await findPayableOrder(req, res);
+  if (!order) return;
+
+  const { paymentMethodId, returnUrl, cancelUrl } = req.body;
+  const result = await processPayment(order, { paymentMethodId, returnUrl, cancelUrl });
+  sendPaymentResult(res, order, result);
+});
+
+// @desc    Verify Stripe payment after user completes payment
+// @route   POST /api/payments/verify-stripe
+// @access  Private/Customer
+exports.verifyStripePayment = verifyPayment(() => ({}));
+
+// @desc    Verify PayPal payment after user completes payment
+// @route   POST /api/payments/verify-paypal
+// @access  Private/Customer
+exports.verifyPayPalPayment = verifyPayment(({ payerId }) => ({ payerId }));
+
+// @desc    Verify Razorpay payment after user completes payment
+// @route   POST /api/payments/verify-razorpay
+// @access  Private/Customer
+exports.verifyRazorpayPayment = verifyPayment(({ paymentId, signature }) => ({ paymentId, signature }));
+
+// @desc    Complete a fake gateway payment (3-D Secure result)
+// @route   POST /api/payments/verify-fake
+// @access  Private/Customer
+exports.verifyFakePayment = verifyPayment(({ authenticationResult }) => ({ authenticationResult }));
+
+// @desc    Handle Stripe webhook events
+// @route   POST /api/payments/webhook/stripe
+// @access  Public
+exports.handleStripeWebhook = receiveWebhook('stripe');
+
+// @desc    Handle PayPal webhook events
+// @route   POST /api/payments/webhook/paypal
+// @access  Public
+exports.handlePayPalWebhook = receiveWebhook('paypal');
+
+// @desc    Handle Razorpay webhook events
+// @route   POST /api/payments/webhook/razorpay
+// @access  Public
+exports.handleRazorpayWebhook = receiveWebhook('razorpay');
+
+// @desc    Handle fake gateway webhook events
+// @route   POST /api/payments/webhook/fake
+// @access  Public
+exports.handleFakeWebhook = receiveWebhook('fake');
@@ -0,0 +1,172 @@
+// controllers/priceScheduleController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const PriceSchedule = require('../models/PriceSchedule');
+const MESSAGES = require('../messages/en');
+const { syncPriceSchedule, revertPriceSchedule, getSaleCountdowns } = require('../services/priceScheduleService');
+
+// Fields an admin can set on a price schedule (the status is kept by the scheduler)
+const PRICE_SCHEDULE_FIELDS = [
+  'name',
+  'description',
+  'kind',
+  'targets',
+  'discountType',
+  'value',
+  'startDate',
+  'endDate',
+  'priority',
+  'isActive',
+];
+
+// Pick the price schedule fields present in the request body
+const pickPriceScheduleFields = (body) =>
+  PRICE_SCHEDULE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+
+/**
+ * @desc    Get all price schedules with optional filters
+ * @route   GET /api/price-schedules
+ * @access  Private/Admin/Marketing Manager/Product Manager
+ */
+exports.getAllPriceSchedules = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 10, kind, status } = req.query;
+
+  const query = {};
+  if (kind) query.kind = kind;
+  if (status) query.status = status;
+
+  const schedules = await PriceSchedule.find(query)
+    .sort({ startDate: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit, 10));
+
+  const count = await PriceSchedule.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: schedules,
+    count,
+    message: MESSAGES.PriceSchedule.FETCH_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Get running and upcoming sales with countdowns, optionally for one product
+ * @route   GET /api/price-schedules/countdown
+ * @access  Public
+ */
+exports.getSaleCountdowns = asyncHandler(async (req, res, next) => {
+  const data = await getSaleCountdowns({ product: req.query.product });
+
+  res.status(200).json({
+    success: true,
+    data,
+    message: MESSAGES.PriceSchedule.COUNTDOWN_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Get a single price schedule by ID
+ * @route   GET /api/price-schedules/:id
+ * @access  Private/Admin/Marketing Manager/Product Manager
+ */
+exports.getPriceScheduleById = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: MESSAGES.PriceSchedule.INVALID_ID });
+  }
+
+  const schedule = await PriceSchedule.findById(id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, message: MESSAGES.PriceSchedule.PRICE_SCHEDULE_NOT_FOUND });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: schedule,
+    message: MESSAGES.PriceSchedule.FETCH_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Create a price schedule; one that starts right away is applied immediately
+ * @route   POST /api/price-schedules
+ * @access  Private/Admin/Marketing Manager/Product Manager
+ */
+exports.createPriceSchedule = asyncHandler(async (req, res, next) => {
+  const schedule = await PriceSchedule.create({
+    ...pickPriceScheduleFields(req.body),
+    createdBy: req.user._id,
+  });
+  await syncPriceSchedule(schedule);
+
+  res.status(201).json({
+    success: true,
+    data: schedule,
+    message: MESSAGES.PriceSchedule.CREATE_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Update a price schedule by ID; its products are brought in line immediately
+ * @route   PUT /api/price-schedules/:id
+ * @access  Private/Admin/Marketing Manager/Product Manager
+ */
+exports.updatePriceSchedule = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: MESSAGES.PriceSchedule.INVALID_ID });
+  }
+
+  const schedule = await PriceSchedule.findById(id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, message: MESSAGES.PriceSchedule.PRICE_SCHEDULE_NOT_FOUND });
+  }
+
+  schedule.set(pickPriceScheduleFields(req.body));
+  // Reactivated or extended schedules are picked up by the scheduler again
+  if (schedule.isActive && ['ended', 'cancelled'].includes(schedule.status) && schedule.endDate > new Date()) {
+    schedule.status = 'scheduled';
+  }
+  await schedule.save();
+  await syncPriceSchedule(schedule);
+
+  res.status(200).json({
+    success: true,
+    data: schedule,
+    message: MESSAGES.PriceSchedule.UPDATE_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Delete a price schedule by ID and remove it from its products
+ * @route   DELETE /api/price-schedules/:id
+ * @access  Private/Admin/Marketing Manager/Product Manager
+ */
+exports.deletePriceSchedule = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: MESSAGES.PriceSchedule.INVALID_ID });
+  }
+
+  const schedule = await PriceSchedule.findById(id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, message: MESSAGES.PriceSchedule.PRICE_SCHEDULE_NOT_FOUND });
+  }
+
+  await revertPriceSchedule(schedule);
+  await schedule.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {},
+    message: MESSAGES.PriceSchedule.DELETE_SUCCESS,
+  });
+});
@@ -3,9 +3,24 @@
 const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const Tag = require('../models/Tag'); // Assuming you have a Tag model
+const Category = require('../models/Category');
 const cloudinary = require('../config/cloudinary');
 const logger = require('../utils/logger');
 const ERROR_CODES = require('../constants/errorCodes');
+const { snapshotProductVariants, queueWishlistAlerts } = require('../services/wishlistService');
+const {
+  searchProducts: search,
+  suggestProducts: suggest,
+  refreshProductSearchFields,
+} = require('../services/searchService');
+const { listProducts } = require('../services/catalogService');
+const { getProductBreadcrumbs } = require('../services/categoryService');
+const {
+  createProductImport,
+  exportProducts: exportProductFile,
+} = require('../services/productImportService');
+const ProductImport = require('../models/ProductImport');
+const MESSAGES = require('../messages/en');
 
 /**
  * @desc    Create a new product
@@ -102,6 +117,15 @@ exports.createProduct = async (req, res) => {
   } catch (error) {
     logger.error('Create Product Error:', error);
 
+    // Another product already has one of the SKU codes, barcodes or the slug
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: MESSAGES.PRODUCT.DUPLICATE_KEY,
+        field: Object.keys(error.keyPattern || {})[0] || null,
+      });
+    }
+
     // Handle specific Mongoose validation errors
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => ({
@@ -187,7 +211,7 @@ exports.uploadProductImage = async (req, res) => {
  */
 exports.getProductById = async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).populate('tags'); // Populating 'tags' as it's defined in the schema
+    const product = await Product.findById(req.params.id).populate('tags').populate('category', 'name slug'); // Populating tags and the category
 
     if (!product) {
       return res.status(404).json({ success: false, message: 'Product not found' });
@@ -196,6 +220,7 @@ exports.getProductById = async (req, res) => {
     res.status(200).json({
       success: true,
       data: product,
+      breadcrumbs: await getProductBreadcrumbs(product),
     });
   } catch (error) {
     logger.error('Get Product By ID Error:', error);
@@ -210,7 +235,7 @@ exports.getProductById = async (req, res) => {
  */
 exports.getProductBySlug = async (req, res) => {
   try {
-    const product = await Product.findOne({ slug: req.params.slug }).populate('tags'); // Populating 'tags'
+    const product = await Product.findOne({ slug: req.params.slug }).populate('tags').populate('category', 'name slug'); // Populating tags and the category
 
     if (!product) {
       return res.status(404).json({ success: false, message: 'Product not found' });
@@ -219,6 +244,7 @@ exports.getProductBySlug = async (req, res) => {
     res.status(200).json({
       success: true,
       data: product,
+      breadcrumbs: await getProductBreadcrumbs(product),
     });
   } catch (error) {
     logger.error('Get Product By Slug Error:', error);
@@ -227,28 +253,38 @@ exports.getProductBySlug = async (req, res) => {
 };
 
 /**
- * @desc    Search products by query
+ * @desc    Search products with relevance ranking, facet counts and pagination
  * @route   GET /api/products/search
  * @access  Public
  */
 exports.searchProducts = async (req, res) => {
   try {
-    const { query } = req.query;
+    // `query` is the parameter name older clients send
+    const q = req.query.q || req.query.query;
 
-    if (!query) {
+    if (!q) {
       return res.status(400).json({ success: false, message: 'Search query is required.' });
     }
 
-    // Perform case-insensitive search on product titles
-    const regex = new RegExp(query, 'i');
+    const { sort, page, limit, category, brand, packaging, size, priceMin, priceMax, ratingMin } = req.query;
 
-    const products = await Product.find({ title: regex, isActive: true })
-      .limit(10)
-      .populate('tags');
+    const result = await search({
+      q,
+      sort,
+      page,
+      limit,
+      filters: { category, brand, packaging, size, priceMin, priceMax, ratingMin },
+    });
 
     res.status(200).json({
       success: true,
-      products,
+      mode: result.mode, // 'text', or 'fuzzy' when only typo-tolerant matching found results
+      total: result.total,
+      count: result.products.length,
+      totalPages: result.totalPages,
+      currentPage: result.page,
+      products: result.products,
+      facets: result.facets,
     });
   } catch (error) {
     logger.error('Search Products Error:', error);
@@ -257,7 +293,28 @@ exports.searchProducts = async (req, res) => {
 };
 
 /**
- * @desc    Get all products with filters and pagination
+ * @desc    Autocomplete suggestions for the search box
+ * @route   GET /api/products/suggest
+ * @access  Public
+ */
+exports.suggestProducts = async (req, res) => {
+  try {
+    const { q, limit = 8 } = req.query;
+
+    const suggestions = await suggest({ q, limit: Number(limit) });
+
+    res.status(200).json({
+      success: true,
+      data: suggestions,
+    });
+  } catch (error) {
+    logger.error('Suggest Products Error:', error);
+    res.status(500).json({ success: false, message: ERROR_CODES.SERVER_ERROR });
+  }
+};
+
+/**
+ * @desc    Get all products with filters, sorting and page or cursor pagination
  * @route   GET /api/products
  * @access  Public/Admin
  */
@@ -268,66 +325,47 @@ exports.getAllProducts = async (req, res) => {
       tags,
       priceMin,
       priceMax,
+      priceBasis,
       inStock,
       variants,
       packaging,
+      sort = 'newest',
+      cursor,
       page = 1,
       limit = 100,
     } = req.query; // Set default limit to 100
 
-    let query = {};
-
-    // Filter by category if provided and not 'All'
-    if (category && category !== 'All') {
-      query.category = category;
-    }
-
-    // Filter by tags if provided
-    if (tags) {
-      const tagsArray = tags.split(',').map(tag => tag.trim());
-      query.tags = { $in: tagsArray };
-    }
-
-    // Filter by variants if provided
-    if (variants) {
-      const variantsArray = variants.split(',').map(v => v.trim());
-      query['variants.size'] = { $in: variantsArray };
-    }
-
-    // Filter by packaging if provided and not 'All'
-    if (packaging && packaging !== 'All') {
-      query.packaging = packaging;
-    }
-
-    // Filter by price range if provided
-    if (priceMin || priceMax) {
-      query.price = {};
-      if (priceMin) query.price.$gte = Number(priceMin);
-      if (priceMax) query.price.$lte = Number(priceMax);
-    }
+    const result = await listProducts({
+      filters: { category, tags, variants, packaging, priceMin, priceMax, priceBasis, inStock },
+      sort,
+      page: Number(page),
+      limit: Number(limit),
+      cursor,
+    });
 
-    // Filter by stock status if provided
-    if (inStock !== undefined) {
-      query.stock = inStock === 'true' ? { $gt: 0 } : { $eq: 0 };
+    // Cursor pages skip the count; pass nextCursor back as `cursor` for the next page
+    if (cursor !== undefined) {
+      return res.status(200).json({
+        success: true,
+        count: result.products.length,
+        nextCursor: result.nextCursor,
+        products: result.products,
+      });
     }
 
-    // Pagination calculations
-    const total = await Product.countDocuments(query);
-    const totalPages = Math.ceil(total / limit);
-    const products = await Product.find(query)
-      .populate('tags')
-      .skip((page - 1) * limit)
-      .limit(Number(limit));
-
     res.status(200).json({
       success: true,
-      total, // Total number of matching products
-      count: products.length,
-      totalPages,
-      currentPage: Number(page),
-      products, // Changed from 'data' to 'products' for consistency
+      total: result.total, // Total number of matching products
+      count: result.products.length,
+      totalPages: result.totalPages,
+      currentPage: result.page,
+      nextCursor: result.nextCursor,
+      products: result.products, // Changed from 'data' to 'products' for consistency
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     logger.error('Get All Products Error:', error);
     res.status(500).json({ success: false, message: ERROR_CODES.SERVER_ERROR });
   }
@@ -349,6 +387,9 @@ exports.updateProduct = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
+    // Price overrides are kept by the price scheduler
+    delete updates.priceOverrides;
+
     // If tags are being updated, convert them to ObjectIds
     if (updates.tags && Array.isArray(updates.tags)) {
       // Now, assuming tags are sent as IDs
@@ -370,8 +411,12 @@ exports.updateProduct = async (req, res) => {
           message: 'At least one variant is required.',
         });
       }
+      updates.variants = Product.keepSkuIds(product, updates.variants);
     }
 
+    // Stock and prices before the update, for wishlist alerts
+    const before = snapshotProductVariants(product);
+
     // Update each field if provided
     Object.keys(updates).forEach((key) => {
       if (key === 'accordion' && typeof updates[key] === 'object') {
@@ -382,6 +427,7 @@ exports.updateProduct = async (req, res) => {
     });
 
     await product.save();
+    await queueWishlistAlerts(before, product);
 
     // Optional: Log the update in AuditLog
     // await AuditLog.create({
@@ -399,6 +445,15 @@ exports.updateProduct = async (req, res) => {
   } catch (error) {
     logger.error('Update Product Error:', error);
 
+    // Another product already has one of the SKU codes, barcodes or the slug
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: MESSAGES.PRODUCT.DUPLICATE_KEY,
+        field: Object.keys(error.keyPattern || {})[0] || null,
+      });
+    }
+
     // Handle specific Mongoose validation errors
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => ({
@@ -454,13 +509,13 @@ exports.deleteProduct = async (req, res) => {
 };
 
 /**
- * @desc    Update product stock level
+ * @desc    Update the stock level of a product SKU
  * @route   PUT /api/products/:id/stock
  * @access  Private/Admin/Product Manager
  */
 exports.updateProductStock = async (req, res) => {
   try {
-    const { stock } = req.body;
+    const { stock, sku } = req.body;
     const productId = req.params.id;
 
     let product = await Product.findById(productId);
@@ -469,8 +524,21 @@ exports.updateProductStock = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
 
-    product.stock = stock;
+    // Stock is held per SKU; the SKU may be omitted for single-SKU products
+    const selectedVariant = sku
+      ? Product.findSku(product, sku)
+      : product.variants.length === 1 ? product.variants[0] : null;
+    if (!selectedVariant) {
+      return res.status(400).json({
+        success: false,
+        message: sku ? 'SKU not found for the selected product' : 'SKU is required for products with several SKUs.',
+      });
+    }
+
+    const before = snapshotProductVariants(product);
+    selectedVariant.stock = stock;
     await product.save();
+    await queueWishlistAlerts(before, product);
 
     // Optional: Log the stock update in AuditLog
     // await AuditLog.create({
@@ -478,7 +546,7 @@ exports.updateProductStock = async (req, res) => {
     //   entityId: product._id,
     //   entity: 'Product',
     //   action: 'UPDATE',
-    //   details: `Updated stock for product with title: ${product.title} to ${stock}`,
+    //   details: `Updated stock for product with title: ${product.title} (${selectedVariant.size}) to ${stock}`,
     // });
 
     res.status(200).json({
@@ -520,6 +588,9 @@ exports.bulkUpdateProducts = async (req, res) => {
         });
       }
 
+      // Price overrides are kept by the price scheduler
+      delete fields.priceOverrides;
+
       // If tags are being updated, convert them to ObjectIds
       if (fields.tags && Array.isArray(fields.tags)) {
         // Now, assuming tags are sent as IDs
@@ -533,14 +604,21 @@ exports.bulkUpdateProducts = async (req, res) => {
         fields.tags = foundTags.map(tag => tag._id);
       }
 
-      // If variants are being updated, ensure there's at least one variant
-      if (fields.variants) {
-        if (!Array.isArray(fields.variants) || fields.variants.length === 0) {
-          return res.status(400).json({
-            success: false,
-            message: `At least one variant is required for product ID: ${id}`,
-          });
-        }
+      // Bulk writes skip schema validators and hooks, which generate SKU codes and keep
+      // SKU IDs stable; variants are changed through the product update instead
+      if (fields.variants !== undefined) {
+        return res.status(400).json({
+          success: false,
+          message: `Variants cannot be bulk updated (product ID: ${id}); update the product instead.`,
+        });
+      }
+
+      // Bulk writes skip schema validators, so check category references here
+      if (fields.category !== undefined && !(await Category.exists({ _id: fields.category, type: 'product' }))) {
+        return res.status(400).json({
+          success: false,
+          message: `Category must be an existing product category for product ID: ${id}`,
+        });
       }
 
       bulkOps.push({
@@ -551,9 +629,32 @@ exports.bulkUpdateProducts = async (req, res) => {
       });
     }
 
+    // Stock and prices before the update, for wishlist alerts
+    const productIds = updates.map((update) => update.id);
+    const beforeProducts = await Product.find({ _id: { $in: productIds } })
+      .select('variants discountPercentage priceOverrides isActive')
+      .lean();
+    const before = new Map(beforeProducts.map((product) => [String(product._id), snapshotProductVariants(product)]));
+
     // Execute bulk operations
     const result = await Product.bulkWrite(bulkOps);
 
+    // Bulk writes skip save middleware, so refresh the search fields of edited text
+    const searchFieldsChanged = updates.some(({ fields }) =>
+      ['title', 'brand', 'tags', 'category'].some((key) => key in fields)
+    );
+    if (searchFieldsChanged) {
+      await refreshProductSearchFields({ _id: { $in: productIds } });
+    }
+
+    const updatedProducts = await Product.find({ _id: { $in: productIds } }).lean();
+    for (const product of updatedProducts) {
+      const snapshot = before.get(String(product._id));
+      if (snapshot) {
+        await queueWishlistAlerts(snapshot, product);
+      }
+    }
+
     // Optional: Log the bulk update in AuditLog
     // await AuditLog.create({
     //   performedBy: req.user._id,
@@ -573,3 +674,83 @@ exports.bulkUpdateProducts = async (req, res) => {
     res.status(500).json({ success: false, message: ERROR_CODES.SERVER_ERROR });
   }
 };
+
+/**
+ * @desc    Import products from a CSV or XLSX file, creating new ones and updating those
+ *          matched by slug or SKU code. With dryRun the file is only checked against the
+ *          Product schema and row errors are reported. Large files are imported in the background.
+ * @route   POST /api/products/import
+ * @access  Private/Admin/Product Manager
+ */
+exports.importProducts = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: MESSAGES.PRODUCT.IMPORT_FILE_REQUIRED });
+    }
+
+    const { productImport, queued } = await createProductImport({
+      file: req.file,
+      dryRun: req.body.dryRun === true,
+      actor: req.user,
+    });
+
+    if (queued) {
+      return res.status(202).json({
+        success: true,
+        data: { importId: productImport._id, status: productImport.status },
+        message: MESSAGES.PRODUCT.IMPORT_QUEUED,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: productImport,
+      message: productImport.dryRun ? MESSAGES.PRODUCT.IMPORT_DRY_RUN_COMPLETED : MESSAGES.PRODUCT.IMPORT_COMPLETED,
+    });
+  } catch (error) {
+    logger.error('Import Products Error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : ERROR_CODES.SERVER_ERROR,
+    });
+  }
+};
+
+/**
+ * @desc    Get the status, summary and row errors of a product import
+ * @route   GET /api/products/import/:importId
+ * @access  Private/Admin/Product Manager
+ */
+exports.getProductImport = async (req, res) => {
+  try {
+    const productImport = await ProductImport.findById(req.params.importId).populate('requestedBy', 'name email');
+
+    if (!productImport) {
+      return res.status(404).json({ success: false, message: MESSAGES.PRODUCT.IMPORT_NOT_FOUND });
+    }
+
+    res.status(200).json({ success: true, data: productImport });
+  } catch (error) {
+    logger.error('Get Product Import Error:', error);
+    res.status(500).json({ success: false, message: ERROR_CODES.SERVER_ERROR });
+  }
+};
+
+/**
+ * @desc    Export products as a CSV or XLSX file in the import layout (one row per SKU)
+ * @route   GET /api/products/export
+ * @access  Private/Admin/Product Manager
+ */
+exports.exportProducts = async (req, res) => {
+  try {
+    const { format = 'csv', category, isActive } = req.query;
+    const { buffer, fileName, contentType } = await exportProductFile({ format, category, isActive });
+
+    res.header('Content-Type', contentType);
+    res.attachment(fileName);
+    res.send(buffer);
+  } catch (error) {
+    logger.error('Export Products Error:', error);
+    res.status(500).json({ success: false, message: ERROR_CODES.SERVER_ERROR });
+  }
+};
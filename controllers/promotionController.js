@@ -0,0 +1,181 @@
+// controllers/promotionController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const MESSAGES = require('../messages/en');
+const { priceCouponLines } = require('../services/couponService');
+const { applyActivePromotions } = require('../services/promotionService');
+
+// Fields an admin can set on a promotion
+const PROMOTION_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'isActive',
+  'startDate',
+  'endDate',
+  'priority',
+  'exclusive',
+  'combinableWithCoupons',
+  'maxApplicationsPerOrder',
+  'targets',
+  'buyQuantity',
+  'getQuantity',
+  'getDiscountPercent',
+  'tiers',
+  'bundleItems',
+  'bundlePrice',
+];
+
+// Pick the promotion fields present in the request body
+const pickPromotionFields = (body) =>
+  PROMOTION_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+
+/**
+ * @desc    Get all promotions with optional filters
+ * @route   GET /api/promotions
+ * @access  Private/Admin/Marketing Manager
+ */
+exports.getAllPromotions = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 10, type, active, running } = req.query;
+
+  const query = {};
+  if (type) query.type = type;
+  if (active !== undefined) query.isActive = active === 'true';
+  if (running === 'true') {
+    const now = new Date();
+    query.isActive = true;
+    query.$and = [
+      { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+      { $or: [{ endDate: null }, { endDate: { $gt: now } }] },
+    ];
+  }
+
+  const promotions = await Promotion.find(query)
+    .sort({ priority: -1, createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit, 10));
+
+  const count = await Promotion.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: promotions,
+    count,
+    message: MESSAGES.Promotion.FETCH_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Get a single promotion by ID
+ * @route   GET /api/promotions/:id
+ * @access  Private/Admin/Marketing Manager
+ */
+exports.getPromotionById = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: MESSAGES.Promotion.INVALID_ID });
+  }
+
+  const promotion = await Promotion.findById(id);
+  if (!promotion) {
+    return res.status(404).json({ success: false, message: MESSAGES.Promotion.PROMOTION_NOT_FOUND });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: promotion,
+    message: MESSAGES.Promotion.FETCH_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Create a new promotion
+ * @route   POST /api/promotions
+ * @access  Private/Admin/Marketing Manager
+ */
+exports.createPromotion = asyncHandler(async (req, res, next) => {
+  const promotion = await Promotion.create({
+    ...pickPromotionFields(req.body),
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: promotion,
+    message: MESSAGES.Promotion.CREATE_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Update a promotion by ID
+ * @route   PUT /api/promotions/:id
+ * @access  Private/Admin/Marketing Manager
+ */
+exports.updatePromotion = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: MESSAGES.Promotion.INVALID_ID });
+  }
+
+  const promotion = await Promotion.findById(id);
+  if (!promotion) {
+    return res.status(404).json({ success: false, message: MESSAGES.Promotion.PROMOTION_NOT_FOUND });
+  }
+
+  promotion.set(pickPromotionFields(req.body));
+  await promotion.save();
+
+  res.status(200).json({
+    success: true,
+    data: promotion,
+    message: MESSAGES.Promotion.UPDATE_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Permanently delete a promotion by ID
+ * @route   DELETE /api/promotions/:id
+ * @access  Private/Admin/Marketing Manager
+ */
+exports.deletePromotion = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: MESSAGES.Promotion.INVALID_ID });
+  }
+
+  const promotion = await Promotion.findByIdAndDelete(id);
+  if (!promotion) {
+    return res.status(404).json({ success: false, message: MESSAGES.Promotion.PROMOTION_NOT_FOUND });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {},
+    message: MESSAGES.Promotion.DELETE_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Preview which running promotions apply to a set of items
+ * @route   POST /api/promotions/preview
+ * @access  Private/Admin/Marketing Manager
+ */
+exports.previewPromotions = asyncHandler(async (req, res, next) => {
+  const { lines, unpricedItems } = await priceCouponLines(req.body.items);
+  const at = req.body.at ? new Date(req.body.at) : new Date();
+  const result = await applyActivePromotions(lines, { now: at });
+
+  res.status(200).json({
+    success: true,
+    data: { ...result, unpricedItems },
+    message: MESSAGES.Promotion.PREVIEW_SUCCESS,
+  });
+});
@@ -5,6 +5,11 @@ const User = require('../models/User');
 const logger = require('../utils/logger');
 const ERROR_CODES = require('../constants/errorCodes');
 const { Parser } = require('json2csv');
+const MESSAGES = require('../messages/en');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const ReconciliationIssue = require('../models/ReconciliationIssue');
+const { importSettlementReport } = require('../services/reconciliationService');
+const CartRecovery = require('../models/CartRecovery');
 
 // @desc    Get sales summary
 // @route   GET /api/reports/sales-summary
@@ -149,3 +154,189 @@ exports.exportSalesReport = async (req, res, next) => {
     res.status(500).json({ success: false, message: ERROR_CODES.SERVER_ERROR });
   }
 };
+
+// Columns of the reconciliation CSV export
+const RECONCILIATION_CSV_FIELDS = [
+  'type',
+  'provider',
+  'orderNumber',
+  'reference',
+  'expectedAmount',
+  'actualAmount',
+  'message',
+  'createdAt',
+];
+
+// @desc    Get the findings of a reconciliation run (the latest by default), as JSON or CSV
+// @route   GET /api/reports/reconciliation
+// @access  Private/Admin/Finance Manager/Analytics Viewer
+exports.getReconciliationReport = async (req, res, next) => {
+  try {
+    const { runId, type, provider, format, page = 1, limit = 50 } = req.query;
+
+    const run = runId
+      ? await ReconciliationRun.findById(runId)
+      : await ReconciliationRun.findOne({ status: 'completed' }).sort({ createdAt: -1 });
+
+    if (!run) {
+      return res.status(404).json({ success: false, message: MESSAGES.REPORT.RECONCILIATION_NOT_FOUND });
+    }
+
+    const query = { run: run._id };
+    if (type) query.type = { $in: type.split(',') };
+    if (provider) query.provider = provider;
+
+    if (format === 'csv') {
+      const issues = await ReconciliationIssue.find(query).sort({ type: 1, createdAt: 1 }).lean();
+      const parser = new Parser({ fields: RECONCILIATION_CSV_FIELDS });
+      const csv = parser.parse(issues);
+
+      res.header('Content-Type', 'text/csv');
+      res.attachment(`reconciliation_${run.periodEnd.toISOString().slice(0, 10)}.csv`);
+      return res.send(csv);
+    }
+
+    const issues = await ReconciliationIssue.find(query)
+      .sort({ type: 1, createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit, 10));
+    const count = await ReconciliationIssue.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: { run, issues },
+      count,
+      message: MESSAGES.REPORT.RECONCILIATION_SUCCESS,
+    });
+  } catch (error) {
+    logger.error('Get Reconciliation Report Error:', error);
+    res.status(500).json({ success: false, message: ERROR_CODES.SERVER_ERROR });
+  }
+};
+
+// @desc    Queue a reconciliation run for a period
+// @route   POST /api/reports/reconciliation/run
+// @access  Private/Admin/Finance Manager
+exports.runReconciliation = async (req, res, next) => {
+  try {
+    const { from, to } = req.body;
+    // Required here so loading the report routes does not open a queue connection
+    const reconciliationQueue = require('../jobs/reconciliationJob');
+    const job = await reconciliationQueue.add(
+      'manual-reconciliation',
+      { from, to, trigger: 'manual', actorId: String(req.user._id) },
+      { removeOnComplete: true }
+    );
+
+    res.status(202).json({
+      success: true,
+      data: { jobId: job.id },
+      message: MESSAGES.REPORT.RECONCILIATION_QUEUED,
+    });
+  } catch (error) {
+    logger.error('Run Reconciliation Error:', error);
+    res.status(500).json({ success: false, message: ERROR_CODES.SERVER_ERROR });
+  }
+};
+
+// @desc    Import a gateway settlement report (CSV)
+// @route   POST /api/reports/reconciliation/settlements
+// @access  Private/Admin/Finance Manager
+exports.importSettlements = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: MESSAGES.REPORT.SETTLEMENT_FILE_REQUIRED });
+    }
+
+    const result = await importSettlementReport({
+      provider: req.body.provider,
+      buffer: req.file.buffer,
+      actor: req.user,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: MESSAGES.REPORT.SETTLEMENT_IMPORT_SUCCESS,
+    });
+  } catch (error) {
+    logger.error('Import Settlements Error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : ERROR_CODES.SERVER_ERROR,
+    });
+  }
+};
+
+// @desc    Get abandoned-cart recovery results and recovered revenue for a period
+// @route   GET /api/reports/cart-recovery
+// @access  Private/Admin/Marketing Manager/Analytics Viewer
+exports.getCartRecoveryReport = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const match = {};
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const isRecovered = { $eq: ['$status', 'recovered'] };
+    const [totals] = await CartRecovery.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          abandonedCarts: { $sum: 1 },
+          abandonedValue: { $sum: '$cartValue' },
+          emailed: { $sum: { $cond: [{ $gt: [{ $size: '$steps' }, 0] }, 1, 0] } },
+          emailsSent: { $sum: { $size: '$steps' } },
+          linkClicks: { $sum: { $cond: [{ $ifNull: ['$linkClickedAt', false] }, 1, 0] } },
+          couponsIssued: { $sum: { $cond: [{ $ifNull: ['$coupon', false] }, 1, 0] } },
+          recovered: { $sum: { $cond: [isRecovered, 1, 0] } },
+          recoveredRevenue: { $sum: '$recoveredRevenue' },
+        },
+      },
+    ]);
+
+    // Recoveries credited to the last email sent before the order
+    const byStep = await CartRecovery.aggregate([
+      { $match: { ...match, status: 'recovered' } },
+      {
+        $group: {
+          _id: { $size: '$steps' },
+          recovered: { $sum: 1 },
+          recoveredRevenue: { $sum: '$recoveredRevenue' },
+        },
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, step: '$_id', recovered: 1, recoveredRevenue: 1 } },
+    ]);
+
+    const summary = totals || {
+      abandonedCarts: 0,
+      abandonedValue: 0,
+      emailed: 0,
+      emailsSent: 0,
+      linkClicks: 0,
+      couponsIssued: 0,
+      recovered: 0,
+      recoveredRevenue: 0,
+    };
+    delete summary._id;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...summary,
+        recoveryRate: summary.emailed > 0 ? Math.round((summary.recovered / summary.emailed) * 10000) / 100 : 0,
+        byStep,
+      },
+      message: MESSAGES.REPORT.CART_RECOVERY_SUCCESS,
+    });
+  } catch (error) {
+    logger.error('Get Cart Recovery Report Error:', error);
+    res.status(500).json({ success: false, message: ERROR_CODES.SERVER_ERROR });
+  }
+};
@@ -0,0 +1,308 @@
+// controllers/returnController.js
+
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Return = require('../models/Return');
+const MESSAGES = require('../messages/en');
+const RETURN_STATUS = require('../constants/returnStatus');
+const ORDER_STATUS = require('../constants/orderStatus');
+const logger = require('../utils/logger');
+const { uploadToCloudinary } = require('../services/uploadService');
+const { transitionOrder } = require('../services/orderLifecycleService');
+const {
+  transitionReturn,
+  applyInspection,
+  restockReturnItems,
+  refundReturn,
+  replaceReturn,
+  notifyReturnUpdate,
+} = require('../services/returnService');
+
+// Load a return with the order and customer needed by every step
+const findReturn = (id) =>
+  Return.findById(id)
+    .populate('order')
+    .populate('customer', 'name email');
+
+/**
+ * Shared handler shell for admin RMA steps: loads the return, runs the step,
+ * notifies the customer and responds with the updated return.
+ * @param {Function} step - async (returnRequest, req) => ({ replacementOrder? } | void)
+ * @returns {Function} - Express handler.
+ */
+const handleReturnStep = (step) =>
+  asyncHandler(async (req, res, next) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: MESSAGES.Return.INVALID_ID });
+    }
+
+    const returnRequest = await findReturn(id);
+    if (!returnRequest) {
+      return res.status(404).json({ success: false, message: MESSAGES.Return.RETURN_NOT_FOUND });
+    }
+
+    const result = (await step(returnRequest, req)) || {};
+    logger.info(`Return ${returnRequest.returnNumber} moved to '${returnRequest.status}' by ${req.user._id}`);
+
+    await notifyReturnUpdate(returnRequest, {
+      customer: returnRequest.customer,
+      order: returnRequest.order,
+      replacementOrder: result.replacementOrder,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: returnRequest,
+      ...(result.replacementOrder ? { replacementOrder: result.replacementOrder } : {}),
+      message: MESSAGES.Return.UPDATE_SUCCESS,
+    });
+  });
+
+/**
+ * @desc    List returns with filters
+ * @route   GET /api/returns
+ * @access  Private/Admin/Order Manager
+ */
+exports.getAllReturns = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 10,
+    status,
+    order,
+    customer,
+    returnNumber,
+    preferredResolution,
+    startDate,
+    endDate,
+  } = req.query;
+
+  const query = {};
+  if (status) query.status = { $in: status.split(',') };
+  if (order) query.order = order;
+  if (customer) query.customer = customer;
+  if (returnNumber) query.returnNumber = returnNumber;
+  if (preferredResolution) query.preferredResolution = preferredResolution;
+  if (startDate || endDate) {
+    query.requestedAt = {};
+    if (startDate) query.requestedAt.$gte = new Date(startDate);
+    if (endDate) query.requestedAt.$lte = new Date(endDate);
+  }
+
+  const returns = await Return.find(query)
+    .populate('order', 'orderNumber status grandTotal')
+    .populate('customer', 'name email')
+    .sort({ requestedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit, 10));
+
+  const count = await Return.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: returns,
+    count,
+    message: MESSAGES.Return.FETCH_SUCCESS,
+  });
+});
+
+/**
+ * @desc    List the logged-in customer's returns
+ * @route   GET /api/returns/my
+ * @access  Private/Customer
+ */
+exports.getMyReturns = asyncHandler(async (req, res, next) => {
+  const { page = 1, limit = 10 } = req.query;
+  const query = { customer: req.user._id };
+
+  const returns = await Return.find(query)
+    .populate('order', 'orderNumber')
+    .select('-statusHistory.changedBy')
+    .sort({ requestedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit, 10));
+
+  const count = await Return.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: returns,
+    count,
+    message: MESSAGES.Return.FETCH_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Get a single return
+ * @route   GET /api/returns/:id
+ * @access  Private (owner or admin)
+ */
+exports.getReturnById = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: MESSAGES.Return.INVALID_ID });
+  }
+
+  const returnRequest = await Return.findById(id)
+    .populate('order', 'orderNumber status grandTotal')
+    .populate('customer', 'name email')
+    .populate('items.productId', 'title')
+    .populate('replacementOrder', 'orderNumber status');
+
+  if (!returnRequest) {
+    return res.status(404).json({ success: false, message: MESSAGES.Return.RETURN_NOT_FOUND });
+  }
+
+  if (req.user.role === 'user' && String(returnRequest.customer._id) !== String(req.user._id)) {
+    return res.status(403).json({ success: false, message: MESSAGES.GENERAL.FORBIDDEN });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: returnRequest,
+    message: MESSAGES.Return.FETCH_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Approve a return request
+ * @route   PUT /api/returns/:id/approve
+ * @access  Private/Admin/Order Manager
+ */
+exports.approveReturn = handleReturnStep(async (returnRequest, req) => {
+  transitionReturn(returnRequest, RETURN_STATUS.APPROVED, { actor: req.user, reason: req.body.note || null });
+  await returnRequest.save();
+});
+
+/**
+ * @desc    Reject a return request, or a return that failed inspection
+ * @route   PUT /api/returns/:id/reject
+ * @access  Private/Admin/Order Manager
+ */
+exports.rejectReturn = handleReturnStep(async (returnRequest, req) => {
+  const { reason } = req.body;
+  transitionReturn(returnRequest, RETURN_STATUS.REJECTED, { actor: req.user, reason });
+  returnRequest.rejectionReason = reason;
+  await returnRequest.save();
+
+  // A rejected request, or items that failed inspection, leave the order delivered
+  const order = returnRequest.order;
+  if ([ORDER_STATUS.RETURN_REQUESTED, ORDER_STATUS.RETURNED].includes(order.status)) {
+    transitionOrder(order, ORDER_STATUS.DELIVERED, { actor: req.user, reason: `Return ${returnRequest.returnNumber} rejected` });
+    await order.save();
+  }
+});
+
+/**
+ * @desc    Schedule (or reschedule) the pickup of returned items
+ * @route   PUT /api/returns/:id/pickup
+ * @access  Private/Admin/Order Manager
+ */
+exports.schedulePickup = handleReturnStep(async (returnRequest, req) => {
+  const { scheduledAt, carrier, trackingNumber, notes } = req.body;
+  transitionReturn(returnRequest, RETURN_STATUS.PICKUP_SCHEDULED, { actor: req.user, reason: notes || null });
+  returnRequest.pickup = { scheduledAt, carrier, trackingNumber, notes };
+  await returnRequest.save();
+});
+
+/**
+ * @desc    Mark returned items as received at the warehouse
+ * @route   PUT /api/returns/:id/receive
+ * @access  Private/Admin/Order Manager
+ */
+exports.receiveReturn = handleReturnStep(async (returnRequest, req) => {
+  transitionReturn(returnRequest, RETURN_STATUS.RECEIVED, { actor: req.user, reason: req.body.note || null });
+  await returnRequest.save();
+
+  const order = returnRequest.order;
+  if (order.status === ORDER_STATUS.RETURN_REQUESTED) {
+    transitionOrder(order, ORDER_STATUS.RETURNED, { actor: req.user, reason: `Return ${returnRequest.returnNumber} received` });
+    await order.save();
+  }
+});
+
+/**
+ * @desc    Record the inspection of returned items and restock the sellable units
+ * @route   PUT /api/returns/:id/inspect
+ * @access  Private/Admin/Order Manager
+ */
+exports.inspectReturn = handleReturnStep(async (returnRequest, req) => {
+  const { items, note } = req.body;
+  transitionReturn(returnRequest, RETURN_STATUS.INSPECTED, { actor: req.user, reason: note || null });
+  applyInspection(returnRequest, items);
+  await returnRequest.save();
+
+  await restockReturnItems(returnRequest);
+  await returnRequest.save();
+});
+
+/**
+ * @desc    Refund an inspected return and issue the credit note
+ * @route   PUT /api/returns/:id/refund
+ * @access  Private/Admin/Order Manager
+ */
+exports.refundReturn = handleReturnStep(async (returnRequest, req) => {
+  await refundReturn(returnRequest, { amount: req.body.amount, actor: req.user });
+});
+
+/**
+ * @desc    Close an inspected return with a free replacement order
+ * @route   PUT /api/returns/:id/replace
+ * @access  Private/Admin/Order Manager
+ */
+exports.replaceReturn = handleReturnStep(async (returnRequest, req) =>
+  replaceReturn(returnRequest, { actor: req.user })
+);
+
+/**
+ * @desc    Upload photo evidence for an item of a return
+ * @route   POST /api/returns/:id/photos
+ * @access  Private (owner while the return is open, or admin)
+ */
+exports.uploadReturnPhotos = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { productId, sku, variant } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: MESSAGES.Return.INVALID_ID });
+  }
+
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ success: false, message: 'No photos uploaded.' });
+  }
+
+  const returnRequest = await Return.findById(id);
+  if (!returnRequest) {
+    return res.status(404).json({ success: false, message: MESSAGES.Return.RETURN_NOT_FOUND });
+  }
+
+  const isCustomer = req.user.role === 'user';
+  if (isCustomer && String(returnRequest.customer) !== String(req.user._id)) {
+    return res.status(403).json({ success: false, message: MESSAGES.GENERAL.FORBIDDEN });
+  }
+  if (isCustomer && ![RETURN_STATUS.REQUESTED, RETURN_STATUS.APPROVED].includes(returnRequest.status)) {
+    return res.status(400).json({ success: false, message: 'Photos can only be added before the items are picked up.' });
+  }
+
+  const item = returnRequest.items.find(
+    (returnItem) =>
+      String(returnItem.productId) === String(productId) &&
+      (!sku || String(returnItem.sku) === String(sku)) &&
+      (!variant || returnItem.variant === variant)
+  );
+  if (!item) {
+    return res.status(400).json({ success: false, message: `Product with ID ${productId} is not part of this return.` });
+  }
+
+  const urls = await Promise.all(req.files.map((file) => uploadToCloudinary(file.buffer, 'returns')));
+  urls.forEach((url) => item.photos.push({ url, source: isCustomer ? 'customer' : 'inspection' }));
+  await returnRequest.save();
+
+  res.status(200).json({
+    success: true,
+    data: item.photos,
+    message: MESSAGES.Return.PHOTOS_UPLOADED,
+  });
+});
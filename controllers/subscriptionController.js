@@ -0,0 +1,167 @@
+// controllers/subscriptionController.js
+
+const asyncHandler = require('express-async-handler');
+const Subscription = require('../models/Subscription');
+const MESSAGES = require('../messages/en');
+const {
+  createSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipNextRenewal,
+  cancelSubscription,
+  updatePaymentMethod,
+} = require('../services/subscriptionService');
+
+/**
+ * Shared handler shell for customer actions on their own subscription: loads it,
+ * runs the action and responds with the updated subscription.
+ * @param {Function} action - async (subscription, req) => void
+ * @param {string} message - Success message.
+ * @returns {Function} - Express handler.
+ */
+const handleSubscriptionAction = (action, message) =>
+  asyncHandler(async (req, res, next) => {
+    const subscription = await Subscription.findOne({ _id: req.params.id, customer: req.user._id });
+    if (!subscription) {
+      return res.status(404).json({ success: false, message: MESSAGES.SUBSCRIPTION.NOT_FOUND });
+    }
+
+    await action(subscription, req);
+
+    res.status(200).json({ success: true, data: subscription, message });
+  });
+
+/**
+ * @desc    Subscribe to recurring deliveries of a product SKU
+ * @route   POST /api/subscriptions
+ * @access  Private
+ */
+exports.createSubscription = asyncHandler(async (req, res, next) => {
+  const subscription = await createSubscription(req.user._id, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: subscription,
+    message: MESSAGES.SUBSCRIPTION.CREATED,
+  });
+});
+
+/**
+ * @desc    Get the logged-in customer's subscriptions
+ * @route   GET /api/subscriptions
+ * @access  Private
+ */
+exports.getMySubscriptions = asyncHandler(async (req, res, next) => {
+  const subscriptions = await Subscription.find({ customer: req.user._id })
+    .populate('product', 'title slug thumbnail')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: subscriptions,
+    message: MESSAGES.SUBSCRIPTION.FETCH_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Get one of the logged-in customer's subscriptions with its renewal orders
+ * @route   GET /api/subscriptions/:id
+ * @access  Private
+ */
+exports.getSubscriptionById = asyncHandler(async (req, res, next) => {
+  const subscription = await Subscription.findOne({ _id: req.params.id, customer: req.user._id })
+    .populate('product', 'title slug thumbnail')
+    .populate('attempts.order', 'orderNumber status paymentStatus grandTotal');
+  if (!subscription) {
+    return res.status(404).json({ success: false, message: MESSAGES.SUBSCRIPTION.NOT_FOUND });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: subscription,
+    message: MESSAGES.SUBSCRIPTION.FETCH_SUCCESS,
+  });
+});
+
+/**
+ * @desc    List all subscriptions
+ * @route   GET /api/subscriptions/all
+ * @access  Private/Admin/Order Manager
+ */
+exports.getAllSubscriptions = asyncHandler(async (req, res, next) => {
+  const { status, page = 1, limit = 20 } = req.query;
+  const filter = status ? { status: { $in: status.split(',') } } : {};
+
+  const [subscriptions, total] = await Promise.all([
+    Subscription.find(filter)
+      .populate('customer', 'name email')
+      .populate('product', 'title')
+      .sort({ nextRunAt: 1 })
+      .skip((Number(page) - 1) * Number(limit))
+      .limit(Number(limit)),
+    Subscription.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: subscriptions,
+    total,
+    page: Number(page),
+    pages: Math.ceil(total / Number(limit)),
+    message: MESSAGES.SUBSCRIPTION.FETCH_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Pause renewals, indefinitely or until a date
+ * @route   POST /api/subscriptions/:id/pause
+ * @access  Private
+ */
+exports.pauseSubscription = handleSubscriptionAction(
+  (subscription, req) => pauseSubscription(subscription, { until: req.body.until }),
+  MESSAGES.SUBSCRIPTION.PAUSED
+);
+
+/**
+ * @desc    Resume a paused subscription
+ * @route   POST /api/subscriptions/:id/resume
+ * @access  Private
+ */
+exports.resumeSubscription = handleSubscriptionAction(
+  (subscription) => resumeSubscription(subscription),
+  MESSAGES.SUBSCRIPTION.RESUMED
+);
+
+/**
+ * @desc    Skip the next delivery
+ * @route   POST /api/subscriptions/:id/skip
+ * @access  Private
+ */
+exports.skipNextRenewal = handleSubscriptionAction(
+  (subscription) => skipNextRenewal(subscription),
+  MESSAGES.SUBSCRIPTION.SKIPPED
+);
+
+/**
+ * @desc    Cancel a subscription
+ * @route   POST /api/subscriptions/:id/cancel
+ * @access  Private
+ */
+exports.cancelSubscription = handleSubscriptionAction(
+  (subscription, req) => cancelSubscription(subscription, { reason: req.body.reason }),
+  MESSAGES.SUBSCRIPTION.CANCELLED
+);
+
+/**
+ * @desc    Change the payment method renewals are charged to (retries a past-due renewal)
+ * @route   PUT /api/subscriptions/:id/payment-method
+ * @access  Private
+ */
+exports.updatePaymentMethod = handleSubscriptionAction(
+  (subscription, req) =>
+    updatePaymentMethod(subscription, {
+      paymentMethod: req.body.paymentMethod,
+      paymentMethodId: req.body.paymentMethodId,
+    }),
+  MESSAGES.SUBSCRIPTION.PAYMENT_METHOD_UPDATED
+);
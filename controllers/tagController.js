@@ -4,6 +4,7 @@ const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
 const Tag = require('../models/Tag'); // Ensure this path is correct
 const MESSAGES = require('../messages/en');
+const { refreshProductSearchFields } = require('../services/searchService');
 
 /**
  * @desc    Get all tags with optional filters (e.g., active, search)
@@ -141,8 +142,14 @@ exports.updateTag = asyncHandler(async (req, res, next) => {
     if (description !== undefined) tag.description = description;
     if (isActive !== undefined) tag.isActive = isActive;
 
+    const renamed = tag.isModified('name');
     await tag.save();
 
+    // Products are searchable by their tag names
+    if (renamed) {
+      await refreshProductSearchFields({ tags: tag._id });
+    }
+
     res.status(200).json({
       success: true,
       data: tag,
@@ -1,75 +1,138 @@
 // controllers/webhookController.js
 
-const Stripe = require('stripe');
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
-const Order = require('../models/Order');
-const Transaction = require('../models/Transaction');
-const Product = require('../models/Product');
+const asyncHandler = require('express-async-handler');
+const WebhookEvent = require('../models/WebhookEvent');
 const logger = require('../utils/logger');
+const MESSAGES = require('../messages/en');
+const { recordWebhookEvent, needsProcessing } = require('../services/webhookService');
+
+// Queue an inbox entry for processing
+const enqueueWebhookEvent = (webhookEvent) => {
+  // Required here so loading the webhook routes does not open a queue connection
+  const { enqueueWebhookEvent: enqueue } = require('../jobs/webhookJob');
+  return enqueue(webhookEvent);
+};
+
+/**
+ * Build a handler that stores a gateway webhook in the inbox and queues it.
+ * The event is acknowledged once stored; if it cannot be queued, the webhook
+ * sweep or an admin re-run picks it up later.
+ * @param {string} provider - Gateway name.
+ * @returns {Function} - Express handler.
+ */
+exports.receiveWebhook = (provider) =>
+  asyncHandler(async (req, res) => {
+    const { webhookEvent, duplicate } = await recordWebhookEvent(provider, {
+      rawBody: req.rawBody || req.body,
+      headers: req.headers,
+    });
+
+    if (needsProcessing(webhookEvent)) {
+      try {
+        await enqueueWebhookEvent(webhookEvent);
+      } catch (queueError) {
+        logger.error(`Could not queue ${provider} webhook ${webhookEvent.eventId}: ${queueError.message}`);
+      }
+    }
+
+    // Return a response to acknowledge receipt of the event
+    res.status(200).json({ received: true, duplicate });
+  });
 
 /**
  * Handles Stripe webhook events.
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
  */
-exports.stripeWebhook = async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+exports.stripeWebhook = exports.receiveWebhook('stripe');
 
-  let event;
+/**
+ * @desc    List webhook events in the inbox
+ * @route   GET /api/webhooks/events
+ * @access  Private/Admin/Order Manager/Finance Manager
+ */
+exports.getWebhookEvents = asyncHandler(async (req, res, next) => {
+  const {
+    page = 1,
+    limit = 20,
+    provider,
+    status,
+    type,
+    eventId,
+    order,
+    startDate,
+    endDate,
+  } = req.query;
 
-  try {
-    event = stripe.webhooks.constructEvent(req.rawBody, sig, endpointSecret);
-  } catch (err) {
-    logger.error(`Webhook signature verification failed.`, err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
+  const query = {};
+  if (provider) query.provider = provider;
+  if (status) query.status = { $in: status.split(',') };
+  if (type) query.type = type;
+  if (eventId) query.eventId = eventId;
+  if (order) query.order = order;
+  if (startDate || endDate) {
+    query.receivedAt = {};
+    if (startDate) query.receivedAt.$gte = new Date(startDate);
+    if (endDate) query.receivedAt.$lte = new Date(endDate);
   }
 
-  // Handle the event
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      // Find the order associated with this payment intent
-      const order = await Order.findOne({ 'paymentDetails.transactionId': paymentIntent.id });
-      if (order) {
-        order.paymentStatus = 'paid';
-        order.status = 'processing';
-        await order.save();
-
-        // Create Transaction
-        await Transaction.create({
-          order: order._id,
-          paymentMethod: order.paymentMethod,
-          amount: order.finalAmount,
-          status: 'completed',
-          transactionId: paymentIntent.id,
-          metadata: paymentIntent,
-        });
-
-        // Deduct stock
-        for (const item of order.items) {
-          await Product.findByIdAndUpdate(item.product, { $inc: { stock: -item.quantity } });
-        }
-
-        logger.info(`Order ${order.orderNumber} payment succeeded.`);
-      }
-      break;
-    case 'payment_intent.payment_failed':
-      const failedPaymentIntent = event.data.object;
-      const failedOrder = await Order.findOne({ 'paymentDetails.transactionId': failedPaymentIntent.id });
-      if (failedOrder) {
-        failedOrder.paymentStatus = 'failed';
-        failedOrder.status = 'failed';
-        await failedOrder.save();
-
-        logger.info(`Order ${failedOrder.orderNumber} payment failed.`);
-      }
-      break;
-    // ... handle other event types as needed
-    default:
-      logger.warn(`Unhandled event type ${event.type}`);
+  const events = await WebhookEvent.find(query)
+    .select('-rawBody -payload')
+    .sort({ receivedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit, 10));
+
+  const count = await WebhookEvent.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    data: events,
+    count,
+    message: MESSAGES.WEBHOOK.FETCH_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Inspect a webhook event, including its verified payload
+ * @route   GET /api/webhooks/events/:id
+ * @access  Private/Admin/Order Manager/Finance Manager
+ */
+exports.getWebhookEventById = asyncHandler(async (req, res, next) => {
+  const webhookEvent = await WebhookEvent.findById(req.params.id).populate('order', 'orderNumber status paymentStatus');
+
+  if (!webhookEvent) {
+    return res.status(404).json({ success: false, message: MESSAGES.WEBHOOK.EVENT_NOT_FOUND });
   }
 
-  // Return a response to acknowledge receipt of the event
-  res.json({ received: true });
-};
+  res.status(200).json({
+    success: true,
+    data: webhookEvent,
+    message: MESSAGES.WEBHOOK.FETCH_SUCCESS,
+  });
+});
+
+/**
+ * @desc    Re-run a webhook event that failed or was never processed
+ * @route   POST /api/webhooks/events/:id/replay
+ * @access  Private/Admin/Order Manager/Finance Manager
+ */
+exports.replayWebhookEvent = asyncHandler(async (req, res, next) => {
+  const webhookEvent = await WebhookEvent.findById(req.params.id);
+
+  if (!webhookEvent) {
+    return res.status(404).json({ success: false, message: MESSAGES.WEBHOOK.EVENT_NOT_FOUND });
+  }
+
+  if (!needsProcessing(webhookEvent)) {
+    return res.status(409).json({ success: false, message: MESSAGES.WEBHOOK.REPLAY_NOT_ALLOWED });
+  }
+
+  await enqueueWebhookEvent(webhookEvent);
+  logger.info(`Webhook event ${webhookEvent._id} re-queued by ${req.user._id}`);
+
+  res.status(202).json({
+    success: true,
+    data: webhookEvent,
+    message: MESSAGES.WEBHOOK.REPLAY_QUEUED,
+  });
+});
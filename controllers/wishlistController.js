@@ -0,0 +1,112 @@
+// controllers/wishlistController.js
+
+const asyncHandler = require('express-async-handler');
+const Wishlist = require('../models/Wishlist');
+const MESSAGES = require('../messages/en');
+const {
+  describeWishlistItems,
+  addWishlistItem,
+  removeWishlistItem,
+  moveWishlistItemToCart,
+  setWishlistSharing,
+  buildShareUrl,
+  findSharedWishlist,
+} = require('../services/wishlistService');
+
+const PRODUCT_FIELDS = 'title slug thumbnail variants discountPercentage priceOverrides isActive';
+
+// Respond with the customer's wishlist, items described with their current price and stock
+const sendWishlist = async (res, wishlist, message, extra = {}) => {
+  await wishlist.populate('items.product', PRODUCT_FIELDS);
+  res.status(200).json({
+    success: true,
+    data: {
+      items: describeWishlistItems(wishlist),
+      shareUrl: buildShareUrl(wishlist),
+      ...extra,
+    },
+    message,
+  });
+};
+
+/**
+ * @desc    Get the logged-in customer's wishlist
+ * @route   GET /api/wishlist
+ * @access  Private
+ */
+exports.getWishlist = asyncHandler(async (req, res, next) => {
+  const wishlist = (await Wishlist.findOne({ user: req.user._id })) || new Wishlist({ user: req.user._id, items: [] });
+  await sendWishlist(res, wishlist, MESSAGES.WISHLIST.FETCH_SUCCESS);
+});
+
+/**
+ * @desc    Save a product SKU to the wishlist (or update its alert preferences)
+ * @route   POST /api/wishlist/items
+ * @access  Private
+ */
+exports.addItem = asyncHandler(async (req, res, next) => {
+  const { productId, sku, notifyBackInStock, notifyPriceDrop } = req.body;
+  const wishlist = await addWishlistItem(req.user._id, { productId, sku, notifyBackInStock, notifyPriceDrop });
+  await sendWishlist(res, wishlist, MESSAGES.WISHLIST.ITEM_ADDED);
+});
+
+/**
+ * @desc    Remove an item from the wishlist
+ * @route   DELETE /api/wishlist/items/:itemId
+ * @access  Private
+ */
+exports.removeItem = asyncHandler(async (req, res, next) => {
+  const wishlist = await removeWishlistItem(req.user._id, req.params.itemId);
+  await sendWishlist(res, wishlist, MESSAGES.WISHLIST.ITEM_REMOVED);
+});
+
+/**
+ * @desc    Move a wishlist item into the cart
+ * @route   POST /api/wishlist/items/:itemId/move-to-cart
+ * @access  Private
+ */
+exports.moveItemToCart = asyncHandler(async (req, res, next) => {
+  const { quantity } = req.body;
+  const { wishlist, cart } = await moveWishlistItemToCart(req.user._id, req.params.itemId, { quantity });
+  await sendWishlist(res, wishlist, MESSAGES.WISHLIST.MOVED_TO_CART, { cart });
+});
+
+/**
+ * @desc    Create the public share link of the wishlist
+ * @route   POST /api/wishlist/share
+ * @access  Private
+ */
+exports.enableSharing = asyncHandler(async (req, res, next) => {
+  const wishlist = await setWishlistSharing(req.user._id, true);
+  await sendWishlist(res, wishlist, MESSAGES.WISHLIST.SHARING_ENABLED);
+});
+
+/**
+ * @desc    Remove the public share link of the wishlist
+ * @route   DELETE /api/wishlist/share
+ * @access  Private
+ */
+exports.disableSharing = asyncHandler(async (req, res, next) => {
+  const wishlist = await setWishlistSharing(req.user._id, false);
+  await sendWishlist(res, wishlist, MESSAGES.WISHLIST.SHARING_DISABLED);
+});
+
+/**
+ * @desc    View a shared wishlist through its public link
+ * @route   GET /api/wishlist/shared/:token
+ * @access  Public
+ */
+exports.getSharedWishlist = asyncHandler(async (req, res, next) => {
+  const wishlist = await findSharedWishlist(req.params.token);
+
+  // Alert preferences stay private to the owner
+  const items = describeWishlistItems(wishlist)
+    .filter((item) => item.available)
+    .map(({ notifyBackInStock, notifyPriceDrop, priceAtAdd, priceDrop, ...item }) => item);
+
+  res.status(200).json({
+    success: true,
+    data: { owner: wishlist.user ? wishlist.user.name : null, items },
+    message: MESSAGES.WISHLIST.FETCH_SUCCESS,
+  });
+});
@@ -0,0 +1,38 @@
+// jobs/bestSellerJob.js
+const { Queue, Worker } = require('bullmq');
+const { refreshUnitsSold } = require('../services/catalogService');
+const logger = require('../utils/logger');
+
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+// Initialize Best Seller Queue
+const bestSellerQueue = new Queue('bestSellerQueue', {
+  connection: {
+    host: process.env.REDIS_HOST,
+    port: process.env.REDIS_PORT,
+  },
+});
+
+// Worker to recount units sold for the best-selling sort
+const bestSellerWorker = new Worker(
+  'bestSellerQueue',
+  async () => ({ productsWithSales: await refreshUnitsSold() }),
+  {
+    connection: {
+      host: process.env.REDIS_HOST,
+      port: process.env.REDIS_PORT,
+    },
+  }
+);
+
+// Handle Worker Errors
+bestSellerWorker.on('failed', (job, err) => {
+  logger.error(`Best seller refresh failed: ${err.message}`);
+});
+
+// Schedule the repeatable refresh (BullMQ dedupes repeatable jobs by key)
+bestSellerQueue
+  .add('best-seller-refresh', {}, { repeat: { every: REFRESH_INTERVAL_MS }, removeOnComplete: true })
+  .catch((err) => logger.error(`Failed to schedule best seller refresh: ${err.message}`));
+
+module.exports = bestSellerQueue;
@@ -0,0 +1,38 @@
+// jobs/cartRecoveryJob.js
+const { Queue, Worker } = require('bullmq');
+const { runCartRecovery } = require('../services/cartRecoveryService');
+const logger = require('../utils/logger');
+
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+// Initialize Cart Recovery Queue
+const cartRecoveryQueue = new Queue('cartRecoveryQueue', {
+  connection: {
+    host: process.env.REDIS_HOST,
+    port: process.env.REDIS_PORT,
+  },
+});
+
+// Worker to find abandoned carts and send the recovery emails that are due
+const cartRecoveryWorker = new Worker(
+  'cartRecoveryQueue',
+  async () => runCartRecovery(),
+  {
+    connection: {
+      host: process.env.REDIS_HOST,
+      port: process.env.REDIS_PORT,
+    },
+  }
+);
+
+// Handle Worker Errors
+cartRecoveryWorker.on('failed', (job, err) => {
+  logger.error(`Cart recovery sweep failed: ${err.message}`);
+});
+
+// Schedule the repeatable sweep (BullMQ dedupes repeatable jobs by key)
+cartRecoveryQueue
+  .add('abandoned-carts', {}, { repeat: { every: SWEEP_INTERVAL_MS }, removeOnComplete: true })
+  .catch((err) => logger.error(`Failed to schedule cart recovery: ${err.message}`));
+
+module.exports = cartRecoveryQueue;
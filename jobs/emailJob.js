@@ -16,8 +16,8 @@ const emailQueue = new Queue('emailQueue', {
 const emailWorker = new Worker(
   'emailQueue',
   async (job) => {
-    const { email, subject, message } = job.data;
-    await sendEmail({ email, subject, message });
+    const { email, subject, message, html } = job.data;
+    await sendEmail({ email, subject, message, html });
     logger.info(`Email sent to ${email}`);
   },
   {
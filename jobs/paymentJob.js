@@ -15,7 +15,7 @@ const paymentQueue = new Queue('paymentQueue', {
 
 // Worker to process payment retry jobs
 const paymentWorker = new Worker('paymentQueue', async job => {
-  const { orderId } = job.data;
+  const { orderId, paymentDetails = {} } = job.data;
   const order = await Order.findById(orderId);
   
   if (!order) {
@@ -24,10 +24,12 @@ const paymentWorker = new Worker('paymentQueue', async job => {
   
   if (order.paymentStatus === 'failed') {
     try {
-      await paymentService.processPayment(order, { /* payment details */ });
-      order.paymentStatus = 'completed';
-      await order.save();
-      logger.info(`Payment retried and completed for order ${orderId}`);
+      // The gateway adapter records the charge and updates the order's payment status
+      const result = await paymentService.processPayment(order, paymentDetails);
+      if (result.status === 'declined') {
+        throw new Error(result.message || 'Payment declined');
+      }
+      logger.info(`Payment retried for order ${orderId}: ${result.status}`);
     } catch (error) {
       logger.error(`Payment retry failed for order ${orderId}: ${error.message}`);
       throw error;
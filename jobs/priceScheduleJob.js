@@ -0,0 +1,36 @@
+// jobs/priceScheduleJob.js
+const { Queue, Worker } = require('bullmq');
+const { PRICE_SCHEDULE_INTERVAL_MS, runPriceScheduler } = require('../services/priceScheduleService');
+const logger = require('../utils/logger');
+
+// Initialize Price Schedule Queue
+const priceScheduleQueue = new Queue('priceScheduleQueue', {
+  connection: {
+    host: process.env.REDIS_HOST,
+    port: process.env.REDIS_PORT,
+  },
+});
+
+// Worker to apply scheduled price changes and sales to their products and revert them
+const priceScheduleWorker = new Worker(
+  'priceScheduleQueue',
+  async () => runPriceScheduler(),
+  {
+    connection: {
+      host: process.env.REDIS_HOST,
+      port: process.env.REDIS_PORT,
+    },
+  }
+);
+
+// Handle Worker Errors
+priceScheduleWorker.on('failed', (job, err) => {
+  logger.error(`Price schedule run failed: ${err.message}`);
+});
+
+// Schedule the repeatable run (BullMQ dedupes repeatable jobs by key)
+priceScheduleQueue
+  .add('price-schedules', {}, { repeat: { every: PRICE_SCHEDULE_INTERVAL_MS }, removeOnComplete: true })
+  .catch((err) => logger.error(`Failed to schedule price schedule runs: ${err.message}`));
+
+module.exports = priceScheduleQueue;
@@ -0,0 +1,34 @@
+// jobs/productImportJob.js
+const { Queue, Worker } = require('bullmq');
+const { runProductImport } = require('../services/productImportService');
+const logger = require('../utils/logger');
+
+// Initialize Product Import Queue
+const productImportQueue = new Queue('productImportQueue', {
+  connection: {
+    host: process.env.REDIS_HOST,
+    port: process.env.REDIS_PORT,
+  },
+});
+
+// Worker to import product files too large to import during the upload request
+const productImportWorker = new Worker(
+  'productImportQueue',
+  async (job) => {
+    const productImport = await runProductImport(job.data.importId);
+    return productImport ? { status: productImport.status, summary: productImport.summary } : null;
+  },
+  {
+    connection: {
+      host: process.env.REDIS_HOST,
+      port: process.env.REDIS_PORT,
+    },
+  }
+);
+
+// Handle Worker Errors
+productImportWorker.on('failed', (job, err) => {
+  logger.error(`Product import job ${job.id} failed: ${err.message}`);
+});
+
+module.exports = productImportQueue;
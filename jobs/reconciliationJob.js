@@ -0,0 +1,43 @@
+// jobs/reconciliationJob.js
+const { Queue, Worker } = require('bullmq');
+const { runReconciliation } = require('../services/reconciliationService');
+const logger = require('../utils/logger');
+
+// Nightly, after the gateways have published the previous day's settlements
+const RECONCILIATION_CRON = process.env.RECONCILIATION_CRON || '0 3 * * *';
+
+// Initialize Reconciliation Queue
+const reconciliationQueue = new Queue('reconciliationQueue', {
+  connection: {
+    host: process.env.REDIS_HOST,
+    port: process.env.REDIS_PORT,
+  },
+});
+
+// Worker to cross-check orders, the payment ledger and settlement reports
+const reconciliationWorker = new Worker(
+  'reconciliationQueue',
+  async (job) => {
+    const { from, to, trigger = 'schedule', actorId = null } = job.data;
+    const run = await runReconciliation({ from, to, trigger, actor: actorId ? { _id: actorId } : null });
+    return { runId: String(run._id) };
+  },
+  {
+    connection: {
+      host: process.env.REDIS_HOST,
+      port: process.env.REDIS_PORT,
+    },
+  }
+);
+
+// Handle Worker Errors
+reconciliationWorker.on('failed', (job, err) => {
+  logger.error(`Reconciliation job ${job.id} failed: ${err.message}`);
+});
+
+// Schedule the repeatable nightly run (BullMQ dedupes repeatable jobs by key)
+reconciliationQueue
+  .add('nightly-reconciliation', {}, { repeat: { pattern: RECONCILIATION_CRON }, removeOnComplete: true })
+  .catch((err) => logger.error(`Failed to schedule reconciliation: ${err.message}`));
+
+module.exports = reconciliationQueue;
@@ -0,0 +1,41 @@
+// jobs/reservationJob.js
+const { Queue, Worker } = require('bullmq');
+const { releaseExpiredReservations } = require('../services/inventoryService');
+const logger = require('../utils/logger');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Initialize Reservation Queue
+const reservationQueue = new Queue('reservationQueue', {
+  connection: {
+    host: process.env.REDIS_HOST,
+    port: process.env.REDIS_PORT,
+  },
+});
+
+// Worker to release stock holds that outlived their TTL
+const reservationWorker = new Worker(
+  'reservationQueue',
+  async () => {
+    const released = await releaseExpiredReservations();
+    return { released };
+  },
+  {
+    connection: {
+      host: process.env.REDIS_HOST,
+      port: process.env.REDIS_PORT,
+    },
+  }
+);
+
+// Handle Worker Errors
+reservationWorker.on('failed', (job, err) => {
+  logger.error(`Reservation sweep failed: ${err.message}`);
+});
+
+// Schedule the repeatable expiry sweep (BullMQ dedupes repeatable jobs by key)
+reservationQueue
+  .add('release-expired', {}, { repeat: { every: SWEEP_INTERVAL_MS }, removeOnComplete: true })
+  .catch((err) => logger.error(`Failed to schedule reservation sweep: ${err.message}`));
+
+module.exports = reservationQueue;
@@ -0,0 +1,38 @@
+// jobs/subscriptionJob.js
+const { Queue, Worker } = require('bullmq');
+const { runSubscriptionRenewals } = require('../services/subscriptionService');
+const logger = require('../utils/logger');
+
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+// Initialize Subscription Queue
+const subscriptionQueue = new Queue('subscriptionQueue', {
+  connection: {
+    host: process.env.REDIS_HOST,
+    port: process.env.REDIS_PORT,
+  },
+});
+
+// Worker to place due renewal orders and retry failed ones
+const subscriptionWorker = new Worker(
+  'subscriptionQueue',
+  async () => runSubscriptionRenewals(),
+  {
+    connection: {
+      host: process.env.REDIS_HOST,
+      port: process.env.REDIS_PORT,
+    },
+  }
+);
+
+// Handle Worker Errors
+subscriptionWorker.on('failed', (job, err) => {
+  logger.error(`Subscription renewal run failed: ${err.message}`);
+});
+
+// Schedule the repeatable sweep (BullMQ dedupes repeatable jobs by key)
+subscriptionQueue
+  .add('subscription-renewals', {}, { repeat: { every: SWEEP_INTERVAL_MS }, removeOnComplete: true })
+  .catch((err) => logger.error(`Failed to schedule subscription renewals: ${err.message}`));
+
+module.exports = subscriptionQueue;
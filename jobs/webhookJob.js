@@ -0,0 +1,73 @@
+// jobs/webhookJob.js
+const { Queue, Worker } = require('bullmq');
+const { processWebhookEvent, findUnprocessedEvents } = require('../services/webhookService');
+const logger = require('../utils/logger');
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const SWEEP_GRACE_MS = 60 * 1000;
+
+// Retries with backoff; the job ID is the inbox entry, so an event is queued at most once at a time
+const WEBHOOK_JOB_OPTIONS = {
+  attempts: 5,
+  backoff: {
+    type: 'exponential',
+    delay: 30000, // 30 seconds
+  },
+  removeOnComplete: true,
+  removeOnFail: true,
+};
+
+// Initialize Webhook Queue
+const webhookQueue = new Queue('webhookQueue', {
+  connection: {
+    host: process.env.REDIS_HOST,
+    port: process.env.REDIS_PORT,
+  },
+});
+
+/**
+ * Queue an inbox entry for processing.
+ * @param {Object} webhookEvent - WebhookEvent document.
+ * @returns {Promise<Object>} - The BullMQ job.
+ */
+const enqueueWebhookEvent = (webhookEvent) =>
+  webhookQueue.add(
+    'process-event',
+    { webhookEventId: String(webhookEvent._id) },
+    { ...WEBHOOK_JOB_OPTIONS, jobId: String(webhookEvent._id) }
+  );
+
+// Worker to apply stored webhook events, and to re-queue entries that were never picked up
+// or were abandoned in 'processing' by a worker that died
+const webhookWorker = new Worker(
+  'webhookQueue',
+  async (job) => {
+    if (job.name === 'sweep-unprocessed') {
+      const pending = await findUnprocessedEvents(new Date(Date.now() - SWEEP_GRACE_MS));
+      await Promise.all(pending.map(enqueueWebhookEvent));
+      return { requeued: pending.length };
+    }
+
+    const webhookEvent = await processWebhookEvent(job.data.webhookEventId);
+    return { status: webhookEvent.status };
+  },
+  {
+    connection: {
+      host: process.env.REDIS_HOST,
+      port: process.env.REDIS_PORT,
+    },
+  }
+);
+
+// Handle Worker Errors
+webhookWorker.on('failed', (job, err) => {
+  logger.error(`Webhook job ${job.id} failed (attempt ${job.attemptsMade}): ${err.message}`);
+});
+
+// Schedule the repeatable sweep (BullMQ dedupes repeatable jobs by key)
+webhookQueue
+  .add('sweep-unprocessed', {}, { repeat: { every: SWEEP_INTERVAL_MS }, removeOnComplete: true })
+  .catch((err) => logger.error(`Failed to schedule webhook sweep: ${err.message}`));
+
+module.exports = webhookQueue;
+module.exports.enqueueWebhookEvent = enqueueWebhookEvent;
@@ -39,7 +39,13 @@ const MESSAGES = {
     UPDATE_SUCCESS: "Product updated successfully.",
     DELETE_SUCCESS: "Product deactivated successfully.",
     PRODUCT_NOT_FOUND: "Product not found.",
+    DUPLICATE_KEY: "Another product already uses this SKU code, barcode or slug.",
     UPLOAD_SUCCESS: "Image uploaded successfully.",
+    IMPORT_FILE_REQUIRED: "A CSV or XLSX product file is required.",
+    IMPORT_COMPLETED: "Product import completed.",
+    IMPORT_DRY_RUN_COMPLETED: "Product file checked; no products were changed.",
+    IMPORT_QUEUED: "Product import queued; check its status for the result.",
+    IMPORT_NOT_FOUND: "Product import not found.",
   },
   CATEGORY: {
     CREATE_SUCCESS: "Category created successfully.",
@@ -64,12 +70,43 @@ const MESSAGES = {
     ALREADY_ACTIVE: "Coupon is already active.",
     ALREADY_INACTIVE: "Coupon is already inactive.",
   },
+  Promotion: {
+    CREATE_SUCCESS: "Promotion created successfully.",
+    FETCH_SUCCESS: "Promotions fetched successfully.",
+    UPDATE_SUCCESS: "Promotion updated successfully.",
+    DELETE_SUCCESS: "Promotion deleted successfully.",
+    PREVIEW_SUCCESS: "Promotions evaluated successfully.",
+    PROMOTION_NOT_FOUND: "Promotion not found.",
+    INVALID_ID: "Invalid Promotion ID.",
+  },
+  PriceSchedule: {
+    CREATE_SUCCESS: "Price schedule created successfully.",
+    FETCH_SUCCESS: "Price schedules fetched successfully.",
+    UPDATE_SUCCESS: "Price schedule updated successfully.",
+    DELETE_SUCCESS: "Price schedule deleted successfully.",
+    COUNTDOWN_SUCCESS: "Sales fetched successfully.",
+    PRICE_SCHEDULE_NOT_FOUND: "Price schedule not found.",
+    INVALID_ID: "Invalid price schedule ID.",
+  },
+  Return: {
+    FETCH_SUCCESS: "Returns fetched successfully.",
+    UPDATE_SUCCESS: "Return updated successfully.",
+    PHOTOS_UPLOADED: "Return photos uploaded successfully.",
+    RETURN_NOT_FOUND: "Return not found.",
+    INVALID_ID: "Invalid Return ID.",
+  },
   REPORT: {
     SALES_SUMMARY_SUCCESS: "Sales summary fetched successfully.",
     TOP_PRODUCTS_SUCCESS: "Top-selling products fetched successfully.",
     CUSTOMER_ANALYTICS_SUCCESS: "Customer analytics fetched successfully.",
     EXPORT_SUCCESS: "Sales report exported successfully.",
     INVALID_EXPORT_TYPE: "Invalid export type.",
+    RECONCILIATION_SUCCESS: "Reconciliation report fetched successfully.",
+    RECONCILIATION_NOT_FOUND: "No reconciliation run found.",
+    RECONCILIATION_QUEUED: "Reconciliation queued.",
+    SETTLEMENT_IMPORT_SUCCESS: "Settlement report imported successfully.",
+    SETTLEMENT_FILE_REQUIRED: "A settlement CSV file is required.",
+    CART_RECOVERY_SUCCESS: "Cart recovery report fetched successfully.",
   },
   BLOG: {
     CREATE_SUCCESS: "Blog post created successfully.",
@@ -97,6 +134,44 @@ const MESSAGES = {
     PROCESS_SUCCESS: "Payment processed successfully.",
     REFUND_SUCCESS: "Payment refunded successfully.",
     PAYMENT_FAILED: "Payment processing failed.",
+    ACTION_REQUIRED: "Additional action is required to complete the payment.",
+    PENDING: "Payment is being processed.",
+  },
+  COD: {
+    ELIGIBILITY_CHECKED: "Cash on delivery eligibility checked.",
+    NOT_ELIGIBLE: "Cash on delivery is not available for this order.",
+    OTP_SENT: "Delivery OTP sent to the customer.",
+    OTP_REQUIRED: "Cash on delivery orders are marked delivered by confirming the customer's delivery OTP.",
+    DELIVERY_CONFIRMED: "Delivery confirmed and cash collection recorded.",
+    DELIVERY_REFUSED: "Refused delivery recorded and the order cancelled.",
+    REMITTANCE_CREATED: "COD remittance recorded.",
+    REMITTANCE_FETCHED: "COD remittances fetched successfully.",
+    REMITTANCE_NOT_FOUND: "COD remittance not found.",
+    REMITTANCE_RECONCILED: "COD remittance reconciled.",
+  },
+  SUBSCRIPTION: {
+    CREATED: "Subscription created.",
+    FETCH_SUCCESS: "Subscriptions fetched successfully.",
+    NOT_FOUND: "Subscription not found.",
+    PAUSED: "Subscription paused.",
+    RESUMED: "Subscription resumed.",
+    SKIPPED: "Next delivery skipped.",
+    CANCELLED: "Subscription cancelled.",
+    PAYMENT_METHOD_UPDATED: "Subscription payment method updated.",
+  },
+  WISHLIST: {
+    FETCH_SUCCESS: "Wishlist fetched successfully.",
+    ITEM_ADDED: "Product saved to your wishlist.",
+    ITEM_REMOVED: "Product removed from your wishlist.",
+    MOVED_TO_CART: "Product moved to your cart.",
+    SHARING_ENABLED: "Wishlist share link created.",
+    SHARING_DISABLED: "Wishlist share link removed.",
+  },
+  WEBHOOK: {
+    FETCH_SUCCESS: "Webhook events fetched successfully.",
+    EVENT_NOT_FOUND: "Webhook event not found.",
+    REPLAY_QUEUED: "Webhook event queued for processing.",
+    REPLAY_NOT_ALLOWED: "Only failed, unprocessed or stalled webhook events can be re-run.",
   },
   SETTINGS: {
     FETCH_SUCCESS: "Settings fetched successfully.",
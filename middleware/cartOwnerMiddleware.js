@@ -0,0 +1,20 @@
+// middleware/cartOwnerMiddleware.js
+
+const authMiddleware = require('./authMiddleware');
+const { getRequestCartToken, readCartToken } = require('../services/guestCartService');
+
+/**
+ * Identify whose cart a request works on. Signed-in customers (Authorization header)
+ * go through authMiddleware as usual; anonymous visitors are identified by their
+ * guest cart token, if they already have one (req.guestCartId).
+ */
+const cartOwnerMiddleware = (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return authMiddleware(req, res, next);
+  }
+
+  req.guestCartId = readCartToken(getRequestCartToken(req));
+  next();
+};
+
+module.exports = cartOwnerMiddleware;
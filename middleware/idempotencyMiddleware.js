@@ -0,0 +1,124 @@
+// middleware/idempotencyMiddleware.js
+
+const crypto = require('crypto');
+const { getCache, setCacheIfAbsent, setCache, deleteCache } = require('../services/redisService');
+const logger = require('../utils/logger');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+// How long a request may hold its key before another attempt can take over (e.g. after a crash)
+const LOCK_TTL_SECONDS = 60;
+
+const getResponseTtlSeconds = () => (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60;
+
+// JSON with sorted keys, so logically identical bodies hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash a request body for comparison with earlier uses of the same key.
+ * @param {any} body
+ * @returns {string}
+ */
+const fingerprintBody = (body) => crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+
+/**
+ * Middleware to make a POST endpoint safe to retry with an Idempotency-Key header.
+ * The first response (below 500) is stored in Redis and replayed for repeats of the same key;
+ * reusing a key with a different body, or while the first request is still running, gets a 409.
+ * Requests without the header are processed normally.
+ * @param {string} scope - Name of the operation (keys are scoped per operation and per user).
+ * @returns {Function} - Express middleware function.
+ */
+const idempotencyMiddleware = (scope) => {
+  return async (req, res, next) => {
+    const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+    if (!idempotencyKey) {
+      return next();
+    }
+
+    if (idempotencyKey.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `${IDEMPOTENCY_HEADER} cannot exceed ${MAX_KEY_LENGTH} characters.`,
+      });
+    }
+
+    const userId = req.user ? String(req.user._id) : 'anonymous';
+    const cacheKey = `idempotency:${scope}:${userId}:${idempotencyKey}`;
+    const fingerprint = fingerprintBody(req.body);
+
+    // Answer a repeat of a key that is already taken
+    const respondToRepeat = (record) => {
+      if (record.fingerprint !== fingerprint) {
+        logger.warn(`Idempotency key reused with a different body: ${cacheKey}`);
+        return res.status(409).json({
+          success: false,
+          message: `${IDEMPOTENCY_HEADER} has already been used with a different request.`,
+        });
+      }
+      if (record.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: `A request with this ${IDEMPOTENCY_HEADER} is still being processed.`,
+        });
+      }
+      logger.info(`Replaying stored response for idempotency key: ${cacheKey}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(record.body);
+    };
+
+    try {
+      const existing = await getCache(cacheKey);
+      if (existing) {
+        return respondToRepeat(existing);
+      }
+
+      const acquired = await setCacheIfAbsent(cacheKey, { status: 'processing', fingerprint }, LOCK_TTL_SECONDS);
+      if (acquired === false) {
+        const current = await getCache(cacheKey);
+        if (current) {
+          return respondToRepeat(current);
+        }
+      } else if (acquired === null) {
+        // Redis is unavailable: keep checkout working without duplicate protection
+        logger.warn(`Idempotency store unavailable; processing ${scope} without key protection.`);
+        return next();
+      }
+
+      // Store the outcome before it is sent, so a retry never misses it
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        res.json = originalJson;
+        const storeOutcome =
+          res.statusCode >= 500
+            ? deleteCache(cacheKey) // Let the client retry server errors with the same key
+            : setCache(
+                cacheKey,
+                { status: 'completed', fingerprint, statusCode: res.statusCode, body },
+                getResponseTtlSeconds()
+              );
+        storeOutcome.finally(() => originalJson(body));
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = idempotencyMiddleware;
+module.exports.fingerprintBody = fingerprintBody;
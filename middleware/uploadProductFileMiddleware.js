@@ -0,0 +1,45 @@
+// middleware/uploadProductFileMiddleware.js
+
+const multer = require('multer');
+const path = require('path');
+const ERROR_CODES = require('../constants/errorCodes');
+
+// Set up in-memory storage
+const storage = multer.memoryStorage();
+
+// Configure file filter to allow only CSV and XLSX product files
+const fileFilter = (req, file, cb) => {
+  const extname = ['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase());
+  const mimetype = /csv|excel|spreadsheetml|text\/plain|octet-stream/.test(file.mimetype);
+
+  if (mimetype && extname) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only CSV and XLSX files are allowed!'));
+  }
+};
+
+// Initialize multer with storage, file filter, and size limit
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10 MB limit
+});
+
+// Middleware to handle a single product file with field name 'file'
+const uploadProductFileMiddleware = upload.single('file');
+
+// Middleware to handle upload errors
+const handleUploadErrors = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    // Multer-specific errors
+    return res.status(400).json({ success: false, message: `Upload error: ${err.message}` });
+  } else if (err) {
+    // Other errors, such as file type issues
+    return res.status(400).json({ success: false, message: err.message || ERROR_CODES.INVALID_INPUT });
+  }
+  next();
+};
+
+// Export middleware as an array
+module.exports = [uploadProductFileMiddleware, handleUploadErrors];
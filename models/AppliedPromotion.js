@@ -0,0 +1,35 @@
+// models/AppliedPromotion.js
+const mongoose = require('mongoose');
+
+// Snapshot of an automatic promotion applied to a cart or order
+const AppliedPromotionSchema = new mongoose.Schema(
+  {
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ['bogo', 'tiered', 'bundle'],
+      required: true,
+    },
+    summary: {
+      type: String,
+      trim: true,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+    },
+  },
+  { _id: false }
+);
+
+module.exports = AppliedPromotionSchema;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const AppliedPromotionSchema = require('./AppliedPromotion');
 
 // Subdocument schema for individual cart items
 const CartItemSchema = new mongoose.Schema(
@@ -14,6 +15,11 @@ const CartItemSchema = new mongoose.Schema(
       required: [true, 'Product title is required'],
       trim: true,
     },
+    // The product SKU (variant) in the cart; variant and packaging are its labels
+    sku: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'SKU is required'],
+    },
     variant: {
       type: String,
       required: [true, 'Product variant is required'],
@@ -42,6 +48,12 @@ const CartItemSchema = new mongoose.Schema(
         'Please enter a valid image URL',
       ],
     },
+    // Automatic promotion discount currently applied to this line
+    promotionDiscount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Promotion discount cannot be negative'],
+    },
   },
   { _id: false }
 );
@@ -49,12 +61,24 @@ const CartItemSchema = new mongoose.Schema(
 // Main schema for cart
 const CartSchema = new mongoose.Schema(
   {
+    // Guest carts have no user until they are merged at login
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: [true, 'User ID is required'],
+      default: null,
+      required: [
+        function () {
+          return !this.expiresAt;
+        },
+        'User ID is required',
+      ],
       index: true,
     },
+    // Only guest carts expire; pushed back each time the guest changes the cart
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
     items: [CartItemSchema],
     totalAmount: {
       type: Number,
@@ -62,6 +86,13 @@ const CartSchema = new mongoose.Schema(
       default: 0,
       min: [0, 'Total amount cannot be negative'],
     },
+    // Automatic promotions applied the last time the cart was priced
+    appliedPromotions: { type: [AppliedPromotionSchema], default: [] },
+    promotionDiscount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Promotion discount cannot be negative'],
+    },
   },
   {
     timestamps: true,
@@ -70,6 +101,9 @@ const CartSchema = new mongoose.Schema(
   }
 );
 
+// Guest carts are removed by MongoDB once they expire
+CartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 // Method to calculate total amount
 CartSchema.methods.calculateTotal = function () {
   this.totalAmount = this.items.reduce(
@@ -79,6 +113,11 @@ CartSchema.methods.calculateTotal = function () {
   return this.totalAmount;
 };
 
+// Virtual for the cart total after automatic promotions
+CartSchema.virtual('discountedTotal').get(function () {
+  return Math.max(this.totalAmount - (this.promotionDiscount || 0), 0);
+});
+
 // Pre-save middleware to calculate total
 CartSchema.pre('save', function (next) {
   this.calculateTotal();
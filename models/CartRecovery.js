@@ -0,0 +1,67 @@
+// models/CartRecovery.js
+
+const mongoose = require('mongoose');
+
+const CART_RECOVERY_STATUSES = [
+  'active', // Recovery emails are still due
+  'completed', // Every step was sent without an order
+  'recovered', // The customer placed an order
+  'stopped', // The cart changed or was emptied, or the customer ordered before the first email
+];
+
+// One recovery email sent for an abandoned cart
+const RecoveryStepSchema = new mongoose.Schema(
+  {
+    step: { type: Number, required: true }, // 1-based position in the sequence
+    template: { type: String, trim: true, required: true },
+    sentAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Snapshot of the cart when it was found abandoned, used to restore it from the email link
+const RecoveryItemSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    title: { type: String, trim: true },
+    sku: { type: mongoose.Schema.Types.ObjectId, default: null },
+    variant: { type: String, trim: true },
+    packaging: { type: String, trim: true },
+    quantity: { type: Number, min: 1 },
+    price: { type: Number, min: 0 },
+    thumbnail: { type: String },
+  },
+  { _id: false }
+);
+
+// An abandoned cart and the recovery sequence sent for it. A cart starts a new
+// episode each time it goes idle again after the customer changed it.
+const cartRecoverySchema = new mongoose.Schema(
+  {
+    cart: { type: mongoose.Schema.Types.ObjectId, ref: 'Cart', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // The cart's updatedAt when it was found idle; the sequence is timed from here
+    lastActivityAt: { type: Date, required: true },
+    items: { type: [RecoveryItemSchema], default: [] },
+    cartValue: { type: Number, default: 0, min: 0 },
+    status: { type: String, enum: CART_RECOVERY_STATUSES, default: 'active' },
+    steps: { type: [RecoveryStepSchema], default: [] },
+    // Single-use coupon generated for this customer by a step that offers one
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', default: null },
+    couponCode: { type: String, trim: true, uppercase: true, default: null },
+    linkClickedAt: { type: Date, default: null },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    recoveredAt: { type: Date, default: null },
+    recoveredRevenue: { type: Number, default: 0, min: 0 },
+    stopReason: { type: String, trim: true, default: null },
+  },
+  { timestamps: true }
+);
+
+cartRecoverySchema.index({ cart: 1, lastActivityAt: 1 }, { unique: true });
+cartRecoverySchema.index({ user: 1, status: 1 });
+cartRecoverySchema.index({ status: 1, lastActivityAt: 1 });
+cartRecoverySchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('CartRecovery', cartRecoverySchema);
+module.exports.CART_RECOVERY_STATUSES = CART_RECOVERY_STATUSES;
@@ -62,6 +62,61 @@ CategorySchema.pre('save', function (next) {
   next();
 });
 
+/**
+ * Ancestors of a category and the category itself, from the root down (for breadcrumbs).
+ * @param {string} categoryId
+ * @returns {Promise<Array<Object>>} - [{ _id, name, slug }]
+ */
+CategorySchema.statics.getPath = async function (categoryId) {
+  const [category] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(String(categoryId)) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$parent',
+        connectFromField: 'parent',
+        connectToField: '_id',
+        as: 'ancestors',
+        depthField: 'depth',
+      },
+    },
+  ]);
+  if (!category) return [];
+
+  return [...category.ancestors.sort((a, b) => b.depth - a.depth), category].map(({ _id, name, slug }) => ({
+    _id,
+    name,
+    slug,
+  }));
+};
+
+/**
+ * IDs of categories and all their descendants.
+ * @param {Array<string>} categoryIds
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>}
+ */
+CategorySchema.statics.getDescendantIds = async function (categoryIds) {
+  const categories = await this.aggregate([
+    { $match: { _id: { $in: categoryIds.map((id) => new mongoose.Types.ObjectId(String(id))) } } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants',
+      },
+    },
+    { $project: { 'descendants._id': 1 } },
+  ]);
+
+  const ids = new Map();
+  categories.forEach((category) => {
+    [category, ...category.descendants].forEach(({ _id }) => ids.set(String(_id), _id));
+  });
+  return [...ids.values()];
+};
+
 // Indexes for optimized queries
 CategorySchema.index({ name: 1, type: 1 });
 CategorySchema.index({ slug: 1, type: 1 });
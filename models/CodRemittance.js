@@ -0,0 +1,49 @@
+// models/CodRemittance.js
+
+const mongoose = require('mongoose');
+
+// How a remittance line compares with the order it names
+const REMITTANCE_MATCH_STATUSES = [
+  'matched', // Cash collected for the order and the remitted amount agrees
+  'amount_mismatch', // Remitted amount differs from the collected amount
+  'not_collected', // Order has no recorded cash collection
+  'already_remitted', // Order was settled by an earlier remittance
+  'unknown_order', // No cash on delivery order with that number
+];
+
+const RemittanceLineSchema = new mongoose.Schema(
+  {
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    orderNumber: { type: String, trim: true, required: true },
+    amount: { type: Number, required: true, min: [0, 'Amount cannot be negative'] },
+    expectedAmount: { type: Number, default: null },
+    matchStatus: { type: String, enum: REMITTANCE_MATCH_STATUSES, required: true },
+  },
+  { _id: false }
+);
+
+// A batch of cash handed over by a courier, one line per delivered order
+const codRemittanceSchema = new mongoose.Schema(
+  {
+    courier: { type: String, trim: true, lowercase: true, required: [true, 'Courier is required'] },
+    // Courier's remittance or UTR reference
+    reference: { type: String, trim: true, required: [true, 'Remittance reference is required'] },
+    remittedAt: { type: Date, required: true },
+    amount: { type: Number, required: true, min: [0, 'Amount cannot be negative'] },
+    lines: { type: [RemittanceLineSchema], default: [] },
+    // 'reconciled' once every line matched; otherwise the unmatched lines need a look
+    status: { type: String, enum: ['recorded', 'reconciled', 'discrepancy'], default: 'recorded' },
+    reconciledAt: { type: Date, default: null },
+    reconciledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    notes: { type: String, trim: true, maxlength: [1000, 'Notes cannot exceed 1000 characters'], default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+codRemittanceSchema.index({ courier: 1, reference: 1 }, { unique: true });
+codRemittanceSchema.index({ status: 1, remittedAt: -1 });
+codRemittanceSchema.index({ 'lines.order': 1 });
+
+module.exports = mongoose.model('CodRemittance', codRemittanceSchema);
+module.exports.REMITTANCE_MATCH_STATUSES = REMITTANCE_MATCH_STATUSES;
@@ -0,0 +1,30 @@
+// models/Counter.js
+
+const mongoose = require('mongoose');
+
+// One counter per document sequence (orders, invoices, ...) per financial year
+const CounterSchema = new mongoose.Schema(
+  {
+    sequence: {
+      type: String,
+      required: [true, 'Counter must name its sequence'],
+      trim: true,
+    },
+    // Financial year the counter belongs to, e.g. 'FY26'
+    period: {
+      type: String,
+      required: [true, 'Counter must name its period'],
+      trim: true,
+    },
+    value: {
+      type: Number,
+      default: 0,
+      min: [0, 'Counter value cannot be negative'],
+    },
+  },
+  { timestamps: true }
+);
+
+CounterSchema.index({ sequence: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model('Counter', CounterSchema);
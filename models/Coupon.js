@@ -22,6 +22,10 @@ const CouponSchema = new mongoose.Schema(
       enum: ['percentage', 'fixed'],
       required: [true, 'Please specify the discount type'],
     },
+    startDate: {
+      type: Date,
+      default: null, // null means valid immediately
+    },
     expirationDate: {
       type: Date,
       required: [true, 'Please add an expiration date'],
@@ -42,6 +46,31 @@ const CouponSchema = new mongoose.Schema(
       default: 0,
       min: [0, 'Used count cannot be negative'],
     },
+    perUserLimit: {
+      type: Number,
+      default: null, // null means unlimited uses per customer
+      min: [1, 'Per-user limit must be at least 1 if specified'],
+    },
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum order value cannot be negative'],
+    },
+    maxDiscount: {
+      type: Number,
+      default: null, // null means no cap
+      min: [0, 'Maximum discount cannot be negative'],
+    },
+    firstOrderOnly: {
+      type: Boolean,
+      default: false,
+    },
+    // Restricts the coupon to one customer (e.g. cart recovery coupons); null means anyone
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -71,9 +100,22 @@ CouponSchema.virtual('isExpired').get(function () {
   return this.expirationDate < Date.now();
 });
 
+// Virtual to check if coupon has not started yet
+CouponSchema.virtual('isScheduled').get(function () {
+  return Boolean(this.startDate) && this.startDate > Date.now();
+});
+
+// Virtual to check if coupon is limited to certain products or categories
+CouponSchema.virtual('isScoped').get(function () {
+  return (
+    (this.applicableProducts && this.applicableProducts.length > 0) ||
+    (this.applicableCategories && this.applicableCategories.length > 0)
+  );
+});
+
 // Method to apply coupon to the order total with validation
 CouponSchema.methods.applyCoupon = function (orderTotal) {
-  if (!this.isActive || this.isExpired) {
+  if (!this.isActive || this.isExpired || this.isScheduled) {
     return { success: false, discount: 0, message: 'Coupon is not applicable' };
   }
 
@@ -96,6 +138,9 @@ CouponSchema.statics.canApplyCoupon = function (coupon) {
   if (coupon.isExpired) {
     return { success: false, message: 'Coupon has expired' };
   }
+  if (coupon.startDate && coupon.startDate > Date.now()) {
+    return { success: false, message: 'Coupon is not active yet' };
+  }
   if (coupon.maxUses !== null && coupon.usedCount >= coupon.maxUses) {
     return { success: false, message: 'Coupon has reached its maximum number of uses' };
   }
@@ -110,6 +155,9 @@ CouponSchema.pre('save', function (next) {
   if (this.isModified('expirationDate') && this.expirationDate < Date.now()) {
     return next(new Error('Expiration date cannot be in the past'));
   }
+  if (this.startDate && this.startDate >= this.expirationDate) {
+    return next(new Error('Start date must be before the expiration date'));
+  }
   next();
 });
 
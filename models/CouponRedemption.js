@@ -0,0 +1,51 @@
+// models/CouponRedemption.js
+
+const mongoose = require('mongoose');
+
+// One redemption per coupon per order; used to enforce per-customer usage limits
+const CouponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: [true, 'Redemption must reference a coupon'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Redemption must reference a user'],
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Redemption must reference an order'],
+    },
+    code: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+    },
+    // Which of the coupon's per-customer uses this is (0-based); only set when the coupon has a perUserLimit
+    slot: {
+      type: Number,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Indexes for per-user limit checks and to prevent double redemption on one order
+CouponRedemptionSchema.index({ coupon: 1, user: 1 });
+CouponRedemptionSchema.index({ coupon: 1, order: 1 }, { unique: true });
+// A customer can hold each per-user slot once, so concurrent checkouts cannot exceed perUserLimit
+CouponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $type: 'number' } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', CouponRedemptionSchema);
@@ -0,0 +1,121 @@
+// models/Invoice.js
+
+const mongoose = require('mongoose');
+
+const INVOICE_TYPES = ['invoice', 'credit_note'];
+
+// Postal address as printed on the document
+const InvoiceAddressSchema = new mongoose.Schema(
+  {
+    street: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    zip: { type: String, trim: true },
+    country: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+// One taxed line of an invoice or credit note
+const InvoiceLineSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    description: { type: String, required: true, trim: true },
+    hsnCode: { type: String, trim: true, default: null },
+    quantity: { type: Number, required: true, min: 0 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    discount: { type: Number, default: 0, min: 0 },
+    taxableValue: { type: Number, required: true, min: 0 },
+    taxRate: { type: Number, default: 0, min: 0 },
+    cgst: { type: Number, default: 0, min: 0 },
+    sgst: { type: Number, default: 0, min: 0 },
+    igst: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// Tax invoice or credit note issued for an order
+const InvoiceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: INVOICE_TYPES,
+      required: true,
+    },
+    // Sequential document number (separate sequences for invoices and credit notes)
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    orderNumber: { type: String, trim: true },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Credit notes reference the invoice they adjust
+    relatedInvoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      default: null,
+    },
+    relatedInvoiceNumber: { type: String, trim: true, default: null },
+    issuedAt: { type: Date, default: Date.now },
+    seller: {
+      name: { type: String, required: true, trim: true },
+      gstin: { type: String, trim: true, default: null },
+      address: { type: InvoiceAddressSchema, default: () => ({}) },
+    },
+    buyer: {
+      name: { type: String, trim: true },
+      email: { type: String, trim: true },
+      gstin: { type: String, trim: true, default: null },
+      billingAddress: { type: InvoiceAddressSchema, default: () => ({}) },
+      shippingAddress: { type: InvoiceAddressSchema, default: () => ({}) },
+    },
+    placeOfSupply: { type: String, trim: true },
+    // intra_state: CGST + SGST; inter_state: IGST
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state'],
+      required: true,
+    },
+    lines: { type: [InvoiceLineSchema], default: [] },
+    totals: {
+      taxableValue: { type: Number, default: 0 },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      shipping: { type: Number, default: 0 },
+      grandTotal: { type: Number, default: 0 },
+    },
+    currency: { type: String, uppercase: true, trim: true, default: 'INR' },
+    reason: { type: String, trim: true, maxlength: 500 },
+    footerNote: { type: String, trim: true },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for the total tax on the document
+InvoiceSchema.virtual('totalTax').get(function () {
+  return this.totals.cgst + this.totals.sgst + this.totals.igst;
+});
+
+// An order has at most one tax invoice; credit notes can be issued repeatedly
+InvoiceSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+InvoiceSchema.index({ order: 1, type: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', InvoiceSchema);
+module.exports.INVOICE_TYPES = INVOICE_TYPES;
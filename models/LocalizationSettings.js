@@ -1,5 +1,24 @@
 const mongoose = require('mongoose');
 
+// State/province level tax rate that overrides the region rate
+const StateTaxRateSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true, // State code or name as entered on addresses (e.g., 'CA', 'MAHARASHTRA')
+    },
+    taxRate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    },
+  },
+  { _id: false }
+);
+
 const LocalizationSettingsSchema = new mongoose.Schema(
   {
     region: {
@@ -37,6 +56,10 @@ const LocalizationSettingsSchema = new mongoose.Schema(
       max: 100,
       default: 0, // Default tax rate as a percentage
     },
+    stateTaxRates: {
+      type: [StateTaxRateSchema],
+      default: [],
+    },
     customSettings: {
       type: Map,
       of: String, // Flexible key-value pairs for additional custom settings
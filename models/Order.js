@@ -3,6 +3,9 @@
 const mongoose = require('mongoose');
 const ORDER_STATUS = require('../constants/orderStatus'); // Order status constants
 const AddressSchema = require('./Address'); // Import the AddressSchema
+const AppliedPromotionSchema = require('./AppliedPromotion');
+const { roundCurrency } = require('../utils/money');
+const { SEQUENCES, nextSequenceNumber } = require('../services/sequenceService');
 
 // Order Item Schema
 const OrderItemSchema = new mongoose.Schema(
@@ -12,6 +15,12 @@ const OrderItemSchema = new mongoose.Schema(
       ref: 'Product',
       required: [true, 'Please add a product'],
     },
+    // SKU (product variant) ordered; null on orders placed before SKUs existed
+    sku: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Size and packaging of the SKU when ordered
     variant: {
       type: String,
       required: [true, 'Please add a variant'],
@@ -30,6 +39,71 @@ const OrderItemSchema = new mongoose.Schema(
       required: [true, 'Please add price'],
       min: [0, 'Price cannot be negative'],
     },
+    // Share of the coupon discount applied to this line
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+    },
+    // Automatic promotion discount applied to this line
+    promotionDiscount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Promotion discount cannot be negative'],
+    },
+  },
+  { _id: false }
+);
+
+// Status History Entry Schema (one entry per lifecycle transition)
+const StatusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: Object.values(ORDER_STATUS),
+      required: true,
+    },
+    previousStatus: {
+      type: String,
+      enum: [...Object.values(ORDER_STATUS), null],
+      default: null,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    actorType: {
+      type: String,
+      enum: ['customer', 'admin', 'system'],
+      default: 'system',
+    },
+    reason: { type: String, trim: true, default: null },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Cash on delivery tracking: delivery OTP, cash collection and courier remittance
+const CodSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['pending', 'out_for_delivery', 'collected', 'refused', 'remitted'],
+      default: 'pending',
+    },
+    // SHA-256 of the OTP the customer reads out to the courier
+    deliveryOtpHash: { type: String, default: null, select: false },
+    deliveryOtpExpiresAt: { type: Date, default: null },
+    otpSentAt: { type: Date, default: null },
+    otpAttempts: { type: Number, default: 0 },
+    collectedAmount: { type: Number, default: null, min: [0, 'Collected amount cannot be negative'] },
+    collectedAt: { type: Date, default: null },
+    collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    refusedAt: { type: Date, default: null },
+    refusalReason: { type: String, trim: true, default: null },
+    remittance: { type: mongoose.Schema.Types.ObjectId, ref: 'CodRemittance', default: null },
+    remittedAt: { type: Date, default: null },
   },
   { _id: false }
 );
@@ -37,13 +111,11 @@ const OrderItemSchema = new mongoose.Schema(
 // Main Order Schema
 const OrderSchema = new mongoose.Schema(
   {
+    // Sequential per financial year (e.g. 10X/FY26/000123); assigned on first save
     orderNumber: {
       type: String,
       unique: true,
       trim: true,
-      default: function () {
-        return `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-      },
     },
     customer: {
       type: mongoose.Schema.Types.ObjectId,
@@ -77,10 +149,18 @@ const OrderSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ['paid', 'pending', 'failed', 'refunded'],
+      enum: ['paid', 'pending', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending',
     },
     shippingAddress: { type: AddressSchema, required: true },
+    // Buyer's GST registration, printed on the tax invoice when given
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Please provide a valid GSTIN'],
+      default: null,
+    },
     billingAddress: { type: AddressSchema, required: true },
     discount: {
       type: Number,
@@ -98,11 +178,37 @@ const OrderSchema = new mongoose.Schema(
       trim: true,
       default: null,
     },
+    // Breakdown of `discount`: automatic promotions are applied first, then the coupon, then subscribe & save
+    couponDiscount: { type: Number, default: 0, min: [0, 'Coupon discount cannot be negative'] },
+    promotionDiscount: { type: Number, default: 0, min: [0, 'Promotion discount cannot be negative'] },
+    subscriptionDiscount: { type: Number, default: 0, min: [0, 'Subscription discount cannot be negative'] },
+    appliedPromotions: { type: [AppliedPromotionSchema], default: [] },
+    // Price breakdown: grandTotal = subtotal - discount + taxAmount + shippingAmount
+    subtotal: { type: Number, default: 0, min: [0, 'Subtotal cannot be negative'] },
+    taxRate: { type: Number, default: 0, min: [0, 'Tax rate cannot be negative'] },
+    taxAmount: { type: Number, default: 0, min: [0, 'Tax amount cannot be negative'] },
+    shippingAmount: { type: Number, default: 0, min: [0, 'Shipping amount cannot be negative'] },
+    grandTotal: { type: Number, default: 0, min: [0, 'Grand total cannot be negative'] },
     paymentDetails: {
       transactionId: { type: String, default: null, trim: true },
       fee: { type: Number, default: 0, min: [0, 'Fee cannot be negative'] },
     },
     cancellationReason: { type: String, default: null }, // Added for cancellation reason
+    // Only set on cash on delivery orders
+    cod: { type: CodSchema, default: undefined },
+    // Set on free replacement orders created to close a return
+    replacementFor: { type: mongoose.Schema.Types.ObjectId, ref: 'Return', default: null },
+    // Set on orders generated by a subscription renewal
+    subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', default: null },
+    // Set when a paid order's stock could not be taken (its hold lapsed and the units sold);
+    // the order stays out of processing until an admin refunds or restocks it
+    stockShortfall: {
+      detectedAt: { type: Date, default: null },
+      reason: { type: String, default: null },
+    },
+    statusHistory: { type: [StatusHistorySchema], default: [] },
+    shippingDate: { type: Date, default: null },
+    deliveryDate: { type: Date, default: null },
   },
   {
     timestamps: true,
@@ -125,16 +231,33 @@ OrderSchema.methods.calculateTotal = function () {
     return acc + item.price * item.quantity;
   }, 0);
 
-  // Discount is handled elsewhere; ensure finalAmount is accurate
+  // Discount, tax and shipping are priced elsewhere; keep the breakdown consistent with the items
   this.finalAmount = this.totalAmount - this.discount;
+  this.subtotal = this.totalAmount;
+  this.grandTotal = roundCurrency(Math.max(this.totalAmount - this.discount, 0) + this.taxAmount + this.shippingAmount);
 };
 
 // Pre-save hook to calculate total amount and assign order number if not provided
 OrderSchema.pre('save', async function (next) {
   if (!this.orderNumber) {
-    this.orderNumber = `ORD-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    const { number } = await nextSequenceNumber(SEQUENCES.ORDER, { date: this.createdAt || new Date() });
+    this.orderNumber = number;
   }
   this.calculateTotal();
+
+  // Seed the timeline with the initial status
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, actorType: 'system', changedAt: new Date() });
+  }
+
+  // Status changes must go through the order lifecycle service, which records them
+  if (!this.isNew && this.isModified('status')) {
+    const lastEntry = this.statusHistory[this.statusHistory.length - 1];
+    if (!lastEntry || lastEntry.status !== this.status) {
+      return next(new Error(`Order status change to '${this.status}' was not recorded through the order lifecycle.`));
+    }
+  }
+
   next();
 });
 
@@ -142,5 +265,7 @@ OrderSchema.pre('save', async function (next) {
 OrderSchema.index({ orderNumber: 1 });
 OrderSchema.index({ customer: 1, status: 1 });
 OrderSchema.index({ 'shippingAddress.country': 1, 'billingAddress.country': 1 });
+OrderSchema.index({ customer: 1, 'cod.status': 1 });
+OrderSchema.index({ subscription: 1, createdAt: -1 });
 
 module.exports = mongoose.model('Order', OrderSchema);
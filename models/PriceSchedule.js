@@ -0,0 +1,110 @@
+// models/PriceSchedule.js
+
+const mongoose = require('mongoose');
+const createHttpError = require('../utils/httpError');
+
+// sale: a time-boxed sale shown with a countdown; price_change: a quiet scheduled price change
+const PRICE_SCHEDULE_KINDS = ['sale', 'price_change'];
+// percentage: taken off the SKU price; fixed_price: the price of every SKU covered (capped at the SKU price)
+const PRICE_DISCOUNT_TYPES = ['percentage', 'fixed_price'];
+// scheduled: waiting to start; applied: written to its products by the price scheduler;
+// ended: past its end date and removed again; cancelled: deactivated and removed
+const PRICE_SCHEDULE_STATUSES = ['scheduled', 'applied', 'ended', 'cancelled'];
+
+// Products a price schedule covers: the listed products, every product in the categories
+// (subcategories included) and every product with one of the tags
+const PriceScheduleTargetSchema = new mongoose.Schema(
+  {
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    tags: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Tag' }],
+  },
+  { _id: false }
+);
+
+// Price Schedule Schema
+const PriceScheduleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a name'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    kind: {
+      type: String,
+      enum: PRICE_SCHEDULE_KINDS,
+      default: 'sale',
+    },
+    targets: { type: PriceScheduleTargetSchema, default: () => ({}) },
+    discountType: {
+      type: String,
+      enum: PRICE_DISCOUNT_TYPES,
+      required: [true, 'Please specify the discount type'],
+    },
+    value: {
+      type: Number,
+      required: [true, 'Please add a discount value'],
+      min: [0, 'Value cannot be negative'],
+    },
+    startDate: { type: Date, required: [true, 'Please add a start date'] },
+    endDate: { type: Date, required: [true, 'Please add an end date'] },
+    // When schedules overlap on a product, the highest priority one sets the price
+    priority: { type: Number, default: 0 },
+    // Deactivating a schedule cancels it; the scheduler then removes it from its products
+    isActive: { type: Boolean, default: true },
+    // Kept by the price scheduler
+    status: {
+      type: String,
+      enum: PRICE_SCHEDULE_STATUSES,
+      default: 'scheduled',
+    },
+    productCount: { type: Number, default: 0 }, // Products the schedule was last applied to
+    appliedAt: { type: Date, default: null },
+    revertedAt: { type: Date, default: null },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual to check if the schedule is running right now
+PriceScheduleSchema.virtual('isRunning').get(function () {
+  const now = Date.now();
+  return this.isActive && this.startDate <= now && this.endDate > now;
+});
+
+// Validate the dates, value and targets
+PriceScheduleSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.startDate >= this.endDate) {
+    return next(createHttpError(400, 'Start date must be before the end date'));
+  }
+  if (this.discountType === 'percentage' && this.value > 100) {
+    return next(createHttpError(400, 'A percentage discount cannot exceed 100%'));
+  }
+  const { products = [], categories = [], tags = [] } = this.targets || {};
+  if (products.length + categories.length + tags.length === 0) {
+    return next(createHttpError(400, 'Target at least one product, category or tag'));
+  }
+  next();
+});
+
+// Indexes for the scheduler's lookups
+PriceScheduleSchema.index({ status: 1, startDate: 1 });
+PriceScheduleSchema.index({ status: 1, endDate: 1 });
+
+module.exports = mongoose.model('PriceSchedule', PriceScheduleSchema);
+module.exports.PRICE_SCHEDULE_KINDS = PRICE_SCHEDULE_KINDS;
+module.exports.PRICE_DISCOUNT_TYPES = PRICE_DISCOUNT_TYPES;
+module.exports.PRICE_SCHEDULE_STATUSES = PRICE_SCHEDULE_STATUSES;
@@ -2,29 +2,156 @@
 
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const { buildTrigrams } = require('../utils/searchText');
+const { resolveEffectivePrice } = require('../utils/effectivePrice');
+const { PRICE_SCHEDULE_KINDS, PRICE_DISCOUNT_TYPES } = require('./PriceSchedule');
 
-// Variant Schema
+const PACKAGING_TYPES = ['Bottle', 'Box', 'Canister']; // Modify based on actual packaging types
+
+/**
+ * Check a GS1 barcode (EAN-8, UPC-A, EAN-13 or GTIN-14) including its check digit.
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidGtin(value) {
+  if (value === null || value === undefined) return true;
+  if (!/^(\d{8}|\d{12,14})$/.test(value)) return false;
+  const digits = value.split('').map(Number);
+  const checkDigit = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === checkDigit;
+}
+
+// Longest SKU code (see VariantSchema.sku)
+const SKU_CODE_MAX_LENGTH = 40;
+
+// Upper-case letters and digits joined by single dashes
+const toSkuCode = (value) =>
+  String(value)
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Default SKU code for a variant: product slug, size and packaging (e.g. WHEY-PROTEIN-1KG-CANISTER).
+ * Codes that would be too long keep the start of the slug and end in the last six characters
+ * of the product ID, so products sharing a long slug prefix still get different codes.
+ * @param {Object} product - { _id?, slug?, title }
+ * @param {Object} variant - { size, packaging }
+ * @returns {string}
+ */
+function buildSkuCode(product, variant) {
+  const slug = product.slug || slugify(product.title || '', { lower: true, strict: true });
+  const code = toSkuCode(`${slug}-${variant.size}-${variant.packaging}`);
+  if (code.length <= SKU_CODE_MAX_LENGTH || !product._id) {
+    return code.slice(0, SKU_CODE_MAX_LENGTH).replace(/-+$/, '');
+  }
+
+  const suffix = String(product._id).slice(-6).toUpperCase();
+  const tail = toSkuCode(`${variant.size}-${variant.packaging}`);
+  const slugLength = Math.max(SKU_CODE_MAX_LENGTH - tail.length - suffix.length - 2, 0);
+  const base = toSkuCode(slug).slice(0, slugLength).replace(/-+$/, '');
+  return [base, tail, suffix]
+    .filter(Boolean)
+    .join('-')
+    .slice(-SKU_CODE_MAX_LENGTH)
+    .replace(/^-+/, '');
+}
+
+/**
+ * Expand sizes listed separately from packaging types (the layout before SKUs) into one SKU
+ * per size and packaging. Price and weight carry over to every packaging of a size; the size's
+ * stock goes to its first packaging so no units are counted twice.
+ * @param {Array<Object>} variants - [{ size, price, stock, weight? }]
+ * @param {Array<string>} packaging - Packaging types offered for every size.
+ * @returns {Array<Object>} - [{ size, packaging, price, stock, weight }]
+ */
+function buildSkuMatrix(variants, packaging) {
+  const types = packaging && packaging.length > 0 ? packaging : [PACKAGING_TYPES[0]];
+  return variants.flatMap((variant) =>
+    types.map((type, index) => ({
+      size: variant.size,
+      packaging: type,
+      price: variant.price,
+      stock: index === 0 ? variant.stock : 0,
+      weight: variant.weight || 0,
+    }))
+  );
+}
+
+// Variant Schema: one sellable SKU, a combination of size and packaging
 const VariantSchema = new mongoose.Schema(
   {
+    // Stock keeping unit code, unique across the catalogue (generated when left out)
+    sku: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9][A-Z0-9-]{1,39}$/, 'SKU must be 2 to 40 letters, digits or dashes'],
+    },
     size: {
       type: String,
       required: [true, 'Variant size is required'],
       trim: true,
       maxlength: [20, 'Size cannot exceed 20 characters'],
     },
+    packaging: {
+      type: String,
+      required: [true, 'Variant packaging is required'],
+      enum: PACKAGING_TYPES,
+    },
+    // EAN/UPC/GTIN printed on the pack
+    barcode: {
+      type: String,
+      trim: true,
+      default: null,
+      validate: [isValidGtin, 'Barcode must be a valid EAN-8, UPC-A, EAN-13 or GTIN-14'],
+    },
     price: {
       type: Number,
       required: [true, 'Price is required'],
       min: [0, 'Price cannot be negative'],
     },
+    // Former or reference price shown struck through
+    compareAtPrice: {
+      type: Number,
+      min: [0, 'Compare-at price cannot be negative'],
+      default: null,
+      validate: {
+        validator: function (v) {
+          return v === null || v === undefined || v >= this.price;
+        },
+        message: 'Compare-at price cannot be lower than the price',
+      },
+    },
     stock: {
       type: Number,
       required: true,
       min: [0, 'Stock cannot be negative'],
       default: 0,
     },
-  },
-  { _id: false }
+    // Shipping weight of one unit in grams
+    weight: {
+      type: Number,
+      min: [0, 'Weight cannot be negative'],
+      default: 0,
+    },
+    // Package dimensions in centimetres
+    dimensions: {
+      length: { type: Number, min: [0, 'Length cannot be negative'], default: null },
+      width: { type: Number, min: [0, 'Width cannot be negative'], default: null },
+      height: { type: Number, min: [0, 'Height cannot be negative'], default: null },
+    },
+    images: [
+      {
+        type: String,
+        trim: true,
+        match: [/^https?:\/\/.+\.(jpg|jpeg|png|gif)$/i, 'Please enter a valid image URL'],
+      },
+    ],
+  }
 );
 
 // Accordion Schema
@@ -52,11 +179,32 @@ const AccordionSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// A price schedule applied to the product by the price scheduler (copied from PriceSchedule
+// so prices resolve without a lookup; see utils/effectivePrice)
+const PriceOverrideSchema = new mongoose.Schema(
+  {
+    schedule: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceSchedule', required: true },
+    kind: { type: String, enum: PRICE_SCHEDULE_KINDS, required: true },
+    discountType: { type: String, enum: PRICE_DISCOUNT_TYPES, required: true },
+    value: { type: Number, required: true, min: 0 },
+    priority: { type: Number, default: 0 },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
 // Custom Validators
 function arrayLimit(val) {
   return val.length > 0;
 }
 
+function uniqueVariants(variants) {
+  const combinations = new Set(variants.map((v) => `${String(v.size).toLowerCase()}:${v.packaging}`));
+  const codes = new Set(variants.filter((v) => v.sku).map((v) => v.sku));
+  return combinations.size === variants.length && codes.size === variants.filter((v) => v.sku).length;
+}
+
 // Product Schema
 const ProductSchema = new mongoose.Schema(
   {
@@ -99,10 +247,16 @@ const ProductSchema = new mongoose.Schema(
       max: [5, 'Rating cannot exceed 5'],
     },
     category: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
       required: [true, 'Product category is required'],
-      trim: true,
-      enum: ['Beverages', 'Snacks', 'Health', 'Other'], // Modify categories based on actual needs
+      validate: {
+        validator: async function (v) {
+          const Category = mongoose.model('Category');
+          return await Category.exists({ _id: v, type: 'product' });
+        },
+        message: 'Category must be an existing product category.',
+      },
     },
     thumbnail: {
       type: String,
@@ -128,15 +282,29 @@ const ProductSchema = new mongoose.Schema(
     variants: {
       type: [VariantSchema],
       required: [true, 'At least one variant is required'],
-      validate: [arrayLimit, '{PATH} must have at least one variant'],
+      validate: [
+        { validator: arrayLimit, message: '{PATH} must have at least one variant' },
+        {
+          validator: uniqueVariants,
+          message: 'Each size and packaging combination and each SKU code can only be used once',
+        },
+      ],
       default: [], // Ensure variants is always an array
     },
+    // Packaging types offered, derived from the variants
     packaging: {
       type: [String],
       required: [true, 'At least one packaging type is required'],
-      enum: ['Bottle', 'Box', 'Canister'], // Modify based on actual packaging types
+      enum: PACKAGING_TYPES,
       default: [], // Ensure packaging is always an array
     },
+    // Harmonized System of Nomenclature code printed on GST invoices
+    hsnCode: {
+      type: String,
+      trim: true,
+      match: [/^\d{4,8}$/, 'HSN code must be 4 to 8 digits'],
+      default: null,
+    },
     accordion: {
       type: AccordionSchema,
       required: [true, 'Accordion information is required'],
@@ -158,6 +326,29 @@ const ProductSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Scheduled price changes and sales, kept by the price scheduler
+    priceOverrides: {
+      type: [PriceOverrideSchema],
+      default: [],
+    },
+    // Units in recent shipped and delivered orders, refreshed by the best-sellers job
+    unitsSold: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Search fields maintained on save: tag and category names (both are references and
+    // cannot be text indexed) and trigrams of the title, brand and tags for typo-tolerant matching
+    searchKeywords: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    searchTrigrams: {
+      type: [String],
+      default: [],
+      select: false,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -170,7 +361,7 @@ const ProductSchema = new mongoose.Schema(
   }
 );
 
-// Virtual for discounted price per variant with defensive programming
+// Virtual for the price each variant sells for now (see resolveEffectivePrice)
 ProductSchema.virtual('discountedPrices').get(function () {
   if (!Array.isArray(this.variants)) {
     // Log a warning if variants is not an array
@@ -180,10 +371,55 @@ ProductSchema.virtual('discountedPrices').get(function () {
 
   return this.variants.map((variant) => ({
     size: variant.size,
-    discountedPrice: variant.price - (variant.price * this.discountPercentage) / 100,
+    discountedPrice: resolveEffectivePrice(this, variant),
   }));
 });
 
+// Fill in missing SKU codes and derive the packaging types from the variants
+ProductSchema.pre('validate', function (next) {
+  if (Array.isArray(this.variants)) {
+    this.variants.forEach((variant) => {
+      if (!variant.sku && variant.size && variant.packaging) {
+        variant.sku = buildSkuCode(this, variant);
+      }
+    });
+    this.packaging = [...new Set(this.variants.map((variant) => variant.packaging).filter(Boolean))];
+  }
+  next();
+});
+
+/**
+ * Find a SKU (variant) of a product document or plain object by its ID.
+ * @param {Object} product
+ * @param {string} skuId
+ * @returns {Object|undefined}
+ */
+ProductSchema.statics.findSku = function (product, skuId) {
+  return (product.variants || []).find((variant) => variant._id && String(variant._id) === String(skuId));
+};
+
+/**
+ * Keep the IDs of existing SKUs when a product's variants are replaced: an incoming variant
+ * without an _id takes the ID of the existing SKU with the same code, or the same size and
+ * packaging, so carts, orders and wishlists keep pointing at it.
+ * @param {Object} product - Product before the update.
+ * @param {Array<Object>} variants - Replacement variants.
+ * @returns {Array<Object>}
+ */
+ProductSchema.statics.keepSkuIds = function (product, variants) {
+  const existing = product.variants || [];
+  return variants.map((variant) => {
+    if (variant._id) return variant;
+    const match =
+      (variant.sku && existing.find((current) => current.sku === String(variant.sku).toUpperCase())) ||
+      existing.find(
+        (current) =>
+          current.size.toLowerCase() === String(variant.size).toLowerCase() && current.packaging === variant.packaging
+      );
+    return match ? { ...variant, _id: match._id } : variant;
+  });
+};
+
 // Slug generation pre-save
 ProductSchema.pre('save', function (next) {
   if (!this.slug) {
@@ -192,8 +428,48 @@ ProductSchema.pre('save', function (next) {
   next();
 });
 
-// Indexes for optimized search
-ProductSchema.index({ title: 'text', description: 'text' });
+// Keep the search fields in step with the searchable text
+ProductSchema.pre('save', async function () {
+  const searchPaths = ['title', 'brand', 'tags', 'category'];
+  if (!this.isNew && !searchPaths.some((path) => this.isModified(path))) {
+    return;
+  }
+  const Tag = mongoose.model('Tag');
+  const Category = mongoose.model('Category');
+  const [tags, categoryPath] = await Promise.all([
+    Tag.find({ _id: { $in: this.tags } }).select('name').lean(),
+    this.category ? Category.getPath(this.category) : [],
+  ]);
+  const tagNames = tags.map((tag) => tag.name);
+  // Products are found by the names of their category and its parents
+  this.searchKeywords = [...tagNames, ...categoryPath.map((category) => category.name)];
+  this.searchTrigrams = buildTrigrams(this.title, this.brand, tagNames);
+});
+
+// Indexes for optimized search (relevance weights: title > brand > tag and category names > description).
+// Only one text index is allowed per collection, so an older one must be dropped (Product.syncIndexes()).
+ProductSchema.index(
+  { title: 'text', brand: 'text', searchKeywords: 'text', description: 'text' },
+  {
+    name: 'ProductSearchIndex',
+    weights: { title: 10, brand: 6, searchKeywords: 4, description: 1 },
+  }
+);
+ProductSchema.index({ searchTrigrams: 1 });
 ProductSchema.index({ category: 1, isActive: 1 });
+// Catalogue sorts (cursor pagination pages on the sort field, then _id)
+ProductSchema.index({ createdAt: -1, _id: -1 });
+ProductSchema.index({ rating: -1, _id: -1 });
+ProductSchema.index({ unitsSold: -1, _id: -1 });
+ProductSchema.index({ 'variants.price': 1 });
+ProductSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $type: 'string' } } });
+ProductSchema.index(
+  { 'variants.barcode': 1 },
+  { unique: true, partialFilterExpression: { 'variants.barcode': { $type: 'string' } } }
+);
 
 module.exports = mongoose.model('Product', ProductSchema);
+module.exports.PACKAGING_TYPES = PACKAGING_TYPES;
+module.exports.buildSkuCode = buildSkuCode;
+module.exports.buildSkuMatrix = buildSkuMatrix;
+module.exports.isValidGtin = isValidGtin;
@@ -0,0 +1,48 @@
+// models/ProductImport.js
+
+const mongoose = require('mongoose');
+
+const IMPORT_STATUSES = ['queued', 'processing', 'completed', 'failed'];
+
+// Row of the file that could not be imported, and why
+const ImportErrorSchema = new mongoose.Schema(
+  {
+    row: { type: Number, required: true }, // Line number in the file (the header is line 1)
+    field: { type: String, default: null }, // Column, or null for the whole product
+    message: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// One upload of a product CSV/XLSX file and the result of importing (or dry-running) it
+const productImportSchema = new mongoose.Schema(
+  {
+    fileName: { type: String, trim: true, required: true },
+    format: { type: String, enum: ['csv', 'xlsx'], required: true },
+    // Validated and reported only; nothing is written
+    dryRun: { type: Boolean, default: false },
+    status: { type: String, enum: IMPORT_STATUSES, default: 'queued' },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Uploaded file, kept until the import has run
+    file: { type: Buffer, select: false, default: null },
+    summary: {
+      rows: { type: Number, default: 0 },
+      products: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    rowErrors: { type: [ImportErrorSchema], default: [] },
+    // More errors than are stored in `rowErrors`
+    rowErrorsTruncated: { type: Boolean, default: false },
+    error: { type: String, default: null },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+productImportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ProductImport', productImportSchema);
+module.exports.IMPORT_STATUSES = IMPORT_STATUSES;
@@ -0,0 +1,168 @@
+// models/Promotion.js
+
+const mongoose = require('mongoose');
+const createHttpError = require('../utils/httpError');
+
+// Which cart lines a promotion looks at (empty lists match everything)
+const PromotionTargetSchema = new mongoose.Schema(
+  {
+    products: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+      },
+    ],
+    variants: [{ type: String, trim: true }],
+    packaging: [{ type: String, trim: true }],
+  },
+  { _id: false }
+);
+
+// Spend threshold for tiered promotions
+const PromotionTierSchema = new mongoose.Schema(
+  {
+    minSubtotal: {
+      type: Number,
+      required: [true, 'Tier minimum subtotal is required'],
+      min: [0, 'Tier minimum subtotal cannot be negative'],
+    },
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      default: 'percentage',
+    },
+    value: {
+      type: Number,
+      required: [true, 'Tier discount value is required'],
+      min: [0, 'Tier discount value cannot be negative'],
+    },
+  },
+  { _id: false }
+);
+
+// One component of a bundle
+const BundleItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Bundle item must reference a product'],
+    },
+    variant: { type: String, trim: true, default: null }, // null matches any variant
+    quantity: {
+      type: Number,
+      default: 1,
+      min: [1, 'Bundle item quantity must be at least 1'],
+    },
+  },
+  { _id: false }
+);
+
+// Promotion Schema
+const PromotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a promotion name'],
+      trim: true,
+      maxlength: [100, 'Promotion name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    // bogo: buy X get Y; tiered: spend thresholds; bundle: fixed price for a set of variants
+    type: {
+      type: String,
+      enum: ['bogo', 'tiered', 'bundle'],
+      required: [true, 'Please specify the promotion type'],
+    },
+    isActive: { type: Boolean, default: true },
+    startDate: { type: Date, default: null },
+    endDate: { type: Date, default: null },
+    // Higher priority promotions are applied first
+    priority: { type: Number, default: 0 },
+    // Exclusive promotions stop any further promotions once applied
+    exclusive: { type: Boolean, default: false },
+    // Whether coupon codes can be used on an order this promotion applied to
+    combinableWithCoupons: { type: Boolean, default: true },
+    // Maximum times a bogo/bundle offer applies to one cart (null = unlimited)
+    maxApplicationsPerOrder: {
+      type: Number,
+      default: null,
+      min: [1, 'Max applications must be at least 1 if specified'],
+    },
+    targets: { type: PromotionTargetSchema, default: () => ({}) },
+
+    // bogo
+    buyQuantity: { type: Number, min: [1, 'Buy quantity must be at least 1'] },
+    getQuantity: { type: Number, min: [1, 'Get quantity must be at least 1'] },
+    getDiscountPercent: {
+      type: Number,
+      default: 100,
+      min: [0, 'Discount cannot be negative'],
+      max: [100, 'Discount cannot exceed 100%'],
+    },
+
+    // tiered
+    tiers: { type: [PromotionTierSchema], default: [] },
+
+    // bundle
+    bundleItems: { type: [BundleItemSchema], default: [] },
+    bundlePrice: { type: Number, min: [0, 'Bundle price cannot be negative'] },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual to check if the promotion is running right now
+PromotionSchema.virtual('isRunning').get(function () {
+  const now = Date.now();
+  return (
+    this.isActive &&
+    (!this.startDate || this.startDate <= now) &&
+    (!this.endDate || this.endDate > now)
+  );
+});
+
+// Validate the fields each promotion type needs
+PromotionSchema.pre('validate', function (next) {
+  if (this.type === 'bogo' && (!this.buyQuantity || !this.getQuantity)) {
+    return next(createHttpError(400, 'BOGO promotions require buyQuantity and getQuantity'));
+  }
+  if (this.type === 'tiered' && this.tiers.length === 0) {
+    return next(createHttpError(400, 'Tiered promotions require at least one tier'));
+  }
+  if (this.type === 'bundle' && (this.bundleItems.length === 0 || this.bundlePrice === undefined)) {
+    return next(createHttpError(400, 'Bundle promotions require bundleItems and bundlePrice'));
+  }
+  if (this.startDate && this.endDate && this.startDate >= this.endDate) {
+    return next(createHttpError(400, 'Start date must be before the end date'));
+  }
+  next();
+});
+
+// Static method to fetch promotions running at a given time, highest priority first
+PromotionSchema.statics.findRunning = function (now = new Date()) {
+  return this.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+      { $or: [{ endDate: null }, { endDate: { $gt: now } }] },
+    ],
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+// Indexes for the running-promotions lookup
+PromotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('Promotion', PromotionSchema);
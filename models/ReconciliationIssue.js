@@ -0,0 +1,35 @@
+// models/ReconciliationIssue.js
+
+const mongoose = require('mongoose');
+
+// Kinds of mismatch the reconciliation reports
+const RECONCILIATION_ISSUE_TYPES = [
+  'missing_capture', // Order marked paid without a settled charge
+  'amount_mismatch', // Charge, refund or settlement amount differs from what it should be
+  'orphan_transaction', // Ledger entry without its order, or settlement line without a ledger entry
+  'stale_pending', // Online payment still pending after the grace period
+  'missing_settlement', // Settled charge absent from the gateway's settlement report
+];
+
+const reconciliationIssueSchema = new mongoose.Schema(
+  {
+    run: { type: mongoose.Schema.Types.ObjectId, ref: 'ReconciliationRun', required: true },
+    type: { type: String, enum: RECONCILIATION_ISSUE_TYPES, required: true },
+    provider: { type: String, trim: true, default: null },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    orderNumber: { type: String, trim: true, default: null },
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', default: null },
+    settlement: { type: mongoose.Schema.Types.ObjectId, ref: 'SettlementEntry', default: null },
+    reference: { type: String, trim: true, default: null }, // Gateway charge or refund ID
+    expectedAmount: { type: Number, default: null },
+    actualAmount: { type: Number, default: null },
+    message: { type: String, trim: true, required: true },
+  },
+  { timestamps: true }
+);
+
+reconciliationIssueSchema.index({ run: 1, type: 1 });
+reconciliationIssueSchema.index({ order: 1 });
+
+module.exports = mongoose.model('ReconciliationIssue', reconciliationIssueSchema);
+module.exports.RECONCILIATION_ISSUE_TYPES = RECONCILIATION_ISSUE_TYPES;
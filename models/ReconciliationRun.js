@@ -0,0 +1,28 @@
+// models/ReconciliationRun.js
+
+const mongoose = require('mongoose');
+
+// One pass of the payment reconciliation over a period; its findings are ReconciliationIssue documents
+const reconciliationRunSchema = new mongoose.Schema(
+  {
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    trigger: { type: String, enum: ['schedule', 'manual'], default: 'schedule' },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+    // Counts of what was checked and of the issues found per type
+    summary: {
+      orders: { type: Number, default: 0 },
+      transactions: { type: Number, default: 0 },
+      settlements: { type: Number, default: 0 },
+      issues: { type: Map, of: Number, default: {} },
+    },
+    error: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+reconciliationRunSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ReconciliationRun', reconciliationRunSchema);
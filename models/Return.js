@@ -1,18 +1,114 @@
 // models/Return.js
 
 const mongoose = require('mongoose');
+const RETURN_STATUS = require('../constants/returnStatus');
+const { SEQUENCES, nextSequenceNumber } = require('../services/sequenceService');
+
+// Condition of a returned item, recorded at inspection
+const ITEM_CONDITIONS = ['unopened', 'opened', 'damaged', 'defective', 'missing'];
+
+// Photo evidence from the customer (with the request) or the warehouse (at inspection)
+const ReturnPhotoSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true, trim: true },
+    source: { type: String, enum: ['customer', 'inspection'], default: 'customer' },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const ReturnItemSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    sku: { type: mongoose.Schema.Types.ObjectId, default: null },
+    variant: { type: String, trim: true },
+    packaging: { type: String, trim: true },
+    quantity: { type: Number, required: true, min: [1, 'Quantity cannot be less than 1'] },
+    // Net price paid per unit (after coupon and promotion shares), used for the refund
+    unitPrice: { type: Number, default: 0, min: 0 },
+    customerNote: { type: String, trim: true, maxlength: 500 },
+    photos: { type: [ReturnPhotoSchema], default: [] },
+    condition: { type: String, enum: [...ITEM_CONDITIONS, null], default: null },
+    conditionNotes: { type: String, trim: true, maxlength: 1000 },
+    // Units fit to be sold again; they go back into the variant stock once
+    restockQuantity: { type: Number, default: 0, min: 0 },
+    restocked: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+// One entry per RMA status change
+const ReturnStatusEntrySchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: Object.values(RETURN_STATUS), required: true },
+    previousStatus: { type: String, enum: [...Object.values(RETURN_STATUS), null], default: null },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    actorType: { type: String, enum: ['customer', 'admin', 'system'], default: 'system' },
+    reason: { type: String, trim: true, default: null },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
 
 const returnSchema = new mongoose.Schema({
+  returnNumber: { type: String, unique: true, sparse: true, trim: true }, // e.g. 10X/RMA/FY26/000042
   order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
   customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  items: [{
-    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
-    quantity: { type: Number, required: true },
-  }],
+  items: {
+    type: [ReturnItemSchema],
+    validate: [(items) => items.length > 0, 'A return must contain at least one item'],
+  },
   reason: { type: String, maxlength: 500 },
-  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  preferredResolution: { type: String, enum: ['refund', 'replacement'], default: 'refund' },
+  status: { type: String, enum: Object.values(RETURN_STATUS), default: RETURN_STATUS.REQUESTED },
+  statusHistory: { type: [ReturnStatusEntrySchema], default: [] },
+  rejectionReason: { type: String, trim: true, maxlength: 500, default: null },
+  pickup: {
+    scheduledAt: { type: Date, default: null },
+    carrier: { type: String, trim: true, default: null },
+    trackingNumber: { type: String, trim: true, default: null },
+    notes: { type: String, trim: true, maxlength: 500 },
+  },
+  receivedAt: { type: Date },
+  inspectedAt: { type: Date },
+  refund: {
+    amount: { type: Number, default: 0, min: 0 },
+    // Refund entry of the order's payment ledger
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', default: null },
+    creditNote: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', default: null },
+    creditNoteNumber: { type: String, trim: true, default: null },
+    refundedAt: { type: Date },
+  },
+  replacementOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
   requestedAt: { type: Date, default: Date.now },
   processedAt: { type: Date },
+}, { timestamps: true });
+
+// Requests stored before the RMA workflow used 'pending' for a new request
+returnSchema.pre('validate', function (next) {
+  if (this.status === 'pending') {
+    this.status = RETURN_STATUS.REQUESTED;
+  }
+  next();
 });
 
+// Assign the next return number on first save
+returnSchema.pre('save', async function (next) {
+  if (!this.returnNumber) {
+    const { number } = await nextSequenceNumber(SEQUENCES.RETURN, { date: this.requestedAt || new Date() });
+    this.returnNumber = number;
+  }
+
+  // Seed the history with the request
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, actorType: 'customer', reason: this.reason, changedAt: this.requestedAt });
+  }
+  next();
+});
+
+returnSchema.index({ status: 1, requestedAt: -1 });
+returnSchema.index({ order: 1 });
+returnSchema.index({ customer: 1, requestedAt: -1 });
+
 module.exports = mongoose.model('Return', returnSchema);
+module.exports.ITEM_CONDITIONS = ITEM_CONDITIONS;
@@ -0,0 +1,26 @@
+// models/SettlementEntry.js
+
+const mongoose = require('mongoose');
+
+// A line of a gateway settlement report, imported from the CSV the gateway exports
+const settlementEntrySchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true, trim: true }, // Gateway name, e.g. 'razorpay'
+    // Gateway ID of the payment or refund (PaymentIntent, sale, payment or refund ID)
+    reference: { type: String, required: true, trim: true },
+    type: { type: String, enum: ['payment', 'refund', 'adjustment'], default: 'payment' },
+    amount: { type: Number, required: true, min: 0 }, // Gross amount, in major units
+    fee: { type: Number, default: 0 },
+    currency: { type: String, trim: true, uppercase: true, default: null },
+    payoutId: { type: String, trim: true, default: null }, // Settlement / payout batch
+    settledAt: { type: Date, default: null },
+    importBatch: { type: String, trim: true }, // Groups the lines of one uploaded file
+    importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+settlementEntrySchema.index({ provider: 1, reference: 1, type: 1 }, { unique: true });
+settlementEntrySchema.index({ settledAt: -1 });
+
+module.exports = mongoose.model('SettlementEntry', settlementEntrySchema);
@@ -0,0 +1,87 @@
+// models/StockReservation.js
+
+const mongoose = require('mongoose');
+
+// Reserved line item (one product SKU held for an order)
+const ReservedItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Reserved item must reference a product'],
+    },
+    // SKU whose stock is held; null on holds placed before SKUs existed (matched by size)
+    sku: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    variant: {
+      type: String,
+      required: [true, 'Reserved item must reference a variant'],
+      trim: true,
+    },
+    quantity: {
+      type: Number,
+      required: [true, 'Reserved quantity is required'],
+      min: [1, 'Reserved quantity cannot be less than 1'],
+    },
+  },
+  { _id: false }
+);
+
+// Stock reservation (hold) Schema
+const StockReservationSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Reservation must reference an order'],
+      unique: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Reservation must reference a customer'],
+    },
+    items: {
+      type: [ReservedItemSchema],
+      validate: {
+        validator: function (items) {
+          return items.length > 0;
+        },
+        message: 'Reservation must contain at least one item',
+      },
+    },
+    // active: stock is held and will be released on expiry
+    // committed: the order was confirmed, stock stays deducted
+    // released/expired: stock has been returned to the product variants
+    status: {
+      type: String,
+      enum: ['active', 'committed', 'released', 'expired'],
+      default: 'active',
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Reservation expiry is required'],
+    },
+    committedAt: { type: Date, default: null },
+    releasedAt: { type: Date, default: null },
+    releaseReason: { type: String, trim: true, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual to check if an active hold has outlived its TTL
+StockReservationSchema.virtual('isExpired').get(function () {
+  return this.status === 'active' && this.expiresAt < Date.now();
+});
+
+// Indexes for the expiry sweep and admin listing
+StockReservationSchema.index({ status: 1, expiresAt: 1 });
+StockReservationSchema.index({ 'items.product': 1, status: 1 });
+
+module.exports = mongoose.model('StockReservation', StockReservationSchema);
@@ -0,0 +1,73 @@
+// models/Subscription.js
+
+const mongoose = require('mongoose');
+const AddressSchema = require('./Address');
+
+const SUBSCRIPTION_STATUSES = [
+  'active', // Renews on nextRunAt
+  'paused', // No renewals until resumed (or pausedUntil passes)
+  'past_due', // The last renewal failed; retried on nextRetryAt
+  'cancelled',
+];
+
+const INTERVAL_UNITS = ['week', 'month'];
+
+// One renewal attempt, kept for support and the dunning history
+const RenewalAttemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: { type: Date, default: Date.now },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    status: { type: String, enum: ['succeeded', 'failed'], required: true },
+    reason: { type: String, trim: true, default: null },
+  },
+  { _id: false }
+);
+
+// A recurring delivery of one product SKU (subscribe & save)
+const subscriptionSchema = new mongoose.Schema(
+  {
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    sku: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // Size and packaging of the SKU, for display
+    variant: { type: String, required: true, trim: true },
+    packaging: { type: String, required: true, trim: true },
+    quantity: { type: Number, required: true, min: [1, 'Quantity cannot be less than 1'] },
+    // Delivered every `intervalCount` weeks or months
+    intervalCount: { type: Number, required: true, min: 1, max: 12, default: 1 },
+    intervalUnit: { type: String, enum: INTERVAL_UNITS, default: 'month' },
+    status: { type: String, enum: SUBSCRIPTION_STATUSES, default: 'active' },
+    nextRunAt: { type: Date, required: true },
+    pausedUntil: { type: Date, default: null },
+    shippingAddress: { type: AddressSchema, required: true },
+    billingAddress: { type: AddressSchema, required: true },
+    // Subscribe & save discount (percent), fixed when the customer subscribed
+    discountPercent: { type: Number, default: 0, min: 0, max: 100 },
+    // Order payment method and the saved gateway payment method renewals are charged to
+    paymentMethod: {
+      type: String,
+      enum: ['cod', 'cash_on_delivery', 'razorpay', 'card', 'upi', 'paypal', 'stripe'],
+      required: true,
+    },
+    paymentMethodId: { type: String, trim: true, default: null },
+    // Gateway customer the saved payment method is attached to, so renewals can charge it off-session
+    gatewayCustomerId: { type: String, trim: true, default: null },
+    // Dunning: failed attempts since the last successful renewal
+    failedAttempts: { type: Number, default: 0 },
+    nextRetryAt: { type: Date, default: null },
+    lastOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    renewalCount: { type: Number, default: 0 },
+    attempts: { type: [RenewalAttemptSchema], default: [] },
+    cancelledAt: { type: Date, default: null },
+    cancellationReason: { type: String, trim: true, default: null },
+  },
+  { timestamps: true }
+);
+
+subscriptionSchema.index({ status: 1, nextRunAt: 1 });
+subscriptionSchema.index({ status: 1, nextRetryAt: 1 });
+subscriptionSchema.index({ customer: 1, status: 1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
+module.exports.SUBSCRIPTION_STATUSES = SUBSCRIPTION_STATUSES;
+module.exports.INTERVAL_UNITS = INTERVAL_UNITS;
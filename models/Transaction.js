@@ -28,7 +28,11 @@ const decrypt = (text) => {
   return decrypted;
 };
 
+// Statuses of a charge or refund that mean the money moved
+const SETTLED_STATUSES = ['completed', 'succeeded'];
+
 // Transaction Schema
+// The ledger of an order: its charge(s) plus one 'refund' entry per refund, linked to the charge it reverses
 const TransactionSchema = new mongoose.Schema(
   {
     order: {
@@ -36,11 +40,28 @@ const TransactionSchema = new mongoose.Schema(
       ref: 'Order',
       required: [true, 'Order reference is required'],
     },
+    type: {
+      type: String,
+      enum: ['charge', 'refund'],
+      default: 'charge',
+    },
+    // Refunds point to the charge they reverse
+    parentTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null,
+    },
     paymentMethod: {
       type: String,
-      enum: ['card', 'upi'], // Updated to include 'card' and 'upi'
+      enum: ['cod', 'cash_on_delivery', 'razorpay', 'card', 'upi', 'paypal', 'stripe'], // Same methods as orders
       required: [true, 'Payment method is required'],
     },
+    // Gateway that moved the money (stripe, paypal, razorpay or manual)
+    gateway: {
+      type: String,
+      trim: true,
+      default: null,
+    },
     amount: {
       type: Number,
       required: [true, 'Transaction amount is required'],
@@ -48,9 +69,30 @@ const TransactionSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'created', 'processing', 'requires_action', 'authorized', 'completed', 'succeeded', 'failed', 'refunded'],
       default: 'pending',
     },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    // Refund ID returned by the gateway
+    gatewayRefundId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    failureReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
     transactionId: {
       type: String,
       unique: true,
@@ -65,6 +107,7 @@ const TransactionSchema = new mongoose.Schema(
       get: decrypt,
       set: encrypt,
     },
+    // On charges: total of the settled refunds against it
     refundedAmount: {
       type: Number,
       default: 0,
@@ -83,17 +126,6 @@ const TransactionSchema = new mongoose.Schema(
   }
 );
 
-// Middleware for encrypting sensitive fields on save
-TransactionSchema.pre('save', function (next) {
-  if (this.isModified('transactionId')) {
-    this.transactionId = encrypt(this.transactionId);
-  }
-  if (this.isModified('receiptUrl')) {
-    this.receiptUrl = encrypt(this.receiptUrl);
-  }
-  next();
-});
-
 // Static method to fetch transactions by order ID with optional status filter
 TransactionSchema.statics.findByOrder = async function (orderId, status = null) {
   const query = { order: orderId };
@@ -101,14 +133,18 @@ TransactionSchema.statics.findByOrder = async function (orderId, status = null)
   return this.find(query);
 };
 
-// Static method to calculate the total amount refunded
+// Static method to calculate the total amount refunded (settled refund entries of the ledger)
 TransactionSchema.statics.calculateTotalRefunded = async function (orderId) {
-  const transactions = await this.find({ order: orderId, status: 'refunded' });
-  return transactions.reduce((sum, tx) => sum + tx.refundedAmount, 0);
+  const refunds = await this.find({ order: orderId, type: 'refund', status: { $in: SETTLED_STATUSES } });
+  return refunds.reduce((sum, tx) => sum + tx.amount, 0);
 };
 
 // Indexes for optimized search
-TransactionSchema.index({ order: 1 });
+TransactionSchema.index({ order: 1, type: 1 });
 TransactionSchema.index({ status: 1 });
+TransactionSchema.index({ parentTransaction: 1 });
 
 module.exports = mongoose.model('Transaction', TransactionSchema);
+module.exports.SETTLED_STATUSES = SETTLED_STATUSES;
+module.exports.encryptField = encrypt;
+module.exports.decryptField = decrypt;
@@ -0,0 +1,34 @@
+// models/WebhookEvent.js
+
+const mongoose = require('mongoose');
+
+// Lifecycle of an inbox entry
+const WEBHOOK_EVENT_STATUSES = ['received', 'processing', 'processed', 'ignored', 'failed'];
+
+// Inbox of verified gateway webhooks: stored before they are acknowledged,
+// then applied asynchronously by the webhook queue
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true, trim: true }, // Gateway name, e.g. 'stripe'
+    eventId: { type: String, required: true, trim: true }, // Provider's event ID, used for deduplication
+    type: { type: String, trim: true }, // Gateway-neutral type from parseEvent()
+    providerType: { type: String, trim: true }, // Type as sent by the provider
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    rawBody: { type: String, required: true }, // Body exactly as verified
+    payload: { type: mongoose.Schema.Types.Mixed, required: true }, // Verified event
+    status: { type: String, enum: WEBHOOK_EVENT_STATUSES, default: 'received' },
+    attempts: { type: Number, default: 0, min: 0 },
+    deliveries: { type: Number, default: 1, min: 1 }, // Times the provider sent this event
+    lastError: { type: String, default: null },
+    receivedAt: { type: Date, default: Date.now },
+    processedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, receivedAt: -1 });
+webhookEventSchema.index({ order: 1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
+module.exports.WEBHOOK_EVENT_STATUSES = WEBHOOK_EVENT_STATUSES;
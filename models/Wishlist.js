@@ -0,0 +1,37 @@
+// models/Wishlist.js
+
+const mongoose = require('mongoose');
+
+// A product SKU a customer saved for later, with the alerts they subscribed to
+const WishlistItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  sku: { type: mongoose.Schema.Types.ObjectId, required: true },
+  variant: { type: String, required: true, trim: true }, // SKU size
+  packaging: { type: String, trim: true },
+  addedAt: { type: Date, default: Date.now },
+  // Discounted price when the item was saved, to show how much it dropped since
+  priceAtAdd: { type: Number, min: 0, default: null },
+  notifyBackInStock: { type: Boolean, default: true },
+  notifyPriceDrop: { type: Boolean, default: true },
+  lastAlertedAt: { type: Date, default: null },
+});
+
+const wishlistSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    items: { type: [WishlistItemSchema], default: [] },
+    // Set while the wishlist is shared through a public link
+    shareToken: { type: String, default: null },
+    sharedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+wishlistSchema.index(
+  { shareToken: 1 },
+  { unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } }
+);
+// Finds the wishlists to alert when a product SKU changes
+wishlistSchema.index({ 'items.product': 1, 'items.sku': 1 });
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
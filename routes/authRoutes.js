@@ -6,6 +6,7 @@ const { body } = require('express-validator');
 const authController = require('../controllers/authController');
 const passport = require('passport');
 const { generateAccessToken } = require('../utils/generateToken');
+const { mergeGuestCartOnLogin } = require('../services/guestCartService');
 
 const validateMiddleware = require('../middleware/validateMiddleware');
 const authMiddleware = require('../middleware/authMiddleware');
@@ -29,6 +30,7 @@ const registerValidation = [
 const loginValidation = [
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('password').exists().withMessage('Password is required'),
+  body('cartToken').optional().isString().withMessage('Cart token must be a string'),
 ];
 
 // Validation rules for verify OTP
@@ -37,6 +39,7 @@ const verifyOTPValidation = [
   body('otp')
     .isLength({ min: 6, max: 6 })
     .withMessage('OTP must be 6 digits'),
+  body('cartToken').optional().isString().withMessage('Cart token must be a string'),
 ];
 
 // Validation rules for forgot password
@@ -145,17 +148,31 @@ router.get(
   authController.confirmAccountDeletion
 );
 
-// Google OAuth login route
-router.get('/google', passport.authenticate('google', { scope: ['profile', 'email'] }));
+// Google OAuth login route; a guest cart token (?cartToken=) is kept in the session for the callback
+router.get(
+  '/google',
+  (req, res, next) => {
+    if (req.query.cartToken) {
+      req.session.guestCartToken = req.query.cartToken;
+    }
+    next();
+  },
+  passport.authenticate('google', { scope: ['profile', 'email'] })
+);
 
 // Google OAuth callback route
 router.get(
   '/google/callback',
   passport.authenticate('google', { failureRedirect: '/login' }),
-  (req, res) => {
+  async (req, res) => {
     // Ensure req.user is populated after successful authentication
     if (req.user) {
       const token = generateAccessToken(req.user);
+      // Bring along the cart built before signing in
+      if (req.session.guestCartToken) {
+        await mergeGuestCartOnLogin(req.user, req.session.guestCartToken);
+        delete req.session.guestCartToken;
+      }
       // Use the environment variable for the frontend URL
       const frontendURL = process.env.FRONTEND_URL || 'http://localhost:5173';
       // Redirect to the frontend with the token
@@ -1,19 +1,22 @@
 // routes/cartRoutes.js
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const authMiddleware = require('../middleware/authMiddleware');
+const cartOwnerMiddleware = require('../middleware/cartOwnerMiddleware');
 const cartController = require('../controllers/CartController');
 
 const router = express.Router();
 
+// Cart routes work for signed-in customers and for guests identified by
+// the X-Cart-Token header (issued on their first add)
+
 // Add item to cart
 router.post(
   '/add',
-  authMiddleware,
+  cartOwnerMiddleware,
   [
     body('productId', 'Product ID is required').notEmpty(),
-    body('variant', 'Variant is required').notEmpty(),
-    body('packaging', 'Packaging is required').notEmpty(),
+    body('sku', 'A valid SKU ID is required').isMongoId(),
     body('quantity', 'Quantity must be a positive integer').isInt({ min: 1 }),
   ],
   cartController.addItemToCart
@@ -22,11 +25,10 @@ router.post(
 // Update quantity in cart
 router.put(
   '/update',
-  authMiddleware,
+  cartOwnerMiddleware,
   [
     body('productId', 'Product ID is required').notEmpty(),
-    body('variant', 'Variant is required').notEmpty(),
-    body('packaging', 'Packaging is required').notEmpty(),
+    body('sku', 'A valid SKU ID is required').isMongoId(),
     body('quantity', 'Quantity must be a positive integer').isInt({ min: 1 }),
   ],
   cartController.updateCartItemQuantity
@@ -35,19 +37,63 @@ router.put(
 // Remove item from cart
 router.delete(
   '/remove',
-  authMiddleware,
+  cartOwnerMiddleware,
   [
     body('productId', 'Product ID is required').notEmpty(),
-    body('variant', 'Variant is required').notEmpty(),
-    body('packaging', 'Packaging is required').notEmpty(),
+    body('sku', 'A valid SKU ID is required').isMongoId(),
   ],
   cartController.removeItemFromCart
 );
 
-// Get cart details
-router.get('/', authMiddleware, cartController.getCart);
+// Get cart details, with notices for lines that changed since they were added
+router.get(
+  '/',
+  cartOwnerMiddleware,
+  [query('autoCorrect', 'autoCorrect must be a boolean').optional().isBoolean().toBoolean()],
+  cartController.getCart
+);
+
+// Quote cart totals (discounts, tax and shipping) for a shipping address
+router.post(
+  '/quote',
+  cartOwnerMiddleware,
+  [
+    body('shippingAddress.country', 'Shipping country is required').notEmpty(),
+    body('shippingAddress.state', 'Shipping state is required').notEmpty(),
+    body('couponCode', 'Coupon code must be a string').optional().isString(),
+  ],
+  cartController.getQuote
+);
+
+// Revalidate the cart and quote the lines that would be ordered before checkout
+router.post(
+  '/checkout-preview',
+  cartOwnerMiddleware,
+  [
+    body('shippingAddress.country', 'Shipping country is required').notEmpty(),
+    body('shippingAddress.state', 'Shipping state is required').notEmpty(),
+    body('couponCode', 'Coupon code must be a string').optional().isString(),
+    body('autoCorrect', 'autoCorrect must be a boolean').optional().isBoolean().toBoolean(),
+  ],
+  cartController.getCheckoutPreview
+);
 
 // Clear cart
-router.delete('/clear', authMiddleware, cartController.clearCart);
+router.delete('/clear', cartOwnerMiddleware, cartController.clearCart);
+
+// Merge a guest cart into the signed-in customer's cart
+router.post(
+  '/merge',
+  authMiddleware,
+  [body('cartToken', 'Cart token must be a string').optional().isString()],
+  cartController.mergeGuestCart
+);
+
+// Restore a cart from an abandoned-cart email link (the signed token identifies the cart)
+router.post(
+  '/restore',
+  [body('token', 'Restore token is required').isString().notEmpty()],
+  cartController.restoreCart
+);
 
 module.exports = router;
\ No newline at end of file
@@ -156,7 +156,8 @@ router.put(
 
 /**
  * @route   DELETE /api/categories/:id
- * @desc    Delete a category
+ * @desc    Delete a category. Blocked while products or subcategories use it, unless
+ *          cascade=true moves them (products to reassignTo or the parent category)
  * @access  Private/Admin
  */
 router.delete(
@@ -167,6 +168,15 @@ router.delete(
     param('id')
       .isMongoId()
       .withMessage('Invalid category ID'),
+    query('cascade')
+      .optional()
+      .isBoolean()
+      .withMessage('cascade must be a boolean value')
+      .toBoolean(),
+    query('reassignTo')
+      .optional()
+      .isMongoId()
+      .withMessage('reassignTo must be a valid category ID'),
     validateMiddleware,
   ],
   categoryController.deleteCategory
@@ -0,0 +1,235 @@
+// routes/codRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const codController = require('../controllers/codController');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const validateMiddleware = require('../middleware/validateMiddleware');
+const USER_ROLES = require('../constants/userRoles');
+
+// Staff who record deliveries
+const DELIVERY_MANAGERS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER];
+
+// Staff who reconcile courier remittances
+const FINANCE_ROLES = [USER_ROLES.SUPER_ADMIN, USER_ROLES.FINANCE_MANAGER];
+
+const orderIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+];
+
+const remittanceIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid remittance ID'),
+];
+
+// Validation rules for the checkout eligibility check
+const eligibilityValidation = [
+  query('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+  query('pincode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 12 })
+    .withMessage('Pincode cannot exceed 12 characters'),
+];
+
+// Validation rules for confirming a delivery
+const confirmDeliveryValidation = [
+  body('otp')
+    .matches(/^\d{6}$/)
+    .withMessage('OTP must be 6 digits'),
+  body('collectedAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Collected amount must be a positive number')
+    .toFloat(),
+];
+
+// Validation rules for a refused delivery
+const refuseDeliveryValidation = [
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+];
+
+// Validation rules for listing remittances
+const listRemittancesValidation = [
+  query('status')
+    .optional()
+    .custom((value) => value.split(',').every((status) => ['recorded', 'reconciled', 'discrepancy'].includes(status)))
+    .withMessage('Status must be one or more of: recorded, reconciled, discrepancy'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be at least 1'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+// Validation rules for recording a remittance
+const createRemittanceValidation = [
+  body('courier')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Courier is required'),
+  body('reference')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Remittance reference is required'),
+  body('remittedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid remittance date'),
+  body('lines')
+    .isArray({ min: 1 })
+    .withMessage('At least one remittance line is required'),
+  body('lines.*')
+    .custom((line) => Boolean(line && (line.orderNumber || line.order)))
+    .withMessage('Each line needs an orderNumber or order ID'),
+  body('lines.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Each line needs a positive amount')
+    .toFloat(),
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+];
+
+/**
+ * @route   GET /api/cod/eligibility
+ * @desc    Check whether cash on delivery can be offered at checkout
+ * @access  Private
+ */
+router.get(
+  '/eligibility',
+  authMiddleware,
+  eligibilityValidation,
+  validateMiddleware,
+  codController.getCodEligibility
+);
+
+/**
+ * @route   POST /api/cod/orders/:id/otp
+ * @desc    Send or resend the delivery OTP
+ * @access  Private/Admin/Order Manager
+ */
+router.post(
+  '/orders/:id/otp',
+  authMiddleware,
+  adminMiddleware(DELIVERY_MANAGERS),
+  orderIdValidation,
+  validateMiddleware,
+  codController.sendDeliveryOtp
+);
+
+/**
+ * @route   POST /api/cod/orders/:id/confirm-delivery
+ * @desc    Confirm delivery with the customer's OTP and record the cash collected
+ * @access  Private/Admin/Order Manager
+ */
+router.post(
+  '/orders/:id/confirm-delivery',
+  authMiddleware,
+  adminMiddleware(DELIVERY_MANAGERS),
+  orderIdValidation,
+  confirmDeliveryValidation,
+  validateMiddleware,
+  codController.confirmDelivery
+);
+
+/**
+ * @route   POST /api/cod/orders/:id/refuse
+ * @desc    Record a delivery refused by the customer
+ * @access  Private/Admin/Order Manager
+ */
+router.post(
+  '/orders/:id/refuse',
+  authMiddleware,
+  adminMiddleware(DELIVERY_MANAGERS),
+  orderIdValidation,
+  refuseDeliveryValidation,
+  validateMiddleware,
+  codController.refuseDelivery
+);
+
+/**
+ * @route   GET /api/cod/remittances
+ * @desc    List courier remittances
+ * @access  Private/Admin/Finance Manager
+ */
+router.get(
+  '/remittances',
+  authMiddleware,
+  adminMiddleware(FINANCE_ROLES),
+  listRemittancesValidation,
+  validateMiddleware,
+  codController.getRemittances
+);
+
+/**
+ * @route   GET /api/cod/remittances/:id
+ * @desc    Get a courier remittance with its lines
+ * @access  Private/Admin/Finance Manager
+ */
+router.get(
+  '/remittances/:id',
+  authMiddleware,
+  adminMiddleware(FINANCE_ROLES),
+  remittanceIdValidation,
+  validateMiddleware,
+  codController.getRemittanceById
+);
+
+/**
+ * @route   POST /api/cod/remittances
+ * @desc    Record a courier remittance batch
+ * @access  Private/Admin/Finance Manager
+ */
+router.post(
+  '/remittances',
+  authMiddleware,
+  adminMiddleware(FINANCE_ROLES),
+  createRemittanceValidation,
+  validateMiddleware,
+  codController.createRemittance
+);
+
+/**
+ * @route   POST /api/cod/remittances/:id/reconcile
+ * @desc    Reconcile a remittance batch, marking its matched orders paid
+ * @access  Private/Admin/Finance Manager
+ */
+router.post(
+  '/remittances/:id/reconcile',
+  authMiddleware,
+  adminMiddleware(FINANCE_ROLES),
+  remittanceIdValidation,
+  validateMiddleware,
+  codController.reconcileRemittance
+);
+
+module.exports = router;
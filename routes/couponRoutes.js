@@ -29,6 +29,41 @@ const createCouponValidation = [
     .optional()
     .isInt({ min: 1 })
     .withMessage('maxUses must be at least 1'),
+  body('startDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .toDate()
+    .withMessage('Invalid start date'),
+  body('perUserLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('perUserLimit must be at least 1'),
+  body('minOrderValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('minOrderValue cannot be negative'),
+  body('maxDiscount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('maxDiscount cannot be negative'),
+  body('firstOrderOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('firstOrderOnly must be a boolean'),
+  body('applicableProducts')
+    .optional()
+    .isArray()
+    .withMessage('applicableProducts must be an array'),
+  body('applicableProducts.*')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('applicableCategories')
+    .optional()
+    .isArray()
+    .withMessage('applicableCategories must be an array'),
+  body('applicableCategories.*')
+    .isMongoId()
+    .withMessage('Invalid category ID'),
 ];
 
 // Validation rules for updating a coupon
@@ -54,6 +89,41 @@ const updateCouponValidation = [
     .optional()
     .isBoolean()
     .withMessage('isActive must be a boolean'),
+  body('startDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .toDate()
+    .withMessage('Invalid start date'),
+  body('perUserLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('perUserLimit must be at least 1'),
+  body('minOrderValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('minOrderValue cannot be negative'),
+  body('maxDiscount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('maxDiscount cannot be negative'),
+  body('firstOrderOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('firstOrderOnly must be a boolean'),
+  body('applicableProducts')
+    .optional()
+    .isArray()
+    .withMessage('applicableProducts must be an array'),
+  body('applicableProducts.*')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('applicableCategories')
+    .optional()
+    .isArray()
+    .withMessage('applicableCategories must be an array'),
+  body('applicableCategories.*')
+    .isMongoId()
+    .withMessage('Invalid category ID'),
 ];
 
 // Validation rules for deactivating or activating a coupon
@@ -69,9 +139,19 @@ const applyCouponValidation = [
   body('code')
     .isString()
     .withMessage('Coupon code is required'),
-  body('orderTotal')
-    .isFloat({ gt: 0 })
-    .withMessage('Order total must be a positive number'),
+  body('items')
+    .optional()
+    .isArray()
+    .withMessage('Items must be an array'),
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('items.*.sku')
+    .isMongoId()
+    .withMessage('Invalid SKU ID'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
   validateMiddleware,
 ];
 
@@ -0,0 +1,34 @@
+// routes/inventoryRoutes.js
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const inventoryController = require('../controllers/inventoryController');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const validateMiddleware = require('../middleware/validateMiddleware');
+const USER_ROLES = require('../constants/userRoles');
+
+// Validation rules
+const getReservationsValidation = [
+  query('status')
+    .optional()
+    .isIn(['active', 'committed', 'released', 'expired', 'all'])
+    .withMessage('Invalid reservation status'),
+  query('product').optional().isMongoId().withMessage('Invalid product ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be at least 1'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+];
+
+// Routes
+
+// List stock reservations (active holds by default)
+router.get(
+  '/reservations',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.INVENTORY_MANAGER, USER_ROLES.ORDER_MANAGER]),
+  getReservationsValidation,
+  validateMiddleware,
+  inventoryController.getReservations
+);
+
+module.exports = router;
@@ -6,13 +6,17 @@ const { body, param } = require('express-validator');
 const localizationController = require('../controllers/localizationController');
 const authMiddleware = require('../middleware/authMiddleware');
 const adminMiddleware = require('../middleware/adminMiddleware');
+const USER_ROLES = require('../constants/userRoles');
 
 // Validation rules
 const localizationValidation = [
   body('region').isString().isLength({ min: 2, max: 5 }).withMessage('Region must be a valid code'),
   body('currency').optional().isString().withMessage('Currency must be a string'),
   body('language').optional().isString().withMessage('Language must be a string'),
-  body('taxRate').optional().isFloat({ min: 0 }).withMessage('Tax rate must be a positive number'),
+  body('taxRate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+  body('stateTaxRates').optional().isArray().withMessage('State tax rates must be an array'),
+  body('stateTaxRates.*.state').isString().notEmpty().withMessage('State is required for each state tax rate'),
+  body('stateTaxRates.*.taxRate').isFloat({ min: 0, max: 100 }).withMessage('State tax rate must be between 0 and 100'),
 ];
 
 // Routes
@@ -28,7 +32,7 @@ router.get(
 router.put(
   '/:region',
   authMiddleware,
-  adminMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN]),
   [param('region').isString().isLength({ min: 2, max: 5 }).withMessage('Region must be a valid code'), ...localizationValidation],
   localizationController.updateLocalizationSettings
 );
@@ -37,7 +41,7 @@ router.put(
 router.post(
   '/',
   authMiddleware,
-  adminMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN]),
   localizationValidation,
   localizationController.createLocalizationSettings
 );
@@ -46,7 +50,7 @@ router.post(
 router.get(
   '/',
   authMiddleware,
-  adminMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN]),
   localizationController.listAllLocalizationSettings
 );
 
@@ -7,7 +7,9 @@ const orderController = require('../controllers/orderController');
 const authMiddleware = require('../middleware/authMiddleware');
 const adminMiddleware = require('../middleware/adminMiddleware');
 const validateMiddleware = require('../middleware/validateMiddleware');
+const idempotencyMiddleware = require('../middleware/idempotencyMiddleware');
 const USER_ROLES = require('../constants/userRoles');
+const ORDER_STATUS = require('../constants/orderStatus');
 const Joi = require('joi'); // Ensure Joi is installed: npm install joi
 
 // Validation rules for creating an order
@@ -21,12 +23,9 @@ const createOrderValidation = [
   body('items.*.quantity')
     .isInt({ min: 1 })
     .withMessage('Quantity must be at least 1'),
-  body('items.*.variant')
-    .isString()
-    .withMessage('Variant must be a string'),
-  body('items.*.packaging')
-    .isString()
-    .withMessage('Packaging must be a string'),
+  body('items.*.sku')
+    .isMongoId()
+    .withMessage('Invalid SKU ID'),
   body('shippingAddress.street')
     .notEmpty()
     .withMessage('Street address is required'),
@@ -64,6 +63,10 @@ const createOrderValidation = [
   body('paymentMethod')
     .isString()
     .withMessage('Payment method is required'),
+  body('gstin')
+    .optional({ nullable: true })
+    .matches(/^[0-9]{2}[A-Za-z]{5}[0-9]{4}[A-Za-z][1-9A-Za-z]Z[0-9A-Za-z]$/)
+    .withMessage('GSTIN must be a valid 15-character GST identification number'),
   // Optional: Add couponCode validations if needed
 ];
 
@@ -73,15 +76,12 @@ const updateOrderStatusValidation = [
     .isMongoId()
     .withMessage('Invalid order ID'),
   body('status')
-    .isIn([
-      'pending',
-      'processing',
-      'shipped',
-      'delivered',
-      'cancelled',
-      'refunded',
-    ])
+    .isIn(Object.values(ORDER_STATUS))
     .withMessage('Invalid order status'),
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string'),
 ];
 
 // Validation rules for cancelling an order
@@ -99,14 +99,7 @@ const cancelOrderValidation = [
 const getAllOrdersValidation = [
   query('status')
     .optional()
-    .isIn([
-      'pending',
-      'processing',
-      'shipped',
-      'delivered',
-      'cancelled',
-      'refunded',
-    ])
+    .isIn(Object.values(ORDER_STATUS))
     .withMessage('Invalid status'),
   query('dateFrom')
     .optional()
@@ -122,6 +115,10 @@ const getAllOrdersValidation = [
     .optional()
     .isMongoId()
     .withMessage('Invalid customer ID'),
+  query('stockShortfall')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('stockShortfall must be true or false'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -136,7 +133,7 @@ const getAllOrdersValidation = [
 const getMyOrdersValidation = [
   query('status')
     .optional()
-    .isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'])
+    .isIn(Object.values(ORDER_STATUS))
     .withMessage('Invalid status'),
   query('dateFrom')
     .optional()
@@ -203,10 +200,34 @@ const returnOrderValidation = [
   body('items.*.quantity')
     .isInt({ min: 1 })
     .withMessage('Quantity must be at least 1'),
+  body('items.*.sku')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid SKU ID'),
+  body('items.*.variant')
+    .optional()
+    .isString()
+    .withMessage('Variant must be a string'),
+  body('items.*.customerNote')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Item note cannot exceed 500 characters'),
+  body('items.*.photos')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Up to 5 photos can be attached per item'),
+  body('items.*.photos.*')
+    .isURL()
+    .withMessage('Each photo must be a URL'),
   body('reason')
     .optional()
     .isString()
     .withMessage('Reason must be a string'),
+  body('preferredResolution')
+    .optional()
+    .isIn(['refund', 'replacement'])
+    .withMessage('Preferred resolution must be refund or replacement'),
 ];
 
 // Validation rules for bulk updating orders
@@ -218,8 +239,12 @@ const bulkUpdateOrdersValidation = [
     .isMongoId()
     .withMessage('Each orderId must be a valid Mongo ID'),
   body('status')
-    .isIn(['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'])
+    .isIn(Object.values(ORDER_STATUS))
     .withMessage('Invalid order status'),
+  body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string'),
 ];
 
 // Validation rules for fetching cached metrics
@@ -244,6 +269,7 @@ router.post(
   authMiddleware,
   createOrderValidation,
   validateMiddleware,
+  idempotencyMiddleware('orders:create'),
   orderController.createOrder
 );
 
@@ -309,6 +335,40 @@ router.get(
   orderController.getOrderById
 );
 
+// Get the status timeline of an order (owner or admin)
+router.get(
+  '/:id/timeline',
+  authMiddleware,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+  ],
+  validateMiddleware,
+  orderController.getOrderTimeline
+);
+
+// Download the tax invoice or a credit note of an order (owner or admin)
+router.get(
+  '/:id/invoice',
+  authMiddleware,
+  [
+    param('id')
+      .isMongoId()
+      .withMessage('Invalid order ID'),
+    query('type')
+      .optional()
+      .isIn(['invoice', 'credit_note'])
+      .withMessage('Type must be invoice or credit_note'),
+    query('number')
+      .optional()
+      .isString()
+      .withMessage('Number must be a string'),
+  ],
+  validateMiddleware,
+  orderController.getOrderInvoice
+);
+
 // Update order status (Admin)
 router.put(
   '/:id/status',
@@ -370,6 +430,22 @@ router.post(
   orderController.refundOrder
 );
 
+// Payment ledger and refundable balance of an order (Admin)
+router.get(
+  '/:id/refunds',
+  authMiddleware,
+  adminMiddleware([
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.ORDER_MANAGER,
+    USER_ROLES.FINANCE_MANAGER,
+  ]),
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+  validateMiddleware,
+  orderController.getOrderRefunds
+);
+
 // Bulk update orders (Admin)
 router.put(
   '/bulk-update',
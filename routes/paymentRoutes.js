@@ -6,6 +6,28 @@ const { body } = require('express-validator');
 const paymentController = require('../controllers/paymentController');
 const authMiddleware = require('../middleware/authMiddleware');
 const validateMiddleware = require('../middleware/validateMiddleware');
+const idempotencyMiddleware = require('../middleware/idempotencyMiddleware');
+
+/**
+ * @route   POST /api/payments/pay
+ * @desc    Pay for an order at the gateway configured for its payment method
+ * @access  Private/Customer
+ */
+const payOrderValidation = [
+  body('orderId').isMongoId().withMessage('Invalid order ID'),
+  body('paymentMethodId').optional().isString().withMessage('Payment method ID must be a string'),
+  body('returnUrl').optional().isURL({ require_tld: false }).withMessage('Return URL must be a valid URL'),
+  body('cancelUrl').optional().isURL({ require_tld: false }).withMessage('Cancel URL must be a valid URL'),
+];
+
+router.post(
+  '/pay',
+  authMiddleware,
+  payOrderValidation,
+  validateMiddleware,
+  idempotencyMiddleware('payments:pay'),
+  paymentController.payOrder
+);
 
 /**
  * @route   POST /api/payments/verify-razorpay
@@ -23,6 +45,7 @@ router.post(
   authMiddleware,
   verifyRazorpayValidation,
   validateMiddleware,
+  idempotencyMiddleware('payments:verify-razorpay'),
   paymentController.verifyRazorpayPayment
 );
 
@@ -52,6 +75,7 @@ router.post(
   authMiddleware,
   verifyStripeValidation,
   validateMiddleware,
+  idempotencyMiddleware('payments:verify-stripe'),
   paymentController.verifyStripePayment
 );
 
@@ -74,6 +98,7 @@ router.post(
 const verifyPayPalValidation = [
   body('orderId').isMongoId().withMessage('Invalid order ID'),
   body('paymentId').notEmpty().withMessage('Payment ID is required'),
+  body('payerId').notEmpty().withMessage('Payer ID is required'),
 ];
 
 router.post(
@@ -81,6 +106,7 @@ router.post(
   authMiddleware,
   verifyPayPalValidation,
   validateMiddleware,
+  idempotencyMiddleware('payments:verify-paypal'),
   paymentController.verifyPayPalPayment
 );
 
@@ -95,4 +121,29 @@ router.post(
   paymentController.handlePayPalWebhook
 );
 
+/**
+ * @route   POST /api/payments/verify-fake
+ * @desc    Complete a fake gateway payment (development and tests)
+ * @access  Private/Customer
+ */
+const verifyFakeValidation = [
+  body('orderId').isMongoId().withMessage('Invalid order ID'),
+  body('authenticationResult').optional().isIn(['passed', 'failed']).withMessage('Invalid authentication result'),
+];
+
+router.post(
+  '/verify-fake',
+  authMiddleware,
+  verifyFakeValidation,
+  validateMiddleware,
+  paymentController.verifyFakePayment
+);
+
+/**
+ * @route   POST /api/payments/webhook/fake
+ * @desc    Handle fake gateway webhook events
+ * @access  Public
+ */
+router.post('/webhook/fake', paymentController.handleFakeWebhook);
+
 module.exports = router;
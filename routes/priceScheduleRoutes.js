@@ -0,0 +1,168 @@
+// routes/priceScheduleRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const priceScheduleController = require('../controllers/priceScheduleController');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const validateMiddleware = require('../middleware/validateMiddleware');
+const USER_ROLES = require('../constants/userRoles');
+const { PRICE_SCHEDULE_KINDS, PRICE_DISCOUNT_TYPES, PRICE_SCHEDULE_STATUSES } = require('../models/PriceSchedule');
+
+// Sales are run by marketing, price changes by product management
+const PRICE_SCHEDULE_ROLES = [USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER, USER_ROLES.PRODUCT_MANAGER];
+
+// Validation rules shared by create and update (required fields are checked on create)
+const priceScheduleFieldValidation = [
+  body('name')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('kind')
+    .optional()
+    .isIn(PRICE_SCHEDULE_KINDS)
+    .withMessage(`Kind must be one of: ${PRICE_SCHEDULE_KINDS.join(', ')}`),
+  body('discountType')
+    .optional()
+    .isIn(PRICE_DISCOUNT_TYPES)
+    .withMessage(`Discount type must be one of: ${PRICE_DISCOUNT_TYPES.join(', ')}`),
+  body('value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Value cannot be negative'),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Invalid start date'),
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage('Invalid end date'),
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be an integer'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  body('targets.products.*')
+    .isMongoId()
+    .withMessage('Invalid target product ID'),
+  body('targets.categories.*')
+    .isMongoId()
+    .withMessage('Invalid target category ID'),
+  body('targets.tags.*')
+    .isMongoId()
+    .withMessage('Invalid target tag ID'),
+];
+
+// Validation rules for creating a price schedule
+const createPriceScheduleValidation = [
+  body('name')
+    .isString()
+    .notEmpty()
+    .withMessage('Name is required'),
+  body('discountType')
+    .isIn(PRICE_DISCOUNT_TYPES)
+    .withMessage(`Discount type must be one of: ${PRICE_DISCOUNT_TYPES.join(', ')}`),
+  body('value')
+    .isFloat({ min: 0 })
+    .withMessage('Value is required and cannot be negative'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date is required'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date is required'),
+  ...priceScheduleFieldValidation,
+];
+
+// Validation rules for price schedule ID params
+const priceScheduleIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid price schedule ID'),
+];
+
+// Routes
+
+// Running and upcoming sales with countdowns (storefront)
+router.get(
+  '/countdown',
+  [
+    query('product')
+      .optional()
+      .isString()
+      .notEmpty()
+      .withMessage('Product must be a product ID or slug'),
+    validateMiddleware,
+  ],
+  priceScheduleController.getSaleCountdowns
+);
+
+// Create a new price schedule
+router.post(
+  '/',
+  authMiddleware,
+  adminMiddleware(PRICE_SCHEDULE_ROLES),
+  createPriceScheduleValidation,
+  validateMiddleware,
+  priceScheduleController.createPriceSchedule
+);
+
+// Get all price schedules with optional filters
+router.get(
+  '/',
+  authMiddleware,
+  adminMiddleware(PRICE_SCHEDULE_ROLES),
+  [
+    query('kind')
+      .optional()
+      .isIn(PRICE_SCHEDULE_KINDS)
+      .withMessage('Invalid price schedule kind'),
+    query('status')
+      .optional()
+      .isIn(PRICE_SCHEDULE_STATUSES)
+      .withMessage('Invalid price schedule status'),
+    validateMiddleware,
+  ],
+  priceScheduleController.getAllPriceSchedules
+);
+
+// Get price schedule by ID
+router.get(
+  '/:id',
+  authMiddleware,
+  adminMiddleware(PRICE_SCHEDULE_ROLES),
+  priceScheduleIdValidation,
+  validateMiddleware,
+  priceScheduleController.getPriceScheduleById
+);
+
+// Update a price schedule by ID
+router.put(
+  '/:id',
+  authMiddleware,
+  adminMiddleware(PRICE_SCHEDULE_ROLES),
+  priceScheduleIdValidation,
+  priceScheduleFieldValidation,
+  validateMiddleware,
+  priceScheduleController.updatePriceSchedule
+);
+
+// Delete a price schedule by ID
+router.delete(
+  '/:id',
+  authMiddleware,
+  adminMiddleware(PRICE_SCHEDULE_ROLES),
+  priceScheduleIdValidation,
+  validateMiddleware,
+  priceScheduleController.deletePriceSchedule
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 // routes/productRoutes.js
 
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const { body, param, query } = require("express-validator");
 const productController = require("../controllers/productController");
@@ -8,9 +9,51 @@ const authMiddleware = require("../middleware/authMiddleware");
 const adminMiddleware = require("../middleware/adminMiddleware");
 const validateMiddleware = require("../middleware/validateMiddleware");
 const USER_ROLES = require("../constants/userRoles");
+const { SEARCH_SORTS, MAX_SEARCH_LIMIT } = require("../services/searchService");
+const { CATALOG_SORTS, PRICE_BASES } = require("../services/catalogService");
+const { PACKAGING_TYPES } = require("../models/Product");
 
 // Import the product image upload middleware
 const uploadProductImageMiddleware = require('../middleware/uploadProductImageMiddleware');
+// Import the product file (CSV/XLSX) upload middleware
+const uploadProductFileMiddleware = require('../middleware/uploadProductFileMiddleware');
+
+// Validation rules for the SKUs (variants) of a product; each is one size and packaging
+const skuValidation = [
+  body("variants.*._id")
+    .optional()
+    .isMongoId()
+    .withMessage("Variant _id must be the ID of an existing SKU"),
+  body("variants.*.sku")
+    .optional()
+    .isString()
+    .withMessage("SKU code must be a string"),
+  body("variants.*.size")
+    .isString()
+    .notEmpty()
+    .withMessage("Variant size is required"),
+  body("variants.*.packaging")
+    .isIn(PACKAGING_TYPES)
+    .withMessage(`Variant packaging must be one of: ${PACKAGING_TYPES.join(", ")}`),
+  body("variants.*.price")
+    .isFloat({ min: 0 })
+    .withMessage("Variant price must be a non-negative number"),
+  body("variants.*.compareAtPrice")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Compare-at price must be a non-negative number"),
+  body("variants.*.stock")
+    .isInt({ min: 0 })
+    .withMessage("Variant stock must be a non-negative integer"),
+  body("variants.*.barcode")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Barcode must be a string"),
+  body("variants.*.images")
+    .optional()
+    .isArray()
+    .withMessage("Variant images must be an array of URLs"),
+];
 
 // Validation rules for creating a product
 const createProductValidation = [
@@ -30,9 +73,8 @@ const createProductValidation = [
     .isLength({ max: 1000 })
     .withMessage("Description is too long"),
   body("category")
-    .isString()
-    .isLength({ min: 1 })
-    .withMessage("Category is required and must be a string"),
+    .isMongoId()
+    .withMessage("Category is required and must be a category ID"),
   body("tags").optional().isArray().withMessage("Tags must be an array of IDs"),
   body("discountPercentage")
     .isFloat({ min: 0, max: 100 })
@@ -47,6 +89,7 @@ const createProductValidation = [
     .isString()
     .withMessage("Shipping must be a string"),
   body("accordion.returns").isString().withMessage("Returns must be a string"),
+  ...skuValidation,
 ];
 
 // Validation rules for getting all products with filters
@@ -55,10 +98,13 @@ const getAllProductsValidation = [
     .optional()
     .isString()
     .isLength({ min: 1 })
-    .withMessage("Category must be a string"),
+    .withMessage("Category must be a category ID, slug or name (subcategories are included)"),
   query("tags")
     .optional()
     .isString()
+    .withMessage("Tags must be a comma-separated string of IDs")
+    .bail()
+    .custom((value) => value.split(",").every((id) => mongoose.Types.ObjectId.isValid(id.trim())))
     .withMessage("Tags must be a comma-separated string of IDs"),
   query("variants")
     .optional()
@@ -70,24 +116,100 @@ const getAllProductsValidation = [
     .withMessage("Packaging must be a string"),
   query("priceMin")
     .optional()
-    .isFloat({ gt: 0 })
-    .withMessage("priceMin must be a positive number"),
+    .isFloat({ min: 0 })
+    .withMessage("priceMin must be a non-negative number")
+    .toFloat(),
   query("priceMax")
     .optional()
     .isFloat({ gt: 0 })
-    .withMessage("priceMax must be a positive number"),
+    .withMessage("priceMax must be a positive number")
+    .toFloat(),
+  query("priceBasis")
+    .optional()
+    .isIn(PRICE_BASES)
+    .withMessage(`priceBasis must be one of: ${PRICE_BASES.join(", ")}`),
   query("inStock")
     .optional()
     .isBoolean()
-    .withMessage("inStock must be a boolean"),
+    .withMessage("inStock must be a boolean")
+    .toBoolean(),
+  query("sort")
+    .optional()
+    .isIn(Object.keys(CATALOG_SORTS))
+    .withMessage(`sort must be one of: ${Object.keys(CATALOG_SORTS).join(", ")}`),
+  query("cursor")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("cursor must be the nextCursor of a previous page"),
   query("page")
     .optional()
     .isInt({ min: 1 })
     .withMessage("page must be at least 1"),
   query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be between 1 and 100"),
+  validateMiddleware,
+];
+
+// Validation rules for searching products
+const searchProductsValidation = [
+  query("q")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Search query must be 1 to 100 characters"),
+  query("query")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Search query must be 1 to 100 characters"),
+  query("sort")
+    .optional()
+    .isIn(SEARCH_SORTS)
+    .withMessage(`sort must be one of: ${SEARCH_SORTS.join(", ")}`),
+  query(["category", "brand", "packaging", "size"])
+    .optional()
+    .isString()
+    .withMessage("Facet filters must be comma-separated strings"),
+  query(["priceMin", "priceMax"])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Price filters must be non-negative numbers")
+    .toFloat(),
+  query("ratingMin")
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage("ratingMin must be between 0 and 5")
+    .toFloat(),
+  query("page")
     .optional()
     .isInt({ min: 1 })
-    .withMessage("limit must be at least 1"),
+    .withMessage("page must be at least 1")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: MAX_SEARCH_LIMIT })
+    .withMessage(`limit must be between 1 and ${MAX_SEARCH_LIMIT}`)
+    .toInt(),
+  validateMiddleware,
+];
+
+// Validation rules for autocomplete suggestions
+const suggestProductsValidation = [
+  query("q")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Search query must be 1 to 50 characters"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage("limit must be between 1 and 20")
+    .toInt(),
   validateMiddleware,
 ];
 
@@ -113,9 +235,8 @@ const updateProductValidation = [
     .withMessage("Description is too long"),
   body("category")
     .optional()
-    .isString()
-    .isLength({ min: 1 })
-    .withMessage("Category must be a string"),
+    .isMongoId()
+    .withMessage("Category must be a category ID"),
   body("tags").optional().isArray().withMessage("Tags must be an array of IDs"),
   body("discountPercentage")
     .optional()
@@ -142,6 +263,7 @@ const updateProductValidation = [
     .optional()
     .isString()
     .withMessage("Returns must be a string"),
+  ...skuValidation,
 ];
 
 // Validation rules for bulk updating products
@@ -170,9 +292,8 @@ const bulkUpdateValidation = [
     .withMessage("Description is too long"),
   body("updates.*.fields.category")
     .optional()
-    .isString()
-    .isLength({ min: 1 })
-    .withMessage("Category must be a string"),
+    .isMongoId()
+    .withMessage("Category must be a category ID"),
   body("updates.*.fields.tags")
     .optional()
     .isArray()
@@ -208,7 +329,38 @@ const bulkUpdateValidation = [
 const stockUpdateValidation = [
   body("stock")
     .isInt({ min: 0 })
-    .withMessage("Stock must be a non-negative integer"),
+    .withMessage("Stock must be a non-negative integer")
+    .toInt(),
+  body("sku")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid SKU ID"),
+];
+
+// Validation rules for importing a product file
+const importProductsValidation = [
+  body("dryRun")
+    .optional()
+    .isBoolean()
+    .withMessage("dryRun must be a boolean")
+    .toBoolean(),
+];
+
+// Validation rules for exporting products
+const exportProductsValidation = [
+  query("format")
+    .optional()
+    .isIn(["csv", "xlsx"])
+    .withMessage("format must be csv or xlsx"),
+  query("category")
+    .optional()
+    .isString()
+    .withMessage("Category must be a string"),
+  query("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean")
+    .toBoolean(),
 ];
 
 // Routes
@@ -223,15 +375,51 @@ router.post(
   productController.createProduct
 );
 
-// Get all products with filtering and pagination
+// Get all products with filtering, sorting and page or cursor pagination
 router.get("/", getAllProductsValidation, productController.getAllProducts);
 
-// Search products
-router.get('/search', productController.searchProducts);
+// Search products (relevance ranked, with facet counts)
+router.get("/search", searchProductsValidation, productController.searchProducts);
+
+// Autocomplete suggestions
+router.get("/suggest", suggestProductsValidation, productController.suggestProducts);
 
 // Get a single product by slug
 router.get("/slug/:slug", productController.getProductBySlug);
 
+// Import products from a CSV or XLSX file (create or update by slug or SKU code)
+router.post(
+  "/import",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  uploadProductFileMiddleware,
+  importProductsValidation,
+  validateMiddleware,
+  productController.importProducts
+);
+
+// Get the status and row errors of a product import
+router.get(
+  "/import/:importId",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  [
+    param("importId").isMongoId().withMessage("Invalid import ID"),
+    validateMiddleware,
+  ],
+  productController.getProductImport
+);
+
+// Export products as a CSV or XLSX file the import reads back
+router.get(
+  "/export",
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.PRODUCT_MANAGER]),
+  exportProductsValidation,
+  validateMiddleware,
+  productController.exportProducts
+);
+
 // Get a single product by ID
 router.get(
   "/:id",
@@ -0,0 +1,216 @@
+// routes/promotionRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const promotionController = require('../controllers/promotionController');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const validateMiddleware = require('../middleware/validateMiddleware');
+const USER_ROLES = require('../constants/userRoles');
+
+const PROMOTION_TYPES = ['bogo', 'tiered', 'bundle'];
+
+// Validation rules shared by create and update (presence of name/type is checked on create)
+const promotionFieldValidation = [
+  body('name')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('type')
+    .optional()
+    .isIn(PROMOTION_TYPES)
+    .withMessage(`Type must be one of: ${PROMOTION_TYPES.join(', ')}`),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  body('startDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .toDate()
+    .withMessage('Invalid start date'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .toDate()
+    .withMessage('Invalid end date'),
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be an integer'),
+  body('exclusive')
+    .optional()
+    .isBoolean()
+    .withMessage('exclusive must be a boolean'),
+  body('combinableWithCoupons')
+    .optional()
+    .isBoolean()
+    .withMessage('combinableWithCoupons must be a boolean'),
+  body('maxApplicationsPerOrder')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('maxApplicationsPerOrder must be at least 1'),
+  body('targets.products.*')
+    .isMongoId()
+    .withMessage('Invalid target product ID'),
+  body('buyQuantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('buyQuantity must be at least 1'),
+  body('getQuantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('getQuantity must be at least 1'),
+  body('getDiscountPercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('getDiscountPercent must be between 0 and 100'),
+  body('tiers')
+    .optional()
+    .isArray()
+    .withMessage('Tiers must be an array'),
+  body('tiers.*.minSubtotal')
+    .isFloat({ min: 0 })
+    .withMessage('Tier minSubtotal cannot be negative'),
+  body('tiers.*.discountType')
+    .optional()
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Invalid tier discount type'),
+  body('tiers.*.value')
+    .isFloat({ min: 0 })
+    .withMessage('Tier value cannot be negative'),
+  body('bundleItems')
+    .optional()
+    .isArray()
+    .withMessage('bundleItems must be an array'),
+  body('bundleItems.*.product')
+    .isMongoId()
+    .withMessage('Invalid bundle product ID'),
+  body('bundleItems.*.quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Bundle item quantity must be at least 1'),
+  body('bundlePrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('bundlePrice cannot be negative'),
+];
+
+// Validation rules for creating a promotion
+const createPromotionValidation = [
+  body('name')
+    .isString()
+    .notEmpty()
+    .withMessage('Name is required'),
+  body('type')
+    .isIn(PROMOTION_TYPES)
+    .withMessage(`Type must be one of: ${PROMOTION_TYPES.join(', ')}`),
+  ...promotionFieldValidation,
+];
+
+// Validation rules for promotion ID params
+const promotionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid promotion ID'),
+];
+
+// Validation rules for previewing promotions
+const previewValidation = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  body('items.*.product')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('items.*.sku')
+    .isMongoId()
+    .withMessage('Invalid SKU ID'),
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  body('at')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid preview date'),
+];
+
+// Routes
+
+// Preview promotions against a set of items
+router.post(
+  '/preview',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER]),
+  previewValidation,
+  validateMiddleware,
+  promotionController.previewPromotions
+);
+
+// Create a new promotion
+router.post(
+  '/',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER]),
+  createPromotionValidation,
+  validateMiddleware,
+  promotionController.createPromotion
+);
+
+// Get all promotions with optional filters
+router.get(
+  '/',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER]),
+  [
+    query('type')
+      .optional()
+      .isIn(PROMOTION_TYPES)
+      .withMessage('Invalid promotion type'),
+    query('active')
+      .optional()
+      .isBoolean()
+      .withMessage('active must be a boolean'),
+    query('running')
+      .optional()
+      .isBoolean()
+      .withMessage('running must be a boolean'),
+    validateMiddleware,
+  ],
+  promotionController.getAllPromotions
+);
+
+// Get promotion by ID
+router.get(
+  '/:id',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER]),
+  promotionIdValidation,
+  validateMiddleware,
+  promotionController.getPromotionById
+);
+
+// Update a promotion by ID
+router.put(
+  '/:id',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER]),
+  promotionIdValidation,
+  promotionFieldValidation,
+  validateMiddleware,
+  promotionController.updatePromotion
+);
+
+// Delete a promotion by ID
+router.delete(
+  '/:id',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER]),
+  promotionIdValidation,
+  validateMiddleware,
+  promotionController.deletePromotion
+);
+
+module.exports = router;
@@ -1,12 +1,19 @@
 // routes/reportRoutes.js
 const express = require('express');
 const router = express.Router();
-const { query } = require('express-validator');
+const { body, query } = require('express-validator');
 const reportController = require('../controllers/reportController');
 const authMiddleware = require('../middleware/authMiddleware');
 const adminMiddleware = require('../middleware/adminMiddleware');
 const validateMiddleware = require('../middleware/validateMiddleware');
 const USER_ROLES = require('../constants/userRoles');
+const uploadSettlementMiddleware = require('../middleware/uploadSettlementMiddleware');
+const { RECONCILIATION_ISSUE_TYPES } = require('../models/ReconciliationIssue');
+const { PAYMENT_METHOD_GATEWAYS } = require('../services/paymentGateways');
+
+// Staff who reconcile payments
+const FINANCE_ROLES = [USER_ROLES.SUPER_ADMIN, USER_ROLES.FINANCE_MANAGER];
+const SETTLEMENT_PROVIDERS = [...new Set(Object.values(PAYMENT_METHOD_GATEWAYS))].filter((name) => name !== 'manual');
 
 // Validation rules
 const salesSummaryValidation = [];
@@ -17,6 +24,28 @@ const customerAnalyticsValidation = [];
 const exportSalesReportValidation = [
   query('type').isIn(['csv', 'excel']).withMessage('Invalid export type'),
 ];
+const reconciliationReportValidation = [
+  query('runId').optional().isMongoId().withMessage('Invalid reconciliation run ID'),
+  query('type')
+    .optional()
+    .custom((value) => value.split(',').every((type) => RECONCILIATION_ISSUE_TYPES.includes(type)))
+    .withMessage(`type must be one or more of: ${RECONCILIATION_ISSUE_TYPES.join(', ')}`),
+  query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv'),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be at least 1'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+];
+const runReconciliationValidation = [
+  body('from').optional().isISO8601().withMessage('Invalid from date'),
+  body('to').optional().isISO8601().withMessage('Invalid to date'),
+];
+const cartRecoveryReportValidation = [
+  query('startDate').optional().isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date'),
+];
+
+const importSettlementsValidation = [
+  body('provider').isIn(SETTLEMENT_PROVIDERS).withMessage(`provider must be one of: ${SETTLEMENT_PROVIDERS.join(', ')}`),
+];
 
 // Routes
 
@@ -60,4 +89,45 @@ router.get(
   reportController.exportSalesReport
 );
 
+// Get the payment reconciliation report (JSON or CSV)
+router.get(
+  '/reconciliation',
+  authMiddleware,
+  adminMiddleware([...FINANCE_ROLES, USER_ROLES.ANALYTICS_VIEWER]),
+  reconciliationReportValidation,
+  validateMiddleware,
+  reportController.getReconciliationReport
+);
+
+// Queue a reconciliation run
+router.post(
+  '/reconciliation/run',
+  authMiddleware,
+  adminMiddleware(FINANCE_ROLES),
+  runReconciliationValidation,
+  validateMiddleware,
+  reportController.runReconciliation
+);
+
+// Import a gateway settlement report
+router.post(
+  '/reconciliation/settlements',
+  authMiddleware,
+  adminMiddleware(FINANCE_ROLES),
+  uploadSettlementMiddleware,
+  importSettlementsValidation,
+  validateMiddleware,
+  reportController.importSettlements
+);
+
+// Get abandoned-cart recovery results and recovered revenue
+router.get(
+  '/cart-recovery',
+  authMiddleware,
+  adminMiddleware([USER_ROLES.SUPER_ADMIN, USER_ROLES.MARKETING_MANAGER, USER_ROLES.ANALYTICS_VIEWER]),
+  cartRecoveryReportValidation,
+  validateMiddleware,
+  reportController.getCartRecoveryReport
+);
+
 module.exports = router;
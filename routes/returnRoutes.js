@@ -0,0 +1,245 @@
+// routes/returnRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const returnController = require('../controllers/returnController');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const validateMiddleware = require('../middleware/validateMiddleware');
+const uploadReturnPhotosMiddleware = require('../middleware/uploadReturnPhotosMiddleware');
+const USER_ROLES = require('../constants/userRoles');
+const RETURN_STATUS = require('../constants/returnStatus');
+const { ITEM_CONDITIONS } = require('../models/Return');
+
+// Staff who process returns
+const RETURN_MANAGERS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER];
+
+const returnIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid return ID'),
+];
+
+// Validation rules for listing returns
+const listReturnsValidation = [
+  query('status')
+    .optional()
+    .custom((value) => value.split(',').every((status) => Object.values(RETURN_STATUS).includes(status)))
+    .withMessage(`Status must be one or more of: ${Object.values(RETURN_STATUS).join(', ')}`),
+  query('order')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+  query('customer')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid customer ID'),
+  query('preferredResolution')
+    .optional()
+    .isIn(['refund', 'replacement'])
+    .withMessage('Preferred resolution must be refund or replacement'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be at least 1'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+// Validation rules for rejecting a return
+const rejectReturnValidation = [
+  ...returnIdValidation,
+  body('reason')
+    .isString()
+    .notEmpty()
+    .isLength({ max: 500 })
+    .withMessage('A rejection reason of up to 500 characters is required'),
+];
+
+// Validation rules for scheduling a pickup
+const schedulePickupValidation = [
+  ...returnIdValidation,
+  body('scheduledAt')
+    .isISO8601()
+    .toDate()
+    .withMessage('A valid pickup date is required'),
+  body('carrier')
+    .optional()
+    .isString()
+    .withMessage('Carrier must be a string'),
+  body('trackingNumber')
+    .optional()
+    .isString()
+    .withMessage('Tracking number must be a string'),
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+];
+
+// Validation rules for recording an inspection
+const inspectReturnValidation = [
+  ...returnIdValidation,
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+  body('items.*.productId')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('items.*.sku')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid SKU ID'),
+  body('items.*.variant')
+    .optional()
+    .isString()
+    .withMessage('Variant must be a string'),
+  body('items.*.condition')
+    .isIn(ITEM_CONDITIONS)
+    .withMessage(`Condition must be one of: ${ITEM_CONDITIONS.join(', ')}`),
+  body('items.*.conditionNotes')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Condition notes cannot exceed 1000 characters'),
+  body('items.*.restockQuantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Restock quantity cannot be negative'),
+  body('items.*.photos')
+    .optional()
+    .isArray()
+    .withMessage('Photos must be an array of URLs'),
+  body('items.*.photos.*')
+    .isURL()
+    .withMessage('Each photo must be a URL'),
+];
+
+// Validation rules for refunding a return
+const refundReturnValidation = [
+  ...returnIdValidation,
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .toFloat()
+    .withMessage('Refund amount must be at least 0.01'),
+];
+
+// List returns with filters (Admin)
+router.get(
+  '/',
+  authMiddleware,
+  adminMiddleware(RETURN_MANAGERS),
+  listReturnsValidation,
+  validateMiddleware,
+  returnController.getAllReturns
+);
+
+// List the logged-in customer's returns
+router.get('/my', authMiddleware, returnController.getMyReturns);
+
+// Get a single return (owner or admin)
+router.get(
+  '/:id',
+  authMiddleware,
+  returnIdValidation,
+  validateMiddleware,
+  returnController.getReturnById
+);
+
+// Upload photo evidence for a returned item (owner or admin)
+router.post(
+  '/:id/photos',
+  authMiddleware,
+  uploadReturnPhotosMiddleware,
+  [
+    ...returnIdValidation,
+    body('productId')
+      .isMongoId()
+      .withMessage('Invalid product ID'),
+    body('sku')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid SKU ID'),
+  ],
+  validateMiddleware,
+  returnController.uploadReturnPhotos
+);
+
+// RMA steps (Admin)
+router.put(
+  '/:id/approve',
+  authMiddleware,
+  adminMiddleware(RETURN_MANAGERS),
+  returnIdValidation,
+  validateMiddleware,
+  returnController.approveReturn
+);
+
+router.put(
+  '/:id/reject',
+  authMiddleware,
+  adminMiddleware(RETURN_MANAGERS),
+  rejectReturnValidation,
+  validateMiddleware,
+  returnController.rejectReturn
+);
+
+router.put(
+  '/:id/pickup',
+  authMiddleware,
+  adminMiddleware(RETURN_MANAGERS),
+  schedulePickupValidation,
+  validateMiddleware,
+  returnController.schedulePickup
+);
+
+router.put(
+  '/:id/receive',
+  authMiddleware,
+  adminMiddleware(RETURN_MANAGERS),
+  returnIdValidation,
+  validateMiddleware,
+  returnController.receiveReturn
+);
+
+router.put(
+  '/:id/inspect',
+  authMiddleware,
+  adminMiddleware(RETURN_MANAGERS),
+  inspectReturnValidation,
+  validateMiddleware,
+  returnController.inspectReturn
+);
+
+router.put(
+  '/:id/refund',
+  authMiddleware,
+  adminMiddleware(RETURN_MANAGERS),
+  refundReturnValidation,
+  validateMiddleware,
+  returnController.refundReturn
+);
+
+router.put(
+  '/:id/replace',
+  authMiddleware,
+  adminMiddleware(RETURN_MANAGERS),
+  returnIdValidation,
+  validateMiddleware,
+  returnController.replaceReturn
+);
+
+module.exports = router;
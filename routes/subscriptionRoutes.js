@@ -0,0 +1,231 @@
+// routes/subscriptionRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const subscriptionController = require('../controllers/subscriptionController');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const validateMiddleware = require('../middleware/validateMiddleware');
+const USER_ROLES = require('../constants/userRoles');
+const { SUBSCRIPTION_STATUSES, INTERVAL_UNITS } = require('../models/Subscription');
+
+// Staff who look after subscriptions
+const SUBSCRIPTION_MANAGERS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER];
+
+const PAYMENT_METHODS = ['cod', 'cash_on_delivery', 'razorpay', 'card', 'upi', 'paypal', 'stripe'];
+
+const subscriptionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid subscription ID'),
+];
+
+// Address rules; an optional address is only checked when it is sent
+const addressValidation = (field, { optional = false } = {}) => {
+  const check = (path) => (optional ? body(`${field}.${path}`).if(body(field).exists()) : body(`${field}.${path}`));
+  return [
+    check('street').notEmpty().withMessage('Street address is required'),
+    check('city').notEmpty().withMessage('City is required'),
+    check('state').notEmpty().withMessage('State is required'),
+    check('zip')
+      .isLength({ min: 3, max: 10 })
+      .withMessage('ZIP code must be between 3 and 10 characters'),
+    check('country').notEmpty().withMessage('Country is required'),
+  ];
+};
+
+// Validation rules for subscribing
+const createSubscriptionValidation = [
+  body('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('sku')
+    .isMongoId()
+    .withMessage('Invalid SKU ID'),
+  body('quantity')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100')
+    .toInt(),
+  body('intervalCount')
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Interval must be between 1 and 12')
+    .toInt(),
+  body('intervalUnit')
+    .isIn(INTERVAL_UNITS)
+    .withMessage(`Interval unit must be one of: ${INTERVAL_UNITS.join(', ')}`),
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  ...addressValidation('shippingAddress'),
+  ...addressValidation('billingAddress', { optional: true }),
+  body('paymentMethod')
+    .isIn(PAYMENT_METHODS)
+    .withMessage('Invalid payment method'),
+  body('paymentMethodId')
+    .optional()
+    .isString()
+    .withMessage('Payment method ID must be a string'),
+];
+
+// Validation rules for pausing
+const pauseValidation = [
+  body('until')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Invalid resume date'),
+];
+
+// Validation rules for cancelling
+const cancelValidation = [
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+];
+
+// Validation rules for changing the payment method
+const paymentMethodValidation = [
+  body('paymentMethod')
+    .isIn(PAYMENT_METHODS)
+    .withMessage('Invalid payment method'),
+  body('paymentMethodId')
+    .optional()
+    .isString()
+    .withMessage('Payment method ID must be a string'),
+];
+
+// Validation rules for listing subscriptions (Admin)
+const listSubscriptionsValidation = [
+  query('status')
+    .optional()
+    .custom((value) => value.split(',').every((status) => SUBSCRIPTION_STATUSES.includes(status)))
+    .withMessage(`Status must be one or more of: ${SUBSCRIPTION_STATUSES.join(', ')}`),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be at least 1'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+/**
+ * @route   GET /api/subscriptions/all
+ * @desc    List all subscriptions
+ * @access  Private/Admin/Order Manager
+ */
+router.get(
+  '/all',
+  authMiddleware,
+  adminMiddleware(SUBSCRIPTION_MANAGERS),
+  listSubscriptionsValidation,
+  validateMiddleware,
+  subscriptionController.getAllSubscriptions
+);
+
+/**
+ * @route   POST /api/subscriptions
+ * @desc    Subscribe to recurring deliveries
+ * @access  Private
+ */
+router.post(
+  '/',
+  authMiddleware,
+  createSubscriptionValidation,
+  validateMiddleware,
+  subscriptionController.createSubscription
+);
+
+/**
+ * @route   GET /api/subscriptions
+ * @desc    Get the logged-in customer's subscriptions
+ * @access  Private
+ */
+router.get('/', authMiddleware, subscriptionController.getMySubscriptions);
+
+/**
+ * @route   GET /api/subscriptions/:id
+ * @desc    Get a subscription with its renewal attempts
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  authMiddleware,
+  subscriptionIdValidation,
+  validateMiddleware,
+  subscriptionController.getSubscriptionById
+);
+
+/**
+ * @route   POST /api/subscriptions/:id/pause
+ * @desc    Pause renewals
+ * @access  Private
+ */
+router.post(
+  '/:id/pause',
+  authMiddleware,
+  subscriptionIdValidation,
+  pauseValidation,
+  validateMiddleware,
+  subscriptionController.pauseSubscription
+);
+
+/**
+ * @route   POST /api/subscriptions/:id/resume
+ * @desc    Resume a paused subscription
+ * @access  Private
+ */
+router.post(
+  '/:id/resume',
+  authMiddleware,
+  subscriptionIdValidation,
+  validateMiddleware,
+  subscriptionController.resumeSubscription
+);
+
+/**
+ * @route   POST /api/subscriptions/:id/skip
+ * @desc    Skip the next delivery
+ * @access  Private
+ */
+router.post(
+  '/:id/skip',
+  authMiddleware,
+  subscriptionIdValidation,
+  validateMiddleware,
+  subscriptionController.skipNextRenewal
+);
+
+/**
+ * @route   POST /api/subscriptions/:id/cancel
+ * @desc    Cancel a subscription
+ * @access  Private
+ */
+router.post(
+  '/:id/cancel',
+  authMiddleware,
+  subscriptionIdValidation,
+  cancelValidation,
+  validateMiddleware,
+  subscriptionController.cancelSubscription
+);
+
+/**
+ * @route   PUT /api/subscriptions/:id/payment-method
+ * @desc    Change the payment method renewals are charged to
+ * @access  Private
+ */
+router.put(
+  '/:id/payment-method',
+  authMiddleware,
+  subscriptionIdValidation,
+  paymentMethodValidation,
+  validateMiddleware,
+  subscriptionController.updatePaymentMethod
+);
+
+module.exports = router;
@@ -2,9 +2,52 @@
 
 const express = require('express');
 const router = express.Router();
+const { param, query } = require('express-validator');
 const webhookController = require('../controllers/webhookController');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const validateMiddleware = require('../middleware/validateMiddleware');
+const USER_ROLES = require('../constants/userRoles');
+const { WEBHOOK_EVENT_STATUSES } = require('../models/WebhookEvent');
 const bodyParser = require('body-parser');
 
+// Staff who look after payments
+const PAYMENT_MANAGERS = [USER_ROLES.SUPER_ADMIN, USER_ROLES.ORDER_MANAGER, USER_ROLES.FINANCE_MANAGER];
+
+const webhookEventIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid webhook event ID'),
+];
+
+// Validation rules for listing webhook events
+const listWebhookEventsValidation = [
+  query('status')
+    .optional()
+    .custom((value) => value.split(',').every((status) => WEBHOOK_EVENT_STATUSES.includes(status)))
+    .withMessage(`Status must be one or more of: ${WEBHOOK_EVENT_STATUSES.join(', ')}`),
+  query('order')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be at least 1'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
 // Stripe requires the raw body to construct the event
 router.post(
   '/stripe',
@@ -12,4 +55,46 @@ router.post(
   webhookController.stripeWebhook
 );
 
+/**
+ * @route   GET /api/webhooks/events
+ * @desc    List webhook events in the inbox
+ * @access  Private/Admin/Order Manager/Finance Manager
+ */
+router.get(
+  '/events',
+  authMiddleware,
+  adminMiddleware(PAYMENT_MANAGERS),
+  listWebhookEventsValidation,
+  validateMiddleware,
+  webhookController.getWebhookEvents
+);
+
+/**
+ * @route   GET /api/webhooks/events/:id
+ * @desc    Inspect a webhook event
+ * @access  Private/Admin/Order Manager/Finance Manager
+ */
+router.get(
+  '/events/:id',
+  authMiddleware,
+  adminMiddleware(PAYMENT_MANAGERS),
+  webhookEventIdValidation,
+  validateMiddleware,
+  webhookController.getWebhookEventById
+);
+
+/**
+ * @route   POST /api/webhooks/events/:id/replay
+ * @desc    Re-run a failed or unprocessed webhook event
+ * @access  Private/Admin/Order Manager/Finance Manager
+ */
+router.post(
+  '/events/:id/replay',
+  authMiddleware,
+  adminMiddleware(PAYMENT_MANAGERS),
+  webhookEventIdValidation,
+  validateMiddleware,
+  webhookController.replayWebhookEvent
+);
+
 module.exports = router;
@@ -0,0 +1,118 @@
+// routes/wishlistRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const wishlistController = require('../controllers/wishlistController');
+const authMiddleware = require('../middleware/authMiddleware');
+const validateMiddleware = require('../middleware/validateMiddleware');
+
+const itemIdValidation = [
+  param('itemId')
+    .isMongoId()
+    .withMessage('Invalid wishlist item ID'),
+];
+
+// Validation rules for saving a product SKU
+const addItemValidation = [
+  body('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('sku')
+    .isMongoId()
+    .withMessage('Invalid SKU ID'),
+  body('notifyBackInStock')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyBackInStock must be a boolean')
+    .toBoolean(),
+  body('notifyPriceDrop')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyPriceDrop must be a boolean')
+    .toBoolean(),
+];
+
+// Validation rules for moving an item to the cart
+const moveToCartValidation = [
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer')
+    .toInt(),
+];
+
+/**
+ * @route   GET /api/wishlist/shared/:token
+ * @desc    View a shared wishlist through its public link
+ * @access  Public
+ */
+router.get(
+  '/shared/:token',
+  [param('token').isHexadecimal().isLength({ min: 32, max: 32 }).withMessage('Invalid share link')],
+  validateMiddleware,
+  wishlistController.getSharedWishlist
+);
+
+/**
+ * @route   GET /api/wishlist
+ * @desc    Get the logged-in customer's wishlist
+ * @access  Private
+ */
+router.get('/', authMiddleware, wishlistController.getWishlist);
+
+/**
+ * @route   POST /api/wishlist/items
+ * @desc    Save a product SKU, with back-in-stock and price-drop alert preferences
+ * @access  Private
+ */
+router.post(
+  '/items',
+  authMiddleware,
+  addItemValidation,
+  validateMiddleware,
+  wishlistController.addItem
+);
+
+/**
+ * @route   DELETE /api/wishlist/items/:itemId
+ * @desc    Remove an item from the wishlist
+ * @access  Private
+ */
+router.delete(
+  '/items/:itemId',
+  authMiddleware,
+  itemIdValidation,
+  validateMiddleware,
+  wishlistController.removeItem
+);
+
+/**
+ * @route   POST /api/wishlist/items/:itemId/move-to-cart
+ * @desc    Move a wishlist item into the cart
+ * @access  Private
+ */
+router.post(
+  '/items/:itemId/move-to-cart',
+  authMiddleware,
+  itemIdValidation,
+  moveToCartValidation,
+  validateMiddleware,
+  wishlistController.moveItemToCart
+);
+
+/**
+ * @route   POST /api/wishlist/share
+ * @desc    Create the public share link
+ * @access  Private
+ */
+router.post('/share', authMiddleware, wishlistController.enableSharing);
+
+/**
+ * @route   DELETE /api/wishlist/share
+ * @desc    Remove the public share link
+ * @access  Private
+ */
+router.delete('/share', authMiddleware, wishlistController.disableSharing);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// scripts/migrateProductCategories.js
+//
+// One-off migration from the old product category enum ('Beverages', 'Snacks', 'Health',
+// 'Other') to Category references. Each category name still stored on products becomes a
+// top-level product category (an existing product category with the same name is reused),
+// then product search fields and indexes are rebuilt.
+//
+// Usage: node scripts/migrateProductCategories.js [--dry-run]
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const connectDB = require('../config/db');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { ensureProductCategory } = require('../services/categoryService');
+const { refreshProductSearchFields } = require('../services/searchService');
+
+// Load environment variables from .env file
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateProductCategories = async () => {
+  try {
+    await connectDB();
+
+    // Read raw documents: the schema would try to cast the old names to ObjectIds
+    const names = await Product.collection.distinct('category', { category: { $type: 'string' } });
+    console.log(`${names.length} legacy category name(s) found on products${dryRun ? ' (dry run)' : ''}`);
+
+    let failed = 0;
+    for (const name of names) {
+      const productCount = await Product.collection.countDocuments({ category: name });
+
+      if (dryRun) {
+        const existing = await Category.findOne({ name }).collation({ locale: 'en', strength: 2 });
+        const action = existing ? `use existing ${existing.type} category ${existing._id}` : 'create a product category';
+        console.log(`  '${name}': ${productCount} product(s) -> ${action}`);
+        continue;
+      }
+
+      try {
+        const category = await ensureProductCategory(name);
+        const result = await Product.collection.updateMany({ category: name }, { $set: { category: category._id } });
+        console.log(`  '${name}': ${result.modifiedCount} product(s) -> category ${category._id}`);
+      } catch (error) {
+        failed += 1;
+        console.error(`  '${name}': skipped (${error.message})`);
+      }
+    }
+
+    if (!dryRun) {
+      // Replaces the old title/description text index with the weighted search index
+      await Product.syncIndexes();
+      const refreshed = await refreshProductSearchFields({});
+      console.log(`Search fields rebuilt for ${refreshed} product(s)`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error(`Error migrating product categories: ${error.message}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateProductCategories();
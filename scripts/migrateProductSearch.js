@@ -0,0 +1,64 @@
+// scripts/migrateProductSearch.js
+//
+// One-off migration to the weighted product search. MongoDB allows one text index per
+// collection, so the old title/description text index is dropped before the indexes are
+// synced (which builds ProductSearchIndex and the trigram index). Then the search keywords
+// and trigrams of every product, which are otherwise only set when a product is saved, are
+// backfilled.
+//
+// Products still carrying a category name instead of a Category reference are left for
+// scripts/migrateProductCategories.js, which rebuilds their search fields as well.
+//
+// Usage: node scripts/migrateProductSearch.js [--dry-run]
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const connectDB = require('../config/db');
+const Product = require('../models/Product');
+const { refreshProductSearchFields } = require('../services/searchService');
+
+// Load environment variables from .env file
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const SEARCH_INDEX_NAME = 'ProductSearchIndex';
+
+const migrateProductSearch = async () => {
+  try {
+    await connectDB();
+
+    const indexes = await Product.collection.indexes();
+    const oldTextIndexes = indexes.filter((index) => index.key._fts === 'text' && index.name !== SEARCH_INDEX_NAME);
+    const legacyCategoryCount = await Product.collection.countDocuments({ category: { $type: 'string' } });
+    const productCount = await Product.collection.countDocuments({ category: { $not: { $type: 'string' } } });
+
+    if (dryRun) {
+      console.log(`Text index(es) to drop: ${oldTextIndexes.map((index) => index.name).join(', ') || 'none'} (dry run)`);
+      console.log(`Search fields to rebuild for ${productCount} product(s)`);
+    } else {
+      for (const index of oldTextIndexes) {
+        await Product.collection.dropIndex(index.name);
+        console.log(`Dropped text index ${index.name}`);
+      }
+      await Product.syncIndexes();
+      console.log(`Indexes synced (${SEARCH_INDEX_NAME} built)`);
+
+      const refreshed = await refreshProductSearchFields({ category: { $not: { $type: 'string' } } });
+      console.log(`Search fields rebuilt for ${refreshed} product(s)`);
+    }
+
+    if (legacyCategoryCount > 0) {
+      console.log(`${legacyCategoryCount} product(s) with a category name: run scripts/migrateProductCategories.js`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error migrating product search: ${error.message}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateProductSearch();
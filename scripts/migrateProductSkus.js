@@ -0,0 +1,173 @@
+// scripts/migrateProductSkus.js
+//
+// One-off migration from product sizes with a separate list of packaging types to SKUs,
+// one per size and packaging (see buildSkuMatrix). Afterwards the carts, orders, returns,
+// stock holds, wishlists, subscriptions and recovery emails that named a variant by its
+// size (and packaging) get the ID of the matching SKU. Cart lines without a matching SKU
+// are dropped, as carts can only hold SKUs.
+//
+// Usage: node scripts/migrateProductSkus.js [--dry-run]
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const connectDB = require('../config/db');
+const Product = require('../models/Product');
+const { buildSkuMatrix } = require('../models/Product');
+const Cart = require('../models/Cart');
+const CartRecovery = require('../models/CartRecovery');
+const Order = require('../models/Order');
+const Return = require('../models/Return');
+const StockReservation = require('../models/StockReservation');
+const Subscription = require('../models/Subscription');
+const Wishlist = require('../models/Wishlist');
+
+// Load environment variables from .env file
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+// SKUs of each product, loaded once
+const skuCache = new Map();
+const getSkus = async (productId) => {
+  const key = String(productId);
+  if (!skuCache.has(key)) {
+    const product = await Product.collection.findOne({ _id: productId }, { projection: { variants: 1 } });
+    skuCache.set(key, product ? (product.variants || []).filter((variant) => variant._id) : []);
+  }
+  return skuCache.get(key);
+};
+
+/**
+ * Find the SKU a line named by size (case-insensitive) and packaging. Without a packaging
+ * the size's first SKU is used, which is the one that received the size's stock.
+ * @returns {Promise<Object|undefined>}
+ */
+const findLegacySku = async (productId, size, packaging) => {
+  const skus = await getSkus(productId);
+  const sameSize = skus.filter((sku) => sku.size.toLowerCase() === String(size || '').toLowerCase());
+  return packaging ? sameSize.find((sku) => sku.packaging === packaging) : sameSize[0];
+};
+
+/**
+ * Turn the sizes of every product without SKUs into a SKU matrix.
+ * @returns {Promise<number>} - Products that could not be migrated.
+ */
+const migrateProducts = async () => {
+  const products = await Product.collection
+    .find({ 'variants.0': { $exists: true }, 'variants._id': { $exists: false } })
+    .project({ title: 1, variants: 1, packaging: 1 })
+    .toArray();
+  console.log(`${products.length} product(s) without SKUs${dryRun ? ' (dry run)' : ''}`);
+
+  let failed = 0;
+  for (const raw of products) {
+    const variants = buildSkuMatrix(raw.variants, raw.packaging);
+    if (dryRun) {
+      console.log(`  '${raw.title}': ${raw.variants.length} size(s) -> ${variants.length} SKU(s)`);
+      continue;
+    }
+
+    try {
+      const product = await Product.findById(raw._id);
+      product.variants = variants;
+      await product.save();
+      console.log(`  '${raw.title}': ${product.variants.map((variant) => variant.sku).join(', ')}`);
+    } catch (error) {
+      failed += 1;
+      console.error(`  '${raw.title}': skipped (${error.message})`);
+    }
+  }
+  return failed;
+};
+
+/**
+ * Fill in the SKU of every line item that has none.
+ * @param {Object} Model - Model whose documents hold the lines.
+ * @param {Object} fields - { items, product, packaging? } - paths of the line array and line fields.
+ * @param {Object} [options]
+ * @param {boolean} [options.dropUnmatched] - Remove lines without a matching SKU.
+ */
+const backfillLineSkus = async (Model, { items, product, packaging }, { dropUnmatched = false } = {}) => {
+  const documents = await Model.collection
+    .find({ [items]: { $elemMatch: { sku: null } } })
+    .project({ [items]: 1 })
+    .toArray();
+
+  let matched = 0;
+  let unmatched = 0;
+  for (const document of documents) {
+    const lines = [];
+    for (const line of document[items]) {
+      if (!line.sku) {
+        const sku = await findLegacySku(line[product], line.variant, packaging && line[packaging]);
+        if (sku) {
+          line.sku = sku._id;
+          if (packaging && !line[packaging]) line[packaging] = sku.packaging;
+          matched += 1;
+        } else {
+          unmatched += 1;
+          if (dropUnmatched) continue;
+        }
+      }
+      lines.push(line);
+    }
+    if (!dryRun) {
+      await Model.collection.updateOne({ _id: document._id }, { $set: { [items]: lines } });
+    }
+  }
+
+  const action = dropUnmatched ? 'dropped' : 'left without a SKU';
+  console.log(`${Model.modelName}: ${matched} line(s) matched, ${unmatched} ${action} (${documents.length} document(s))`);
+};
+
+/**
+ * Fill in the SKU of subscriptions, which hold a single line.
+ */
+const backfillSubscriptionSkus = async () => {
+  const subscriptions = await Subscription.collection.find({ sku: null }).toArray();
+  let unmatched = 0;
+  for (const subscription of subscriptions) {
+    const sku = await findLegacySku(subscription.product, subscription.variant, subscription.packaging);
+    if (!sku) {
+      unmatched += 1;
+      console.error(`  Subscription ${subscription._id}: no SKU for ${subscription.variant} ${subscription.packaging}`);
+      continue;
+    }
+    if (!dryRun) {
+      await Subscription.collection.updateOne({ _id: subscription._id }, { $set: { sku: sku._id } });
+    }
+  }
+  console.log(`Subscription: ${subscriptions.length - unmatched} matched, ${unmatched} without a SKU`);
+};
+
+const migrateProductSkus = async () => {
+  try {
+    await connectDB();
+
+    const failed = await migrateProducts();
+
+    // In a dry run the products still have no SKUs to match lines against
+    if (!dryRun) {
+      await backfillLineSkus(Cart, { items: 'items', product: 'product', packaging: 'packaging' }, { dropUnmatched: true });
+      await backfillLineSkus(CartRecovery, { items: 'items', product: 'product', packaging: 'packaging' });
+      await backfillLineSkus(Order, { items: 'items', product: 'product', packaging: 'packaging' });
+      await backfillLineSkus(Return, { items: 'items', product: 'productId', packaging: 'packaging' });
+      // Holds name no packaging; unmatched ones still restock by size
+      await backfillLineSkus(StockReservation, { items: 'items', product: 'product' });
+      await backfillLineSkus(Wishlist, { items: 'items', product: 'product', packaging: 'packaging' });
+      await backfillSubscriptionSkus();
+
+      // Adds the unique SKU code and barcode indexes
+      await Product.syncIndexes();
+    }
+
+    await mongoose.connection.close();
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error(`Error migrating product SKUs: ${error.message}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+migrateProductSkus();
@@ -0,0 +1,81 @@
+// scripts/reencryptTransactions.js
+//
+// One-off repair of transactions saved while the Transaction model encrypted transactionId
+// and receiptUrl twice (once by the field setter and again in a pre-save hook). Reading
+// such a field returns ciphertext instead of the value. Every layer is peeled off and the
+// value is stored again with a single layer, which is what the model reads back.
+//
+// Usage: node scripts/reencryptTransactions.js [--dry-run]
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const connectDB = require('../config/db');
+const Transaction = require('../models/Transaction');
+const { encryptField, decryptField } = require('../models/Transaction');
+
+// Load environment variables from .env file
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const ENCRYPTED_FIELDS = ['transactionId', 'receiptUrl'];
+// What encryptField produces: a 16-byte hex IV, a colon and the hex ciphertext
+const CIPHERTEXT_PATTERN = /^[0-9a-f]{32}:[0-9a-f]+$/;
+
+/**
+ * Decrypt a stored value until it no longer looks encrypted.
+ * @param {string} value - Raw stored value.
+ * @returns {Object} - { plain, layers }
+ */
+const peelEncryption = (value) => {
+  let plain = value;
+  let layers = 0;
+  while (typeof plain === 'string' && CIPHERTEXT_PATTERN.test(plain)) {
+    try {
+      plain = decryptField(plain);
+      layers += 1;
+    } catch (error) {
+      // Not ciphertext of this key after all; keep what was decrypted so far
+      break;
+    }
+  }
+  return { plain, layers };
+};
+
+const reencryptTransactions = async () => {
+  try {
+    await connectDB();
+
+    const query = { $or: ENCRYPTED_FIELDS.map((field) => ({ [field]: { $type: 'string' } })) };
+    const projection = Object.fromEntries(ENCRYPTED_FIELDS.map((field) => [field, 1]));
+    const cursor = Transaction.collection.find(query, { projection });
+
+    let checked = 0;
+    let repaired = 0;
+    for await (const raw of cursor) {
+      checked += 1;
+      const update = {};
+      ENCRYPTED_FIELDS.forEach((field) => {
+        const { plain, layers } = peelEncryption(raw[field]);
+        if (layers > 1) update[field] = encryptField(plain);
+      });
+
+      if (Object.keys(update).length === 0) continue;
+      repaired += 1;
+      console.log(`  ${raw._id}: ${Object.keys(update).join(', ')}`);
+      if (!dryRun) {
+        await Transaction.collection.updateOne({ _id: raw._id }, { $set: update });
+      }
+    }
+
+    console.log(`${repaired} of ${checked} transaction(s) were encrypted twice${dryRun ? ' (dry run)' : ''}`);
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error re-encrypting transactions: ${error.message}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+};
+
+reencryptTransactions();
@@ -3,7 +3,10 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const Product = require('../models/Product'); // Adjust the path if necessary
+const { buildSkuMatrix } = require('../models/Product');
 const productsData = require('../data/Data.Dummy'); // Adjust the path if necessary
+const { refreshProductSearchFields } = require('../services/searchService');
+const { ensureProductCategory } = require('../services/categoryService');
 
 dotenv.config();
 
@@ -31,6 +34,12 @@ async function seedProducts() {
     await Product.deleteMany();
     console.log('Existing products cleared');
 
+    // The dummy data names its categories; products reference Category documents
+    const categoryIds = {};
+    for (const name of new Set(productsData.map((product) => product.category))) {
+      categoryIds[name] = (await ensureProductCategory(name))._id;
+    }
+
     // Generate slugs and prepare products for insertion
     const productsWithSlug = productsData.map((product) => {
       const slug = slugify(product.title, product.id);
@@ -38,6 +47,9 @@ async function seedProducts() {
       return {
         ...product,
         slug, // Add the generated slug
+        category: categoryIds[product.category],
+        // The dummy data lists sizes and packaging separately; products sell one SKU per combination
+        variants: buildSkuMatrix(product.variants, product.packaging),
         // Ensure accordion data exists; if not, assign default values
         accordion: {
           details: product.accordion?.details || 'This is detailed information about the product.',
@@ -53,6 +65,9 @@ async function seedProducts() {
     await Product.insertMany(productsWithSlug);
     console.log('Products seeded successfully');
 
+    // insertMany skips save middleware, so build the search fields here
+    await refreshProductSearchFields({});
+
     // Disconnect from MongoDB
     await mongoose.disconnect();
     process.exit();
@@ -2,6 +2,17 @@ const app = require('./app');
 const mongoose = require('mongoose');
 const logger = require('./utils/logger');
 
+// Background jobs
+require('./jobs/reservationJob');
+require('./jobs/webhookJob');
+require('./jobs/reconciliationJob');
+require('./jobs/cartRecoveryJob');
+require('./jobs/emailJob');
+require('./jobs/subscriptionJob');
+require('./jobs/bestSellerJob');
+require('./jobs/productImportJob');
+require('./jobs/priceScheduleJob');
+
 // Handle Uncaught Exceptions
 process.on('uncaughtException', (err) => {
   logger.error(`Uncaught Exception: ${err.message}`);
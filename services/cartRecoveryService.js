@@ -0,0 +1,391 @@
+// services/cartRecoveryService.js
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Cart = require('../models/Cart');
+const CartRecovery = require('../models/CartRecovery');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const sendEmail = require('./emailService');
+const { roundCurrency } = require('../utils/money');
+const { renderTemplateString } = require('./templateService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 'Notification Settings' key overriding the defaults below, e.g.
+// { "enabled": true, "steps": [{ "delayHours": 2, "template": "cart_recovery_1" }], "coupon": { "discount": 15 } }
+const CART_RECOVERY_SETTING_KEY = 'cartRecovery';
+
+// Emails are timed from the cart's last change; a step with `coupon` adds a single-use coupon
+const DEFAULT_CART_RECOVERY_SETTINGS = {
+  enabled: true,
+  steps: [
+    { delayHours: 1, template: 'cart_recovery_1', coupon: false },
+    { delayHours: 24, template: 'cart_recovery_2', coupon: false },
+    { delayHours: 72, template: 'cart_recovery_3', coupon: true },
+  ],
+  coupon: { discountType: 'percentage', discount: 10, maxDiscount: null, validDays: 7 },
+  // Carts idle for longer than the last step plus this are not picked up (e.g. when the job first runs)
+  maxIdleDays: 7,
+  // Orders placed this long after the latest email still count as recovered
+  attributionDays: 7,
+  linkTtlDays: 14,
+};
+
+// Content used when no active Email template with the step's name exists
+const DEFAULT_RECOVERY_NOTIFICATIONS = {
+  cart_recovery_1: {
+    subject: 'You left something in your cart - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p>Your cart is waiting for you:</p><ul>{{#each items}}<li>{{quantity}} x {{title}} ({{variant}})</li>{{/each}}</ul><p><a href="{{{restoreUrl}}}">Return to your cart</a></p>',
+  },
+  cart_recovery_2: {
+    subject: 'Your cart is still saved - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p>The items in your cart ({{cartTotal}}) are still available, but stock is limited.</p><ul>{{#each items}}<li>{{quantity}} x {{title}} ({{variant}})</li>{{/each}}</ul><p><a href="{{{restoreUrl}}}">Complete your order</a></p>',
+  },
+  cart_recovery_3: {
+    subject: 'A little something to complete your order - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p>Your cart is still waiting.{{#if couponCode}} Use code <strong>{{couponCode}}</strong> for {{couponDiscount}} off, valid until {{couponExpiresAt}}.{{/if}}</p><ul>{{#each items}}<li>{{quantity}} x {{title}} ({{variant}})</li>{{/each}}</ul><p><a href="{{{restoreUrl}}}">Complete your order</a></p>',
+  },
+};
+
+const LINK_PURPOSE = 'cart_recovery';
+
+/**
+ * Read the recovery settings from 'Notification Settings', over the defaults.
+ * @returns {Promise<Object>}
+ */
+const getCartRecoverySettings = async () => {
+  const setting = await Settings.findOne({
+    key: CART_RECOVERY_SETTING_KEY,
+    category: 'Notification Settings',
+    isActive: true,
+  }).lean();
+  const value = setting && setting.value && typeof setting.value === 'object' ? setting.value : {};
+  return {
+    ...DEFAULT_CART_RECOVERY_SETTINGS,
+    ...value,
+    coupon: { ...DEFAULT_CART_RECOVERY_SETTINGS.coupon, ...(value.coupon || {}) },
+  };
+};
+
+/**
+ * Find the step of the sequence that is due for a recovery.
+ * @param {Object} recovery - { lastActivityAt, steps }
+ * @param {Array<Object>} steps - Sequence steps ({ delayHours, template, coupon }).
+ * @param {Date} [now]
+ * @returns {Object|null} - { index, step } or null when nothing is due.
+ */
+const getDueStep = (recovery, steps, now = new Date()) => {
+  const index = recovery.steps.length;
+  const step = steps[index];
+  if (!step) return null;
+
+  const idleMs = now.getTime() - new Date(recovery.lastActivityAt).getTime();
+  return idleMs >= step.delayHours * HOUR_MS ? { index, step } : null;
+};
+
+/**
+ * Pick the recovery an order should be credited to: the latest one that emailed
+ * the customer within the attribution window, or the one whose coupon the order used.
+ * @param {Array<Object>} recoveries - The customer's unrecovered recoveries.
+ * @param {Object} order - { couponCode, createdAt }
+ * @param {number} attributionDays
+ * @returns {Object|null}
+ */
+const findAttributableRecovery = (recoveries, order, attributionDays) => {
+  const orderedAt = new Date(order.createdAt || Date.now()).getTime();
+  const emailed = recoveries.filter((recovery) => recovery.steps.length > 0);
+
+  const byCoupon = order.couponCode && emailed.find((recovery) => recovery.couponCode === order.couponCode);
+  if (byCoupon) return byCoupon;
+
+  const candidates = emailed.filter((recovery) => {
+    const lastSentAt = new Date(recovery.steps[recovery.steps.length - 1].sentAt).getTime();
+    return orderedAt >= lastSentAt && orderedAt - lastSentAt <= attributionDays * 24 * HOUR_MS;
+  });
+  candidates.sort((a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt));
+  return candidates[0] || null;
+};
+
+/**
+ * Sign the link that restores a recovery's cart.
+ * @param {Object} recovery
+ * @param {number} ttlDays
+ * @returns {string} - Deep link into the storefront.
+ */
+const buildRestoreUrl = (recovery, ttlDays) => {
+  const token = jwt.sign({ recovery: String(recovery._id), purpose: LINK_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: `${ttlDays}d`,
+  });
+  const frontendURL = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${frontendURL}/cart/restore?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Create the single-use coupon offered by a recovery step, for the cart's owner only.
+ * @param {Object} recovery
+ * @param {Object} couponSettings - { discountType, discount, maxDiscount, validDays }
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - The Coupon.
+ */
+const createRecoveryCoupon = (recovery, couponSettings, now = new Date()) =>
+  Coupon.create({
+    code: `CART${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+    discount: couponSettings.discount,
+    discountType: couponSettings.discountType,
+    maxDiscount: couponSettings.maxDiscount,
+    expirationDate: new Date(now.getTime() + couponSettings.validDays * 24 * HOUR_MS),
+    maxUses: 1,
+    perUserLimit: 1,
+    assignedTo: recovery.user,
+  });
+
+/**
+ * Send one step of the sequence and record it on the recovery.
+ * @param {Object} recovery - CartRecovery document.
+ * @param {Object} due - { index, step } from getDueStep.
+ * @param {Object} context
+ * @param {Object} context.user - { name, email }
+ * @param {Object} context.settings - Recovery settings.
+ * @param {Date} [context.now]
+ * @returns {Promise<Object>} - The saved recovery.
+ */
+const sendRecoveryStep = async (recovery, { index, step }, { user, settings, now = new Date() }) => {
+  let coupon = recovery.coupon ? await Coupon.findById(recovery.coupon) : null;
+  if (step.coupon && !coupon) {
+    coupon = await createRecoveryCoupon(recovery, settings.coupon, now);
+    recovery.coupon = coupon._id;
+    recovery.couponCode = coupon.code;
+  }
+
+  const template = await NotificationTemplate.findOne({ name: step.template, category: 'Email', isActive: true }).lean();
+  const content = template || DEFAULT_RECOVERY_NOTIFICATIONS[step.template] || DEFAULT_RECOVERY_NOTIFICATIONS.cart_recovery_1;
+  const data = {
+    customerName: user.name,
+    items: recovery.items.map((item) => ({
+      title: item.title,
+      variant: item.variant,
+      quantity: item.quantity,
+      price: item.price.toFixed(2),
+    })),
+    cartTotal: recovery.cartValue.toFixed(2),
+    restoreUrl: buildRestoreUrl(recovery, settings.linkTtlDays),
+    couponCode: coupon ? coupon.code : null,
+    couponDiscount: coupon ? (coupon.discountType === 'percentage' ? `${coupon.discount}%` : coupon.discount.toFixed(2)) : null,
+    couponExpiresAt: coupon ? coupon.expirationDate.toDateString() : null,
+    step: index + 1,
+  };
+
+  const html = renderTemplateString(content.body, data);
+  await sendEmail({
+    email: user.email,
+    subject: renderTemplateString(content.subject, data),
+    message: html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim(),
+    html,
+  });
+
+  recovery.steps.push({ step: index + 1, template: step.template, sentAt: now });
+  if (index + 1 >= settings.steps.length) {
+    recovery.status = 'completed';
+  }
+  await recovery.save();
+
+  logger.info(`Cart recovery email ${index + 1} sent to ${user.email} for cart ${recovery.cart}`);
+  return recovery;
+};
+
+/**
+ * Credit an order to the recovery it came from and stop the customer's open sequences.
+ * Called when an order is placed; never throws, so checkout is not affected.
+ * @param {Object} order - The new order ({ _id, customer, grandTotal, couponCode, createdAt }).
+ * @returns {Promise<Object|null>} - The recovered CartRecovery, if any.
+ */
+const recordCartRecoveryOrder = async (order) => {
+  try {
+    const settings = await getCartRecoverySettings();
+    const recoveries = await CartRecovery.find({ user: order.customer, status: { $ne: 'recovered' } });
+
+    const recovered = findAttributableRecovery(recoveries, order, settings.attributionDays);
+    if (recovered) {
+      recovered.status = 'recovered';
+      recovered.order = order._id;
+      recovered.recoveredAt = order.createdAt || new Date();
+      recovered.recoveredRevenue = order.grandTotal;
+      await recovered.save();
+      logger.info(`Order ${order._id} recovered abandoned cart ${recovered.cart}`);
+    }
+
+    await CartRecovery.updateMany(
+      { user: order.customer, status: 'active' },
+      { status: 'stopped', stopReason: 'order_placed' }
+    );
+    return recovered;
+  } catch (error) {
+    logger.error(`Failed to record cart recovery for order ${order._id}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Start a recovery for every cart that went idle past the first step and is not tracked yet.
+ * @param {Object} settings
+ * @param {Date} now
+ * @returns {Promise<number>} - Recoveries started.
+ */
+const startRecoveries = async (settings, now) => {
+  const [firstStep] = settings.steps;
+  const lastStep = settings.steps[settings.steps.length - 1];
+  const idleSince = new Date(now.getTime() - firstStep.delayHours * HOUR_MS);
+  const oldestActivity = new Date(now.getTime() - lastStep.delayHours * HOUR_MS - settings.maxIdleDays * 24 * HOUR_MS);
+
+  // Guest carts have no one to email
+  const carts = await Cart.find({
+    user: { $ne: null },
+    'items.0': { $exists: true },
+    updatedAt: { $lte: idleSince, $gte: oldestActivity },
+  }).lean();
+
+  let started = 0;
+  for (const cart of carts) {
+    const orderedSince = await Order.exists({ customer: cart.user, createdAt: { $gte: cart.updatedAt } });
+    if (orderedSince) continue;
+
+    const result = await CartRecovery.updateOne(
+      { cart: cart._id, lastActivityAt: cart.updatedAt },
+      {
+        $setOnInsert: {
+          user: cart.user,
+          items: cart.items.map(({ product, title, sku, variant, packaging, quantity, price, thumbnail }) => ({
+            product,
+            title,
+            sku,
+            variant,
+            packaging,
+            quantity,
+            price,
+            thumbnail,
+          })),
+          cartValue: roundCurrency(Math.max(cart.totalAmount - (cart.promotionDiscount || 0), 0)),
+          status: 'active',
+        },
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount > 0) started += 1;
+  }
+  return started;
+};
+
+/**
+ * Find abandoned carts and send the recovery emails that are due.
+ * Sequences stop when the customer orders, changes or empties the cart.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - { started, sent, stopped }
+ */
+const runCartRecovery = async ({ now = new Date() } = {}) => {
+  const settings = await getCartRecoverySettings();
+  if (!settings.enabled || !Array.isArray(settings.steps) || settings.steps.length === 0) {
+    return { started: 0, sent: 0, stopped: 0 };
+  }
+
+  const started = await startRecoveries(settings, now);
+
+  let sent = 0;
+  let stopped = 0;
+  const recoveries = await CartRecovery.find({ status: 'active' });
+  for (const recovery of recoveries) {
+    const [cart, user, ordered] = await Promise.all([
+      Cart.findById(recovery.cart).select('items updatedAt').lean(),
+      User.findById(recovery.user).select('name email').lean(),
+      Order.exists({ customer: recovery.user, createdAt: { $gte: recovery.lastActivityAt } }),
+    ]);
+
+    let stopReason = null;
+    if (ordered) stopReason = 'order_placed';
+    else if (!cart || cart.items.length === 0) stopReason = 'cart_emptied';
+    else if (cart.updatedAt > recovery.lastActivityAt) stopReason = 'cart_updated';
+    else if (!user || !user.email) stopReason = 'no_recipient';
+
+    if (stopReason) {
+      recovery.status = 'stopped';
+      recovery.stopReason = stopReason;
+      await recovery.save();
+      stopped += 1;
+      continue;
+    }
+
+    const due = getDueStep(recovery, settings.steps, now);
+    if (!due) continue;
+
+    try {
+      await sendRecoveryStep(recovery, due, { user, settings, now });
+      sent += 1;
+    } catch (error) {
+      logger.error(`Cart recovery email for cart ${recovery.cart} failed: ${error.message}`);
+    }
+  }
+
+  logger.info(`Cart recovery: ${started} started, ${sent} emails sent, ${stopped} stopped`);
+  return { started, sent, stopped };
+};
+
+/**
+ * Restore a cart from a recovery email link. The customer's cart is refilled
+ * from the snapshot if it was emptied in the meantime.
+ * @param {string} token - Signed token from the deep link.
+ * @returns {Promise<Object>} - { cart, couponCode }
+ * @throws {Error} - 400 for an invalid or expired link, 404 when the recovery no longer exists.
+ */
+const restoreCartFromToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw createHttpError(400, 'This cart link is invalid or has expired.');
+  }
+  if (payload.purpose !== LINK_PURPOSE) {
+    throw createHttpError(400, 'This cart link is invalid or has expired.');
+  }
+
+  const recovery = await CartRecovery.findById(payload.recovery);
+  if (!recovery) {
+    throw createHttpError(404, 'This cart could not be found.');
+  }
+
+  let cart = await Cart.findOne({ user: recovery.user });
+  if (!cart) {
+    cart = new Cart({ user: recovery.user, items: [] });
+  }
+  if (cart.items.length === 0) {
+    // Lines saved before SKUs existed cannot be put back in a cart
+    cart.items = recovery.items.filter((item) => item.sku).map((item) => item.toObject());
+    await cart.save();
+  }
+
+  if (!recovery.linkClickedAt) {
+    recovery.linkClickedAt = new Date();
+    await recovery.save();
+  }
+
+  return { cart, couponCode: recovery.status !== 'recovered' ? recovery.couponCode : null };
+};
+
+module.exports = {
+  CART_RECOVERY_SETTING_KEY,
+  DEFAULT_CART_RECOVERY_SETTINGS,
+  DEFAULT_RECOVERY_NOTIFICATIONS,
+  getCartRecoverySettings,
+  getDueStep,
+  findAttributableRecovery,
+  buildRestoreUrl,
+  sendRecoveryStep,
+  recordCartRecoveryOrder,
+  runCartRecovery,
+  restoreCartFromToken,
+};
@@ -0,0 +1,152 @@
+// services/cartService.js
+
+const Product = require('../models/Product');
+const { resolveEffectivePrice } = require('../utils/effectivePrice');
+
+// Changes found when a cart line is checked against the current catalogue
+const CART_NOTICE_TYPES = {
+  PRICE_INCREASED: 'price_increased',
+  PRICE_DECREASED: 'price_decreased',
+  QUANTITY_REDUCED: 'quantity_reduced', // Less stock than the line asks for
+  UNAVAILABLE: 'unavailable', // Product deleted, SKU withdrawn, or out of stock
+  PRODUCT_DEACTIVATED: 'product_deactivated',
+};
+
+// Notices that would make checkout fail until the cart is corrected; price changes
+// are informational because orders are always priced from the catalogue
+const BLOCKING_NOTICE_TYPES = [
+  CART_NOTICE_TYPES.QUANTITY_REDUCED,
+  CART_NOTICE_TYPES.UNAVAILABLE,
+  CART_NOTICE_TYPES.PRODUCT_DEACTIVATED,
+];
+
+const toId = (value) => (value && value._id ? String(value._id) : value ? String(value) : null);
+
+const buildMessage = (notice) => {
+  switch (notice.type) {
+    case CART_NOTICE_TYPES.PRICE_INCREASED:
+      return `The price of ${notice.title} (${notice.variant}) went up from ${notice.previousPrice.toFixed(2)} to ${notice.price.toFixed(2)}.`;
+    case CART_NOTICE_TYPES.PRICE_DECREASED:
+      return `The price of ${notice.title} (${notice.variant}) dropped from ${notice.previousPrice.toFixed(2)} to ${notice.price.toFixed(2)}.`;
+    case CART_NOTICE_TYPES.QUANTITY_REDUCED:
+      return `Only ${notice.quantity} of ${notice.title} (${notice.variant}) are available; you asked for ${notice.requested}.`;
+    case CART_NOTICE_TYPES.PRODUCT_DEACTIVATED:
+      return `${notice.title} is no longer sold.`;
+    default:
+      return `${notice.title || 'A product'}${notice.variant ? ` (${notice.variant})` : ''} is no longer available.`;
+  }
+};
+
+/**
+ * Check cart lines against the current products. Lines whose product is gone or
+ * deactivated, whose SKU was withdrawn or which are out of stock are dropped;
+ * quantities are capped at the stock on hand; price, title and thumbnail are
+ * refreshed. Performs no database access.
+ * @param {Array<Object>} items - Cart lines ({ product, sku, title, variant, packaging, quantity, price, thumbnail }).
+ * @param {Array<Object>} products - The products the lines refer to.
+ * @returns {Object} - { items: corrected lines, notices: [{ type, product, title, variant, packaging, ..., message }] }
+ */
+const revalidateCartItems = (items, products) => {
+  const productsById = new Map(products.map((product) => [String(product._id), product]));
+  const notices = [];
+  const valid = [];
+
+  const addNotice = (notice) => notices.push({ ...notice, message: buildMessage(notice) });
+
+  items.forEach((item) => {
+    const productId = toId(item.product);
+    const product = productId ? productsById.get(productId) : null;
+    const line = {
+      product: productId,
+      title: (product && product.title) || item.title,
+      sku: item.sku,
+      variant: item.variant,
+      packaging: item.packaging,
+    };
+
+    if (!product) {
+      addNotice({ ...line, type: CART_NOTICE_TYPES.UNAVAILABLE, requested: item.quantity, quantity: 0 });
+      return;
+    }
+    if (product.isActive === false) {
+      addNotice({ ...line, type: CART_NOTICE_TYPES.PRODUCT_DEACTIVATED, requested: item.quantity, quantity: 0 });
+      return;
+    }
+
+    const variant = Product.findSku(product, item.sku);
+    if (!variant || variant.stock <= 0) {
+      addNotice({ ...line, type: CART_NOTICE_TYPES.UNAVAILABLE, requested: item.quantity, quantity: 0 });
+      return;
+    }
+
+    const quantity = Math.min(item.quantity, variant.stock);
+    if (quantity < item.quantity) {
+      addNotice({ ...line, type: CART_NOTICE_TYPES.QUANTITY_REDUCED, requested: item.quantity, quantity });
+    }
+    const price = resolveEffectivePrice(product, variant);
+    if (item.price !== undefined && item.price !== price) {
+      addNotice({
+        ...line,
+        type: price > item.price ? CART_NOTICE_TYPES.PRICE_INCREASED : CART_NOTICE_TYPES.PRICE_DECREASED,
+        previousPrice: item.price,
+        price,
+        quantity,
+      });
+    }
+
+    valid.push({
+      ...item,
+      product: product._id,
+      title: product.title,
+      variant: variant.size,
+      packaging: variant.packaging,
+      thumbnail: (variant.images && variant.images[0]) || product.thumbnail || item.thumbnail,
+      price,
+      quantity,
+    });
+  });
+
+  return { items: valid, notices };
+};
+
+/**
+ * Check whether notices leave the cart in a state checkout would reject.
+ * @param {Array<Object>} notices
+ * @returns {boolean}
+ */
+const hasBlockingNotices = (notices) => notices.some((notice) => BLOCKING_NOTICE_TYPES.includes(notice.type));
+
+/**
+ * Revalidate a cart document against the catalogue.
+ * With autoCorrect the refreshed lines replace the cart's items (the caller saves the cart).
+ * @param {Object} cart - Cart document (items.product may be populated).
+ * @param {Object} [options]
+ * @param {boolean} [options.autoCorrect] - Apply the corrections to the cart.
+ * @returns {Promise<Object>} - { items, notices, corrected }
+ */
+const revalidateCart = async (cart, { autoCorrect = false } = {}) => {
+  const lines = cart.items.map((item) => {
+    const plain = item.toObject ? item.toObject({ depopulate: true }) : { ...item };
+    return { ...plain, product: toId(item.product) };
+  });
+
+  const productIds = lines.map((line) => line.product).filter(Boolean);
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('title thumbnail variants discountPercentage priceOverrides isActive')
+    .lean();
+
+  const { items, notices } = revalidateCartItems(lines, products);
+  if (autoCorrect) {
+    cart.items = items;
+  }
+
+  return { items, notices, corrected: autoCorrect && notices.length > 0 };
+};
+
+module.exports = {
+  CART_NOTICE_TYPES,
+  BLOCKING_NOTICE_TYPES,
+  revalidateCartItems,
+  hasBlockingNotices,
+  revalidateCart,
+};
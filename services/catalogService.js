@@ -0,0 +1,274 @@
+// services/catalogService.js
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const ORDER_STATUS = require('../constants/orderStatus');
+const createHttpError = require('../utils/httpError');
+const { resolveProductCategoryIds } = require('./categoryService');
+const { effectivePriceExpression } = require('../utils/effectivePrice');
+
+// Sort options: field, direction and whether the field is computed in the pipeline.
+// Every sort ends on _id so cursors always point at one position.
+const CATALOG_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  price_asc: { field: 'priceFrom', direction: 1, computed: true },
+  price_desc: { field: 'priceFrom', direction: -1, computed: true },
+  rating: { field: 'rating', direction: -1 },
+  best_selling: { field: 'unitsSold', direction: -1 },
+};
+
+// Price filters match the price customers pay, or the list price before the product discount
+const PRICE_BASES = ['discounted', 'list'];
+
+// Best-selling ranks products by units in shipped and delivered orders over this window
+const BEST_SELLER_WINDOW_DAYS = 90;
+
+// Price the cheapest variant sells for, which listings show as "from"
+const PRICE_FROM_EXPRESSION = {
+  $min: { $map: { input: '$variants', as: 'variant', in: effectivePriceExpression('$$variant') } },
+};
+
+/**
+ * Read a comma-separated query value as a list.
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+const parseList = (value) =>
+  String(value)
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Build the product filter for catalogue listings. Price and stock live on the variants,
+ * so one variant has to satisfy the price range and the stock condition together.
+ * @param {Object} params
+ * @param {Array<mongoose.Types.ObjectId>|null} [params.categoryIds] - Categories with their
+ *   descendants (from resolveProductCategoryIds); null for no category filter.
+ * @param {string} [params.tags] - Comma-separated tag IDs.
+ * @param {string} [params.variants] - Comma-separated variant sizes.
+ * @param {string} [params.packaging]
+ * @param {number} [params.priceMin]
+ * @param {number} [params.priceMax]
+ * @param {string} [params.priceBasis] - One of PRICE_BASES.
+ * @param {boolean} [params.inStock]
+ * @returns {Object} - MongoDB filter (usable in find and $match; IDs already cast).
+ */
+const buildCatalogFilter = ({
+  categoryIds = null,
+  tags,
+  variants,
+  packaging,
+  priceMin,
+  priceMax,
+  priceBasis = 'discounted',
+  inStock,
+} = {}) => {
+  const conditions = [];
+
+  if (categoryIds) {
+    conditions.push({ category: { $in: categoryIds } });
+  }
+
+  if (tags) {
+    conditions.push({ tags: { $in: parseList(tags).map((id) => new mongoose.Types.ObjectId(id)) } });
+  }
+
+  if (variants) {
+    conditions.push({ 'variants.size': { $in: parseList(variants) } });
+  }
+
+  if (packaging && packaging !== 'All') {
+    conditions.push({ packaging });
+  }
+
+  const hasPriceRange = priceMin !== undefined || priceMax !== undefined;
+
+  if (hasPriceRange || inStock === true) {
+    const variantMatch = {};
+    if (inStock === true) variantMatch.stock = { $gt: 0 };
+
+    if (priceBasis === 'list') {
+      if (hasPriceRange) variantMatch.price = {};
+      if (priceMin !== undefined) variantMatch.price.$gte = Number(priceMin);
+      if (priceMax !== undefined) variantMatch.price.$lte = Number(priceMax);
+      conditions.push({ variants: { $elemMatch: variantMatch } });
+    } else {
+      // A discount or scheduled price never raises a price, so the list price bounds the
+      // effective one from above: narrow on it with $elemMatch, then check the effective price exactly.
+      if (priceMin !== undefined) variantMatch.price = { $gte: Number(priceMin) };
+      conditions.push({ variants: { $elemMatch: variantMatch } });
+
+      if (hasPriceRange) {
+        const checks = [];
+        if (priceMin !== undefined) checks.push({ $gte: [effectivePriceExpression('$$variant'), Number(priceMin)] });
+        if (priceMax !== undefined) checks.push({ $lte: [effectivePriceExpression('$$variant'), Number(priceMax)] });
+        if (inStock === true) checks.push({ $gt: ['$$variant.stock', 0] });
+        conditions.push({
+          $expr: {
+            $anyElementTrue: [{ $map: { input: '$variants', as: 'variant', in: { $and: checks } } }],
+          },
+        });
+      }
+    }
+  }
+
+  if (inStock === false) {
+    conditions.push({ variants: { $not: { $elemMatch: { stock: { $gt: 0 } } } } });
+  }
+
+  if (conditions.length === 0) return {};
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+/**
+ * Encode the position after a product as an opaque cursor.
+ * @param {Object} product - Last product of a page.
+ * @param {string} sort - Key of CATALOG_SORTS.
+ * @returns {string}
+ */
+const encodeCursor = (product, sort) => {
+  const { field } = CATALOG_SORTS[sort];
+  const value = product[field] instanceof Date ? product[field].toISOString() : product[field];
+  return Buffer.from(JSON.stringify({ sort, value: value ?? null, id: String(product._id) })).toString('base64url');
+};
+
+/**
+ * Decode a cursor from encodeCursor.
+ * @param {string} cursor
+ * @param {string} sort - Sort of the page being requested; cursors do not carry across sorts.
+ * @returns {Object} - { value, id }
+ * @throws {Error} - 400 error for malformed cursors or a different sort.
+ */
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createHttpError(400, 'Invalid cursor.');
+  }
+
+  if (!decoded || decoded.sort !== sort || !mongoose.Types.ObjectId.isValid(decoded.id)) {
+    throw createHttpError(400, 'Invalid cursor.');
+  }
+
+  const { field } = CATALOG_SORTS[sort];
+  const value = field === 'createdAt' && decoded.value !== null ? new Date(decoded.value) : decoded.value;
+  return { value, id: new mongoose.Types.ObjectId(decoded.id) };
+};
+
+/**
+ * Filter for the products after a cursor position in a sort.
+ * @param {Object} position - { value, id } from decodeCursor.
+ * @param {string} sort - Key of CATALOG_SORTS.
+ * @returns {Object}
+ */
+const buildCursorFilter = ({ value, id }, sort) => {
+  const { field, direction } = CATALOG_SORTS[sort];
+  const after = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [{ [field]: { [after]: value } }, { [field]: value, _id: { [after]: id } }],
+  };
+};
+
+/**
+ * List catalogue products with filters and sorting, paginated by page number or by cursor.
+ * Cursor pages skip counting and offsets, so they stay fast however deep a client pages.
+ * @param {Object} params
+ * @param {Object} [params.filters] - See buildCatalogFilter; `category` (an ID, slug or name)
+ *   also lists the category's subcategories.
+ * @param {string} [params.sort] - Key of CATALOG_SORTS.
+ * @param {number} [params.page] - Page number (ignored when a cursor is given).
+ * @param {number} [params.limit]
+ * @param {string} [params.cursor] - nextCursor of the previous page.
+ * @returns {Promise<Object>} - { products, nextCursor, total?, totalPages?, page? }
+ * @throws {Error} - 400 error for invalid cursors.
+ */
+const listProducts = async ({ filters = {}, sort = 'newest', page = 1, limit = 100, cursor }) => {
+  const { field, direction, computed } = CATALOG_SORTS[sort];
+  const { category, ...otherFilters } = filters;
+  const categoryIds = category ? await resolveProductCategoryIds([category]) : null;
+  const filter = buildCatalogFilter({ ...otherFilters, categoryIds });
+  const useCursor = cursor !== undefined;
+
+  const pipeline = [{ $match: filter }];
+  if (computed) {
+    pipeline.push({ $addFields: { [field]: PRICE_FROM_EXPRESSION } });
+  }
+  if (useCursor && cursor) {
+    pipeline.push({ $match: buildCursorFilter(decodeCursor(cursor, sort), sort) });
+  }
+  pipeline.push({ $sort: { [field]: direction, _id: direction } });
+  if (!useCursor) {
+    pipeline.push({ $skip: (page - 1) * limit });
+  }
+  // One extra product tells whether another page exists
+  pipeline.push({ $limit: limit + 1 }, { $project: { searchKeywords: 0, searchTrigrams: 0 } });
+
+  const [rows, total] = await Promise.all([
+    Product.aggregate(pipeline),
+    useCursor ? null : Product.countDocuments(filter),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+  const nextCursor = hasMore ? encodeCursor(pageRows[pageRows.length - 1], sort) : null;
+
+  // Hydrate so responses keep the document virtuals (id, discountedPrices)
+  const products = await Product.populate(
+    pageRows.map((row) => Product.hydrate(row)),
+    [{ path: 'tags' }, { path: 'category', select: 'name slug' }]
+  );
+
+  if (useCursor) {
+    return { products, nextCursor };
+  }
+  return { products, nextCursor, total, totalPages: Math.ceil(total / limit), page };
+};
+
+/**
+ * Refresh every product's unitsSold from recent shipped and delivered orders,
+ * which the best-selling sort ranks by.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<number>} - Number of products with sales in the window.
+ */
+const refreshUnitsSold = async ({ now = new Date() } = {}) => {
+  const since = new Date(now.getTime() - BEST_SELLER_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const sales = await Order.aggregate([
+    { $match: { status: { $in: [ORDER_STATUS.SHIPPED, ORDER_STATUS.DELIVERED] }, createdAt: { $gte: since } } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.product', unitsSold: { $sum: '$items.quantity' } } },
+  ]);
+
+  if (sales.length > 0) {
+    await Product.bulkWrite(
+      sales.map((sale) => ({
+        updateOne: { filter: { _id: sale._id }, update: { $set: { unitsSold: sale.unitsSold } } },
+      }))
+    );
+  }
+
+  // Products that no longer sell drop back to zero
+  await Product.updateMany(
+    { _id: { $nin: sales.map((sale) => sale._id) }, unitsSold: { $ne: 0 } },
+    { $set: { unitsSold: 0 } }
+  );
+
+  return sales.length;
+};
+
+module.exports = {
+  CATALOG_SORTS,
+  PRICE_BASES,
+  BEST_SELLER_WINDOW_DAYS,
+  PRICE_FROM_EXPRESSION,
+  buildCatalogFilter,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  listProducts,
+  refreshUnitsSold,
+};
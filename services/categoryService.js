@@ -0,0 +1,110 @@
+// services/categoryService.js
+
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const createHttpError = require('../utils/httpError');
+
+/**
+ * Resolve product category filters (IDs, slugs or names) to the matching categories
+ * and all their descendants, so listing a parent category includes its subcategories.
+ * @param {Array<string>} values - Category IDs, slugs or names; 'All' is ignored.
+ * @returns {Promise<Array<mongoose.Types.ObjectId>|null>} - null when no category filter applies;
+ *   an empty array when none of the values is a product category.
+ */
+const resolveProductCategoryIds = async (values) => {
+  const keys = (values || []).map((value) => String(value).trim()).filter((value) => value && value !== 'All');
+  if (keys.length === 0) return null;
+
+  const categories = await Category.find({
+    type: 'product',
+    $or: [
+      { _id: { $in: keys.filter((key) => mongoose.Types.ObjectId.isValid(key)) } },
+      { slug: { $in: keys.map((key) => key.toLowerCase()) } },
+      { name: { $in: keys } },
+    ],
+  })
+    .select('_id')
+    .lean();
+
+  if (categories.length === 0) return [];
+  return Category.getDescendantIds(categories.map((category) => category._id));
+};
+
+/**
+ * Breadcrumbs for a product: its category and the category's parents, from the root down.
+ * @param {Object} product - Product with a category ID (or populated category).
+ * @returns {Promise<Array<Object>>} - [{ _id, name, slug }]
+ */
+const getProductBreadcrumbs = async (product) => {
+  if (!product.category) return [];
+  return Category.getPath(product.category._id || product.category);
+};
+
+/**
+ * Move the products and subcategories of a category that is about to be deleted:
+ * subcategories move up to its parent, and products move to `reassignTo` or the parent.
+ * @param {Object} category - Category being deleted.
+ * @param {Object} [options]
+ * @param {string} [options.reassignTo] - Product category to move the products to.
+ * @returns {Promise<Object>} - { productsMoved, subcategoriesMoved, affectedProducts }
+ * @throws {Error} - 400 error when products have nowhere to go or the target is invalid.
+ */
+const cascadeCategoryDeletion = async (category, { reassignTo } = {}) => {
+  const productCount = await Product.countDocuments({ category: category._id });
+  const target = reassignTo || category.parent;
+
+  if (productCount > 0) {
+    if (!target) {
+      throw createHttpError(400, 'Choose a category (reassignTo) to move this top-level category\'s products to.', {
+        productCount,
+      });
+    }
+    if (String(target) === String(category._id)) {
+      throw createHttpError(400, 'Products cannot be reassigned to the category being deleted.');
+    }
+    if (!(await Category.exists({ _id: target, type: 'product' }))) {
+      throw createHttpError(400, 'reassignTo must be an existing product category.');
+    }
+  }
+
+  // Every product below the category gets new breadcrumbs and search keywords
+  const subtreeIds = await Category.getDescendantIds([category._id]);
+  const affectedProducts = await Product.distinct('_id', { category: { $in: subtreeIds } });
+
+  const products = productCount > 0
+    ? await Product.updateMany({ category: category._id }, { $set: { category: target } })
+    : { modifiedCount: 0 };
+  const subcategories = await Category.updateMany({ parent: category._id }, { $set: { parent: category.parent || null } });
+
+  return {
+    productsMoved: products.modifiedCount,
+    subcategoriesMoved: subcategories.modifiedCount,
+    affectedProducts,
+  };
+};
+
+/**
+ * Find a product category by name (case-insensitive), creating a top-level one if missing.
+ * Used when importing or migrating products that name their category.
+ * @param {string} name
+ * @returns {Promise<Object>} - The category.
+ * @throws {Error} - 409 error when a blog category already has the name (names are unique).
+ */
+const ensureProductCategory = async (name) => {
+  const existing = await Category.findOne({ name: String(name).trim() }).collation({ locale: 'en', strength: 2 });
+  if (existing) {
+    if (existing.type !== 'product') {
+      throw createHttpError(409, `Category '${existing.name}' exists as a ${existing.type} category.`);
+    }
+    return existing;
+  }
+  return Category.create({ name: String(name).trim(), type: 'product' });
+};
+
+module.exports = {
+  resolveProductCategoryIds,
+  ensureProductCategory,
+  getProductBreadcrumbs,
+  cascadeCategoryDeletion,
+};
@@ -0,0 +1,436 @@
+// services/codService.js
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const Settings = require('../models/Settings');
+const CodRemittance = require('../models/CodRemittance');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const ORDER_STATUS = require('../constants/orderStatus');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const sendEmail = require('./emailService');
+const { roundCurrency } = require('../utils/money');
+const { transitionOrder } = require('./orderLifecycleService');
+const { releaseReservation } = require('./inventoryService');
+const { reverseRedemptions } = require('./couponService');
+const { renderTemplateString } = require('./templateService');
+
+const COD_PAYMENT_METHODS = ['cod', 'cash_on_delivery'];
+
+// 'Payment Settings' key holding the eligibility rules, e.g.
+// { "maxOrderValue": 5000, "blockedPincodes": ["110001"], "maxRefusedDeliveries": 2 }
+const COD_SETTING_KEY = 'codRules';
+
+// Rules used for anything the setting leaves out; a null limit means no limit
+const DEFAULT_COD_RULES = {
+  maxOrderValue: null,
+  blockedPincodes: [],
+  maxRefusedDeliveries: 2,
+};
+
+const DELIVERY_OTP_TTL_HOURS = 48;
+const MAX_OTP_ATTEMPTS = 5;
+const OTP_RESEND_INTERVAL_SECONDS = 60;
+
+// Customer email used when no active 'cod_delivery_otp' Email template exists
+const DEFAULT_OTP_NOTIFICATION = {
+  subject: 'Your delivery code for order {{orderNumber}} - 10X Formulas',
+  body: '<p>Hi {{customerName}},</p><p>Your order <strong>{{orderNumber}}</strong> is on its way. Please keep <strong>{{amount}}</strong> ready in cash and share this code with the courier on delivery:</p><h2>{{otp}}</h2><p>Do not share the code before you receive your order.</p>',
+};
+
+const isCashOnDelivery = (paymentMethod) => COD_PAYMENT_METHODS.includes(String(paymentMethod || '').toLowerCase());
+
+const normalizePincode = (pincode) => String(pincode || '').replace(/\s+/g, '').toUpperCase();
+
+const hashOtp = (otp) => crypto.createHash('sha256').update(String(otp)).digest('hex');
+
+const toId = (value) => String(value && value._id ? value._id : value);
+
+/**
+ * Read the COD eligibility rules from 'Payment Settings', over the defaults.
+ * @returns {Promise<Object>} - { maxOrderValue, blockedPincodes, maxRefusedDeliveries }
+ */
+const getCodRules = async () => {
+  const setting = await Settings.findOne({ key: COD_SETTING_KEY, category: 'Payment Settings', isActive: true }).lean();
+  const value = setting && setting.value && typeof setting.value === 'object' ? setting.value : {};
+  return { ...DEFAULT_COD_RULES, ...value };
+};
+
+/**
+ * Decide whether cash on delivery may be offered.
+ * @param {Object} params
+ * @param {number} params.amount - Order grand total.
+ * @param {string} [params.pincode] - Delivery pincode.
+ * @param {number} [params.refusedDeliveries] - COD orders the customer refused at the door.
+ * @param {Object} rules - See getCodRules.
+ * @returns {Object} - { eligible, reasons: [{ code, message }] }
+ */
+const evaluateCodEligibility = ({ amount, pincode, refusedDeliveries = 0 }, rules) => {
+  const reasons = [];
+
+  if (rules.maxOrderValue != null && amount > rules.maxOrderValue) {
+    reasons.push({
+      code: 'max_order_value',
+      message: `Cash on delivery is available for orders up to ${rules.maxOrderValue}.`,
+    });
+  }
+
+  const blocked = (rules.blockedPincodes || []).map(normalizePincode);
+  if (pincode && blocked.includes(normalizePincode(pincode))) {
+    reasons.push({
+      code: 'blocked_pincode',
+      message: 'Cash on delivery is not available for this pincode.',
+    });
+  }
+
+  if (rules.maxRefusedDeliveries != null && refusedDeliveries >= rules.maxRefusedDeliveries) {
+    reasons.push({
+      code: 'refused_deliveries',
+      message: 'Cash on delivery is not available because of earlier refused deliveries.',
+    });
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+};
+
+/**
+ * Check a customer's COD eligibility for an order.
+ * @param {Object} params
+ * @param {string} params.customer - Customer ID.
+ * @param {number} params.amount - Order grand total.
+ * @param {Object} [params.address] - Shipping address (its zip is the pincode).
+ * @returns {Promise<Object>} - { eligible, reasons, rules }
+ */
+const checkCodEligibility = async ({ customer, amount, address = {} }) => {
+  const [rules, refusedDeliveries] = await Promise.all([
+    getCodRules(),
+    Order.countDocuments({ customer, 'cod.status': 'refused' }),
+  ]);
+  const result = evaluateCodEligibility({ amount, pincode: address && address.zip, refusedDeliveries }, rules);
+  return { ...result, rules };
+};
+
+/**
+ * Make sure an order is a cash on delivery order, starting its COD record if needed
+ * (orders placed before COD tracking have none).
+ * @param {Object} order - Order document.
+ * @throws {Error} - 400 for orders paid online.
+ */
+const assertCodOrder = (order) => {
+  if (!isCashOnDelivery(order.paymentMethod)) {
+    throw createHttpError(400, 'This order is not a cash on delivery order.');
+  }
+  if (!order.cod) {
+    order.cod = { status: 'pending' };
+  }
+};
+
+/**
+ * Email the customer a fresh delivery OTP. Called when a COD order ships; can be
+ * resent while the order is out for delivery. Only the hash is stored.
+ * @param {Object} order - Order document (customer may be populated).
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - The saved order.
+ * @throws {Error} - 400 unless the order is a shipped COD order, 429 when resent too quickly.
+ */
+const issueDeliveryOtp = async (order, { now = new Date() } = {}) => {
+  assertCodOrder(order);
+  if (order.status !== ORDER_STATUS.SHIPPED) {
+    throw createHttpError(400, 'A delivery OTP can only be sent for shipped orders.');
+  }
+  if (order.cod.otpSentAt && now.getTime() - order.cod.otpSentAt.getTime() < OTP_RESEND_INTERVAL_SECONDS * 1000) {
+    throw createHttpError(429, `Please wait ${OTP_RESEND_INTERVAL_SECONDS} seconds before sending another OTP.`);
+  }
+
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  order.cod.status = 'out_for_delivery';
+  order.cod.deliveryOtpHash = hashOtp(otp);
+  order.cod.deliveryOtpExpiresAt = new Date(now.getTime() + DELIVERY_OTP_TTL_HOURS * 60 * 60 * 1000);
+  order.cod.otpSentAt = now;
+  order.cod.otpAttempts = 0;
+  await order.save();
+
+  if (!order.populated('customer')) {
+    await order.populate('customer', 'name email');
+  }
+
+  try {
+    const template = await NotificationTemplate.findOne({ name: 'cod_delivery_otp', category: 'Email', isActive: true }).lean();
+    const content = template || DEFAULT_OTP_NOTIFICATION;
+    const data = {
+      customerName: order.customer.name,
+      orderNumber: order.orderNumber,
+      amount: order.grandTotal.toFixed(2),
+      otp,
+    };
+    const html = renderTemplateString(content.body, data);
+    await sendEmail({
+      email: order.customer.email,
+      subject: renderTemplateString(content.subject, data),
+      message: html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim(),
+      html,
+    });
+    logger.info(`Delivery OTP for order ${order.orderNumber} sent to ${order.customer.email}`);
+  } catch (error) {
+    logger.error(`Failed to send delivery OTP for order ${order.orderNumber}: ${error.message}`);
+  }
+
+  return order;
+};
+
+/**
+ * Check a delivery OTP against the stored hash.
+ * @param {Object} cod - The order's COD record (with deliveryOtpHash selected).
+ * @param {string} otp
+ * @param {Date} [now]
+ * @returns {string|null} - Why the OTP was rejected, or null when it is valid.
+ */
+const checkDeliveryOtp = (cod, otp, now = new Date()) => {
+  if (!cod || !cod.deliveryOtpHash) return 'No delivery OTP has been sent for this order.';
+  if (cod.otpAttempts >= MAX_OTP_ATTEMPTS) return 'Too many wrong attempts. Please send a new OTP.';
+  if (!cod.deliveryOtpExpiresAt || cod.deliveryOtpExpiresAt < now) return 'The delivery OTP has expired. Please send a new one.';
+
+  const expected = Buffer.from(cod.deliveryOtpHash, 'hex');
+  const given = Buffer.from(hashOtp(otp), 'hex');
+  return crypto.timingSafeEqual(expected, given) ? null : 'Invalid delivery OTP.';
+};
+
+/**
+ * Confirm a COD delivery with the customer's OTP and record the cash collected.
+ * The order moves to delivered; it stays unpaid until a courier remittance for it is reconciled.
+ * @param {Object} order - Order document loaded with '+cod.deliveryOtpHash'.
+ * @param {Object} params
+ * @param {string} params.otp - OTP the customer gave the courier.
+ * @param {number} [params.collectedAmount] - Cash collected; defaults to the grand total.
+ * @param {Object|null} [params.actor] - Staff member recording the delivery.
+ * @returns {Promise<Object>} - The saved order.
+ * @throws {Error} - 400 for a wrong or expired OTP or an order that is not out for delivery.
+ */
+const confirmCodDelivery = async (order, { otp, collectedAmount, actor = null }) => {
+  assertCodOrder(order);
+  if (order.status !== ORDER_STATUS.SHIPPED || order.cod.status !== 'out_for_delivery') {
+    throw createHttpError(400, 'Only COD orders out for delivery can be confirmed.');
+  }
+
+  const rejection = checkDeliveryOtp(order.cod, otp);
+  if (rejection) {
+    if (order.cod.deliveryOtpHash && order.cod.otpAttempts < MAX_OTP_ATTEMPTS) {
+      order.cod.otpAttempts += 1;
+      await order.save();
+    }
+    throw createHttpError(400, rejection, { attemptsLeft: Math.max(MAX_OTP_ATTEMPTS - order.cod.otpAttempts, 0) });
+  }
+
+  const amount = roundCurrency(collectedAmount != null ? collectedAmount : order.grandTotal);
+  if (amount !== roundCurrency(order.grandTotal)) {
+    logger.warn(`Order ${order.orderNumber} collected ${amount} against a total of ${order.grandTotal}`);
+  }
+
+  transitionOrder(order, ORDER_STATUS.DELIVERED, { actor, reason: 'Delivery confirmed with customer OTP' });
+  order.cod.status = 'collected';
+  order.cod.collectedAmount = amount;
+  order.cod.collectedAt = new Date();
+  order.cod.collectedBy = actor ? actor._id : null;
+  order.cod.deliveryOtpHash = null;
+  order.cod.deliveryOtpExpiresAt = null;
+  await order.save();
+
+  logger.info(`COD order ${order.orderNumber} delivered; ${amount} collected`);
+  return order;
+};
+
+/**
+ * Record that the customer refused a COD delivery: the order is cancelled, its
+ * stock returns to inventory and the refusal counts against future COD eligibility.
+ * @param {Object} order - Order document.
+ * @param {Object} [params]
+ * @param {string} [params.reason]
+ * @param {Object|null} [params.actor]
+ * @returns {Promise<Object>} - The saved order.
+ * @throws {Error} - 400 unless the order is a shipped COD order.
+ */
+const recordRefusedDelivery = async (order, { reason = null, actor = null } = {}) => {
+  assertCodOrder(order);
+  if (order.status !== ORDER_STATUS.SHIPPED) {
+    throw createHttpError(400, 'Only shipped COD orders can be refused.');
+  }
+
+  const refusalReason = reason || 'Refused by customer on delivery';
+  transitionOrder(order, ORDER_STATUS.CANCELLED, { actor, reason: refusalReason });
+  order.cancellationReason = refusalReason;
+  order.cod.status = 'refused';
+  order.cod.refusedAt = new Date();
+  order.cod.refusalReason = refusalReason;
+  order.cod.deliveryOtpHash = null;
+  order.cod.deliveryOtpExpiresAt = null;
+  await order.save();
+
+  await releaseReservation(order._id, 'cod_refused');
+  await reverseRedemptions(order._id);
+  logger.info(`COD order ${order.orderNumber} refused on delivery`);
+  return order;
+};
+
+/**
+ * Match remittance lines to COD orders.
+ * @param {Array<Object>} lines - [{ order?, orderNumber?, amount }]
+ * @param {Array<Object>} orders - COD orders the lines may name.
+ * @param {string|null} [remittanceId] - The batch being matched, so its own orders still match on a re-run.
+ * @returns {Array<Object>} - [{ order, orderNumber, amount, expectedAmount, matchStatus }]
+ */
+const matchRemittanceLines = (lines, orders, remittanceId = null) => {
+  const byId = new Map(orders.map((order) => [toId(order), order]));
+  const byNumber = new Map(orders.map((order) => [order.orderNumber, order]));
+  const seen = new Set();
+
+  return lines.map((line) => {
+    const order = (line.order && byId.get(toId(line.order))) || byNumber.get(line.orderNumber);
+    const amount = roundCurrency(Number(line.amount));
+    if (!order || !isCashOnDelivery(order.paymentMethod)) {
+      return { order: null, orderNumber: line.orderNumber || toId(line.order), amount, expectedAmount: null, matchStatus: 'unknown_order' };
+    }
+
+    const cod = order.cod || {};
+    const result = { order: order._id, orderNumber: order.orderNumber, amount, expectedAmount: cod.collectedAmount != null ? cod.collectedAmount : null };
+    const remittedHere = remittanceId && cod.remittance && toId(cod.remittance) === toId(remittanceId);
+
+    if (seen.has(toId(order)) || (cod.status === 'remitted' && !remittedHere)) {
+      result.matchStatus = 'already_remitted';
+    } else if (cod.status !== 'collected' && !remittedHere) {
+      result.matchStatus = 'not_collected';
+    } else if (amount !== roundCurrency(cod.collectedAmount)) {
+      result.matchStatus = 'amount_mismatch';
+    } else {
+      result.matchStatus = 'matched';
+    }
+    seen.add(toId(order));
+    return result;
+  });
+};
+
+/**
+ * Find the COD orders a set of remittance lines refer to.
+ * @param {Array<Object>} lines
+ * @returns {Promise<Array<Object>>}
+ */
+const findRemittanceOrders = (lines) => {
+  const ids = lines.map((line) => line.order).filter((id) => id && mongoose.Types.ObjectId.isValid(id));
+  const numbers = lines.map((line) => line.orderNumber).filter(Boolean);
+  return Order.find({ $or: [{ _id: { $in: ids } }, { orderNumber: { $in: numbers } }] });
+};
+
+/**
+ * Record a courier's remittance batch and match its lines to orders.
+ * Nothing is marked paid until the batch is reconciled.
+ * @param {Object} params
+ * @param {string} params.courier
+ * @param {string} params.reference - Courier's remittance reference.
+ * @param {Date|string} [params.remittedAt]
+ * @param {Array<Object>} params.lines - [{ orderNumber | order, amount }]
+ * @param {string} [params.notes]
+ * @param {Object|null} [params.actor]
+ * @returns {Promise<Object>} - The CodRemittance.
+ * @throws {Error} - 409 when the courier's reference was already recorded.
+ */
+const createRemittanceBatch = async ({ courier, reference, remittedAt, lines, notes = null, actor = null }) => {
+  const existing = await CodRemittance.exists({ courier: String(courier).toLowerCase(), reference });
+  if (existing) {
+    throw createHttpError(409, `Remittance ${reference} from ${courier} has already been recorded.`);
+  }
+
+  const orders = await findRemittanceOrders(lines);
+  const matchedLines = matchRemittanceLines(lines, orders);
+
+  const remittance = await CodRemittance.create({
+    courier,
+    reference,
+    remittedAt: remittedAt || new Date(),
+    amount: roundCurrency(matchedLines.reduce((sum, line) => sum + line.amount, 0)),
+    lines: matchedLines,
+    notes,
+    createdBy: actor ? actor._id : null,
+  });
+
+  logger.info(`COD remittance ${reference} from ${courier} recorded with ${matchedLines.length} lines`);
+  return remittance;
+};
+
+/**
+ * Reconcile a remittance batch: lines are matched again against the current orders,
+ * and every matched order is marked paid with a settled charge in its ledger.
+ * The batch is 'reconciled' when all lines match and 'discrepancy' otherwise;
+ * a discrepancy can be reconciled again once the orders are corrected.
+ * @param {string} remittanceId
+ * @param {Object} [params]
+ * @param {Object|null} [params.actor]
+ * @returns {Promise<Object>} - { remittance, paidOrders }
+ * @throws {Error} - 404 for an unknown batch, 409 when it is already reconciled.
+ */
+const reconcileRemittance = async (remittanceId, { actor = null } = {}) => {
+  const remittance = await CodRemittance.findById(remittanceId);
+  if (!remittance) {
+    throw createHttpError(404, 'COD remittance not found.');
+  }
+  if (remittance.status === 'reconciled') {
+    throw createHttpError(409, 'This remittance has already been reconciled.');
+  }
+
+  const orders = await findRemittanceOrders(remittance.lines);
+  const ordersById = new Map(orders.map((order) => [toId(order), order]));
+  const lines = matchRemittanceLines(remittance.lines, orders, remittance._id);
+
+  let paidOrders = 0;
+  for (const line of lines) {
+    const order = line.order && ordersById.get(toId(line.order));
+    if (line.matchStatus !== 'matched' || !order || order.cod.status === 'remitted') continue;
+
+    order.cod.status = 'remitted';
+    order.cod.remittance = remittance._id;
+    order.cod.remittedAt = remittance.remittedAt;
+    order.paymentStatus = 'paid';
+    await order.save();
+
+    await Transaction.create({
+      order: order._id,
+      type: 'charge',
+      paymentMethod: order.paymentMethod,
+      gateway: 'manual',
+      amount: line.amount,
+      status: 'completed',
+      createdBy: actor ? actor._id : null,
+      metadata: { remittance: String(remittance._id), courier: remittance.courier, reference: remittance.reference },
+    });
+    paidOrders += 1;
+  }
+
+  remittance.lines = lines;
+  remittance.status = lines.every((line) => line.matchStatus === 'matched') ? 'reconciled' : 'discrepancy';
+  remittance.reconciledAt = new Date();
+  remittance.reconciledBy = actor ? actor._id : null;
+  await remittance.save();
+
+  logger.info(`COD remittance ${remittance.reference} ${remittance.status}; ${paidOrders} orders marked paid`);
+  return { remittance, paidOrders };
+};
+
+module.exports = {
+  COD_PAYMENT_METHODS,
+  COD_SETTING_KEY,
+  DEFAULT_COD_RULES,
+  MAX_OTP_ATTEMPTS,
+  isCashOnDelivery,
+  getCodRules,
+  evaluateCodEligibility,
+  checkCodEligibility,
+  hashOtp,
+  checkDeliveryOtp,
+  issueDeliveryOtp,
+  confirmCodDelivery,
+  recordRefusedDelivery,
+  matchRemittanceLines,
+  createRemittanceBatch,
+  reconcileRemittance,
+};
@@ -0,0 +1,400 @@
+// services/couponService.js
+
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ORDER_STATUS = require('../constants/orderStatus');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const { roundCurrency, allocateProportionally } = require('../utils/money');
+const { resolveEffectivePrice } = require('../utils/effectivePrice');
+
+const normalizeKey = (value) => (value === null || value === undefined ? null : String(value).toLowerCase());
+const toId = (value) => String(value && value._id ? value._id : value);
+
+/**
+ * Build the product/category scope of a coupon from its own references.
+ * Category keys are IDs only; use resolveCouponScope to include category names.
+ * @param {Object} coupon
+ * @returns {Object} - { productIds, categoryKeys }
+ */
+const getCouponScope = (coupon) => ({
+  productIds: (coupon.applicableProducts || []).map(toId),
+  categoryKeys: (coupon.applicableCategories || []).map((category) => normalizeKey(toId(category))),
+});
+
+/**
+ * Decide whether a line falls inside a coupon's scope.
+ * @param {Object} line - { product, category }
+ * @param {Object} scope - { productIds, categoryKeys }
+ * @returns {Object} - { eligible, reason }
+ */
+const getLineEligibility = (line, scope) => {
+  if (scope.productIds.length === 0 && scope.categoryKeys.length === 0) {
+    return { eligible: true, reason: 'Coupon applies to all products' };
+  }
+  if (scope.productIds.includes(toId(line.product))) {
+    return { eligible: true, reason: 'Product is included in the coupon' };
+  }
+  const categoryKey = line.category ? normalizeKey(toId(line.category)) : null;
+  if (categoryKey && scope.categoryKeys.includes(categoryKey)) {
+    return { eligible: true, reason: 'Product category is included in the coupon' };
+  }
+  return { eligible: false, reason: 'Product is not covered by this coupon' };
+};
+
+/**
+ * Evaluate all coupon rules against priced line items. Performs no database access.
+ * Line totals are taken net of any automatic promotion discount (line.promotionDiscount).
+ * @param {Object} coupon - Coupon document or plain object.
+ * @param {Object} context
+ * @param {Array<Object>} context.lines - Priced lines ({ product, title, category, variant, quantity, price, promotionDiscount? }).
+ * @param {Object} [context.scope] - { productIds, categoryKeys }; defaults to the coupon's own references.
+ * @param {number} [context.customerRedemptions] - How many times the customer already used the coupon.
+ * @param {number} [context.customerOrderCount] - How many earlier (non-cancelled) orders the customer has.
+ * @param {string|null} [context.customer] - Customer ID, checked against coupons assigned to one customer.
+ * @param {Date} [context.now] - Reference time.
+ * @returns {Object} - { applicable, discount, subtotal, eligibleSubtotal, capped, checks, lines, message }
+ */
+const evaluateCouponRules = (
+  coupon,
+  {
+    lines,
+    scope = getCouponScope(coupon),
+    customerRedemptions = 0,
+    customerOrderCount = 0,
+    customer = null,
+    now = new Date(),
+  }
+) => {
+  const checks = [];
+  const addCheck = (rule, passed, message) => checks.push({ rule, passed, message });
+
+  addCheck('active', Boolean(coupon.isActive), coupon.isActive ? 'Coupon is active' : 'Coupon is not active');
+
+  const started = !coupon.startDate || new Date(coupon.startDate) <= now;
+  addCheck(
+    'startDate',
+    started,
+    started ? 'Coupon has started' : `Coupon is valid from ${new Date(coupon.startDate).toISOString()}`
+  );
+
+  const notExpired = new Date(coupon.expirationDate) > now;
+  addCheck('expirationDate', notExpired, notExpired ? 'Coupon has not expired' : 'Coupon has expired');
+
+  const usesLeft = coupon.maxUses === null || coupon.maxUses === undefined || coupon.usedCount < coupon.maxUses;
+  addCheck('maxUses', usesLeft, usesLeft ? 'Coupon has uses left' : 'Coupon has reached its maximum number of uses');
+
+  if (coupon.perUserLimit !== null && coupon.perUserLimit !== undefined) {
+    const withinLimit = customerRedemptions < coupon.perUserLimit;
+    addCheck(
+      'perUserLimit',
+      withinLimit,
+      withinLimit
+        ? `Used ${customerRedemptions} of ${coupon.perUserLimit} time(s)`
+        : `Coupon can only be used ${coupon.perUserLimit} time(s) per customer`
+    );
+  }
+
+  if (coupon.firstOrderOnly) {
+    const isFirstOrder = customerOrderCount === 0;
+    addCheck(
+      'firstOrderOnly',
+      isFirstOrder,
+      isFirstOrder ? 'This is your first order' : 'Coupon is only valid on your first order'
+    );
+  }
+
+  if (coupon.assignedTo) {
+    const isAssignee = Boolean(customer) && toId(customer) === toId(coupon.assignedTo);
+    addCheck('assignedTo', isAssignee, isAssignee ? 'Coupon was issued to you' : 'Coupon was issued to another customer');
+  }
+
+  const lineResults = lines.map((line) => {
+    const lineTotal = roundCurrency(line.price * line.quantity - (line.promotionDiscount || 0));
+    const { eligible, reason } = getLineEligibility(line, scope);
+    return {
+      product: line.product,
+      title: line.title,
+      variant: line.variant,
+      quantity: line.quantity,
+      price: line.price,
+      promotionDiscount: line.promotionDiscount || 0,
+      lineTotal,
+      eligible,
+      reason,
+      discount: 0,
+    };
+  });
+
+  const subtotal = roundCurrency(lineResults.reduce((sum, line) => sum + line.lineTotal, 0));
+  const eligibleSubtotal = roundCurrency(
+    lineResults.filter((line) => line.eligible).reduce((sum, line) => sum + line.lineTotal, 0)
+  );
+
+  const minOrderValue = coupon.minOrderValue || 0;
+  const meetsMinimum = subtotal >= minOrderValue;
+  addCheck(
+    'minOrderValue',
+    meetsMinimum,
+    meetsMinimum
+      ? 'Order meets the minimum value'
+      : `Add ${roundCurrency(minOrderValue - subtotal).toFixed(2)} more to reach the minimum order value of ${minOrderValue.toFixed(2)}`
+  );
+
+  const eligibleCount = lineResults.filter((line) => line.eligible).length;
+  addCheck(
+    'scope',
+    eligibleCount > 0,
+    eligibleCount > 0
+      ? `${eligibleCount} of ${lineResults.length} item(s) qualify`
+      : 'None of the items qualify for this coupon'
+  );
+
+  const applicable = checks.every((check) => check.passed);
+  let discount = 0;
+  let capped = false;
+
+  if (applicable) {
+    discount =
+      coupon.discountType === 'percentage' ? (eligibleSubtotal * coupon.discount) / 100 : coupon.discount;
+
+    if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined && discount > coupon.maxDiscount) {
+      discount = coupon.maxDiscount;
+      capped = true;
+    }
+    discount = roundCurrency(Math.min(discount, eligibleSubtotal));
+
+    // Spread the discount over the qualifying lines only
+    const shares = allocateProportionally(
+      discount,
+      lineResults.map((line) => (line.eligible ? line.lineTotal : 0))
+    );
+    lineResults.forEach((line, index) => {
+      line.discount = shares[index];
+    });
+  }
+
+  const failedCheck = checks.find((check) => !check.passed);
+
+  return {
+    applicable,
+    code: coupon.code,
+    discountType: coupon.discountType,
+    discount,
+    subtotal,
+    eligibleSubtotal,
+    capped,
+    checks,
+    lines: lineResults,
+    message: failedCheck ? failedCheck.message : 'Coupon applied successfully.',
+  };
+};
+
+/**
+ * Resolve a coupon's scope, matching categories by ID, name or slug.
+ * A category covers its subcategories too.
+ * @param {Object} coupon
+ * @returns {Promise<Object>} - { productIds, categoryKeys }
+ */
+const resolveCouponScope = async (coupon) => {
+  const scope = getCouponScope(coupon);
+  if (scope.categoryKeys.length === 0) {
+    return scope;
+  }
+
+  const categoryIds = await Category.getDescendantIds(scope.categoryKeys);
+  const categories = await Category.find({ _id: { $in: categoryIds } }).select('name slug');
+  categories.forEach((category) => {
+    scope.categoryKeys.push(normalizeKey(category._id));
+    scope.categoryKeys.push(normalizeKey(category.name));
+    if (category.slug) scope.categoryKeys.push(normalizeKey(category.slug));
+  });
+  return scope;
+};
+
+/**
+ * Price requested items from the catalogue so the coupon is evaluated on server-side prices.
+ * @param {Array<Object>} items - { product, sku, quantity }
+ * @returns {Promise<Object>} - { lines, unpricedItems }
+ */
+const priceCouponLines = async (items) => {
+  const products = await Product.find({ _id: { $in: items.map((item) => item.product) } }).select(
+    'title category variants discountPercentage priceOverrides isActive'
+  );
+  const productsById = new Map(products.map((product) => [String(product._id), product]));
+
+  const lines = [];
+  const unpricedItems = [];
+  items.forEach((item) => {
+    const product = productsById.get(toId(item.product));
+    const variant = product && product.isActive && Product.findSku(product, item.sku);
+
+    if (!variant) {
+      unpricedItems.push({
+        product: item.product,
+        sku: item.sku,
+        reason: product ? 'SKU is not available' : 'Product not found',
+      });
+      return;
+    }
+
+    lines.push({
+      product: product._id,
+      title: product.title,
+      category: product.category,
+      sku: variant._id,
+      variant: variant.size,
+      packaging: variant.packaging,
+      quantity: item.quantity,
+      price: resolveEffectivePrice(product, variant),
+      weight: variant.weight || 0,
+    });
+  });
+
+  return { lines, unpricedItems };
+};
+
+/**
+ * Look up a coupon by code and evaluate it for a customer.
+ * @param {string} code - Coupon code (case-insensitive).
+ * @param {Object} context
+ * @param {string} [context.customer] - Customer ID (enables per-user and first-order rules).
+ * @param {Array<Object>} context.lines - Priced lines.
+ * @param {Date} [context.now]
+ * @returns {Promise<Object>} - { coupon, evaluation }; coupon is null when the code does not exist.
+ */
+const evaluateCouponForCustomer = async (code, { customer, lines, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: String(code).toUpperCase() });
+  if (!coupon) {
+    return { coupon: null, evaluation: null };
+  }
+
+  const [scope, customerRedemptions, customerOrderCount] = await Promise.all([
+    resolveCouponScope(coupon),
+    customer && coupon.perUserLimit ? CouponRedemption.countDocuments({ coupon: coupon._id, user: customer }) : 0,
+    customer && coupon.firstOrderOnly
+      ? Order.countDocuments({ customer, status: { $ne: ORDER_STATUS.CANCELLED } })
+      : 0,
+  ]);
+
+  const evaluation = evaluateCouponRules(coupon, {
+    lines,
+    scope,
+    customerRedemptions,
+    customerOrderCount,
+    customer,
+    now,
+  });
+
+  return { coupon, evaluation };
+};
+
+/**
+ * Give back one use of a coupon. A coupon switched off for reaching maxUses is
+ * switched back on once it has a use left again.
+ * @param {string} couponId
+ * @returns {Promise<void>}
+ */
+const releaseCouponUse = async (couponId) => {
+  const updated = await Coupon.findOneAndUpdate(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { new: true }
+  );
+
+  if (updated && !updated.isActive && updated.maxUses !== null && updated.usedCount === updated.maxUses - 1) {
+    await Coupon.updateOne({ _id: updated._id, isActive: false }, { isActive: true });
+  }
+};
+
+/**
+ * Pick the first per-customer use a customer has not taken yet.
+ * @param {Object} coupon - Coupon document with a perUserLimit.
+ * @param {string} user - Customer ID.
+ * @returns {Promise<number|null>} - The free slot, or null when the customer used them all.
+ */
+const findFreeSlot = async (coupon, user) => {
+  const taken = await CouponRedemption.find({ coupon: coupon._id, user }).select('slot').lean();
+  const takenSlots = new Set(taken.map((redemption) => redemption.slot));
+  for (let slot = 0; slot < coupon.perUserLimit; slot += 1) {
+    if (!takenSlots.has(slot)) return slot;
+  }
+  return null;
+};
+
+/**
+ * Record a coupon use for an order.
+ * The global usage counter is incremented with a conditional update so maxUses
+ * cannot be exceeded by concurrent checkouts; the per-customer limit is held by
+ * a unique (coupon, user, slot) index on the redemptions.
+ * @param {Object} params
+ * @param {Object} params.coupon - Coupon document.
+ * @param {string} params.user - Customer ID.
+ * @param {string} params.order - Order ID.
+ * @param {number} params.discount - Discount granted on the order.
+ * @returns {Promise<Object>} - The created CouponRedemption.
+ */
+const redeemCoupon = async ({ coupon, user, order, discount }) => {
+  const slot = coupon.perUserLimit ? await findFreeSlot(coupon, user) : null;
+  if (coupon.perUserLimit && slot === null) {
+    throw createHttpError(400, `Coupon can only be used ${coupon.perUserLimit} time(s) per customer.`);
+  }
+
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw createHttpError(400, 'Coupon has reached its maximum number of uses.');
+  }
+
+  if (updated.maxUses !== null && updated.usedCount >= updated.maxUses) {
+    await Coupon.updateOne({ _id: updated._id }, { isActive: false });
+  }
+
+  try {
+    return await CouponRedemption.create({ coupon: updated._id, user, order, code: updated.code, discount, slot });
+  } catch (error) {
+    await releaseCouponUse(updated._id);
+    // Another checkout of the same customer took the slot first
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.slot) {
+      throw createHttpError(400, `Coupon can only be used ${coupon.perUserLimit} time(s) per customer.`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Undo the coupon redemptions of an order (e.g. when order creation fails or the
+ * order is cancelled) so the coupon and the customer's use can be spent again.
+ * @param {string} orderId
+ * @returns {Promise<number>} - Number of redemptions reversed.
+ */
+const reverseRedemptions = async (orderId) => {
+  const redemptions = await CouponRedemption.find({ order: orderId });
+  for (const redemption of redemptions) {
+    await releaseCouponUse(redemption.coupon);
+    await redemption.deleteOne();
+    logger.info(`Coupon redemption ${redemption.code} reversed for order ${orderId}`);
+  }
+  return redemptions.length;
+};
+
+module.exports = {
+  getCouponScope,
+  evaluateCouponRules,
+  resolveCouponScope,
+  priceCouponLines,
+  evaluateCouponForCustomer,
+  redeemCoupon,
+  reverseRedemptions,
+};
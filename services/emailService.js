@@ -33,9 +33,10 @@ sgMail.setApiKey(process.env.SENDGRID_API_KEY);
  * @param {string} options.subject - Email subject
  * @param {string} options.message - Plain text message content
  * @param {string} options.html - HTML message content
+ * @param {Array<Object>} [options.attachments] - Files to attach ({ filename, content: Buffer, type })
  * @returns {Promise<void>}
  */
-const sendEmail = async ({ email, subject, message, html }) => {
+const sendEmail = async ({ email, subject, message, html, attachments = [] }) => {
   if (!email) {
     logger.error('sendEmail: Recipient email is undefined');
     throw new Error('Recipient email is required');
@@ -50,6 +51,14 @@ const sendEmail = async ({ email, subject, message, html }) => {
       text: message,
       html, // Add the HTML content
     };
+    if (attachments.length > 0) {
+      msg.attachments = attachments.map((attachment) => ({
+        content: Buffer.from(attachment.content).toString('base64'),
+        filename: attachment.filename,
+        type: attachment.type,
+        disposition: 'attachment',
+      }));
+    }
     await sgMail.send(msg);
     logger.info(`Email sent to ${email} via SendGrid`);
   } catch (error) {
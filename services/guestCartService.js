@@ -0,0 +1,181 @@
+// services/guestCartService.js
+
+const jwt = require('jsonwebtoken');
+const Cart = require('../models/Cart');
+const { revalidateCart } = require('./cartService');
+const logger = require('../utils/logger');
+
+const DEFAULT_GUEST_CART_TTL_DAYS = 30;
+
+// Header (or body field `cartToken`) carrying the signed guest cart token
+const CART_TOKEN_HEADER = 'x-cart-token';
+
+const TOKEN_PURPOSE = 'guest_cart';
+
+/*
+ * How a guest line is combined with the same product SKU
+ * already in the customer's cart:
+ *   sum   - add the quantities (default)
+ *   max   - keep the larger quantity
+ *   guest - the guest cart's quantity wins
+ */
+const MERGE_STRATEGIES = ['sum', 'max', 'guest'];
+
+/**
+ * Read the guest cart TTL from the environment (GUEST_CART_TTL_DAYS).
+ * @returns {number} - TTL in days.
+ */
+const getGuestCartTtlDays = () => {
+  const days = parseInt(process.env.GUEST_CART_TTL_DAYS, 10);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_GUEST_CART_TTL_DAYS;
+};
+
+/**
+ * Read the default merge strategy from the environment (GUEST_CART_MERGE_STRATEGY).
+ * @returns {string}
+ */
+const getMergeStrategy = () =>
+  MERGE_STRATEGIES.includes(process.env.GUEST_CART_MERGE_STRATEGY) ? process.env.GUEST_CART_MERGE_STRATEGY : 'sum';
+
+/**
+ * When a guest cart touched now should expire.
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+const getGuestCartExpiry = (now = new Date()) => new Date(now.getTime() + getGuestCartTtlDays() * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign the token that identifies a guest cart. It expires with the cart.
+ * @param {Object} cart - Guest Cart document.
+ * @returns {string}
+ */
+const issueCartToken = (cart) =>
+  jwt.sign({ cart: String(cart._id), purpose: TOKEN_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: `${getGuestCartTtlDays()}d`,
+  });
+
+/**
+ * Verify a guest cart token.
+ * @param {string} token
+ * @returns {string|null} - The cart ID, or null for a missing, forged or expired token.
+ */
+const readCartToken = (token) => {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === TOKEN_PURPOSE ? payload.cart : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the guest cart token sent with a request.
+ * @param {Object} req - Express request.
+ * @returns {string|null}
+ */
+const getRequestCartToken = (req) => req.headers[CART_TOKEN_HEADER] || (req.body && req.body.cartToken) || null;
+
+/**
+ * Find the guest cart a token points to.
+ * @param {string} token
+ * @returns {Promise<Object|null>} - Cart document or null.
+ */
+const findGuestCart = async (token) => {
+  const cartId = readCartToken(token);
+  if (!cartId) return null;
+  return Cart.findOne({ _id: cartId, user: null });
+};
+
+const lineKey = (item) => `${String(item.product && item.product._id ? item.product._id : item.product)}:${String(item.sku)}`;
+
+/**
+ * Combine a customer's cart lines with a guest cart's lines.
+ * @param {Array<Object>} userItems
+ * @param {Array<Object>} guestItems
+ * @param {string} [strategy] - One of MERGE_STRATEGIES.
+ * @returns {Array<Object>} - Merged lines (plain objects).
+ */
+const mergeCartItems = (userItems, guestItems, strategy = 'sum') => {
+  const merged = new Map(userItems.map((item) => [lineKey(item), { ...item }]));
+
+  guestItems.forEach((item) => {
+    const key = lineKey(item);
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, { ...item });
+    } else if (strategy === 'max') {
+      existing.quantity = Math.max(existing.quantity, item.quantity);
+    } else if (strategy === 'guest') {
+      existing.quantity = item.quantity;
+    } else {
+      existing.quantity += item.quantity;
+    }
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * Merge a guest cart into a customer's cart and delete the guest cart.
+ * Every merged line is revalidated against the catalogue and corrected.
+ * @param {Object} params
+ * @param {Object} params.user - The customer logging in.
+ * @param {string} params.token - Guest cart token.
+ * @param {string} [params.strategy] - One of MERGE_STRATEGIES.
+ * @returns {Promise<Object>} - { merged, cart, notices }
+ */
+const mergeGuestCart = async ({ user, token, strategy = getMergeStrategy() }) => {
+  const guestCart = await findGuestCart(token);
+  if (!guestCart) {
+    return { merged: false, cart: null, notices: [] };
+  }
+
+  let cart = await Cart.findOne({ user: user._id });
+  if (!cart) {
+    cart = new Cart({ user: user._id, items: [] });
+  }
+
+  cart.items = mergeCartItems(
+    cart.items.map((item) => item.toObject()),
+    guestCart.items.map((item) => item.toObject()),
+    strategy
+  );
+  const { notices } = await revalidateCart(cart, { autoCorrect: true });
+
+  await cart.save();
+  await guestCart.deleteOne();
+
+  logger.info(`Guest cart ${guestCart._id} merged into cart of user ${user._id} (${notices.length} notices)`);
+  return { merged: true, cart, notices };
+};
+
+/**
+ * Merge the guest cart sent at login, if any. Never throws, so a cart problem cannot block a login.
+ * @param {Object} user
+ * @param {string|null} token
+ * @returns {Promise<Object|null>} - { items, notices } or null when nothing was merged.
+ */
+const mergeGuestCartOnLogin = async (user, token) => {
+  if (!token) return null;
+  try {
+    const { merged, cart, notices } = await mergeGuestCart({ user, token });
+    return merged ? { items: cart.items.length, notices } : null;
+  } catch (error) {
+    logger.error(`Failed to merge guest cart for user ${user._id}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  CART_TOKEN_HEADER,
+  MERGE_STRATEGIES,
+  getGuestCartExpiry,
+  issueCartToken,
+  readCartToken,
+  getRequestCartToken,
+  findGuestCart,
+  mergeCartItems,
+  mergeGuestCart,
+  mergeGuestCartOnLogin,
+};
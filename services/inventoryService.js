@@ -0,0 +1,296 @@
+// services/inventoryService.js
+
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const logger = require('../utils/logger');
+const createHttpError = require('../utils/httpError');
+
+const DEFAULT_RESERVATION_TTL_MINUTES = 30;
+
+/**
+ * Read the hold TTL from the environment (STOCK_RESERVATION_TTL_MINUTES).
+ * @returns {number} - TTL in minutes.
+ */
+const getReservationTtlMinutes = () => {
+  const ttl = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES, 10);
+  return Number.isInteger(ttl) && ttl > 0 ? ttl : DEFAULT_RESERVATION_TTL_MINUTES;
+};
+
+/**
+ * Normalize order/cart items into { product, sku, variant, quantity } reservation lines.
+ * @param {Array<Object>} items - Items with product (id or populated doc), sku, variant and quantity.
+ * @returns {Array<Object>}
+ */
+const toReservedItems = (items) =>
+  items.map((item) => ({
+    product: item.product && item.product._id ? item.product._id : item.product,
+    sku: item.sku || null,
+    variant: item.variant,
+    quantity: item.quantity,
+  }));
+
+/**
+ * Match a line's SKU inside Product.variants. Lines recorded before SKUs existed
+ * carry no sku and fall back to the variant size.
+ * @param {Object} item - Reservation line ({ sku, variant }).
+ * @returns {Object}
+ */
+const skuMatch = (item) => (item.sku ? { _id: item.sku } : { size: item.variant });
+
+/**
+ * Atomically decrement a SKU's stock, only if enough units are available.
+ * @param {Object} item - Reservation line ({ product, sku, variant, quantity }).
+ * @returns {Promise<boolean>} - True if the stock was decremented.
+ */
+const decrementSkuStock = async (item) => {
+  const result = await Product.updateOne(
+    {
+      _id: item.product,
+      variants: { $elemMatch: { ...skuMatch(item), stock: { $gte: item.quantity } } },
+    },
+    { $inc: { 'variants.$.stock': -item.quantity } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Return units to a SKU's stock.
+ * @param {Object} item - Reservation line ({ product, sku, variant, quantity }).
+ * @returns {Promise<void>}
+ */
+const incrementSkuStock = async (item) => {
+  const result = await Product.updateOne(
+    { _id: item.product, variants: { $elemMatch: skuMatch(item) } },
+    { $inc: { 'variants.$.stock': item.quantity } }
+  );
+  if (result.modifiedCount !== 1) {
+    logger.error(
+      `Could not restock ${item.quantity} unit(s) of product ${item.product}, SKU ${item.sku || item.variant}.`
+    );
+  }
+};
+
+/**
+ * Decrement stock for every line, rolling back already-held lines if any line fails.
+ * @param {Array<Object>} items - Reservation lines ({ product, sku, variant, quantity, title? }).
+ * @returns {Promise<void>}
+ */
+const holdStock = async (items) => {
+  const held = [];
+  try {
+    for (const item of items) {
+      const decremented = await decrementSkuStock(item);
+      if (!decremented) {
+        throw createHttpError(
+          400,
+          `Insufficient stock for product ${item.title || item.product}, variant ${item.variant}.`
+        );
+      }
+      held.push(item);
+    }
+  } catch (error) {
+    await Promise.all(held.map(incrementSkuStock));
+    throw error;
+  }
+};
+
+/**
+ * Return stock for every line of a reservation.
+ * @param {Object} reservation - StockReservation document.
+ * @returns {Promise<void>}
+ */
+const restockReservation = async (reservation) => {
+  await Promise.all(reservation.items.map(incrementSkuStock));
+};
+
+/**
+ * Hold stock for all line items of a new order.
+ * Stock is decremented immediately with conditional updates, so two checkouts
+ * can never both take the last unit. The hold stays active until it is
+ * committed, released or it outlives its TTL.
+ * @param {Object} params
+ * @param {string} params.orderId - The (pre-generated) order ID the hold belongs to.
+ * @param {string} params.customer - The customer placing the order.
+ * @param {Array<Object>} params.items - Line items ({ product, sku, variant, quantity, title? }).
+ * @param {number} [params.ttlMinutes] - Override for the hold TTL.
+ * @returns {Promise<Object>} - The created StockReservation.
+ */
+const reserveStock = async ({ orderId, customer, items, ttlMinutes = getReservationTtlMinutes() }) => {
+  const lines = items.map((item) => ({ ...toReservedItems([item])[0], title: item.title }));
+  await holdStock(lines);
+
+  try {
+    const reservation = await StockReservation.create({
+      order: orderId,
+      customer,
+      items: toReservedItems(lines),
+      status: 'active',
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    });
+    logger.info(`Stock reserved for order ${orderId} until ${reservation.expiresAt.toISOString()}`);
+    return reservation;
+  } catch (error) {
+    await Promise.all(lines.map(incrementSkuStock));
+    throw error;
+  }
+};
+
+/**
+ * Turn an active hold into a permanent deduction.
+ * @param {string} orderId
+ * @returns {Promise<Object|null>} - The committed reservation, or null if no active hold exists.
+ */
+const commitReservation = async (orderId) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: orderId, status: 'active' },
+    { status: 'committed', committedAt: new Date() },
+    { new: true }
+  );
+  if (reservation) {
+    logger.info(`Stock reservation committed for order ${orderId}`);
+  }
+  return reservation;
+};
+
+/**
+ * Make sure an order's stock is deducted for good.
+ * Commits an active hold; if the hold expired or never existed (orders placed
+ * before reservations), the stock is taken again with the same conditional updates.
+ * @param {Object} order - Order document (items may be populated).
+ * @returns {Promise<Object>} - The committed reservation.
+ */
+const commitOrderStock = async (order) => {
+  const existing = await StockReservation.findOne({ order: order._id });
+  if (existing && existing.status === 'committed') {
+    return existing;
+  }
+
+  if (existing && existing.status === 'active') {
+    const committed = await commitReservation(order._id);
+    if (committed) return committed;
+  }
+
+  const items = order.items.map((item) => ({
+    ...toReservedItems([item])[0],
+    title: item.product && item.product.title,
+  }));
+  await holdStock(items);
+
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: order._id },
+    {
+      customer: order.customer && order.customer._id ? order.customer._id : order.customer,
+      items: toReservedItems(items),
+      status: 'committed',
+      committedAt: new Date(),
+      expiresAt: new Date(),
+      releasedAt: null,
+      releaseReason: null,
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  logger.info(`Stock deducted and committed for order ${order._id}`);
+  return reservation;
+};
+
+/**
+ * Release an order's hold (active or committed) and return the stock.
+ * The status flip is conditional so a hold is never restocked twice.
+ * @param {string} orderId
+ * @param {string} reason - Why the hold was released (e.g. 'order_cancelled', 'payment_failed').
+ * @returns {Promise<Object|null>} - The released reservation, or null if nothing was held.
+ */
+const releaseReservation = async (orderId, reason) => {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { order: orderId, status: { $in: ['active', 'committed'] } },
+    { status: 'released', releasedAt: new Date(), releaseReason: reason },
+    { new: true }
+  );
+
+  if (!reservation) {
+    return null;
+  }
+
+  await restockReservation(reservation);
+  logger.info(`Stock reservation released for order ${orderId} (${reason})`);
+  return reservation;
+};
+
+/**
+ * Release every active hold whose TTL has passed.
+ * @param {Date} [now] - Reference time (defaults to the current time).
+ * @returns {Promise<number>} - Number of holds released.
+ */
+const releaseExpiredReservations = async (now = new Date()) => {
+  const expired = await StockReservation.find({ status: 'active', expiresAt: { $lte: now } }).select('_id');
+  let releasedCount = 0;
+
+  for (const { _id } of expired) {
+    const reservation = await StockReservation.findOneAndUpdate(
+      { _id, status: 'active' },
+      { status: 'expired', releasedAt: new Date(), releaseReason: 'ttl_expired' },
+      { new: true }
+    );
+    if (reservation) {
+      await restockReservation(reservation);
+      releasedCount += 1;
+    }
+  }
+
+  if (releasedCount > 0) {
+    logger.info(`Released ${releasedCount} expired stock reservation(s)`);
+  }
+  return releasedCount;
+};
+
+/**
+ * Put units back into SKU stock outside a reservation (e.g. items restocked from a return).
+ * @param {Array<Object>} items - Lines ({ product, sku, variant, quantity }).
+ * @returns {Promise<void>}
+ */
+const restockItems = async (items) => {
+  await Promise.all(
+    toReservedItems(items)
+      .filter((item) => item.quantity > 0)
+      .map(incrementSkuStock)
+  );
+};
+
+/**
+ * List stock holds for the admin dashboard.
+ * @param {Object} filters
+ * @param {string} [filters.status] - Reservation status (defaults to 'active').
+ * @param {string} [filters.product] - Only holds containing this product.
+ * @param {number} [filters.page]
+ * @param {number} [filters.limit]
+ * @returns {Promise<Object>} - { reservations, total }
+ */
+const listReservations = async ({ status = 'active', product, page = 1, limit = 20 } = {}) => {
+  const filter = {};
+  if (status !== 'all') filter.status = status;
+  if (product) filter['items.product'] = product;
+
+  const [reservations, total] = await Promise.all([
+    StockReservation.find(filter)
+      .populate('order', 'orderNumber status paymentStatus paymentMethod')
+      .populate('customer', 'name email')
+      .populate('items.product', 'title')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(Number(limit)),
+    StockReservation.countDocuments(filter),
+  ]);
+
+  return { reservations, total };
+};
+
+module.exports = {
+  getReservationTtlMinutes,
+  reserveStock,
+  commitReservation,
+  commitOrderStock,
+  releaseReservation,
+  releaseExpiredReservations,
+  restockItems,
+  listReservations,
+};
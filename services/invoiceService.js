@@ -0,0 +1,469 @@
+// services/invoiceService.js
+
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const ORDER_STATUS = require('../constants/orderStatus');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const { roundCurrency, allocateProportionally } = require('../utils/money');
+const { SEQUENCES, nextSequenceNumber } = require('./sequenceService');
+
+// Setting holding the seller details printed on invoices:
+// { name, gstin, address: { street, city, state, zip, country }, defaultHsnCode, currency, footerNote }
+const INVOICE_SETTING_KEY = 'invoiceSettings';
+
+const DEFAULT_SELLER = {
+  name: '10X Formulas',
+  gstin: null,
+  address: {},
+  defaultHsnCode: null,
+  currency: 'INR',
+  footerNote: 'This is a computer generated document and does not require a signature.',
+};
+
+// Orders in these states have been delivered at some point
+const DELIVERED_STATUSES = [
+  ORDER_STATUS.DELIVERED,
+  ORDER_STATUS.RETURN_REQUESTED,
+  ORDER_STATUS.RETURNED,
+  ORDER_STATUS.REFUNDED,
+];
+
+const normalize = (value) => (value === null || value === undefined ? '' : String(value).trim().toUpperCase());
+
+const toPlainAddress = (address) => {
+  if (!address) return {};
+  const { street, city, state, zip, country } = address;
+  return { street, city, state, zip, country };
+};
+
+/**
+ * Check whether an order can be invoiced (it is paid or has been delivered).
+ * @param {Object} order
+ * @returns {boolean}
+ */
+const isInvoiceable = (order) =>
+  ['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus) || DELIVERED_STATUSES.includes(order.status);
+
+/**
+ * Decide the GST supply type: CGST + SGST within the seller's state, IGST across states or countries.
+ * @param {Object} sellerAddress - { state, country }
+ * @param {Object} placeOfSupply - Shipping address ({ state, country }).
+ * @returns {string} - 'intra_state' or 'inter_state'
+ */
+const getSupplyType = (sellerAddress = {}, placeOfSupply = {}) =>
+  normalize(sellerAddress.state) &&
+  normalize(sellerAddress.state) === normalize(placeOfSupply.state) &&
+  normalize(sellerAddress.country) === normalize(placeOfSupply.country)
+    ? 'intra_state'
+    : 'inter_state';
+
+/**
+ * Split a tax amount into CGST/SGST (intra-state) or IGST (inter-state).
+ * @param {number} tax
+ * @param {string} supplyType
+ * @returns {Object} - { cgst, sgst, igst }
+ */
+const splitTax = (tax, supplyType) => {
+  if (supplyType === 'intra_state') {
+    const cgst = roundCurrency(tax / 2);
+    return { cgst, sgst: roundCurrency(tax - cgst), igst: 0 };
+  }
+  return { cgst: 0, sgst: 0, igst: roundCurrency(tax) };
+};
+
+// Add up the money columns of document lines
+const sumLines = (lines, shipping) => {
+  const sum = (field) => roundCurrency(lines.reduce((total, line) => total + line[field], 0));
+  return {
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    shipping: roundCurrency(shipping),
+    grandTotal: roundCurrency(sum('total') + shipping),
+  };
+};
+
+/**
+ * Build the tax invoice for an order. Performs no database access.
+ * The order's tax amount is spread over the lines so the invoice matches what was charged.
+ * @param {Object} order - Order with items, taxRate, taxAmount and shippingAmount.
+ * @param {Object} context
+ * @param {string} context.number - Invoice number.
+ * @param {Object} context.seller - Seller details (see DEFAULT_SELLER).
+ * @param {Object} context.customer - { _id, name, email }
+ * @param {Map<string, Object>} context.products - Products by ID ({ title, hsnCode }).
+ * @param {Date} [context.issuedAt]
+ * @returns {Object} - Invoice fields.
+ */
+const buildInvoice = (order, { number, seller, customer, products, issuedAt = new Date() }) => {
+  const supplyType = getSupplyType(seller.address, order.shippingAddress);
+  const taxRate = order.taxRate || 0;
+
+  const baseLines = order.items.map((item) => {
+    const productId = String(item.product && item.product._id ? item.product._id : item.product);
+    const product = products.get(productId) || {};
+    const discount = roundCurrency((item.discount || 0) + (item.promotionDiscount || 0));
+    return {
+      product: productId,
+      description: [product.title || 'Product', item.variant, item.packaging].filter(Boolean).join(' - '),
+      hsnCode: product.hsnCode || seller.defaultHsnCode || null,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      discount,
+      taxableValue: roundCurrency(Math.max(item.price * item.quantity - discount, 0)),
+    };
+  });
+
+  const lineTaxes = allocateProportionally(
+    order.taxAmount || 0,
+    baseLines.map((line) => line.taxableValue)
+  );
+  const lines = baseLines.map((line, index) => ({
+    ...line,
+    taxRate,
+    ...splitTax(lineTaxes[index], supplyType),
+    total: roundCurrency(line.taxableValue + lineTaxes[index]),
+  }));
+
+  return {
+    type: 'invoice',
+    number,
+    order: order._id,
+    orderNumber: order.orderNumber,
+    customer: customer._id,
+    issuedAt,
+    seller: { name: seller.name, gstin: seller.gstin, address: seller.address },
+    buyer: {
+      name: customer.name,
+      email: customer.email,
+      gstin: order.gstin || null,
+      billingAddress: toPlainAddress(order.billingAddress),
+      shippingAddress: toPlainAddress(order.shippingAddress),
+    },
+    placeOfSupply: [order.shippingAddress.state, order.shippingAddress.country].filter(Boolean).join(', '),
+    supplyType,
+    lines,
+    totals: sumLines(lines, order.shippingAmount || 0),
+    currency: seller.currency,
+    footerNote: seller.footerNote,
+  };
+};
+
+/**
+ * Build a credit note against an invoice. Performs no database access.
+ * A full refund reverses every line; a partial refund is spread over the lines and
+ * shipping in proportion to their totals, with tax backed out at each line's rate.
+ * @param {Object} invoice - The original invoice.
+ * @param {Object} context
+ * @param {string} context.number - Credit note number.
+ * @param {number} context.amount - Amount refunded.
+ * @param {string} [context.reason]
+ * @param {Date} [context.issuedAt]
+ * @returns {Object} - Credit note fields.
+ */
+const buildCreditNote = (invoice, { number, amount, reason, issuedAt = new Date() }) => {
+  const invoiceTotal = invoice.totals.grandTotal;
+  let lines;
+  let shipping;
+
+  if (amount >= invoiceTotal) {
+    lines = invoice.lines.map((line) => ({ ...line }));
+    shipping = invoice.totals.shipping;
+  } else {
+    const shares = allocateProportionally(amount, [
+      ...invoice.lines.map((line) => line.total),
+      invoice.totals.shipping,
+    ]);
+    shipping = shares.pop();
+    lines = invoice.lines.map((line, index) => {
+      const total = shares[index];
+      const taxableValue = roundCurrency(total / (1 + (line.taxRate || 0) / 100));
+      return {
+        ...line,
+        unitPrice: line.quantity > 0 ? roundCurrency(taxableValue / line.quantity) : taxableValue,
+        discount: 0,
+        taxableValue,
+        ...splitTax(roundCurrency(total - taxableValue), invoice.supplyType),
+        total,
+      };
+    });
+  }
+
+  return {
+    type: 'credit_note',
+    number,
+    order: invoice.order,
+    orderNumber: invoice.orderNumber,
+    customer: invoice.customer,
+    relatedInvoice: invoice._id,
+    relatedInvoiceNumber: invoice.number,
+    issuedAt,
+    seller: invoice.seller,
+    buyer: invoice.buyer,
+    placeOfSupply: invoice.placeOfSupply,
+    supplyType: invoice.supplyType,
+    lines,
+    totals: sumLines(lines, shipping),
+    currency: invoice.currency,
+    footerNote: invoice.footerNote,
+    reason,
+  };
+};
+
+/**
+ * Load the seller details from Settings, falling back to the defaults.
+ * @returns {Promise<Object>}
+ */
+const getSellerDetails = async () => {
+  const setting = await Settings.findOne({ key: INVOICE_SETTING_KEY, isActive: true }).lean();
+  const configured = (setting && setting.value) || {};
+  return {
+    ...DEFAULT_SELLER,
+    ...configured,
+    address: toPlainAddress(configured.address || DEFAULT_SELLER.address),
+  };
+};
+
+// Number held by an order's invoice until it wins the invoice and draws a real number
+const getPendingInvoiceNumber = (orderId) => `PENDING/${orderId}`;
+
+// A pending invoice untouched for this long was abandoned by a request that failed mid-way
+const PENDING_INVOICE_CLAIM_MS = 60 * 1000;
+
+/**
+ * Take the single invoice slot of an order: insert a pending invoice, or take
+ * over one left behind by a request that failed before numbering it.
+ * @param {Object} fields - Invoice fields with the pending number.
+ * @returns {Promise<Object|null>} - The pending invoice, or null if another request holds it.
+ */
+const claimPendingInvoice = async (fields) => {
+  try {
+    return await Invoice.create(fields);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  return Invoice.findOneAndUpdate(
+    {
+      order: fields.order,
+      type: 'invoice',
+      number: fields.number,
+      updatedAt: { $lte: new Date(Date.now() - PENDING_INVOICE_CLAIM_MS) },
+    },
+    { $set: fields },
+    { new: true, runValidators: true }
+  );
+};
+
+/**
+ * Return the tax invoice of an order, issuing it with the next invoice number if needed.
+ * The number is drawn only once this request holds the order's invoice, so a
+ * concurrent request or an invalid invoice never uses up a number.
+ * @param {Object} order - Order document.
+ * @returns {Promise<Object>} - Invoice document.
+ * @throws {Error} - 409 while another request is issuing the invoice.
+ */
+const getOrCreateInvoice = async (order) => {
+  const pendingNumber = getPendingInvoiceNumber(order._id);
+  const existing = await Invoice.findOne({ order: order._id, type: 'invoice' });
+  if (existing && existing.number !== pendingNumber) return existing;
+
+  if (!isInvoiceable(order)) {
+    throw createHttpError(400, 'An invoice is issued once the order is paid or delivered.');
+  }
+
+  const customerId = order.customer && order.customer._id ? order.customer._id : order.customer;
+  const productIds = order.items.map((item) => (item.product && item.product._id ? item.product._id : item.product));
+  const [seller, customer, productList] = await Promise.all([
+    getSellerDetails(),
+    order.customer && order.customer.email ? order.customer : User.findById(customerId).select('name email'),
+    Product.find({ _id: { $in: productIds } }).select('title hsnCode').lean(),
+  ]);
+  const products = new Map(productList.map((product) => [String(product._id), product]));
+
+  const invoice = await claimPendingInvoice(
+    buildInvoice(order, { number: pendingNumber, seller, customer: customer || { _id: customerId }, products })
+  );
+  if (!invoice) {
+    // Another request issued the invoice first, or is issuing it right now
+    const issued = await Invoice.findOne({ order: order._id, type: 'invoice' });
+    if (issued && issued.number !== pendingNumber) return issued;
+    throw createHttpError(409, 'The invoice for this order is being issued. Please try again shortly.');
+  }
+
+  const { number } = await nextSequenceNumber(SEQUENCES.INVOICE);
+  invoice.number = number;
+  invoice.issuedAt = new Date();
+  await invoice.save();
+  logger.info(`Invoice ${invoice.number} issued for order ${order._id}`);
+  return invoice;
+};
+
+/**
+ * Issue a credit note for a refund on an order.
+ * @param {Object} order - Order document.
+ * @param {Object} params
+ * @param {number} params.amount - Amount refunded.
+ * @param {string} [params.reason]
+ * @returns {Promise<Object>} - Credit note document.
+ */
+const createCreditNote = async (order, { amount, reason }) => {
+  const invoice = await getOrCreateInvoice(order);
+  const { number } = await nextSequenceNumber(SEQUENCES.CREDIT_NOTE);
+
+  const creditNote = await Invoice.create(
+    buildCreditNote(invoice.toObject(), { number, amount: roundCurrency(amount), reason })
+  );
+  logger.info(`Credit note ${creditNote.number} issued against invoice ${invoice.number}`);
+  return creditNote;
+};
+
+/**
+ * File name for a document PDF (document numbers contain slashes).
+ * @param {Object} invoice
+ * @returns {string}
+ */
+const getInvoiceFileName = (invoice) => `${invoice.number.replace(/[^A-Za-z0-9-]+/g, '-')}.pdf`;
+
+const formatAddress = (address = {}) =>
+  [address.street, address.city, [address.state, address.zip].filter(Boolean).join(' '), address.country]
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * Render an invoice or credit note to PDF.
+ * @param {Object} invoice
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const money = (value) => `${invoice.currency} ${Number(value || 0).toFixed(2)}`;
+    const isIntraState = invoice.supplyType === 'intra_state';
+    const title = invoice.type === 'credit_note' ? 'CREDIT NOTE' : 'TAX INVOICE';
+
+    // Header
+    doc.fontSize(18).font('Helvetica-Bold').text(title, { align: 'right' });
+    doc.fontSize(10).font('Helvetica');
+    doc.text(`No: ${invoice.number}`, { align: 'right' });
+    doc.text(`Date: ${new Date(invoice.issuedAt).toISOString().slice(0, 10)}`, { align: 'right' });
+    doc.text(`Order: ${invoice.orderNumber || invoice.order}`, { align: 'right' });
+    if (invoice.relatedInvoiceNumber) {
+      doc.text(`Against invoice: ${invoice.relatedInvoiceNumber}`, { align: 'right' });
+    }
+
+    // Parties
+    const partiesTop = doc.y + 15;
+    doc.font('Helvetica-Bold').text('Sold by', 40, partiesTop);
+    doc.font('Helvetica').text(invoice.seller.name, 40, doc.y, { width: 250 });
+    doc.text(formatAddress(invoice.seller.address), { width: 250 });
+    if (invoice.seller.gstin) doc.text(`GSTIN: ${invoice.seller.gstin}`, { width: 250 });
+    const sellerBottom = doc.y;
+
+    doc.font('Helvetica-Bold').text('Bill to', 310, partiesTop);
+    doc.font('Helvetica').text(invoice.buyer.name || invoice.buyer.email || '', 310, doc.y, { width: 245 });
+    doc.text(formatAddress(invoice.buyer.billingAddress), { width: 245 });
+    if (invoice.buyer.gstin) doc.text(`GSTIN: ${invoice.buyer.gstin}`, { width: 245 });
+    doc.text(`Place of supply: ${invoice.placeOfSupply || '-'}`, { width: 245 });
+
+    // Line items
+    const columns = isIntraState
+      ? [['Description', 150], ['HSN', 50], ['Qty', 30], ['Rate', 60], ['Taxable', 65], ['CGST', 50], ['SGST', 50], ['Total', 60]]
+      : [['Description', 150], ['HSN', 50], ['Qty', 30], ['Rate', 60], ['Taxable', 65], ['IGST', 100], ['Total', 60]];
+    const drawRow = (values, y, bold = false) => {
+      let x = 40;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      values.forEach((value, index) => {
+        const [, width] = columns[index];
+        doc.text(String(value), x, y, { width: width - 4, align: index < 2 ? 'left' : 'right' });
+        x += width;
+      });
+      return doc.y;
+    };
+
+    let y = Math.max(sellerBottom, doc.y) + 20;
+    drawRow(columns.map(([label]) => label), y, true);
+    y = doc.y + 4;
+    doc.moveTo(40, y).lineTo(555, y).stroke();
+    y += 4;
+
+    invoice.lines.forEach((line) => {
+      const taxCells = isIntraState
+        ? [line.cgst.toFixed(2), line.sgst.toFixed(2)]
+        : [`${line.igst.toFixed(2)} (${line.taxRate}%)`];
+      const rowBottom = drawRow(
+        [
+          line.description,
+          line.hsnCode || '-',
+          line.quantity,
+          line.unitPrice.toFixed(2),
+          line.taxableValue.toFixed(2),
+          ...taxCells,
+          line.total.toFixed(2),
+        ],
+        y
+      );
+      y = rowBottom + 6;
+      if (y > 720) {
+        doc.addPage();
+        y = 40;
+      }
+    });
+
+    doc.moveTo(40, y).lineTo(555, y).stroke();
+
+    // Totals
+    const totals = [
+      ['Taxable value', invoice.totals.taxableValue],
+      ...(isIntraState
+        ? [
+            ['CGST', invoice.totals.cgst],
+            ['SGST', invoice.totals.sgst],
+          ]
+        : [['IGST', invoice.totals.igst]]),
+      ['Shipping', invoice.totals.shipping],
+      [invoice.type === 'credit_note' ? 'Total credit' : 'Grand total', invoice.totals.grandTotal],
+    ];
+    y += 10;
+    totals.forEach(([label, value], index) => {
+      doc.font(index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+      doc.text(label, 330, y, { width: 120 });
+      doc.text(money(value), 450, y, { width: 105, align: 'right' });
+      y += 16;
+    });
+
+    if (invoice.reason) {
+      doc.font('Helvetica').fontSize(9).text(`Reason: ${invoice.reason}`, 40, y + 10, { width: 515 });
+    }
+
+    if (invoice.footerNote) {
+      doc.font('Helvetica').fontSize(8).text(invoice.footerNote, 40, 780, { width: 515, align: 'center' });
+    }
+
+    doc.end();
+  });
+
+module.exports = {
+  INVOICE_SETTING_KEY,
+  DEFAULT_SELLER,
+  isInvoiceable,
+  getSupplyType,
+  splitTax,
+  buildInvoice,
+  buildCreditNote,
+  getSellerDetails,
+  getOrCreateInvoice,
+  createCreditNote,
+  getInvoiceFileName,
+  renderInvoicePdf,
+};
@@ -0,0 +1,136 @@
+// services/orderLifecycleService.js
+
+const ORDER_STATUS = require('../constants/orderStatus');
+const createHttpError = require('../utils/httpError');
+
+/**
+ * Allowed order status transitions.
+ * Main flow: pending → processing → shipped → delivered.
+ * Branches: cancellation before delivery, returns after delivery, refunds
+ * after cancellation, delivery or a completed return.
+ */
+const ORDER_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.PROCESSING, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PROCESSING]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.RETURN_REQUESTED, ORDER_STATUS.REFUNDED],
+  // A rejected return request puts the order back to delivered
+  [ORDER_STATUS.RETURN_REQUESTED]: [ORDER_STATUS.RETURNED, ORDER_STATUS.DELIVERED],
+  // A partial return, a replacement or a failed inspection leaves the order delivered
+  [ORDER_STATUS.RETURNED]: [ORDER_STATUS.REFUNDED, ORDER_STATUS.DELIVERED],
+  [ORDER_STATUS.CANCELLED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.REFUNDED]: [],
+};
+
+/**
+ * Get the statuses an order may move to from its current status.
+ * @param {string} status - Current order status.
+ * @returns {Array<string>}
+ */
+const getAllowedTransitions = (status) => ORDER_TRANSITIONS[status] || [];
+
+/**
+ * Check whether a transition is allowed.
+ * @param {string} from - Current order status.
+ * @param {string} to - Requested order status.
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+/**
+ * Classify who made a change, for the timeline.
+ * @param {Object|null} actor - Authenticated user (req.user) or null for system changes.
+ * @returns {string} - 'customer', 'admin' or 'system'.
+ */
+const getActorType = (actor) => {
+  if (!actor) return 'system';
+  return actor.role === 'user' ? 'customer' : 'admin';
+};
+
+/**
+ * Build a statusHistory entry.
+ * @param {string} status - The status entered.
+ * @param {Object} [options]
+ * @param {string|null} [options.previousStatus] - The status left (null for the initial entry).
+ * @param {Object|null} [options.actor] - Authenticated user making the change; null for system changes.
+ * @param {string|null} [options.reason] - Why the status changed.
+ * @returns {Object}
+ */
+const createStatusEntry = (status, { previousStatus = null, actor = null, reason = null } = {}) => ({
+  status,
+  previousStatus,
+  changedBy: actor ? actor._id : null,
+  actorType: getActorType(actor),
+  reason,
+  changedAt: new Date(),
+});
+
+/**
+ * Move an order to a new status, recording the change in its statusHistory.
+ * The order is not saved; callers persist it together with their own changes.
+ * @param {Object} order - Order document.
+ * @param {string} nextStatus - Requested status.
+ * @param {Object} [options]
+ * @param {Object|null} [options.actor] - Authenticated user making the change; null for system changes.
+ * @param {string|null} [options.reason] - Why the status changed.
+ * @returns {Object} - The same order document.
+ * @throws {Error} - 400 error when the transition is not allowed.
+ */
+const transitionOrder = (order, nextStatus, { actor = null, reason = null } = {}) => {
+  const currentStatus = order.status;
+
+  if (!canTransition(currentStatus, nextStatus)) {
+    throw createHttpError(
+      400,
+      `Invalid status transition from '${currentStatus}' to '${nextStatus}'.`,
+      { from: currentStatus, to: nextStatus, allowed: getAllowedTransitions(currentStatus) }
+    );
+  }
+
+  order.statusHistory.push(
+    createStatusEntry(nextStatus, { previousStatus: currentStatus, actor, reason })
+  );
+  order.status = nextStatus;
+
+  if (nextStatus === ORDER_STATUS.SHIPPED) {
+    order.shippingDate = new Date();
+  } else if (nextStatus === ORDER_STATUS.DELIVERED && !order.deliveryDate) {
+    order.deliveryDate = new Date();
+  }
+
+  return order;
+};
+
+/**
+ * Shape an order's history for the timeline endpoint.
+ * Customers see who acted only as customer/admin/system; staff also see the acting user.
+ * @param {Object} order - Order document (statusHistory.changedBy may be populated).
+ * @param {Object} [options]
+ * @param {boolean} [options.includeActor] - Include the acting user's details.
+ * @returns {Array<Object>}
+ */
+const buildTimeline = (order, { includeActor = false } = {}) =>
+  [...(order.statusHistory || [])]
+    .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt))
+    .map((entry) => {
+      const event = {
+        status: entry.status,
+        previousStatus: entry.previousStatus,
+        actorType: entry.actorType,
+        reason: entry.reason,
+        changedAt: entry.changedAt,
+      };
+      if (includeActor) {
+        event.changedBy = entry.changedBy;
+      }
+      return event;
+    });
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  createStatusEntry,
+  transitionOrder,
+  buildTimeline,
+};
@@ -0,0 +1,265 @@
+// services/orderService.js
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ORDER_STATUS = require('../constants/orderStatus');
+const MESSAGES = require('../messages/en');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const { roundCurrency } = require('../utils/money');
+const { resolveEffectivePrice } = require('../utils/effectivePrice');
+const { reserveStock, commitReservation, releaseReservation } = require('./inventoryService');
+const { createStatusEntry } = require('./orderLifecycleService');
+const { evaluateCouponForCustomer, redeemCoupon, reverseRedemptions } = require('./couponService');
+const { applyActivePromotions } = require('./promotionService');
+const { quoteOrder } = require('./pricingService');
+const { isCashOnDelivery, checkCodEligibility } = require('./codService');
+const { recordCartRecoveryOrder } = require('./cartRecoveryService');
+const { SEQUENCES, nextSequenceNumber } = require('./sequenceService');
+
+/**
+ * Price order lines from the catalogue and check their stock.
+ * @param {Array<Object>} items - [{ product, sku, quantity }]
+ * @returns {Promise<Object>} - { orderItems, lineDetails, totalAmount }
+ * @throws {Error} - 400 error for inactive products, unknown SKUs and short stock.
+ */
+const priceOrderItems = async (items) => {
+  let totalAmount = 0;
+  const orderItems = [];
+  const lineDetails = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+
+    if (!product || !product.isActive) {
+      logger.warn(`Invalid product ID ${item.product} for order creation.`);
+      throw createHttpError(400, `Product with ID ${item.product} is invalid.`);
+    }
+
+    // Validate SKU
+    const sku = Product.findSku(product, item.sku);
+    if (!sku) {
+      logger.warn(`SKU ${item.sku} not found for product ${product.title}.`);
+      throw createHttpError(400, `SKU ${item.sku} not found for product ${product.title}.`);
+    }
+
+    // Check stock
+    if (sku.stock < item.quantity) {
+      logger.warn(`Insufficient stock for product ${product.title}, SKU ${sku.sku || sku._id}. Requested: ${item.quantity}, Available: ${sku.stock}`);
+      throw createHttpError(400, `Insufficient stock for product ${product.title}, variant ${sku.size} (${sku.packaging}).`);
+    }
+
+    // Calculate item total at the price the SKU sells for now
+    const price = resolveEffectivePrice(product, sku);
+    totalAmount += price * item.quantity;
+
+    orderItems.push({
+      product: product._id,
+      sku: sku._id,
+      quantity: item.quantity,
+      price,
+      variant: sku.size,
+      packaging: sku.packaging,
+    });
+    lineDetails.push({
+      product: product._id,
+      sku: sku._id,
+      title: product.title,
+      category: product.category,
+      variant: sku.size,
+      packaging: sku.packaging,
+      quantity: item.quantity,
+      price,
+      weight: sku.weight || 0,
+    });
+  }
+
+  return { orderItems, lineDetails, totalAmount };
+};
+
+/**
+ * Place an order: price it from the catalogue, apply promotions, the coupon and any
+ * subscription discount, quote tax and shipping, hold stock and create the order.
+ * Checkout and subscription renewals both go through here.
+ * @param {Object} params
+ * @param {string} params.customer - Customer ID.
+ * @param {Object|null} [params.actor] - User placing the order; null for system orders (renewals).
+ * @param {Array<Object>} params.items - [{ product, sku, quantity }]
+ * @param {Object} params.shippingAddress
+ * @param {Object} params.billingAddress
+ * @param {string} params.paymentMethod
+ * @param {string} [params.couponCode]
+ * @param {string} [params.gstin]
+ * @param {number} [params.subscriptionDiscountPercent] - Subscribe & save discount on the goods left after promotions.
+ * @param {string} [params.subscription] - Subscription the order renews.
+ * @returns {Promise<Object>} - The created order.
+ * @throws {Error} - 4xx errors (with `details` for the response body) when the order cannot be placed.
+ */
+const placeOrder = async ({
+  customer,
+  actor = null,
+  items,
+  shippingAddress,
+  billingAddress,
+  paymentMethod,
+  couponCode = null,
+  gstin = null,
+  subscriptionDiscountPercent = 0,
+  subscription = null,
+}) => {
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw createHttpError(400, 'No items provided for the order.');
+  }
+
+  const { orderItems, lineDetails, totalAmount: goodsTotal } = await priceOrderItems(items);
+  let totalAmount = goodsTotal;
+
+  // Apply automatic promotions first; a coupon only discounts what they leave
+  const promotionResult = await applyActivePromotions(lineDetails);
+  promotionResult.lines.forEach((line, index) => {
+    orderItems[index].promotionDiscount = line.promotionDiscount;
+    lineDetails[index].promotionDiscount = line.promotionDiscount;
+  });
+  const promotionDiscount = promotionResult.totalDiscount;
+
+  // Apply coupon if provided (rules and product/category scope are evaluated per line)
+  let couponDiscount = 0;
+  let appliedCoupon = null;
+  if (couponCode) {
+    if (!promotionResult.couponsAllowed) {
+      logger.warn(`Coupon ${couponCode} blocked by promotion ${promotionResult.couponBlockedBy}`);
+      throw createHttpError(400, `Coupons cannot be combined with the '${promotionResult.couponBlockedBy}' promotion.`);
+    }
+
+    const { coupon, evaluation } = await evaluateCouponForCustomer(couponCode, {
+      customer,
+      lines: lineDetails,
+    });
+
+    if (!coupon) {
+      logger.warn(`Invalid coupon code: ${couponCode}`);
+      throw createHttpError(400, 'Invalid or inactive coupon code.');
+    }
+
+    if (!evaluation.applicable) {
+      logger.warn(`Coupon validation failed: ${evaluation.message}`);
+      throw createHttpError(400, evaluation.message, { data: evaluation });
+    }
+
+    // Apply coupon
+    couponDiscount = evaluation.discount;
+    evaluation.lines.forEach((line, index) => {
+      orderItems[index].discount = line.discount;
+    });
+    appliedCoupon = coupon;
+  }
+
+  // Subscribe & save applies to what promotions and the coupon leave
+  const subscriptionDiscount = subscriptionDiscountPercent > 0
+    ? roundCurrency(Math.max(goodsTotal - promotionDiscount - couponDiscount, 0) * subscriptionDiscountPercent / 100)
+    : 0;
+
+  const discount = roundCurrency(promotionDiscount + couponDiscount + subscriptionDiscount);
+  totalAmount -= discount;
+
+  // Ensure totalAmount doesn't go below zero
+  totalAmount = Math.max(totalAmount, 0);
+
+  // Tax and shipping for the destination, on the discounted goods value
+  const quote = await quoteOrder({ lines: lineDetails, discount, address: shippingAddress });
+
+  // Cash on delivery is limited by order value, pincode and the customer's refused deliveries
+  const payOnDelivery = isCashOnDelivery(paymentMethod);
+  if (payOnDelivery) {
+    const eligibility = await checkCodEligibility({
+      customer,
+      amount: quote.grandTotal,
+      address: shippingAddress,
+    });
+    if (!eligibility.eligible) {
+      logger.warn(`Cash on delivery refused for user ${customer}: ${eligibility.reasons.map((r) => r.code).join(', ')}`);
+      throw createHttpError(400, MESSAGES.COD.NOT_ELIGIBLE, { reasons: eligibility.reasons });
+    }
+  }
+
+  // Hold stock for every line before the order exists, so concurrent checkouts
+  // cannot both take the last units. The hold is keyed by the pre-generated order ID.
+  const orderId = new mongoose.Types.ObjectId();
+  try {
+    await reserveStock({ orderId, customer, items: lineDetails });
+  } catch (reservationError) {
+    logger.warn(`Stock reservation failed for order ${orderId}: ${reservationError.message}`);
+    throw createHttpError(reservationError.statusCode || 500, reservationError.message);
+  }
+
+  // Redeem the coupon only once stock is secured
+  if (appliedCoupon) {
+    try {
+      await redeemCoupon({ coupon: appliedCoupon, user: customer, order: orderId, discount: couponDiscount });
+    } catch (couponError) {
+      await releaseReservation(orderId, 'coupon_redemption_failed');
+      logger.warn(`Coupon redemption failed for order ${orderId}: ${couponError.message}`);
+      throw createHttpError(couponError.statusCode || 500, couponError.message);
+    }
+  }
+
+  // Set initial status to 'pending'
+  let order;
+  try {
+    // Sequential order number for the current financial year
+    const { number: orderNumber } = await nextSequenceNumber(SEQUENCES.ORDER);
+
+    order = await Order.create({
+      _id: orderId,
+      orderNumber,
+      customer,
+      items: orderItems,
+      totalAmount,
+      paymentMethod,
+      shippingAddress,
+      billingAddress,
+      gstin: gstin || null,
+      status: ORDER_STATUS.PENDING, // Set to 'pending' initially
+      statusHistory: [
+        createStatusEntry(ORDER_STATUS.PENDING, {
+          actor,
+          reason: subscription ? 'Subscription renewal' : 'Order placed',
+        }),
+      ],
+      // Online payments are marked paid by the gateway (POST /api/payments/pay or its webhook)
+      paymentStatus: 'pending',
+      discount,
+      couponCode: appliedCoupon ? appliedCoupon.code : null,
+      couponDiscount,
+      promotionDiscount,
+      subscriptionDiscount,
+      appliedPromotions: promotionResult.appliedPromotions,
+      taxRate: quote.taxRate,
+      taxAmount: quote.taxAmount,
+      shippingAmount: quote.shippingAmount,
+      cod: payOnDelivery ? { status: 'pending' } : undefined,
+      subscription,
+    });
+  } catch (createError) {
+    await releaseReservation(orderId, 'order_creation_failed');
+    await reverseRedemptions(orderId);
+    throw createError;
+  }
+
+  // Cash on delivery orders keep their stock for good; holds awaiting an online
+  // payment stay active until the gateway confirms or the TTL lapses.
+  if (payOnDelivery) {
+    await commitReservation(order._id);
+  }
+
+  // Stop any abandoned-cart emails and credit the recovery that brought the customer back
+  await recordCartRecoveryOrder(order);
+
+  return order;
+};
+
+module.exports = {
+  priceOrderItems,
+  placeOrder,
+};
@@ -0,0 +1,14 @@
+// services/paymentGateways/events.js
+
+// Gateway-neutral event types produced by every adapter's parseEvent()
+const PAYMENT_EVENTS = {
+  PAYMENT_SUCCEEDED: 'payment.succeeded',
+  PAYMENT_AUTHORIZED: 'payment.authorized',
+  PAYMENT_ACTION_REQUIRED: 'payment.requires_action',
+  PAYMENT_FAILED: 'payment.failed',
+  REFUND_SUCCEEDED: 'refund.succeeded',
+  REFUND_FAILED: 'refund.failed',
+  IGNORED: 'ignored',
+};
+
+module.exports = { PAYMENT_EVENTS };
@@ -0,0 +1,179 @@
+// services/paymentGateways/fakeGateway.js
+
+const crypto = require('crypto');
+const request = require('request-promise-native');
+const logger = require('../../utils/logger');
+const { PAYMENT_EVENTS } = require('./events');
+
+/*
+ * Deterministic gateway for development and tests. The payment method token
+ * picks the outcome, so the same checkout always behaves the same way:
+ *
+ *   fake_success  - paid at once (the default)
+ *   fake_decline  - declined
+ *   fake_3ds      - requires 3-D Secure; capture() with { authenticationResult: 'failed' } declines it
+ *   fake_delayed  - stays pending until a payment.succeeded webhook arrives
+ *
+ * Delayed payments post their webhook to FAKE_GATEWAY_WEBHOOK_URL (when set)
+ * after FAKE_GATEWAY_WEBHOOK_DELAY_MS. Webhooks are signed with an HMAC of the
+ * raw body in the 'x-fake-signature' header.
+ */
+const FAKE_OUTCOMES = {
+  SUCCESS: 'fake_success',
+  DECLINE: 'fake_decline',
+  THREE_DS: 'fake_3ds',
+  DELAYED: 'fake_delayed',
+};
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+const DEFAULT_WEBHOOK_DELAY_MS = 5000;
+
+const getSecret = () => process.env.FAKE_GATEWAY_SECRET || 'fake_gateway_dev_secret';
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+
+// Charge IDs carry the outcome so capture() and webhooks stay deterministic
+const toChargeId = (outcome, orderId) => `fake_ch_${outcome.replace('fake_', '')}_${orderId}`;
+
+const getOutcome = (chargeId) => {
+  const match = /^fake_ch_([a-z0-9]+)_/.exec(chargeId || '');
+  return match ? `fake_${match[1]}` : FAKE_OUTCOMES.SUCCESS;
+};
+
+/**
+ * Build a signed webhook delivery, as the fake gateway would send it.
+ * @param {string} type - One of PAYMENT_EVENTS.
+ * @param {Object} data - { orderId, chargeId, refundId, amount }
+ * @returns {Object} - { rawBody, headers }
+ */
+const buildWebhook = (type, data = {}) => {
+  const rawBody = JSON.stringify({
+    id: `evt_${type.replace('.', '_')}_${data.refundId || data.chargeId}`,
+    type,
+    data,
+  });
+  return { rawBody, headers: { [SIGNATURE_HEADER]: sign(rawBody), 'content-type': 'application/json' } };
+};
+
+// Post the webhook of a delayed payment to the configured endpoint
+const scheduleWebhook = (type, data) => {
+  const url = process.env.FAKE_GATEWAY_WEBHOOK_URL;
+  if (!url) return;
+
+  const delay = Number(process.env.FAKE_GATEWAY_WEBHOOK_DELAY_MS) || DEFAULT_WEBHOOK_DELAY_MS;
+  const timer = setTimeout(() => {
+    const { rawBody, headers } = buildWebhook(type, data);
+    request({ uri: url, method: 'POST', headers, body: rawBody })
+      .then(() => logger.info(`Fake gateway delivered ${type} for order ${data.orderId}`))
+      .catch((error) => logger.error(`Fake gateway webhook delivery failed: ${error.message}`));
+  }, delay);
+  timer.unref();
+};
+
+/**
+ * Simulate a payment for an order.
+ * @param {Object} order - Order with _id and grandTotal.
+ * @param {Object} details
+ * @param {string} [details.paymentMethodId] - One of FAKE_OUTCOMES.
+ * @param {boolean} [details.captureLater] - Only authorize successful payments.
+ * @returns {Promise<Object>} - { status, chargeId, redirectUrl?, message?, raw }
+ */
+const authorize = async (order, { paymentMethodId = FAKE_OUTCOMES.SUCCESS, captureLater = false } = {}) => {
+  const outcome = Object.values(FAKE_OUTCOMES).includes(paymentMethodId) ? paymentMethodId : FAKE_OUTCOMES.SUCCESS;
+  const chargeId = toChargeId(outcome, order._id);
+  const raw = { outcome, amount: order.grandTotal };
+
+  switch (outcome) {
+    case FAKE_OUTCOMES.DECLINE:
+      return { status: 'declined', chargeId, message: 'Your card was declined.', raw };
+    case FAKE_OUTCOMES.THREE_DS:
+      return { status: 'requires_action', chargeId, nextAction: 'three_d_secure', raw };
+    case FAKE_OUTCOMES.DELAYED:
+      scheduleWebhook(PAYMENT_EVENTS.PAYMENT_SUCCEEDED, {
+        orderId: order._id.toString(),
+        chargeId,
+        amount: order.grandTotal,
+      });
+      return { status: 'pending', chargeId, raw };
+    default:
+      return { status: captureLater ? 'authorized' : 'succeeded', chargeId, raw };
+  }
+};
+
+/**
+ * Complete a simulated payment (3-D Secure result or deferred capture).
+ * @param {string} chargeId - Charge ID from authorize().
+ * @param {Object} [details]
+ * @param {string} [details.authenticationResult] - 'failed' to fail 3-D Secure.
+ * @returns {Promise<Object>} - { status, chargeId, raw }
+ */
+const capture = async (chargeId, { authenticationResult } = {}) => {
+  const outcome = getOutcome(chargeId);
+  const raw = { outcome };
+
+  if (outcome === FAKE_OUTCOMES.DECLINE) {
+    return { status: 'declined', chargeId, message: 'Your card was declined.', raw };
+  }
+  if (outcome === FAKE_OUTCOMES.THREE_DS && authenticationResult === 'failed') {
+    return { status: 'declined', chargeId, message: '3-D Secure authentication failed.', raw };
+  }
+  if (outcome === FAKE_OUTCOMES.DELAYED) {
+    return { status: 'pending', chargeId, raw };
+  }
+  return { status: 'succeeded', chargeId, raw };
+};
+
+/**
+ * Simulate a refund; it always succeeds.
+ * @param {Object} params - { chargeId, amount, metadata }
+ * @returns {Promise<Object>} - { gatewayRefundId, status, raw }
+ */
+const refund = async ({ chargeId, amount, metadata = {} }) => ({
+  gatewayRefundId: `fake_re_${metadata.refundId || chargeId}`,
+  status: 'succeeded',
+  raw: { chargeId, amount },
+});
+
+/**
+ * Verify the signature of a fake gateway webhook.
+ * @param {Object} request - { rawBody, headers }
+ * @returns {Object} - The event.
+ * @throws {Error} - When the signature does not match.
+ */
+const verifyWebhook = ({ rawBody, headers }) => {
+  const expected = sign(rawBody);
+  const signature = headers[SIGNATURE_HEADER] || '';
+  if (expected.length !== signature.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+    throw new Error('Fake gateway webhook signature verification failed');
+  }
+  return JSON.parse(rawBody.toString());
+};
+
+/**
+ * Normalize a fake gateway event; its types are already gateway-neutral.
+ * @param {Object} event - Verified event.
+ * @returns {Object} - { id, type, orderId, chargeId, refundId, amount, raw }
+ */
+const parseEvent = (event) => {
+  const data = event.data || {};
+  return {
+    id: event.id,
+    type: Object.values(PAYMENT_EVENTS).includes(event.type) ? event.type : PAYMENT_EVENTS.IGNORED,
+    orderId: data.orderId || null,
+    chargeId: data.chargeId,
+    refundId: data.refundId,
+    amount: data.amount,
+    raw: event,
+  };
+};
+
+module.exports = {
+  name: 'fake',
+  FAKE_OUTCOMES,
+  authorize,
+  capture,
+  refund,
+  verifyWebhook,
+  parseEvent,
+  buildWebhook,
+};
@@ -0,0 +1,104 @@
+// services/paymentGateways/index.js
+
+const Settings = require('../../models/Settings');
+const createHttpError = require('../../utils/httpError');
+const logger = require('../../utils/logger');
+const { PAYMENT_EVENTS } = require('./events');
+
+/*
+ * Every gateway adapter exports:
+ *
+ *   name
+ *   authorize(order, details)          -> { status, chargeId, ... }  start a payment
+ *   capture(chargeId, details)         -> { status, chargeId, ... }  complete it (capture, execute, verify)
+ *   refund({ chargeId, amount, metadata }) -> { gatewayRefundId, status }
+ *   verifyWebhook({ rawBody, headers }) -> gateway event (throws on a bad signature)
+ *   parseEvent(event)                  -> { id, type, orderId, chargeId, refundId, amount, raw }
+ *
+ * and optionally:
+ *
+ *   savePaymentMethod({ paymentMethodId, customerId, user }) -> { customerId }
+ *                                      keep a payment method on a gateway customer for off-session charges
+ *
+ * Payment statuses are 'succeeded', 'authorized', 'requires_action', 'pending'
+ * and 'declined'; event types are the gateway-neutral PAYMENT_EVENTS.
+ * The manual gateway (cash on delivery) only refunds.
+ */
+
+// Gateways are loaded on first use so a missing SDK configuration only affects that gateway
+const GATEWAY_LOADERS = {
+  stripe: () => require('./stripeGateway'),
+  paypal: () => require('./paypalGateway'),
+  razorpay: () => require('./razorpayGateway'),
+  fake: () => require('./fakeGateway'),
+  manual: () => require('./manualGateway'),
+};
+
+// Gateway that processes each order payment method unless 'Payment Settings' says otherwise
+const PAYMENT_METHOD_GATEWAYS = {
+  stripe: 'stripe',
+  card: 'stripe',
+  paypal: 'paypal',
+  razorpay: 'razorpay',
+  upi: 'razorpay',
+  cod: 'manual',
+  cash_on_delivery: 'manual',
+};
+
+// 'Payment Settings' key mapping payment methods to gateways, e.g. { "card": "fake", "upi": "razorpay" }
+const GATEWAY_SETTING_KEY = 'paymentGateways';
+
+const isGatewayAllowed = (name) => !(name === 'fake' && process.env.NODE_ENV === 'production');
+
+/**
+ * Get a gateway adapter by name.
+ * @param {string} name - 'stripe', 'paypal', 'razorpay', 'fake' or 'manual'.
+ * @returns {Object} - Adapter.
+ * @throws {Error} - 400 error for unknown gateways, and for the fake gateway in production.
+ */
+const getGateway = (name) => {
+  const load = GATEWAY_LOADERS[name];
+  if (!load || !isGatewayAllowed(name)) {
+    throw createHttpError(400, `Unsupported payment gateway '${name}'.`);
+  }
+  return load();
+};
+
+/**
+ * Name of the default gateway for a payment method.
+ * @param {string} paymentMethod - Order payment method.
+ * @returns {string}
+ */
+const getGatewayNameForMethod = (paymentMethod) => PAYMENT_METHOD_GATEWAYS[paymentMethod] || 'manual';
+
+/**
+ * Name of the active gateway for a payment method: the 'paymentGateways'
+ * setting when it names a usable gateway, otherwise the default.
+ * @param {string} paymentMethod - Order payment method.
+ * @returns {Promise<string>}
+ */
+const resolveGatewayName = async (paymentMethod) => {
+  const setting = await Settings.findOne({
+    key: GATEWAY_SETTING_KEY,
+    category: 'Payment Settings',
+    isActive: true,
+  }).lean();
+
+  const configured = setting && setting.value ? setting.value[paymentMethod] : undefined;
+  if (configured) {
+    if (GATEWAY_LOADERS[configured] && isGatewayAllowed(configured)) {
+      return configured;
+    }
+    logger.warn(`Ignoring unusable gateway '${configured}' configured for payment method '${paymentMethod}'`);
+  }
+  return getGatewayNameForMethod(paymentMethod);
+};
+
+module.exports = {
+  PAYMENT_EVENTS,
+  PAYMENT_METHOD_GATEWAYS,
+  GATEWAY_SETTING_KEY,
+  getGateway,
+  getGatewayNameForMethod,
+  resolveGatewayName,
+};
@@ -0,0 +1,11 @@
+// services/paymentGateways/manualGateway.js
+
+/**
+ * Refunds of payments collected outside a gateway (cash on delivery) are paid out
+ * by the finance team, e.g. by bank transfer. The ledger entry is recorded as
+ * settled so the order's balance reflects it.
+ * @returns {Promise<Object>} - { gatewayRefundId, status, raw }
+ */
+const refund = async () => ({ gatewayRefundId: null, status: 'succeeded', raw: null });
+
+module.exports = { name: 'manual', refund };
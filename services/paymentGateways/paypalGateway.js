@@ -0,0 +1,161 @@
+// services/paymentGateways/paypalGateway.js
+
+const paypal = require('../../config/paypal');
+const request = require('request-promise-native');
+const { roundCurrency } = require('../../utils/money');
+const { PAYMENT_EVENTS } = require('./events');
+
+const CURRENCY = 'USD';
+
+// Map PayPal payment and sale states onto adapter payment statuses
+const PAYMENT_STATUSES = {
+  approved: 'succeeded',
+  completed: 'succeeded',
+  pending: 'pending',
+  created: 'requires_action',
+  failed: 'declined',
+  denied: 'declined',
+};
+
+// Map PayPal refund states onto ledger statuses
+const REFUND_STATUSES = {
+  completed: 'succeeded',
+  pending: 'pending',
+  failed: 'failed',
+  cancelled: 'failed',
+};
+
+// Call a callback-style method of the PayPal SDK
+const call = (method, ...args) =>
+  new Promise((resolve, reject) => {
+    method(...args, (error, response) => (error ? reject(error) : resolve(response)));
+  });
+
+/**
+ * Create a PayPal payment. The customer approves it on PayPal, so the result
+ * always requires action; capture() executes the approved payment.
+ * @param {Object} order - Order with _id, items and grandTotal.
+ * @param {Object} details
+ * @param {string} details.returnUrl - PayPal return URL after payment approval.
+ * @param {string} details.cancelUrl - PayPal cancel URL.
+ * @returns {Promise<Object>} - { status, chargeId, redirectUrl, raw }
+ */
+const authorize = async (order, { returnUrl, cancelUrl } = {}) => {
+  const payment = await call(paypal.payment.create.bind(paypal.payment), {
+    intent: 'sale',
+    payer: { payment_method: 'paypal' },
+    redirect_urls: { return_url: returnUrl, cancel_url: cancelUrl },
+    transactions: [
+      {
+        amount: { currency: CURRENCY, total: roundCurrency(order.grandTotal).toFixed(2) },
+        description: 'Purchase from eCommerce Platform',
+        custom: order._id.toString(), // Store order ID for reference in webhook
+      },
+    ],
+  });
+
+  const approvalLink = (payment.links || []).find((link) => link.rel === 'approval_url');
+  return {
+    status: 'requires_action',
+    chargeId: payment.id,
+    redirectUrl: approvalLink ? approvalLink.href : null,
+    raw: payment,
+  };
+};
+
+/**
+ * Execute a payment the customer approved on PayPal.
+ * @param {string} chargeId - PayPal payment ID from authorize().
+ * @param {Object} details
+ * @param {string} details.payerId - Payer ID PayPal appended to the return URL.
+ * @returns {Promise<Object>} - { status, chargeId, raw }; chargeId is the sale ID used for refunds.
+ */
+const capture = async (chargeId, { payerId } = {}) => {
+  const payment = await call(paypal.payment.execute.bind(paypal.payment), chargeId, { payer_id: payerId });
+  const [transaction] = payment.transactions || [];
+  const sale = transaction && transaction.related_resources && transaction.related_resources[0]
+    ? transaction.related_resources[0].sale
+    : null;
+
+  return {
+    status: PAYMENT_STATUSES[sale ? sale.state : payment.state] || 'pending',
+    chargeId: sale ? sale.id : chargeId,
+    raw: payment,
+  };
+};
+
+/**
+ * Refund (part of) a PayPal sale.
+ * @param {Object} params
+ * @param {string} params.chargeId - Sale ID of the original payment.
+ * @param {number} params.amount - Amount to refund, in major units.
+ * @returns {Promise<Object>} - { gatewayRefundId, status, raw }
+ */
+const refund = async ({ chargeId, amount }) => {
+  const result = await call(paypal.sale.refund.bind(paypal.sale), chargeId, {
+    amount: { total: roundCurrency(amount).toFixed(2), currency: CURRENCY },
+  });
+
+  return { gatewayRefundId: result.id, status: REFUND_STATUSES[result.state] || 'pending', raw: result };
+};
+
+/**
+ * Verify a PayPal webhook with PayPal's verify-webhook-signature API.
+ * @param {Object} request - { rawBody, headers }
+ * @returns {Promise<Object>} - The PayPal event.
+ * @throws {Error} - When PayPal does not confirm the signature.
+ */
+const verifyWebhook = async ({ rawBody, headers }) => {
+  const event = JSON.parse(rawBody.toString());
+  const verifyUrl = (process.env.PAYPAL_MODE === 'live')
+    ? 'https://api.paypal.com/v1/notifications/verify-webhook-signature'
+    : 'https://api.sandbox.paypal.com/v1/notifications/verify-webhook-signature';
+
+  const response = await request({
+    uri: verifyUrl,
+    method: 'POST',
+    auth: {
+      user: process.env.PAYPAL_CLIENT_ID,
+      pass: process.env.PAYPAL_CLIENT_SECRET,
+    },
+    json: true,
+    body: {
+      auth_algo: headers['paypal-auth-algo'],
+      cert_url: headers['paypal-cert-url'],
+      transmission_id: headers['paypal-transmission-id'],
+      transmission_sig: headers['paypal-transmission-sig'],
+      transmission_time: headers['paypal-transmission-time'],
+      webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+      webhook_event: event,
+    },
+  });
+
+  if (response.verification_status !== 'SUCCESS') {
+    throw new Error(`PayPal webhook verification failed: ${response.verification_status}`);
+  }
+  return event;
+};
+
+/**
+ * Normalize a PayPal event.
+ * @param {Object} event - Verified PayPal event.
+ * @returns {Object} - { id, type, orderId, chargeId, refundId, amount, raw }
+ */
+const parseEvent = (event) => {
+  const resource = event.resource || {};
+  const amount = resource.amount ? Number(resource.amount.total) : undefined;
+  const base = { id: event.id, raw: event, orderId: resource.custom || null, amount };
+
+  switch (event.event_type) {
+    case 'PAYMENT.SALE.COMPLETED':
+      return { ...base, type: PAYMENT_EVENTS.PAYMENT_SUCCEEDED, chargeId: resource.id };
+    case 'PAYMENT.SALE.DENIED':
+      return { ...base, type: PAYMENT_EVENTS.PAYMENT_FAILED, chargeId: resource.id };
+    case 'PAYMENT.SALE.REFUNDED':
+      return { ...base, type: PAYMENT_EVENTS.REFUND_SUCCEEDED, chargeId: resource.sale_id, refundId: resource.id };
+    default:
+      return { ...base, type: PAYMENT_EVENTS.IGNORED };
+  }
+};
+
+module.exports = { name: 'paypal', authorize, capture, refund, verifyWebhook, parseEvent };
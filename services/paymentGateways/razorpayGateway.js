@@ -0,0 +1,147 @@
+// services/paymentGateways/razorpayGateway.js
+
+const crypto = require('crypto');
+const getRazorpay = require('../../config/razorpay');
+const { roundCurrency } = require('../../utils/money');
+const { PAYMENT_EVENTS } = require('./events');
+
+const CURRENCY = 'INR';
+
+// Map Razorpay payment statuses onto adapter payment statuses
+const PAYMENT_STATUSES = {
+  captured: 'succeeded',
+  authorized: 'authorized',
+  created: 'requires_action',
+  failed: 'declined',
+};
+
+// Map Razorpay refund statuses onto ledger statuses
+const REFUND_STATUSES = {
+  processed: 'succeeded',
+  pending: 'pending',
+  created: 'pending',
+  failed: 'failed',
+};
+
+const toPaise = (amount) => Math.round(roundCurrency(amount) * 100);
+
+// Constant-time comparison of a hex HMAC-SHA256 signature
+const isValidSignature = (payload, signature, secret) => {
+  if (!signature || !secret) return false;
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  return expected.length === signature.length
+    && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+/**
+ * Create a Razorpay order. The customer pays it in Razorpay Checkout, so the
+ * result always requires action; capture() verifies the checkout signature.
+ * @param {Object} order - Order with _id, orderNumber and grandTotal.
+ * @returns {Promise<Object>} - { status, chargeId, gatewayOrderId, keyId, raw }
+ */
+const authorize = async (order) => {
+  const gatewayOrder = await getRazorpay().orders.create({
+    amount: toPaise(order.grandTotal), // Amount in paise
+    currency: CURRENCY,
+    receipt: order.orderNumber || order._id.toString(),
+    notes: { orderId: order._id.toString() },
+  });
+
+  return {
+    status: 'requires_action',
+    chargeId: gatewayOrder.id,
+    gatewayOrderId: gatewayOrder.id,
+    keyId: process.env.RAZORPAY_KEY_ID,
+    raw: gatewayOrder,
+  };
+};
+
+/**
+ * Verify the Checkout signature of a payment and capture it if it is only authorized.
+ * @param {string} chargeId - Razorpay order ID from authorize().
+ * @param {Object} details
+ * @param {string} details.paymentId - Razorpay payment ID ('pay_...').
+ * @param {string} details.signature - Signature returned by Checkout.
+ * @param {number} [details.amount] - Amount to capture.
+ * @returns {Promise<Object>} - { status, chargeId, raw }; chargeId is the payment ID used for refunds.
+ */
+const capture = async (chargeId, { paymentId, signature, amount } = {}) => {
+  if (!isValidSignature(`${chargeId}|${paymentId}`, signature, process.env.RAZORPAY_KEY_SECRET)) {
+    return { status: 'declined', chargeId: paymentId, message: 'Invalid Razorpay payment signature.', raw: null };
+  }
+
+  const razorpay = getRazorpay();
+  let payment = await razorpay.payments.fetch(paymentId);
+  if (payment.status === 'authorized') {
+    payment = await razorpay.payments.capture(paymentId, amount !== undefined ? toPaise(amount) : payment.amount, CURRENCY);
+  }
+
+  return { status: PAYMENT_STATUSES[payment.status] || 'pending', chargeId: payment.id, raw: payment };
+};
+
+/**
+ * Refund (part of) a Razorpay payment.
+ * @param {Object} params
+ * @param {string} params.chargeId - Payment ID ('pay_...') of the original payment.
+ * @param {number} params.amount - Amount to refund, in major units.
+ * @param {Object} [params.metadata] - Sent to Razorpay as notes.
+ * @returns {Promise<Object>} - { gatewayRefundId, status, raw }
+ */
+const refund = async ({ chargeId, amount, metadata = {} }) => {
+  const result = await getRazorpay().payments.refund(chargeId, {
+    amount: toPaise(amount), // Amount in paise
+    notes: metadata,
+  });
+
+  return { gatewayRefundId: result.id, status: REFUND_STATUSES[result.status] || 'pending', raw: result };
+};
+
+/**
+ * Verify the signature of a Razorpay webhook.
+ * @param {Object} request - { rawBody, headers }
+ * @returns {Object} - The Razorpay event, with the delivery's event ID.
+ * @throws {Error} - When the signature does not match.
+ */
+const verifyWebhook = ({ rawBody, headers }) => {
+  if (!isValidSignature(rawBody, headers['x-razorpay-signature'], process.env.RAZORPAY_WEBHOOK_SECRET)) {
+    throw new Error('Razorpay webhook signature verification failed');
+  }
+  return { ...JSON.parse(rawBody.toString()), id: headers['x-razorpay-event-id'] };
+};
+
+/**
+ * Normalize a Razorpay event.
+ * @param {Object} event - Verified Razorpay event.
+ * @returns {Object} - { id, type, orderId, gatewayOrderId, chargeId, refundId, amount, raw }
+ */
+const parseEvent = (event) => {
+  const payment = event.payload && event.payload.payment ? event.payload.payment.entity : null;
+  const refundEntity = event.payload && event.payload.refund ? event.payload.refund.entity : null;
+  const entity = refundEntity || payment || {};
+  const notes = (payment && payment.notes) || entity.notes || {};
+  const base = {
+    id: event.id || `${entity.id}:${event.event}`,
+    raw: event,
+    orderId: notes.orderId || null,
+    // Checkout payments carry the Razorpay order rather than our notes
+    gatewayOrderId: payment ? payment.order_id : undefined,
+    amount: entity.amount !== undefined ? entity.amount / 100 : undefined,
+  };
+
+  switch (event.event) {
+    case 'payment.captured':
+      return { ...base, type: PAYMENT_EVENTS.PAYMENT_SUCCEEDED, chargeId: payment.id };
+    case 'payment.authorized':
+      return { ...base, type: PAYMENT_EVENTS.PAYMENT_AUTHORIZED, chargeId: payment.id };
+    case 'payment.failed':
+      return { ...base, type: PAYMENT_EVENTS.PAYMENT_FAILED, chargeId: payment.id };
+    case 'refund.processed':
+      return { ...base, type: PAYMENT_EVENTS.REFUND_SUCCEEDED, chargeId: refundEntity.payment_id, refundId: refundEntity.id };
+    case 'refund.failed':
+      return { ...base, type: PAYMENT_EVENTS.REFUND_FAILED, chargeId: refundEntity.payment_id, refundId: refundEntity.id };
+    default:
+      return { ...base, type: PAYMENT_EVENTS.IGNORED };
+  }
+};
+
+module.exports = { name: 'razorpay', authorize, capture, refund, verifyWebhook, parseEvent };
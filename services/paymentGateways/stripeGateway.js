@@ -0,0 +1,181 @@
+// services/paymentGateways/stripeGateway.js
+
+const stripe = require('../../config/stripe');
+const createHttpError = require('../../utils/httpError');
+const { roundCurrency } = require('../../utils/money');
+const { PAYMENT_EVENTS } = require('./events');
+
+const CURRENCY = 'usd'; // Adjust currency as needed
+
+// Map PaymentIntent statuses onto adapter payment statuses
+const PAYMENT_STATUSES = {
+  succeeded: 'succeeded',
+  requires_capture: 'authorized',
+  requires_action: 'requires_action',
+  processing: 'pending',
+  requires_payment_method: 'declined',
+  canceled: 'declined',
+};
+
+// Map Stripe refund statuses onto ledger statuses
+const REFUND_STATUSES = {
+  succeeded: 'succeeded',
+  pending: 'pending',
+  requires_action: 'pending',
+  failed: 'failed',
+  canceled: 'failed',
+};
+
+const toCents = (amount) => Math.round(roundCurrency(amount) * 100);
+
+// Shape a PaymentIntent as an adapter payment result
+const toPaymentResult = (paymentIntent) => ({
+  status: PAYMENT_STATUSES[paymentIntent.status] || 'pending',
+  chargeId: paymentIntent.id,
+  clientSecret: paymentIntent.client_secret,
+  raw: paymentIntent,
+});
+
+/**
+ * Create and confirm a PaymentIntent for an order.
+ * @param {Object} order - Order with _id and grandTotal.
+ * @param {Object} details
+ * @param {string} details.paymentMethodId - Stripe payment method ID.
+ * @param {boolean} [details.captureLater] - Only authorize; capture() takes the money.
+ * @param {string} [details.returnUrl] - Where 3-D Secure sends the customer back to.
+ * @param {boolean} [details.offSession] - Charge without the customer present (renewals); needs customerId.
+ * @param {string} [details.customerId] - Stripe customer the payment method is attached to.
+ * @returns {Promise<Object>} - { status, chargeId, clientSecret, raw }
+ */
+const authorize = async (order, { paymentMethodId, captureLater = false, returnUrl, offSession = false, customerId } = {}) => {
+  try {
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: toCents(order.grandTotal), // Amount in cents
+      currency: CURRENCY,
+      metadata: { orderId: order._id.toString() },
+      payment_method: paymentMethodId,
+      capture_method: captureLater ? 'manual' : 'automatic',
+      confirm: true,
+      // Off-session payments cannot send the customer anywhere; one that needs them comes back as requires_action or a decline
+      ...(offSession ? { customer: customerId, off_session: true } : { return_url: returnUrl }),
+    });
+    return toPaymentResult(paymentIntent);
+  } catch (error) {
+    // Card errors are declines, anything else is a gateway failure
+    if (error.type === 'StripeCardError') {
+      return { status: 'declined', chargeId: error.payment_intent ? error.payment_intent.id : null, message: error.message, raw: error.raw };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Attach a payment method to a Stripe customer so it can be charged off-session later.
+ * A customer is created first when there is none yet.
+ * @param {Object} params
+ * @param {string} params.paymentMethodId - Stripe payment method ID.
+ * @param {string} [params.customerId] - Stripe customer to attach it to.
+ * @param {Object} [params.user] - { _id, name, email } of the customer, for a new Stripe customer.
+ * @returns {Promise<Object>} - { customerId }
+ * @throws {Error} - 400 error when Stripe rejects the payment method.
+ */
+const savePaymentMethod = async ({ paymentMethodId, customerId, user = {} }) => {
+  try {
+    const customer = customerId || (await stripe.customers.create({
+      email: user.email,
+      name: user.name,
+      metadata: { userId: String(user._id) },
+    })).id;
+    await stripe.paymentMethods.attach(paymentMethodId, { customer });
+    return { customerId: customer };
+  } catch (error) {
+    if (['StripeCardError', 'StripeInvalidRequestError'].includes(error.type)) {
+      throw createHttpError(400, error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Capture an authorized PaymentIntent, or read the outcome of one confirmed on the client.
+ * @param {string} chargeId - PaymentIntent ID.
+ * @param {Object} [options]
+ * @param {number} [options.amount] - Amount to capture (defaults to the authorized amount).
+ * @returns {Promise<Object>} - { status, chargeId, raw }
+ */
+const capture = async (chargeId, { amount } = {}) => {
+  const paymentIntent = await stripe.paymentIntents.retrieve(chargeId);
+  if (paymentIntent.status !== 'requires_capture') {
+    return toPaymentResult(paymentIntent);
+  }
+  const captured = await stripe.paymentIntents.capture(
+    chargeId,
+    amount !== undefined ? { amount_to_capture: toCents(amount) } : {}
+  );
+  return toPaymentResult(captured);
+};
+
+/**
+ * Refund (part of) a Stripe payment.
+ * @param {Object} params
+ * @param {string} params.chargeId - PaymentIntent ('pi_...') or Charge ID of the original payment.
+ * @param {number} params.amount - Amount to refund, in major units.
+ * @param {Object} [params.metadata]
+ * @returns {Promise<Object>} - { gatewayRefundId, status, raw }
+ */
+const refund = async ({ chargeId, amount, metadata = {} }) => {
+  const target = chargeId.startsWith('pi_') ? { payment_intent: chargeId } : { charge: chargeId };
+  const result = await stripe.refunds.create({
+    ...target,
+    amount: toCents(amount), // Amount in cents
+    reason: 'requested_by_customer',
+    metadata,
+  });
+
+  return { gatewayRefundId: result.id, status: REFUND_STATUSES[result.status] || 'pending', raw: result };
+};
+
+/**
+ * Verify the signature of a Stripe webhook.
+ * @param {Object} request - { rawBody, headers }
+ * @returns {Object} - The Stripe event.
+ * @throws {Error} - When the signature does not match.
+ */
+const verifyWebhook = ({ rawBody, headers }) =>
+  stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+
+/**
+ * Normalize a Stripe event.
+ * @param {Object} event - Verified Stripe event.
+ * @returns {Object} - { id, type, orderId, chargeId, refundId, amount, raw }
+ */
+const parseEvent = (event) => {
+  const object = event.data.object;
+  const base = { id: event.id, raw: event, orderId: (object.metadata && object.metadata.orderId) || null };
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return { ...base, type: PAYMENT_EVENTS.PAYMENT_SUCCEEDED, chargeId: object.id, amount: object.amount_received / 100 };
+    case 'payment_intent.amount_capturable_updated':
+      return { ...base, type: PAYMENT_EVENTS.PAYMENT_AUTHORIZED, chargeId: object.id, amount: object.amount_capturable / 100 };
+    case 'payment_intent.requires_action':
+      return { ...base, type: PAYMENT_EVENTS.PAYMENT_ACTION_REQUIRED, chargeId: object.id, amount: object.amount / 100 };
+    case 'payment_intent.payment_failed':
+    case 'payment_intent.canceled':
+      return { ...base, type: PAYMENT_EVENTS.PAYMENT_FAILED, chargeId: object.id, amount: object.amount / 100 };
+    case 'charge.refund.updated': {
+      const type = { succeeded: PAYMENT_EVENTS.REFUND_SUCCEEDED, failed: PAYMENT_EVENTS.REFUND_FAILED }[object.status];
+      return {
+        ...base,
+        type: type || PAYMENT_EVENTS.IGNORED,
+        chargeId: object.payment_intent,
+        refundId: object.id,
+        amount: object.amount / 100,
+      };
+    }
+    default:
+      return { ...base, type: PAYMENT_EVENTS.IGNORED };
+  }
+};
+
+module.exports = { name: 'stripe', authorize, capture, refund, savePaymentMethod, verifyWebhook, parseEvent };
@@ -1,387 +1,280 @@
 // services/paymentService.js
 
-const Stripe = require('stripe');
-const paypal = require('paypal-rest-sdk'); // Consider upgrading to @paypal/checkout-server-sdk for newer features
 const logger = require('../utils/logger');
-const Order = require('../models/Order'); // Ensure this model exists
-const Transaction = require('../models/Transaction'); // Ensure this model exists
-const request = require('request-promise-native'); // Using a modern promise-based HTTP client
+const createHttpError = require('../utils/httpError');
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const ORDER_STATUS = require('../constants/orderStatus');
+const { commitOrderStock, releaseReservation } = require('./inventoryService');
+const { reverseRedemptions } = require('./couponService');
+const { canTransition, transitionOrder } = require('./orderLifecycleService');
+const { updateRefundStatus, syncOrderPaymentStatus } = require('./refundService');
+const { PAYMENT_EVENTS, getGateway, resolveGatewayName } = require('./paymentGateways');
+
+// Ledger status of a charge for each adapter payment status
+const CHARGE_STATUSES = {
+  succeeded: 'succeeded',
+  authorized: 'authorized',
+  requires_action: 'requires_action',
+  pending: 'pending',
+  declined: 'failed',
+};
 
-// Initialize Stripe
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+// Adapter payment status for each payment event
+const EVENT_PAYMENT_STATUSES = {
+  [PAYMENT_EVENTS.PAYMENT_SUCCEEDED]: 'succeeded',
+  [PAYMENT_EVENTS.PAYMENT_AUTHORIZED]: 'authorized',
+  [PAYMENT_EVENTS.PAYMENT_ACTION_REQUIRED]: 'requires_action',
+  [PAYMENT_EVENTS.PAYMENT_FAILED]: 'declined',
+};
 
-// Configure PayPal
-paypal.configure({
-  mode: process.env.PAYPAL_MODE || 'sandbox', // 'sandbox' or 'live'
-  client_id: process.env.PAYPAL_CLIENT_ID,
-  client_secret: process.env.PAYPAL_CLIENT_SECRET,
-});
+// Strip the raw gateway response before results leave the service
+const toPublicResult = ({ raw, ...result }) => result;
 
 /**
- * Process a payment using Stripe or PayPal
- * @param {Object} order - The order object containing details like totalAmount, items, etc.
- * @param {Object} paymentDetails - Payment specific details
- * @param {string} paymentDetails.paymentMethod - 'stripe' or 'paypal'
- * @param {string} [paymentDetails.paymentMethodId] - Stripe payment method ID
- * @param {string} [paymentDetails.returnUrl] - PayPal return URL after payment approval
- * @param {string} [paymentDetails.cancelUrl] - PayPal cancel URL
- * @returns {Promise<Object>} - Payment result
+ * Latest charge of an order, optionally at one gateway.
+ * @param {string} orderId
+ * @param {string} [gateway]
+ * @returns {Promise<Object|null>}
  */
-const processPayment = async (order, paymentDetails) => {
-  const { paymentMethod } = paymentDetails;
-
-  if (paymentMethod === 'stripe') {
-    return await processStripePayment(order, paymentDetails);
-  } else if (paymentMethod === 'paypal') {
-    return await processPayPalPayment(order, paymentDetails);
-  } else {
-    throw new Error('Unsupported payment method');
-  }
+const findLatestCharge = (orderId, gateway) => {
+  const query = { order: orderId, type: 'charge' };
+  if (gateway) query.gateway = gateway;
+  return Transaction.findOne(query).sort({ createdAt: -1 });
 };
 
 /**
- * Process payment using Stripe
- * @param {Object} order 
- * @param {Object} paymentDetails 
- * @returns {Promise<Object>}
+ * Apply a payment outcome to the order. Successful payments mark the order paid,
+ * move it to processing and keep its stock; declined payments release the stock hold.
+ * Outcomes that arrive after the order is paid are ignored, so a late failure
+ * cannot undo a payment.
+ * @param {Object} order - Order document.
+ * @param {Object} result - { status, chargeId, message? }
+ * @param {string} gatewayName
+ * @returns {Promise<Object>} - The order.
  */
-const processStripePayment = async (order, paymentDetails) => {
-  try {
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(order.totalAmount * 100), // Amount in cents
-      currency: 'usd', // Adjust currency as needed
-      metadata: { orderId: order._id.toString() },
-      payment_method: paymentDetails.paymentMethodId,
-      confirm: true,
-    });
+const applyPaymentOutcome = async (order, result, gatewayName) => {
+  if (['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+    return order;
+  }
 
-    // Create a transaction record
-    const transaction = await Transaction.create({
-      order: order._id,
-      paymentMethod: 'stripe',
-      amount: order.totalAmount,
-      status: paymentIntent.status,
-      transactionId: paymentIntent.id,
-      metadata: paymentIntent.metadata,
-    });
+  if (result.chargeId) {
+    order.paymentDetails.transactionId = result.chargeId;
+  }
 
-    // Update order status based on payment intent status
-    if (paymentIntent.status === 'succeeded') {
-      order.status = 'paid';
-      await order.save();
-    } else {
-      order.status = 'payment_pending';
-      await order.save();
+  if (result.status === 'succeeded') {
+    order.paymentStatus = 'paid';
+
+    // Keep the checkout stock hold for good now that the payment went through. A hold
+    // that lapsed is taken again, which fails when the units sold in the meantime:
+    // flag the order instead of fulfilling stock we do not have.
+    try {
+      await commitOrderStock(order);
+      if (canTransition(order.status, ORDER_STATUS.PROCESSING)) {
+        transitionOrder(order, ORDER_STATUS.PROCESSING, { reason: `Payment confirmed by ${gatewayName}` });
+      }
+    } catch (stockError) {
+      order.stockShortfall = { detectedAt: new Date(), reason: stockError.message };
+      logger.error(`Stock shortfall on paid order ${order._id}: ${stockError.message}`);
     }
+    await order.save();
+  } else if (result.status === 'declined') {
+    order.paymentStatus = 'failed';
+    await order.save();
 
-    logger.info(`Stripe payment processed for order ${order._id}: ${paymentIntent.status}`);
-
-    return { success: true, paymentIntent };
-  } catch (error) {
-    logger.error(`Stripe payment failed for order ${order._id}: ${error.message}`);
-    throw new Error('Stripe payment failed');
+    // Return the held stock and the coupon use so others can have them
+    await releaseReservation(order._id, 'payment_failed');
+    await reverseRedemptions(order._id);
+  } else {
+    await order.save();
   }
+
+  logger.info(`Payment for order ${order._id} is ${result.status} via ${gatewayName}`);
+  return order;
 };
 
 /**
- * Process payment using PayPal
- * @param {Object} order 
- * @param {Object} paymentDetails 
- * @returns {Promise<Object>}
+ * Start the payment of an order at the gateway configured for its payment method.
+ * A charge is recorded in the order's ledger whatever the outcome.
+ * @param {Object} order - Order document.
+ * @param {Object} [paymentDetails] - Gateway specific details
+ * @param {string} [paymentDetails.paymentMethod] - Defaults to the order's payment method.
+ * @param {string} [paymentDetails.paymentMethodId] - Stripe payment method ID or fake gateway outcome
+ * @param {string} [paymentDetails.returnUrl] - PayPal return URL after payment approval
+ * @param {string} [paymentDetails.cancelUrl] - PayPal cancel URL
+ * @param {boolean} [paymentDetails.offSession] - Charge a saved payment method without the customer (renewals)
+ * @param {string} [paymentDetails.customerId] - Gateway customer holding the saved payment method
+ * @returns {Promise<Object>} - { status, chargeId, gateway, transaction, ...next action details }
+ * @throws {Error} - 400 for payment methods not paid online, 409 when already paid, 502 when the gateway fails.
  */
-const processPayPalPayment = async (order, paymentDetails) => {
-  const create_payment_json = {
-    intent: 'sale',
-    payer: {
-      payment_method: 'paypal',
-    },
-    redirect_urls: {
-      return_url: paymentDetails.returnUrl,
-      cancel_url: paymentDetails.cancelUrl,
-    },
-    transactions: [
-      {
-        item_list: {
-          items: order.items.map(item => ({
-            name: item.product.title,
-            sku: item.product._id.toString(),
-            price: item.price.toFixed(2),
-            currency: 'USD',
-            quantity: item.quantity,
-          })),
-        },
-        amount: {
-          currency: 'USD',
-          total: order.totalAmount.toFixed(2),
-        },
-        description: 'Purchase from eCommerce Platform',
-        custom: order._id.toString(), // Store order ID for reference in webhook
-      },
-    ],
-  };
-
-  try {
-    const payment = await new Promise((resolve, reject) => {
-      paypal.payment.create(create_payment_json, function (error, payment) {
-        if (error) {
-          reject(error);
-        } else {
-          resolve(payment);
-        }
-      });
-    });
-
-    // Create a transaction record with initial status
-    const transaction = await Transaction.create({
-      order: order._id,
-      paymentMethod: 'paypal',
-      amount: order.totalAmount,
-      status: 'created',
-      transactionId: payment.id,
-      metadata: { payment },
-    });
-
-    logger.info(`PayPal payment created for order ${order._id}: ${payment.id}`);
+const processPayment = async (order, paymentDetails = {}) => {
+  const paymentMethod = paymentDetails.paymentMethod || order.paymentMethod;
 
-    return { success: true, payment };
-  } catch (error) {
-    logger.error(`PayPal payment creation failed for order ${order._id}: ${error.message}`);
-    throw new Error('PayPal payment failed');
+  if (['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+    throw createHttpError(409, 'This order has already been paid.');
   }
-};
 
-/**
- * Verify Stripe webhook signature
- * @param {Object} req - Express request object
- * @returns {Promise<Object>} - Stripe event
- */
-const verifyStripeWebhook = async (req) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
+  const gatewayName = await resolveGatewayName(paymentMethod);
+  const gateway = getGateway(gatewayName);
+  if (!gateway.authorize) {
+    throw createHttpError(400, `Payment method '${paymentMethod}' is not paid online.`);
+  }
 
+  let result;
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-    logger.info(`Stripe webhook verified: ${event.type}`);
-    return event;
-  } catch (err) {
-    logger.error(`Stripe webhook verification failed: ${err.message}`);
-    throw new Error('Stripe webhook verification failed');
+    result = await gateway.authorize(order, paymentDetails);
+  } catch (error) {
+    logger.error(`Payment for order ${order._id} failed at ${gatewayName}: ${error.message}`);
+    throw createHttpError(502, `Payment failed at the payment gateway: ${error.message}`);
   }
+
+  const transaction = await Transaction.create({
+    order: order._id,
+    type: 'charge',
+    paymentMethod,
+    gateway: gatewayName,
+    amount: order.grandTotal,
+    status: CHARGE_STATUSES[result.status] || 'pending',
+    transactionId: result.chargeId,
+    failureReason: result.status === 'declined' ? result.message || null : null,
+    metadata: result.gatewayOrderId ? { gatewayOrderId: result.gatewayOrderId } : {},
+  });
+
+  await applyPaymentOutcome(order, result, gatewayName);
+
+  return { ...toPublicResult(result), gateway: gatewayName, transaction };
 };
 
 /**
- * Handle Stripe webhook events
- * @param {Object} event - Stripe event object
- * @returns {Promise<void>}
+ * Keep a payment method at the gateway of a payment method so it can be charged
+ * off-session later. Gateways without saved payment methods keep nothing.
+ * @param {Object} params
+ * @param {string} params.paymentMethod - Order payment method.
+ * @param {string} params.paymentMethodId - Gateway payment method ID.
+ * @param {string} [params.customerId] - Gateway customer already holding the customer's methods.
+ * @param {Object} [params.user] - { _id, name, email }
+ * @returns {Promise<string|null>} - Gateway customer ID, or null.
+ * @throws {Error} - 4xx errors when the gateway rejects the method, 502 when the gateway fails.
  */
-const handleStripeEvent = async (event) => {
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      await handleStripePaymentSucceeded(paymentIntent);
-      break;
-    case 'payment_intent.payment_failed':
-      const failedPaymentIntent = event.data.object;
-      await handleStripePaymentFailed(failedPaymentIntent);
-      break;
-    // Handle other event types as needed
-    default:
-      logger.warn(`Unhandled Stripe event type: ${event.type}`);
+const savePaymentMethod = async ({ paymentMethod, paymentMethodId, customerId = null, user }) => {
+  const gatewayName = await resolveGatewayName(paymentMethod);
+  const gateway = getGateway(gatewayName);
+  if (!gateway.savePaymentMethod) {
+    return null;
   }
-};
 
-/**
- * Handle successful Stripe payment
- * @param {Object} paymentIntent 
- * @returns {Promise<void>}
- */
-const handleStripePaymentSucceeded = async (paymentIntent) => {
   try {
-    const orderId = paymentIntent.metadata.orderId;
-    const order = await Order.findById(orderId);
-    if (!order) {
-      logger.error(`Order not found for Stripe payment intent: ${paymentIntent.id}`);
-      return;
-    }
-
-    order.status = 'paid';
-    await order.save();
-
-    // Update transaction status
-    await Transaction.findOneAndUpdate(
-      { transactionId: paymentIntent.id },
-      { status: 'succeeded' }
-    );
-
-    logger.info(`Order ${orderId} marked as paid via Stripe`);
+    const result = await gateway.savePaymentMethod({ paymentMethodId, customerId, user });
+    return result.customerId;
   } catch (error) {
-    logger.error(`Error handling Stripe payment succeeded: ${error.message}`);
+    if (error.statusCode) throw error;
+    logger.error(`Saving a payment method failed at ${gatewayName}: ${error.message}`);
+    throw createHttpError(502, `The payment method could not be saved at the payment gateway: ${error.message}`);
   }
 };
 
 /**
- * Handle failed Stripe payment
- * @param {Object} paymentIntent 
- * @returns {Promise<void>}
+ * Complete a payment started by processPayment: capture an authorization, execute
+ * an approved PayPal payment, verify a Razorpay checkout or finish 3-D Secure.
+ * @param {Object} order - Order document.
+ * @param {Object} [details] - Gateway specific details (payerId, paymentId, signature, ...).
+ * @returns {Promise<Object>} - { status, chargeId, gateway, transaction }
+ * @throws {Error} - 400 when the order has no payment to complete, 502 when the gateway fails.
  */
-const handleStripePaymentFailed = async (paymentIntent) => {
-  try {
-    const orderId = paymentIntent.metadata.orderId;
-    const order = await Order.findById(orderId);
-    if (!order) {
-      logger.error(`Order not found for Stripe payment intent: ${paymentIntent.id}`);
-      return;
-    }
-
-    order.status = 'payment_failed';
-    await order.save();
-
-    // Update transaction status
-    await Transaction.findOneAndUpdate(
-      { transactionId: paymentIntent.id },
-      { status: 'failed' }
-    );
-
-    logger.info(`Order ${orderId} marked as payment failed via Stripe`);
-  } catch (error) {
-    logger.error(`Error handling Stripe payment failed: ${error.message}`);
+const capturePayment = async (order, details = {}) => {
+  if (['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+    const transaction = await findLatestCharge(order._id);
+    return { status: 'succeeded', chargeId: order.paymentDetails.transactionId, gateway: transaction && transaction.gateway, transaction };
   }
-};
 
-/**
- * Verify PayPal webhook signature
- * @param {Object} req - Express request object
- * @returns {Promise<Object>} - PayPal event
- */
-const verifyPayPalWebhook = async (req) => {
-  const eventBody = req.body;
-  const transmissionId = req.headers['paypal-transmission-id'];
-  const transmissionTime = req.headers['paypal-transmission-time'];
-  const certUrl = req.headers['paypal-cert-url'];
-  const authAlgo = req.headers['paypal-auth-algo'];
-  const transmissionSig = req.headers['paypal-transmission-sig'];
-  const webhookId = process.env.PAYPAL_WEBHOOK_ID;
-
-  const verifyUrl = (process.env.PAYPAL_MODE === 'live') 
-    ? 'https://api.paypal.com/v1/notifications/verify-webhook-signature' 
-    : 'https://api.sandbox.paypal.com/v1/notifications/verify-webhook-signature';
-
-  const verifyPayload = {
-    auth_algo: authAlgo,
-    cert_url: certUrl,
-    transmission_id: transmissionId,
-    transmission_sig: transmissionSig,
-    transmission_time: transmissionTime,
-    webhook_id: webhookId,
-    webhook_event: eventBody,
-  };
+  const transaction = await findLatestCharge(order._id);
+  if (!transaction || !transaction.gateway || transaction.status === 'failed') {
+    throw createHttpError(400, 'No payment in progress was found for this order.');
+  }
 
+  let result;
   try {
-    const response = await request({
-      uri: verifyUrl,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      auth: {
-        user: process.env.PAYPAL_CLIENT_ID,
-        pass: process.env.PAYPAL_CLIENT_SECRET,
-      },
-      body: JSON.stringify(verifyPayload),
+    result = await getGateway(transaction.gateway).capture(transaction.transactionId, {
+      amount: order.grandTotal,
+      ...details,
     });
-
-    const responseBody = JSON.parse(response);
-    if (responseBody.verification_status === 'SUCCESS') {
-      logger.info(`PayPal webhook verified: ${responseBody.verification_status}`);
-      return eventBody;
-    } else {
-      logger.error(`PayPal webhook verification failed: ${responseBody.verification_status}`);
-      throw new Error('PayPal webhook verification failed');
-    }
   } catch (error) {
-    logger.error(`PayPal webhook verification error: ${error.message}`);
-    throw new Error('PayPal webhook verification failed');
+    logger.error(`Capture for order ${order._id} failed at ${transaction.gateway}: ${error.message}`);
+    throw createHttpError(502, `Payment failed at the payment gateway: ${error.message}`);
   }
-};
 
-/**
- * Handle PayPal webhook events
- * @param {Object} event - PayPal event object
- * @returns {Promise<void>}
- */
-const handlePayPalEvent = async (event) => {
-  const eventType = event.event_type;
-  switch (eventType) {
-    case 'PAYMENT.SALE.COMPLETED':
-      const sale = event.resource;
-      await handlePayPalPaymentCompleted(sale);
-      break;
-    case 'PAYMENT.SALE.DENIED':
-      const deniedSale = event.resource;
-      await handlePayPalPaymentDenied(deniedSale);
-      break;
-    // Handle other event types as needed
-    default:
-      logger.warn(`Unhandled PayPal event type: ${eventType}`);
+  transaction.status = CHARGE_STATUSES[result.status] || 'pending';
+  if (result.chargeId && result.chargeId !== transaction.transactionId) {
+    transaction.transactionId = result.chargeId;
   }
-};
-
-/**
- * Handle successful PayPal payment
- * @param {Object} sale - Sale object from PayPal event
- * @returns {Promise<void>}
- */
-const handlePayPalPaymentCompleted = async (sale) => {
-  try {
-    const orderId = sale.custom; // Ensure 'custom' field contains orderId when creating the payment
-    const order = await Order.findById(orderId);
-    if (!order) {
-      logger.error(`Order not found for PayPal sale: ${sale.id}`);
-      return;
-    }
+  if (result.status === 'declined') {
+    transaction.failureReason = result.message || null;
+  }
+  await transaction.save();
 
-    order.status = 'paid';
-    await order.save();
+  await applyPaymentOutcome(order, result, transaction.gateway);
 
-    // Update transaction status
-    await Transaction.findOneAndUpdate(
-      { transactionId: sale.id },
-      { status: 'succeeded' }
-    );
+  return { ...toPublicResult(result), gateway: transaction.gateway, transaction };
+};
 
-    logger.info(`Order ${orderId} marked as paid via PayPal`);
-  } catch (error) {
-    logger.error(`Error handling PayPal payment completed: ${error.message}`);
+// Find the order a payment event belongs to
+const findEventOrder = async (event) => {
+  if (event.orderId) {
+    return Order.findById(event.orderId);
   }
+  if (event.gatewayOrderId) {
+    const charge = await Transaction.findOne({ type: 'charge', 'metadata.gatewayOrderId': event.gatewayOrderId });
+    return charge ? Order.findById(charge.order) : null;
+  }
+  return null;
 };
 
 /**
- * Handle denied PayPal payment
- * @param {Object} sale - Sale object from PayPal event
- * @returns {Promise<void>}
+ * Apply a normalized gateway event to the ledger and the order.
+ * @param {string} gatewayName
+ * @param {Object} event - From the adapter's parseEvent().
+ * @returns {Promise<boolean>} - Whether the event changed anything.
  */
-const handlePayPalPaymentDenied = async (sale) => {
-  try {
-    const orderId = sale.custom; // Ensure 'custom' field contains orderId when creating the payment
-    const order = await Order.findById(orderId);
-    if (!order) {
-      logger.error(`Order not found for PayPal sale: ${sale.id}`);
-      return;
+const applyPaymentEvent = async (gatewayName, event) => {
+  if (event.type === PAYMENT_EVENTS.REFUND_SUCCEEDED || event.type === PAYMENT_EVENTS.REFUND_FAILED) {
+    const refund = await Transaction.findOne({ type: 'refund', gateway: gatewayName, gatewayRefundId: event.refundId });
+    if (!refund) {
+      logger.warn(`No refund found for ${gatewayName} refund ${event.refundId}`);
+      return false;
     }
 
-    order.status = 'payment_failed';
-    await order.save();
+    await updateRefundStatus(refund, {
+      status: event.type === PAYMENT_EVENTS.REFUND_SUCCEEDED ? 'succeeded' : 'failed',
+      failureReason: event.type === PAYMENT_EVENTS.REFUND_FAILED ? `Refund failed at ${gatewayName}` : null,
+    });
+    const order = await Order.findById(refund.order);
+    if (order) await syncOrderPaymentStatus(order);
+    return true;
+  }
 
-    // Update transaction status
-    await Transaction.findOneAndUpdate(
-      { transactionId: sale.id },
-      { status: 'failed' }
-    );
+  const paymentStatus = EVENT_PAYMENT_STATUSES[event.type];
+  if (!paymentStatus) {
+    logger.info(`Ignoring ${gatewayName} event ${event.id}`);
+    return false;
+  }
 
-    logger.info(`Order ${orderId} marked as payment failed via PayPal`);
-  } catch (error) {
-    logger.error(`Error handling PayPal payment denied: ${error.message}`);
+  const order = await findEventOrder(event);
+  if (!order) {
+    logger.warn(`No order found for ${gatewayName} event ${event.id}`);
+    return false;
   }
+
+  const charge = await findLatestCharge(order._id, gatewayName);
+  if (charge && !Transaction.SETTLED_STATUSES.includes(charge.status)) {
+    charge.status = CHARGE_STATUSES[paymentStatus];
+    if (event.chargeId && event.chargeId !== charge.transactionId) {
+      charge.transactionId = event.chargeId;
+    }
+    await charge.save();
+  }
+
+  await applyPaymentOutcome(order, { status: paymentStatus, chargeId: event.chargeId }, gatewayName);
+  return true;
 };
 
 /**
@@ -389,8 +282,7 @@ const handlePayPalPaymentDenied = async (sale) => {
  */
 module.exports = {
   processPayment,
-  verifyStripeWebhook,
-  handleStripeEvent,
-  verifyPayPalWebhook,
-  handlePayPalEvent,
+  savePaymentMethod,
+  capturePayment,
+  applyPaymentEvent,
 };
@@ -0,0 +1,232 @@
+// services/priceScheduleService.js
+
+const mongoose = require('mongoose');
+const PriceSchedule = require('../models/PriceSchedule');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const { adjustPrice } = require('../utils/effectivePrice');
+
+/*
+ * The price scheduler copies each price schedule onto the products it covers
+ * (product.priceOverrides) shortly before it starts and removes it once it ends or is
+ * cancelled. Prices are resolved from those copies (utils/effectivePrice), which carry
+ * their own dates, so a sale starts and ends on time even if a run is late.
+ */
+
+// How often the scheduler runs; schedules starting within one interval are applied early
+const PRICE_SCHEDULE_INTERVAL_MS = 60 * 1000;
+// Upcoming sales are listed on the storefront countdown this far ahead
+const COUNTDOWN_WINDOW_DAYS = 7;
+
+/**
+ * Product filter for the targets of a schedule; categories include their subcategories.
+ * @param {Object} schedule
+ * @returns {Promise<Object>}
+ */
+const buildTargetQuery = async (schedule) => {
+  const { products = [], categories = [], tags = [] } = schedule.targets || {};
+  const categoryIds = categories.length > 0 ? await Category.getDescendantIds(categories) : [];
+  return {
+    $or: [{ _id: { $in: products } }, { category: { $in: categoryIds } }, { tags: { $in: tags } }],
+  };
+};
+
+/**
+ * The copy of a schedule kept on its products.
+ * @param {Object} schedule
+ * @returns {Object}
+ */
+const toPriceOverride = (schedule) => ({
+  schedule: schedule._id,
+  kind: schedule.kind,
+  discountType: schedule.discountType,
+  value: schedule.value,
+  priority: schedule.priority || 0,
+  startDate: schedule.startDate,
+  endDate: schedule.endDate,
+});
+
+/**
+ * Copy a schedule onto exactly the products it targets: refresh the copies already there
+ * (the schedule may have been edited), add it to new targets and remove it from products
+ * that are no longer targeted. Safe to repeat.
+ * @param {Object} schedule
+ * @returns {Promise<number>} - Products carrying the schedule.
+ */
+const applyPriceSchedule = async (schedule) => {
+  const targetQuery = await buildTargetQuery(schedule);
+  const override = toPriceOverride(schedule);
+
+  await Product.updateMany(
+    { 'priceOverrides.schedule': schedule._id, $nor: [targetQuery] },
+    { $pull: { priceOverrides: { schedule: schedule._id } } }
+  );
+  await Product.updateMany(
+    { 'priceOverrides.schedule': schedule._id },
+    { $set: { 'priceOverrides.$[entry]': override } },
+    { arrayFilters: [{ 'entry.schedule': schedule._id }] }
+  );
+  await Product.updateMany(
+    { $and: [targetQuery, { 'priceOverrides.schedule': { $ne: schedule._id } }] },
+    { $push: { priceOverrides: override } }
+  );
+
+  return Product.countDocuments({ 'priceOverrides.schedule': schedule._id });
+};
+
+/**
+ * Remove a schedule from every product carrying it.
+ * @param {Object} schedule
+ * @returns {Promise<number>} - Products changed.
+ */
+const revertPriceSchedule = async (schedule) => {
+  const result = await Product.updateMany(
+    { 'priceOverrides.schedule': schedule._id },
+    { $pull: { priceOverrides: { schedule: schedule._id } } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Bring one schedule's products and status in line with its dates and isActive flag.
+ * @param {Object} schedule - PriceSchedule document.
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - The schedule.
+ */
+const syncPriceSchedule = async (schedule, now = new Date()) => {
+  const applyBefore = new Date(now.getTime() + PRICE_SCHEDULE_INTERVAL_MS);
+  let status;
+  if (!schedule.isActive) status = schedule.status === 'ended' ? 'ended' : 'cancelled';
+  else if (schedule.endDate <= now) status = 'ended';
+  else if (schedule.startDate <= applyBefore) status = 'applied';
+  else status = 'scheduled';
+
+  const wasLive = ['scheduled', 'applied'].includes(schedule.status);
+  if (status === 'applied') {
+    schedule.productCount = await applyPriceSchedule(schedule);
+    if (schedule.status !== 'applied') {
+      schedule.appliedAt = now;
+      schedule.revertedAt = null;
+      logger.info(`Price schedule '${schedule.name}' applied to ${schedule.productCount} product(s)`);
+    }
+  } else if (schedule.status === 'applied' || (wasLive && status !== 'scheduled')) {
+    const reverted = await revertPriceSchedule(schedule);
+    schedule.revertedAt = now;
+    logger.info(`Price schedule '${schedule.name}' ${status}; removed from ${reverted} product(s)`);
+  }
+
+  schedule.status = status;
+  await schedule.save();
+  return schedule;
+};
+
+/**
+ * Apply schedules that are about to start, re-apply running ones (so products added to a
+ * targeted category or tag are picked up) and revert ended or cancelled ones.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - { applied, reverted, failed }
+ */
+const runPriceScheduler = async ({ now = new Date() } = {}) => {
+  const applyBefore = new Date(now.getTime() + PRICE_SCHEDULE_INTERVAL_MS);
+  const schedules = await PriceSchedule.find({
+    $or: [
+      { status: 'applied' },
+      {
+        status: 'scheduled',
+        $or: [{ startDate: { $lte: applyBefore } }, { endDate: { $lte: now } }, { isActive: false }],
+      },
+    ],
+  });
+
+  const result = { applied: 0, reverted: 0, failed: 0 };
+  for (const schedule of schedules) {
+    try {
+      await syncPriceSchedule(schedule, now);
+      if (schedule.status === 'applied') result.applied += 1;
+      else result.reverted += 1;
+    } catch (error) {
+      result.failed += 1;
+      logger.error(`Price schedule ${schedule._id} could not be synced: ${error.message}`);
+    }
+  }
+  return result;
+};
+
+/**
+ * Sales running now or starting soon, for storefront countdowns. With a product, only the
+ * sales covering it, each with the price of every SKU during the sale.
+ * @param {Object} [params]
+ * @param {string} [params.product] - Product ID or slug.
+ * @param {Date} [params.now]
+ * @returns {Promise<Object>} - { serverTime, sales: [{ _id, name, description, discountType, value,
+ *   startDate, endDate, status: 'running' | 'upcoming', secondsRemaining, prices? }] }
+ *   secondsRemaining counts down to the end of a running sale or the start of an upcoming one.
+ * @throws {Error} - 404 error for an unknown or inactive product.
+ */
+const getSaleCountdowns = async ({ product: productKey, now = new Date() } = {}) => {
+  const query = {
+    kind: 'sale',
+    isActive: true,
+    startDate: { $lte: new Date(now.getTime() + COUNTDOWN_WINDOW_DAYS * 24 * 60 * 60 * 1000) },
+    endDate: { $gt: now },
+  };
+
+  let product = null;
+  if (productKey) {
+    product = await Product.findOne(
+      mongoose.Types.ObjectId.isValid(productKey) ? { _id: productKey } : { slug: String(productKey).toLowerCase() }
+    );
+    if (!product || !product.isActive) {
+      throw createHttpError(404, 'Product not found');
+    }
+    const categoryPath = product.category ? await Category.getPath(product.category) : [];
+    query.$or = [
+      { 'targets.products': product._id },
+      { 'targets.categories': { $in: categoryPath.map((category) => category._id) } },
+      { 'targets.tags': { $in: product.tags || [] } },
+    ];
+  }
+
+  const schedules = await PriceSchedule.find(query).sort({ startDate: 1, priority: -1 }).lean();
+
+  return {
+    serverTime: now,
+    sales: schedules.map((schedule) => {
+      const running = schedule.startDate <= now;
+      const sale = {
+        _id: schedule._id,
+        name: schedule.name,
+        description: schedule.description,
+        discountType: schedule.discountType,
+        value: schedule.value,
+        startDate: schedule.startDate,
+        endDate: schedule.endDate,
+        status: running ? 'running' : 'upcoming',
+        secondsRemaining: Math.max(0, Math.ceil(((running ? schedule.endDate : schedule.startDate) - now) / 1000)),
+      };
+      if (product) {
+        sale.prices = product.variants.map((variant) => ({
+          sku: variant._id,
+          size: variant.size,
+          packaging: variant.packaging,
+          price: variant.price,
+          salePrice: adjustPrice(variant.price, schedule),
+        }));
+      }
+      return sale;
+    }),
+  };
+};
+
+module.exports = {
+  PRICE_SCHEDULE_INTERVAL_MS,
+  COUNTDOWN_WINDOW_DAYS,
+  applyPriceSchedule,
+  revertPriceSchedule,
+  syncPriceSchedule,
+  runPriceScheduler,
+  getSaleCountdowns,
+};
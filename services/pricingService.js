@@ -0,0 +1,202 @@
+// services/pricingService.js
+
+const LocalizationSettings = require('../models/LocalizationSettings');
+const Settings = require('../models/Settings');
+const logger = require('../utils/logger');
+const { roundCurrency } = require('../utils/money');
+
+// Keys of the 'Tax and Shipping' settings read by the pricing service
+const PRICING_SETTING_KEYS = {
+  SHIPPING_RATES: 'shippingRates',
+  DEFAULT_TAX_RATE: 'defaultTaxRate',
+};
+
+/*
+ * Shipping rate tables are stored as the value of the 'shippingRates' setting:
+ *
+ *   [{
+ *     name: 'Domestic',
+ *     regions: ['IN'],          // country codes or 'COUNTRY-STATE'; empty matches any address
+ *     type: 'flat' | 'weight' | 'quantity',
+ *     rate: 50,                 // flat fee, or the fee when no bracket matches
+ *     brackets: [{ upTo: 500, rate: 40 }, { upTo: 2000, rate: 70 }], // grams or units
+ *     perUnitAbove: 20,         // optional fee per extra kg/unit beyond the last bracket
+ *     freeAbove: 999,           // optional: free shipping when the discounted subtotal reaches it
+ *   }]
+ *
+ * Tax is charged on the discounted subtotal; shipping is not taxed.
+ */
+
+const normalize = (value) => (value === null || value === undefined ? '' : String(value).trim().toUpperCase());
+
+/**
+ * Pick the tax rate for an address. A state rate beats the region rate, which beats the default.
+ * @param {Object|null} localization - LocalizationSettings for the address country.
+ * @param {Object} address - { country, state }
+ * @param {number} [defaultTaxRate]
+ * @returns {Object} - { rate, source, region }
+ */
+const resolveTaxRate = (localization, address = {}, defaultTaxRate = 0) => {
+  const region = normalize(address.country);
+  if (!localization) {
+    return { rate: defaultTaxRate, source: 'default', region };
+  }
+
+  const state = normalize(address.state);
+  const stateRate = (localization.stateTaxRates || []).find((entry) => normalize(entry.state) === state);
+  if (stateRate) {
+    return { rate: stateRate.taxRate, source: 'state', region: `${region}-${state}` };
+  }
+  return { rate: localization.taxRate || 0, source: 'region', region };
+};
+
+/**
+ * Pick the most specific shipping table for an address: COUNTRY-STATE, then COUNTRY, then catch-all.
+ * @param {Array<Object>} tables
+ * @param {Object} address - { country, state }
+ * @returns {Object|null}
+ */
+const selectShippingTable = (tables = [], address = {}) => {
+  const country = normalize(address.country);
+  const countryState = `${country}-${normalize(address.state)}`;
+  const regionsOf = (table) => (table.regions || []).map(normalize);
+
+  return (
+    tables.find((table) => regionsOf(table).includes(countryState)) ||
+    tables.find((table) => regionsOf(table).includes(country)) ||
+    tables.find((table) => regionsOf(table).length === 0 || regionsOf(table).includes('*')) ||
+    null
+  );
+};
+
+/**
+ * Work out the shipping charge for a parcel using one rate table.
+ * @param {Object|null} table
+ * @param {Object} parcel - { subtotal, weight, quantity }
+ * @returns {Object} - { amount, table, type, freeShipping }
+ */
+const calculateShipping = (table, { subtotal, weight, quantity }) => {
+  if (!table) {
+    return { amount: 0, table: null, type: null, freeShipping: false };
+  }
+
+  const base = { table: table.name || null, type: table.type || 'flat' };
+  if (table.freeAbove !== null && table.freeAbove !== undefined && subtotal >= table.freeAbove) {
+    return { ...base, amount: 0, freeShipping: true };
+  }
+
+  if (base.type === 'flat') {
+    return { ...base, amount: roundCurrency(table.rate || 0), freeShipping: false };
+  }
+
+  // Weight brackets are in grams, quantity brackets in units
+  const measure = base.type === 'weight' ? weight : quantity;
+  const brackets = [...(table.brackets || [])].sort((a, b) => a.upTo - b.upTo);
+  const bracket = brackets.find((candidate) => measure <= candidate.upTo);
+
+  let amount;
+  if (bracket) {
+    amount = bracket.rate;
+  } else if (brackets.length > 0 && table.perUnitAbove) {
+    const last = brackets[brackets.length - 1];
+    const step = base.type === 'weight' ? 1000 : 1;
+    amount = last.rate + Math.ceil((measure - last.upTo) / step) * table.perUnitAbove;
+  } else {
+    amount = table.rate || 0;
+  }
+
+  return { ...base, amount: roundCurrency(amount), freeShipping: false };
+};
+
+/**
+ * Build the price breakdown of an order. Performs no database access.
+ * @param {Object} params
+ * @param {Array<Object>} params.lines - { quantity, price, weight? } (weight in grams per unit).
+ * @param {number} [params.discount] - Promotion and coupon discount on the goods.
+ * @param {Object} params.address - Shipping address ({ country, state }).
+ * @param {Object|null} [params.localization] - LocalizationSettings for the address country.
+ * @param {Array<Object>} [params.shippingTables]
+ * @param {number} [params.defaultTaxRate]
+ * @returns {Object} - { subtotal, discount, taxableAmount, taxRate, taxAmount, shippingAmount, grandTotal, tax, shipping }
+ */
+const calculateQuote = ({ lines, discount = 0, address, localization = null, shippingTables = [], defaultTaxRate = 0 }) => {
+  const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  const appliedDiscount = roundCurrency(Math.min(discount, subtotal));
+  const taxableAmount = roundCurrency(subtotal - appliedDiscount);
+
+  const tax = resolveTaxRate(localization, address, defaultTaxRate);
+  const taxAmount = roundCurrency((taxableAmount * tax.rate) / 100);
+
+  const shipping = calculateShipping(selectShippingTable(shippingTables, address), {
+    subtotal: taxableAmount,
+    weight: lines.reduce((sum, line) => sum + (line.weight || 0) * line.quantity, 0),
+    quantity: lines.reduce((sum, line) => sum + line.quantity, 0),
+  });
+
+  return {
+    subtotal,
+    discount: appliedDiscount,
+    taxableAmount,
+    taxRate: tax.rate,
+    taxAmount,
+    shippingAmount: shipping.amount,
+    grandTotal: roundCurrency(taxableAmount + taxAmount + shipping.amount),
+    tax,
+    shipping,
+  };
+};
+
+/**
+ * Load the tax and shipping configuration that applies to an address.
+ * @param {Object} address - { country, state }
+ * @returns {Promise<Object>} - { localization, shippingTables, defaultTaxRate }
+ */
+const loadPricingConfig = async (address = {}) => {
+  const [localization, settings] = await Promise.all([
+    address.country ? LocalizationSettings.findOne({ region: normalize(address.country) }).lean() : null,
+    Settings.find({
+      category: 'Tax and Shipping',
+      key: { $in: Object.values(PRICING_SETTING_KEYS) },
+      isActive: true,
+    }).lean(),
+  ]);
+
+  const valueOf = (key) => {
+    const setting = settings.find((entry) => entry.key === key);
+    return setting ? setting.value : undefined;
+  };
+
+  const shippingTables = valueOf(PRICING_SETTING_KEYS.SHIPPING_RATES);
+  if (shippingTables !== undefined && !Array.isArray(shippingTables)) {
+    logger.warn(`Setting '${PRICING_SETTING_KEYS.SHIPPING_RATES}' must be an array of rate tables; ignoring it.`);
+  }
+
+  return {
+    localization,
+    shippingTables: Array.isArray(shippingTables) ? shippingTables : [],
+    defaultTaxRate: Number(valueOf(PRICING_SETTING_KEYS.DEFAULT_TAX_RATE)) || 0,
+  };
+};
+
+/**
+ * Price an order for a shipping address using the configured tax and shipping rules.
+ * @param {Object} params
+ * @param {Array<Object>} params.lines - { quantity, price, weight? }
+ * @param {number} [params.discount]
+ * @param {Object} params.address - { country, state }
+ * @returns {Promise<Object>} - See calculateQuote.
+ */
+const quoteOrder = async ({ lines, discount = 0, address }) => {
+  const config = await loadPricingConfig(address);
+  return calculateQuote({ lines, discount, address, ...config });
+};
+
+module.exports = {
+  PRICING_SETTING_KEYS,
+  resolveTaxRate,
+  selectShippingTable,
+  calculateShipping,
+  calculateQuote,
+  loadPricingConfig,
+  quoteOrder,
+};
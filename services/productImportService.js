@@ -0,0 +1,655 @@
+// services/productImportService.js
+
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const Product = require('../models/Product');
+const ProductImport = require('../models/ProductImport');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const { snapshotProductVariants, queueWishlistAlerts } = require('./wishlistService');
+const { resolveProductCategoryIds } = require('./categoryService');
+
+// Files with up to this many rows are imported during the request; larger ones by the import job
+const SYNC_IMPORT_MAX_ROWS = 200;
+// Row errors kept on an import; the summary still counts every failed product
+const MAX_STORED_ROW_ERRORS = 500;
+// Separator of the values in list cells (tags, images)
+const LIST_SEPARATOR = '|';
+
+/*
+ * Columns of product files, in export order. There is one row per SKU; the product columns
+ * repeat on every row of the product and the first non-blank value wins. `path` is the
+ * product field, `variantPath` the SKU field. Headers are matched ignoring case, spaces and
+ * punctuation.
+ */
+const PRODUCT_FILE_COLUMNS = [
+  { header: 'slug', path: 'slug' },
+  { header: 'title', path: 'title' },
+  { header: 'description', path: 'description' },
+  { header: 'brand', path: 'brand' },
+  { header: 'category', path: 'category' }, // Category slug (names and IDs are accepted too)
+  { header: 'tags', path: 'tags', type: 'list' }, // Tag names
+  { header: 'discountPercentage', path: 'discountPercentage', type: 'number' },
+  { header: 'hsnCode', path: 'hsnCode' },
+  { header: 'isActive', path: 'isActive', type: 'boolean' },
+  { header: 'thumbnail', path: 'thumbnail' },
+  { header: 'productBG', path: 'productBG' },
+  { header: 'images', path: 'images', type: 'list' },
+  { header: 'details', path: 'accordion.details' },
+  { header: 'shipping', path: 'accordion.shipping' },
+  { header: 'returns', path: 'accordion.returns' },
+  { header: 'sku', variantPath: 'sku' },
+  { header: 'size', variantPath: 'size' },
+  { header: 'packaging', variantPath: 'packaging' },
+  { header: 'barcode', variantPath: 'barcode' },
+  { header: 'price', variantPath: 'price', type: 'number' },
+  { header: 'compareAtPrice', variantPath: 'compareAtPrice', type: 'number' },
+  { header: 'stock', variantPath: 'stock', type: 'number' },
+  { header: 'weight', variantPath: 'weight', type: 'number' },
+  { header: 'length', variantPath: 'dimensions.length', type: 'number' },
+  { header: 'width', variantPath: 'dimensions.width', type: 'number' },
+  { header: 'height', variantPath: 'dimensions.height', type: 'number' },
+  { header: 'skuImages', variantPath: 'images', type: 'list' },
+];
+
+const PRODUCT_COLUMNS = PRODUCT_FILE_COLUMNS.filter((column) => column.path);
+const SKU_COLUMNS = PRODUCT_FILE_COLUMNS.filter((column) => column.variantPath);
+
+const BOOLEAN_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+const FILE_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Text of a spreadsheet cell, including rich text, hyperlink and formula cells.
+ * @param {any} value - exceljs cell value.
+ * @returns {string}
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join('').trim();
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+/**
+ * Format of an uploaded product file, from its name.
+ * @param {string} fileName
+ * @returns {string} - 'csv' or 'xlsx'
+ */
+const getFileFormat = (fileName) => {
+  const format = path.extname(fileName || '').slice(1).toLowerCase();
+  if (!FILE_TYPES[format]) {
+    throw createHttpError(400, 'Product files must be CSV or XLSX.');
+  }
+  return format;
+};
+
+/**
+ * Turn the rows of a product file into one map of column header to cell text per row.
+ * The first row holds the headers; unknown columns are ignored and blank cells left out.
+ * @param {Array<Object>} sheetRows - [{ row, cells }] - file line number and cell texts.
+ * @returns {Array<Object>} - [{ row, values }]
+ */
+const parseProductRows = (sheetRows) => {
+  if (sheetRows.length === 0) {
+    throw createHttpError(400, 'The product file is empty.');
+  }
+
+  const [headerRow, ...dataRows] = sheetRows;
+  const columns = headerRow.cells.map((header) =>
+    PRODUCT_FILE_COLUMNS.find((column) => normalizeHeader(column.header) === normalizeHeader(header))
+  );
+  const headers = columns.filter(Boolean).map((column) => column.header);
+  if (!['slug', 'title', 'sku'].some((header) => headers.includes(header))) {
+    throw createHttpError(400, 'The product file needs a slug, title or sku column.');
+  }
+
+  return dataRows
+    .map(({ row, cells }) => ({
+      row,
+      values: cells.reduce((values, text, index) => {
+        if (columns[index] && text !== '') values[columns[index].header] = text;
+        return values;
+      }, {}),
+    }))
+    .filter(({ values }) => Object.keys(values).length > 0);
+};
+
+/**
+ * Read the rows of a product file.
+ * @param {Buffer} buffer - File contents.
+ * @param {string} format - 'csv' or 'xlsx'.
+ * @returns {Promise<Array<Object>>} - [{ row, values }] (see parseProductRows)
+ */
+const readProductFile = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  try {
+    if (format === 'xlsx') {
+      await workbook.xlsx.load(buffer);
+      [worksheet] = workbook.worksheets;
+    } else {
+      // Keep cells as text, so barcodes and HSN codes keep their leading zeros
+      worksheet = await workbook.csv.read(Readable.from([buffer]), { map: (value) => value });
+    }
+  } catch (error) {
+    throw createHttpError(400, `The product file could not be read: ${error.message}`);
+  }
+
+  const sheetRows = [];
+  if (worksheet) {
+    worksheet.eachRow((row, rowNumber) => {
+      sheetRows.push({ row: rowNumber, cells: row.values.slice(1).map(cellText) });
+    });
+  }
+  return parseProductRows(sheetRows);
+};
+
+/**
+ * Convert the text of a cell to the column's type.
+ * @param {Object} column - Entry of PRODUCT_FILE_COLUMNS.
+ * @param {string} text
+ * @returns {any}
+ */
+const parseCell = (column, text) => {
+  if (column.type === 'number') {
+    const value = Number(text);
+    if (!Number.isFinite(value)) throw new Error(`${column.header} must be a number`);
+    return value;
+  }
+  if (column.type === 'boolean') {
+    const value = BOOLEAN_VALUES[text.toLowerCase()];
+    if (value === undefined) throw new Error(`${column.header} must be true or false`);
+    return value;
+  }
+  if (column.type === 'list') {
+    return text
+      .split(LIST_SEPARATOR)
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return text;
+};
+
+/**
+ * Group file rows by product: by slug, else by title. Rows with only a SKU code join the
+ * product that holds the code, or form their own group when no product does.
+ * @param {Array<Object>} rows - [{ row, values }]
+ * @param {Map} [slugsByCode] - SKU code -> slug of the existing product holding it.
+ * @returns {Object} - { groups: [{ key, rows }], rowErrors }
+ */
+const groupProductRows = (rows, slugsByCode = new Map()) => {
+  const groups = new Map();
+  const rowErrors = [];
+
+  rows.forEach((row) => {
+    const { slug, title, sku } = row.values;
+    let key = null;
+    if (slug) key = `slug:${slug.toLowerCase()}`;
+    else if (title) key = `title:${title.toLowerCase()}`;
+    else if (sku && slugsByCode.has(sku.toUpperCase())) key = `slug:${slugsByCode.get(sku.toUpperCase())}`;
+    else if (sku) key = `sku:${sku.toUpperCase()}`;
+
+    if (!key) {
+      rowErrors.push({ row: row.row, field: null, message: 'Each row needs a slug, title or SKU code.' });
+      return;
+    }
+    if (!groups.has(key)) groups.set(key, { key, rows: [] });
+    groups.get(key).rows.push(row);
+  });
+
+  return { groups: [...groups.values()], rowErrors };
+};
+
+/**
+ * Slugs of the existing products holding the SKU codes of rows that name no product.
+ * @param {Array<Object>} rows
+ * @returns {Promise<Map>} - SKU code -> slug
+ */
+const findSkuOnlySlugs = async (rows) => {
+  const codes = rows
+    .filter(({ values }) => !values.slug && !values.title && values.sku)
+    .map(({ values }) => values.sku.toUpperCase());
+  if (codes.length === 0) return new Map();
+
+  const products = await Product.find({ 'variants.sku': { $in: codes } })
+    .select('slug variants.sku')
+    .lean();
+  const slugsByCode = new Map();
+  products.forEach((product) => product.variants.forEach((variant) => slugsByCode.set(variant.sku, product.slug)));
+  return slugsByCode;
+};
+
+/**
+ * Find the product a group of rows updates: the product with the slug, else the one
+ * holding any of the SKU codes.
+ * @param {Object} group - { key, rows }
+ * @returns {Promise<Object|null>}
+ */
+const findImportedProduct = async (group) => {
+  if (group.key.startsWith('slug:')) {
+    const product = await Product.findOne({ slug: group.key.slice('slug:'.length) });
+    if (product) return product;
+  }
+
+  const codes = group.rows.filter((row) => row.values.sku).map((row) => row.values.sku.toUpperCase());
+  if (codes.length === 0) return null;
+  return Product.findOne({ 'variants.sku': { $in: codes } });
+};
+
+/**
+ * Copy the values of a group of rows onto a new or existing product. Blank cells keep the
+ * current value; SKUs are matched by code, else by size and packaging, and added when new.
+ * SKUs missing from the file are kept.
+ * @param {Object} product - Product document.
+ * @param {Object} group - { rows }
+ * @param {Object} refs - { categories: Map(key -> ID), tags: Map(name -> ID) }
+ * @returns {Object} - { rowErrors, skuRows } - skuRows maps each variant index to its file row.
+ */
+const applyProductRows = (product, group, refs) => {
+  const rowErrors = [];
+  const [firstRow] = group.rows;
+
+  PRODUCT_COLUMNS.forEach((column) => {
+    const source = group.rows.find((row) => row.values[column.header] !== undefined);
+    if (!source) return;
+
+    const text = source.values[column.header];
+    const fail = (message) => rowErrors.push({ row: source.row, field: column.header, message });
+    let value;
+    try {
+      value = parseCell(column, text);
+    } catch (error) {
+      fail(error.message);
+      return;
+    }
+
+    if (column.path === 'category') {
+      value = refs.categories.get(text.toLowerCase()) || refs.categories.get(text);
+      if (!value) return fail(`Unknown product category '${text}'`);
+    } else if (column.path === 'tags') {
+      const unknown = value.filter((name) => !refs.tags.has(name.toLowerCase()));
+      if (unknown.length > 0) return fail(`Unknown tag(s): ${unknown.join(', ')}`);
+      value = value.map((name) => refs.tags.get(name.toLowerCase()));
+    }
+    product.set(column.path, value);
+  });
+
+  const skuRows = product.variants.map(() => firstRow.row);
+  group.rows.forEach((row) => {
+    const fields = {};
+    SKU_COLUMNS.forEach((column) => {
+      const text = row.values[column.header];
+      if (text === undefined) return;
+      try {
+        fields[column.variantPath] = parseCell(column, text);
+      } catch (error) {
+        rowErrors.push({ row: row.row, field: column.header, message: error.message });
+      }
+    });
+    if (Object.keys(fields).length === 0) return;
+
+    const code = fields.sku && fields.sku.toUpperCase();
+    let index = code ? product.variants.findIndex((variant) => variant.sku === code) : -1;
+    if (index === -1 && fields.size && fields.packaging) {
+      index = product.variants.findIndex(
+        (variant) =>
+          String(variant.size || '').toLowerCase() === fields.size.toLowerCase() && variant.packaging === fields.packaging
+      );
+    }
+
+    if (index === -1) {
+      product.variants.push({});
+      index = product.variants.length - 1;
+    }
+    Object.entries(fields).forEach(([variantPath, value]) => product.variants[index].set(variantPath, value));
+    skuRows[index] = row.row;
+  });
+
+  return { rowErrors, skuRows };
+};
+
+/**
+ * Turn a product validation error into row errors, pointing SKU errors at the SKU's row.
+ * Errors of the packaging list are left out; it is derived from the SKUs, which report them.
+ * @param {Object} error - Mongoose ValidationError.
+ * @param {Array<number>} skuRows - File row of each variant.
+ * @param {number} productRow - First row of the product.
+ * @returns {Array<Object>} - [{ row, field, message }]
+ */
+const mapValidationErrors = (error, skuRows, productRow) =>
+  Object.entries(error.errors)
+    .filter(([errorPath]) => !/^packaging(\.\d+)?$/.test(errorPath))
+    .map(([errorPath, err]) => {
+      const skuMatch = errorPath.match(/^variants\.(\d+)\.(.+)$/);
+      if (skuMatch) {
+        const column = SKU_COLUMNS.find((entry) => entry.variantPath === skuMatch[2].replace(/\.\d+$/, ''));
+        return { row: skuRows[skuMatch[1]] || productRow, field: column ? column.header : skuMatch[2], message: err.message };
+      }
+      const column = PRODUCT_COLUMNS.find((entry) => entry.path === errorPath.replace(/\.\d+$/, ''));
+      return { row: productRow, field: column ? column.header : errorPath, message: err.message };
+    });
+
+/**
+ * Check the slug, SKU codes and barcodes of a validated product against other products
+ * and against the products earlier in the file.
+ * @param {Object} product - Validated product document.
+ * @param {Array<number>} skuRows
+ * @param {number} productRow
+ * @param {Map} claimed - Keys ('slug:x', 'sku:X', 'barcode:n') taken earlier in the file -> product ID.
+ * @returns {Promise<Array<Object>>} - [{ row, field, message }]
+ */
+const findDuplicates = async (product, skuRows, productRow, claimed) => {
+  const slug = product.slug || slugify(product.title, { lower: true, strict: true });
+  const codes = product.variants.map((variant) => variant.sku);
+  const barcodes = product.variants.map((variant) => variant.barcode).filter(Boolean);
+
+  const others = await Product.find({
+    _id: { $ne: product._id },
+    $or: [{ slug }, { 'variants.sku': { $in: codes } }, { 'variants.barcode': { $in: barcodes } }],
+  })
+    .select('slug variants.sku variants.barcode')
+    .lean();
+  const taken = new Set(claimed.keys());
+  others.forEach((other) => {
+    taken.add(`slug:${other.slug}`);
+    other.variants.forEach((variant) => {
+      taken.add(`sku:${variant.sku}`);
+      if (variant.barcode) taken.add(`barcode:${variant.barcode}`);
+    });
+  });
+  const isTaken = (key) => taken.has(key) && claimed.get(key) !== String(product._id);
+
+  const rowErrors = [];
+  if (isTaken(`slug:${slug}`)) {
+    rowErrors.push({ row: productRow, field: 'slug', message: `Slug '${slug}' is used by another product` });
+  }
+  product.variants.forEach((variant, index) => {
+    if (isTaken(`sku:${variant.sku}`)) {
+      rowErrors.push({ row: skuRows[index], field: 'sku', message: `SKU ${variant.sku} is used by another product` });
+    }
+    if (variant.barcode && isTaken(`barcode:${variant.barcode}`)) {
+      rowErrors.push({
+        row: skuRows[index],
+        field: 'barcode',
+        message: `Barcode ${variant.barcode} is used by another product`,
+      });
+    }
+  });
+
+  if (rowErrors.length === 0) {
+    const id = String(product._id);
+    claimed.set(`slug:${slug}`, id);
+    codes.forEach((code) => claimed.set(`sku:${code}`, id));
+    barcodes.forEach((barcode) => claimed.set(`barcode:${barcode}`, id));
+  }
+  return rowErrors;
+};
+
+/**
+ * Categories and tags the file may reference.
+ * @param {Array<Object>} rows
+ * @returns {Promise<Object>} - { categories: Map(slug | lowercase name | ID -> ID), tags: Map(name -> ID) }
+ */
+const loadReferences = async (rows) => {
+  const tagNames = new Set();
+  rows.forEach(({ values }) => {
+    if (values.tags) parseCell({ type: 'list' }, values.tags).forEach((name) => tagNames.add(name.toLowerCase()));
+  });
+
+  const [categories, tags] = await Promise.all([
+    Category.find({ type: 'product' }).select('name slug').lean(),
+    tagNames.size > 0 ? Tag.find({ name: { $in: [...tagNames] } }).select('name').lean() : [],
+  ]);
+
+  const categoryKeys = new Map();
+  categories.forEach((category) => {
+    categoryKeys.set(String(category._id), category._id);
+    categoryKeys.set(category.name.toLowerCase(), category._id);
+    categoryKeys.set(category.slug, category._id);
+  });
+  return { categories: categoryKeys, tags: new Map(tags.map((tag) => [tag.name, tag._id])) };
+};
+
+/**
+ * Create or update the products in the rows of a product file. Every product is validated
+ * against the Product schema; products with errors are skipped and reported by row.
+ * @param {Array<Object>} rows - [{ row, values }] (see readProductFile)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Validate and report only; nothing is written.
+ * @returns {Promise<Object>} - { summary: { rows, products, created, updated, failed }, rowErrors }
+ *   In a dry run, created and updated count the products that would be.
+ */
+const importProductRows = async (rows, { dryRun = false } = {}) => {
+  const { groups, rowErrors } = groupProductRows(rows, await findSkuOnlySlugs(rows));
+  const summary = { rows: rows.length, products: groups.length, created: 0, updated: 0, failed: 0 };
+  const refs = await loadReferences(rows);
+  const claimed = new Map();
+
+  for (const group of groups) {
+    const productRow = group.rows[0].row;
+    const existing = await findImportedProduct(group);
+    const product = existing || new Product();
+    const before = existing ? snapshotProductVariants(existing) : null;
+
+    const { rowErrors: groupErrors, skuRows } = applyProductRows(product, group, refs);
+    try {
+      await product.validate();
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+      // A cell that could not be read is already reported; skip the schema's error about it
+      const reported = new Set(groupErrors.map((rowError) => `${rowError.row}:${rowError.field}`));
+      groupErrors.push(
+        ...mapValidationErrors(error, skuRows, productRow).filter(
+          (rowError) => !reported.has(`${rowError.row}:${rowError.field}`)
+        )
+      );
+    }
+    if (groupErrors.length === 0) {
+      groupErrors.push(...(await findDuplicates(product, skuRows, productRow, claimed)));
+    }
+
+    if (groupErrors.length === 0 && !dryRun) {
+      try {
+        await product.save();
+        if (before) await queueWishlistAlerts(before, product);
+      } catch (error) {
+        if (error.code !== 11000 && !(error instanceof mongoose.Error.ValidationError)) throw error;
+        groupErrors.push({ row: productRow, field: null, message: error.message });
+      }
+    }
+
+    if (groupErrors.length > 0) {
+      summary.failed += 1;
+      rowErrors.push(...groupErrors);
+    } else if (existing) {
+      summary.updated += 1;
+    } else {
+      summary.created += 1;
+    }
+  }
+
+  rowErrors.sort((a, b) => a.row - b.row);
+  return { summary, rowErrors };
+};
+
+/**
+ * Run an import on the rows of its file and record the outcome on it.
+ * @param {Object} productImport - ProductImport document.
+ * @param {Array<Object>} rows - Rows of the file.
+ * @returns {Promise<Object>} - The import.
+ */
+const processProductImport = async (productImport, rows) => {
+  productImport.status = 'processing';
+  productImport.startedAt = new Date();
+  await productImport.save();
+
+  try {
+    const { summary, rowErrors } = await importProductRows(rows, { dryRun: productImport.dryRun });
+    productImport.summary = summary;
+    productImport.rowErrors = rowErrors.slice(0, MAX_STORED_ROW_ERRORS);
+    productImport.rowErrorsTruncated = rowErrors.length > MAX_STORED_ROW_ERRORS;
+    productImport.status = 'completed';
+    logger.info(
+      `Product import ${productImport._id}${productImport.dryRun ? ' (dry run)' : ''}: ` +
+        `${summary.created} created, ${summary.updated} updated, ${summary.failed} failed`
+    );
+  } catch (error) {
+    productImport.status = 'failed';
+    productImport.error = error.message;
+    throw error;
+  } finally {
+    productImport.file = null;
+    productImport.completedAt = new Date();
+    await productImport.save();
+  }
+  return productImport;
+};
+
+/**
+ * Start an import of an uploaded product file. Small files are imported right away;
+ * larger ones are stored with the import and queued for the import job.
+ * @param {Object} params
+ * @param {Object} params.file - Uploaded file ({ originalname, buffer }).
+ * @param {boolean} [params.dryRun] - Only validate and report row errors.
+ * @param {Object|null} [params.actor] - Authenticated user importing the file.
+ * @returns {Promise<Object>} - { productImport, queued }
+ */
+const createProductImport = async ({ file, dryRun = false, actor = null }) => {
+  const format = getFileFormat(file.originalname);
+  const rows = await readProductFile(file.buffer, format);
+  const queued = rows.length > SYNC_IMPORT_MAX_ROWS;
+
+  const productImport = await ProductImport.create({
+    fileName: file.originalname,
+    format,
+    dryRun,
+    requestedBy: actor ? actor._id : null,
+    file: queued ? file.buffer : null,
+    summary: { rows: rows.length },
+  });
+
+  if (!queued) {
+    return { productImport: await processProductImport(productImport, rows), queued };
+  }
+
+  // Required here so loading the product routes does not open a queue connection
+  const productImportQueue = require('../jobs/productImportJob');
+  await productImportQueue.add('product-import', { importId: String(productImport._id) }, { removeOnComplete: true });
+  return { productImport, queued };
+};
+
+/**
+ * Run a queued import (used by the import job).
+ * @param {string} importId
+ * @returns {Promise<Object|null>} - The import, or null when it is not waiting to run.
+ */
+const runProductImport = async (importId) => {
+  const productImport = await ProductImport.findById(importId).select('+file');
+  if (!productImport || productImport.status !== 'queued') return null;
+
+  let rows;
+  try {
+    rows = await readProductFile(productImport.file, productImport.format);
+  } catch (error) {
+    productImport.status = 'failed';
+    productImport.error = error.message;
+    productImport.file = null;
+    productImport.completedAt = new Date();
+    await productImport.save();
+    return productImport;
+  }
+  return processProductImport(productImport, rows);
+};
+
+// Value at a dotted path of a plain object
+const getPathValue = (object, dottedPath) =>
+  dottedPath.split('.').reduce((current, key) => (current === null || current === undefined ? current : current[key]), object);
+
+/**
+ * One file row per SKU of a product, in PRODUCT_FILE_COLUMNS order.
+ * @param {Object} product - Lean product with category (slug) and tags (name) populated.
+ * @returns {Array<Object>} - [{ [header]: value }]
+ */
+const buildExportRows = (product) => {
+  const productValues = {};
+  PRODUCT_COLUMNS.forEach((column) => {
+    let value = getPathValue(product, column.path);
+    if (column.path === 'category') value = value ? value.slug : null;
+    if (column.path === 'tags') value = (value || []).map((tag) => tag.name);
+    if (column.type === 'list') value = (value || []).join(LIST_SEPARATOR);
+    productValues[column.header] = value === undefined ? null : value;
+  });
+
+  return (product.variants || []).map((variant) => {
+    const row = { ...productValues };
+    SKU_COLUMNS.forEach((column) => {
+      let value = getPathValue(variant, column.variantPath);
+      if (column.type === 'list') value = (value || []).join(LIST_SEPARATOR);
+      row[column.header] = value === undefined ? null : value;
+    });
+    return row;
+  });
+};
+
+/**
+ * Export products as a CSV or XLSX file in the layout the import reads back.
+ * @param {Object} [params]
+ * @param {string} [params.format] - 'csv' (default) or 'xlsx'.
+ * @param {string} [params.category] - Category ID, slug or name; includes its subcategories.
+ * @param {boolean} [params.isActive] - Only active or only inactive products.
+ * @returns {Promise<Object>} - { buffer, fileName, contentType }
+ */
+const exportProducts = async ({ format = 'csv', category, isActive } = {}) => {
+  const query = {};
+  const categoryIds = category ? await resolveProductCategoryIds([category]) : null;
+  if (categoryIds) query.category = { $in: categoryIds };
+  if (isActive !== undefined) query.isActive = isActive;
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Products');
+  worksheet.columns = PRODUCT_FILE_COLUMNS.map((column) => ({ header: column.header, key: column.header }));
+
+  const cursor = Product.find(query)
+    .sort({ slug: 1 })
+    .populate('category', 'slug')
+    .populate('tags', 'name')
+    .lean()
+    .cursor();
+  for await (const product of cursor) {
+    buildExportRows(product).forEach((row) => worksheet.addRow(row));
+  }
+
+  const buffer = format === 'xlsx' ? await workbook.xlsx.writeBuffer() : await workbook.csv.writeBuffer();
+  return {
+    buffer: Buffer.from(buffer),
+    fileName: `products_${new Date().toISOString().slice(0, 10)}.${format}`,
+    contentType: FILE_TYPES[format],
+  };
+};
+
+module.exports = {
+  SYNC_IMPORT_MAX_ROWS,
+  PRODUCT_FILE_COLUMNS,
+  readProductFile,
+  importProductRows,
+  createProductImport,
+  runProductImport,
+  buildExportRows,
+  exportProducts,
+};
@@ -0,0 +1,242 @@
+// services/promotionService.js
+
+const Promotion = require('../models/Promotion');
+const { roundCurrency, allocateProportionally } = require('../utils/money');
+
+/*
+ * Stacking rules:
+ * - Promotions run before coupons, highest priority first. Each one only sees the
+ *   value of a line that earlier promotions left undiscounted, so a line can never
+ *   be discounted below zero.
+ * - An exclusive promotion that applies stops any further promotions.
+ * - Coupons are evaluated on line totals net of promotion discounts, and only if
+ *   every applied promotion is combinableWithCoupons.
+ */
+
+const toId = (value) => String(value && value._id ? value._id : value);
+const lower = (value) => (value === null || value === undefined ? null : String(value).toLowerCase());
+
+/**
+ * Check whether a promotion is running at a given time.
+ * @param {Object} promotion
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const isPromotionRunning = (promotion, now) =>
+  Boolean(promotion.isActive) &&
+  (!promotion.startDate || new Date(promotion.startDate) <= now) &&
+  (!promotion.endDate || new Date(promotion.endDate) > now);
+
+/**
+ * Check whether a line matches a promotion's targets (empty target lists match everything).
+ * @param {Object} line - { product, variant, packaging }
+ * @param {Object} [targets] - { products, variants, packaging }
+ * @returns {boolean}
+ */
+const lineMatchesTargets = (line, targets = {}) => {
+  const products = (targets.products || []).map(toId);
+  const variants = (targets.variants || []).map(lower);
+  const packaging = (targets.packaging || []).map(lower);
+
+  return (
+    (products.length === 0 || products.includes(toId(line.product))) &&
+    (variants.length === 0 || variants.includes(lower(line.variant))) &&
+    (packaging.length === 0 || packaging.includes(lower(line.packaging)))
+  );
+};
+
+/**
+ * Buy X get Y: the cheapest matching units are discounted.
+ * @returns {Object|null} - { discounts, summary }
+ */
+const evaluateBogo = (promotion, lines, remaining) => {
+  const units = [];
+  lines.forEach((line, index) => {
+    if (remaining[index] <= 0 || !lineMatchesTargets(line, promotion.targets)) return;
+    const unitValue = remaining[index] / line.quantity;
+    for (let unit = 0; unit < line.quantity; unit += 1) {
+      units.push({ index, unitValue });
+    }
+  });
+
+  let applications = Math.floor(units.length / (promotion.buyQuantity + promotion.getQuantity));
+  if (promotion.maxApplicationsPerOrder) {
+    applications = Math.min(applications, promotion.maxApplicationsPerOrder);
+  }
+  const discountedUnits = applications * promotion.getQuantity;
+  if (discountedUnits === 0) return null;
+
+  const percent = promotion.getDiscountPercent === undefined ? 100 : promotion.getDiscountPercent;
+  const discounts = lines.map(() => 0);
+  units
+    .sort((a, b) => a.unitValue - b.unitValue)
+    .slice(0, discountedUnits)
+    .forEach(({ index, unitValue }) => {
+      discounts[index] += (unitValue * percent) / 100;
+    });
+
+  const offer = percent === 100 ? 'free' : `${percent}% off`;
+  return {
+    discounts: discounts.map(roundCurrency),
+    summary: `Buy ${promotion.buyQuantity} get ${promotion.getQuantity} ${offer} (applied ${applications}x)`,
+  };
+};
+
+/**
+ * Spend thresholds: the highest tier reached by the matching subtotal applies.
+ * @returns {Object|null} - { discounts, summary }
+ */
+const evaluateTiered = (promotion, lines, remaining) => {
+  const weights = lines.map((line, index) =>
+    lineMatchesTargets(line, promotion.targets) ? Math.max(remaining[index], 0) : 0
+  );
+  const subtotal = roundCurrency(weights.reduce((sum, weight) => sum + weight, 0));
+  if (subtotal <= 0) return null;
+
+  const tier = [...(promotion.tiers || [])]
+    .sort((a, b) => b.minSubtotal - a.minSubtotal)
+    .find((candidate) => subtotal >= candidate.minSubtotal);
+  if (!tier) return null;
+
+  const amount =
+    tier.discountType === 'fixed' ? Math.min(tier.value, subtotal) : (subtotal * tier.value) / 100;
+  const offer = tier.discountType === 'fixed' ? `${tier.value.toFixed(2)} off` : `${tier.value}% off`;
+
+  return {
+    discounts: allocateProportionally(roundCurrency(amount), weights),
+    summary: `${offer} on orders of ${tier.minSubtotal.toFixed(2)} or more`,
+  };
+};
+
+/**
+ * Bundle pricing: each complete set of bundle items is charged bundlePrice.
+ * @returns {Object|null} - { discounts, summary }
+ */
+const evaluateBundle = (promotion, lines, remaining) => {
+  const bundleItems = promotion.bundleItems || [];
+  if (bundleItems.length === 0) return null;
+
+  const matchesBundleItem = (line, item) =>
+    toId(line.product) === toId(item.product) && (!item.variant || lower(item.variant) === lower(line.variant));
+
+  const availableSets = bundleItems.map((item) => {
+    const available = lines.reduce(
+      (sum, line, index) => (remaining[index] > 0 && matchesBundleItem(line, item) ? sum + line.quantity : sum),
+      0
+    );
+    return Math.floor(available / item.quantity);
+  });
+
+  let sets = Math.min(...availableSets);
+  if (promotion.maxApplicationsPerOrder) {
+    sets = Math.min(sets, promotion.maxApplicationsPerOrder);
+  }
+  if (sets <= 0) return null;
+
+  // Take the units that make up the sets, without using a unit twice
+  const usedUnits = lines.map(() => 0);
+  const bundledValue = lines.map(() => 0);
+  bundleItems.forEach((item) => {
+    let needed = item.quantity * sets;
+    lines.forEach((line, index) => {
+      if (needed === 0 || remaining[index] <= 0 || !matchesBundleItem(line, item)) return;
+      const taken = Math.min(needed, line.quantity - usedUnits[index]);
+      if (taken <= 0) return;
+      usedUnits[index] += taken;
+      bundledValue[index] += (remaining[index] / line.quantity) * taken;
+      needed -= taken;
+    });
+  });
+
+  const regularPrice = bundledValue.reduce((sum, value) => sum + value, 0);
+  const discount = roundCurrency(regularPrice - promotion.bundlePrice * sets);
+  if (discount <= 0) return null;
+
+  return {
+    discounts: allocateProportionally(discount, bundledValue),
+    summary: `${sets} bundle(s) at ${promotion.bundlePrice.toFixed(2)} each`,
+  };
+};
+
+const EVALUATORS = {
+  bogo: evaluateBogo,
+  tiered: evaluateTiered,
+  bundle: evaluateBundle,
+};
+
+/**
+ * Apply automatic promotions to priced lines. Performs no database access.
+ * @param {Array<Object>} lines - Plain line objects ({ product, variant, packaging, quantity, price }).
+ * @param {Array<Object>} promotions - Promotions, highest priority first.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time.
+ * @returns {Object} - { lines, appliedPromotions, totalDiscount, couponsAllowed, couponBlockedBy }
+ */
+const applyPromotions = (lines, promotions, { now = new Date() } = {}) => {
+  const lineTotals = lines.map((line) => roundCurrency(line.price * line.quantity));
+  const remaining = [...lineTotals];
+  const lineDiscounts = lines.map(() => 0);
+  const appliedPromotions = [];
+
+  for (const promotion of promotions) {
+    const evaluate = EVALUATORS[promotion.type];
+    if (!evaluate || !isPromotionRunning(promotion, now)) continue;
+
+    const result = evaluate(promotion, lines, remaining);
+    if (!result) continue;
+
+    const discounts = result.discounts.map((discount, index) =>
+      roundCurrency(Math.min(discount, remaining[index]))
+    );
+    const discount = roundCurrency(discounts.reduce((sum, value) => sum + value, 0));
+    if (discount <= 0) continue;
+
+    discounts.forEach((value, index) => {
+      remaining[index] = roundCurrency(remaining[index] - value);
+      lineDiscounts[index] = roundCurrency(lineDiscounts[index] + value);
+    });
+
+    appliedPromotions.push({
+      promotion: promotion._id,
+      name: promotion.name,
+      type: promotion.type,
+      summary: result.summary,
+      discount,
+      combinableWithCoupons: promotion.combinableWithCoupons !== false,
+    });
+
+    if (promotion.exclusive) break;
+  }
+
+  const blocking = appliedPromotions.find((applied) => !applied.combinableWithCoupons);
+
+  return {
+    lines: lines.map((line, index) => ({
+      ...line,
+      lineTotal: lineTotals[index],
+      promotionDiscount: lineDiscounts[index],
+    })),
+    appliedPromotions,
+    totalDiscount: roundCurrency(appliedPromotions.reduce((sum, applied) => sum + applied.discount, 0)),
+    couponsAllowed: !blocking,
+    couponBlockedBy: blocking ? blocking.name : null,
+  };
+};
+
+/**
+ * Apply the promotions currently running to priced lines.
+ * @param {Array<Object>} lines - Plain line objects ({ product, variant, packaging, quantity, price }).
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time.
+ * @returns {Promise<Object>} - See applyPromotions.
+ */
+const applyActivePromotions = async (lines, { now = new Date() } = {}) => {
+  const promotions = lines.length > 0 ? await Promotion.findRunning(now).lean() : [];
+  return applyPromotions(lines, promotions, { now });
+};
+
+module.exports = {
+  lineMatchesTargets,
+  applyPromotions,
+  applyActivePromotions,
+};
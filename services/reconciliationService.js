@@ -0,0 +1,350 @@
+// services/reconciliationService.js
+
+const ExcelJS = require('exceljs');
+const { Readable } = require('stream');
+const { randomUUID } = require('crypto');
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const SettlementEntry = require('../models/SettlementEntry');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const ReconciliationIssue = require('../models/ReconciliationIssue');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const { roundCurrency } = require('../utils/money');
+const { getGatewayNameForMethod } = require('./paymentGateways');
+
+const { SETTLED_STATUSES } = Transaction;
+
+// Online payments still pending after this long are flagged
+const STALE_PENDING_HOURS = 24;
+// Gateways settle a few days after the charge; younger charges are not expected in the report yet
+const SETTLEMENT_LAG_DAYS = 3;
+const AMOUNT_TOLERANCE = 0.01;
+const DEFAULT_PERIOD_DAYS = 30;
+
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+const HOUR_MS = 60 * 60 * 1000;
+
+/*
+ * Settlement CSV columns, matched case- and punctuation-insensitively. The first
+ * alias present wins, which covers the Stripe, Razorpay and PayPal exports as
+ * well as a plain "reference,type,amount,fee,settledAt" file.
+ */
+const SETTLEMENT_COLUMNS = {
+  reference: ['reference', 'paymentintentid', 'entityid', 'transactionid', 'saleid', 'paymentid', 'source', 'id'],
+  type: ['type', 'entitytype', 'reportingcategory'],
+  amount: ['amount', 'gross', 'credit', 'debit'],
+  fee: ['fee', 'fees'],
+  currency: ['currency'],
+  payoutId: ['payoutid', 'settlementid', 'automaticpayoutid'],
+  settledAt: ['settledat', 'availableonutc', 'createdutc', 'date', 'created'],
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const parsed = Number(String(value || '').replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const toSettlementType = (value) => {
+  const type = String(value || '').toLowerCase();
+  if (type.includes('refund')) return 'refund';
+  if (!type || ['charge', 'payment', 'sale', 'capture'].some((kind) => type.includes(kind))) return 'payment';
+  return 'adjustment';
+};
+
+/**
+ * Turn the rows of a settlement CSV into settlement entries. Performs no database access.
+ * @param {Array<Array>} rows - Header row first, then one array of cell values per line.
+ * @param {string} provider - Gateway name.
+ * @returns {Array<Object>} - { provider, reference, type, amount, fee, currency, payoutId, settledAt }
+ * @throws {Error} - 400 when no reference or amount column is present.
+ */
+const parseSettlementRows = (rows, provider) => {
+  const [header = [], ...lines] = rows;
+  const headers = header.map(normalizeHeader);
+  const columns = Object.fromEntries(
+    Object.entries(SETTLEMENT_COLUMNS).map(([field, aliases]) => [
+      field,
+      aliases.map((alias) => headers.indexOf(alias)).find((index) => index !== -1),
+    ])
+  );
+
+  if (columns.reference === undefined || columns.amount === undefined) {
+    throw createHttpError(400, 'The settlement file needs a reference and an amount column.');
+  }
+
+  const cell = (line, field) => (columns[field] === undefined ? undefined : line[columns[field]]);
+
+  return lines
+    .filter((line) => cell(line, 'reference'))
+    .map((line) => {
+      const settledAt = cell(line, 'settledAt');
+      return {
+        provider,
+        reference: String(cell(line, 'reference')).trim(),
+        type: toSettlementType(cell(line, 'type')),
+        // Refunds are negative in most exports; the type carries the direction
+        amount: roundCurrency(Math.abs(toNumber(cell(line, 'amount')))),
+        fee: roundCurrency(Math.abs(toNumber(cell(line, 'fee')))),
+        currency: cell(line, 'currency') ? String(cell(line, 'currency')) : null,
+        payoutId: cell(line, 'payoutId') ? String(cell(line, 'payoutId')) : null,
+        settledAt: settledAt ? new Date(settledAt) : null,
+      };
+    });
+};
+
+/**
+ * Import a settlement report exported by a gateway. Lines already imported are updated.
+ * @param {Object} params
+ * @param {string} params.provider - Gateway name.
+ * @param {Buffer} params.buffer - CSV file contents.
+ * @param {Object|null} [params.actor] - Authenticated user importing the file.
+ * @returns {Promise<Object>} - { importBatch, imported }
+ */
+const importSettlementReport = async ({ provider, buffer, actor = null }) => {
+  const worksheet = await new ExcelJS.Workbook().csv.read(Readable.from([buffer]));
+  const rows = [];
+  worksheet.eachRow((row) => rows.push(row.values.slice(1)));
+
+  const entries = parseSettlementRows(rows, provider);
+  const importBatch = randomUUID();
+
+  if (entries.length > 0) {
+    await SettlementEntry.bulkWrite(
+      entries.map((entry) => ({
+        updateOne: {
+          filter: { provider, reference: entry.reference, type: entry.type },
+          update: { $set: { ...entry, importBatch, importedBy: actor ? actor._id : null } },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  logger.info(`Imported ${entries.length} ${provider} settlement lines (batch ${importBatch})`);
+  return { importBatch, imported: entries.length };
+};
+
+/**
+ * Cross-check orders, their ledger and the imported settlement lines. Performs no database access.
+ * @param {Object} data
+ * @param {Array<Object>} data.orders - Orders of the period plus those referenced by its transactions.
+ * @param {Array<Object>} data.transactions - Ledger entries of the period and of its orders.
+ * @param {Array<Object>} data.settlements - Settlement lines of the period and of its transactions.
+ * @param {Date} [data.now]
+ * @returns {Array<Object>} - Issues ({ type, provider, order, orderNumber, transaction, settlement, reference, expectedAmount, actualAmount, message })
+ */
+const findReconciliationIssues = ({ orders, transactions, settlements, now = new Date() }) => {
+  const issues = [];
+  const ordersById = new Map(orders.map((order) => [String(order._id), order]));
+  const isSettled = (entry) => SETTLED_STATUSES.includes(entry.status);
+  const differs = (a, b) => Math.abs(a - b) > AMOUNT_TOLERANCE;
+
+  const chargesByOrder = new Map();
+  const chargesByReference = new Map();
+  const refundsByReference = new Map();
+
+  transactions.forEach((entry) => {
+    const order = ordersById.get(String(entry.order));
+    if (!order) {
+      issues.push({
+        type: 'orphan_transaction',
+        provider: entry.gateway,
+        transaction: entry._id,
+        reference: entry.type === 'refund' ? entry.gatewayRefundId : entry.transactionId,
+        actualAmount: entry.amount,
+        message: `Ledger ${entry.type} ${entry._id} points to an order that does not exist.`,
+      });
+      return;
+    }
+
+    if (entry.type === 'refund') {
+      if (entry.gatewayRefundId) refundsByReference.set(`${entry.gateway}:${entry.gatewayRefundId}`, entry);
+      return;
+    }
+
+    if (!chargesByOrder.has(String(entry.order))) chargesByOrder.set(String(entry.order), []);
+    chargesByOrder.get(String(entry.order)).push(entry);
+    if (entry.transactionId) chargesByReference.set(`${entry.gateway}:${entry.transactionId}`, entry);
+  });
+
+  // Orders against their charges
+  orders.forEach((order) => {
+    if (getGatewayNameForMethod(order.paymentMethod) === 'manual') return;
+
+    const issue = { order: order._id, orderNumber: order.orderNumber };
+    const settledCharges = (chargesByOrder.get(String(order._id)) || []).filter(isSettled);
+    const charged = roundCurrency(settledCharges.reduce((sum, entry) => sum + entry.amount, 0));
+
+    if (PAID_STATUSES.includes(order.paymentStatus) && settledCharges.length === 0) {
+      issues.push({
+        ...issue,
+        type: 'missing_capture',
+        expectedAmount: order.grandTotal,
+        actualAmount: 0,
+        message: `Order ${order.orderNumber} is ${order.paymentStatus} but has no settled charge.`,
+      });
+    } else if (settledCharges.length > 0 && differs(charged, order.grandTotal)) {
+      const [latest] = settledCharges.slice(-1);
+      issues.push({
+        ...issue,
+        type: 'amount_mismatch',
+        provider: latest.gateway,
+        transaction: latest._id,
+        reference: latest.transactionId,
+        expectedAmount: order.grandTotal,
+        actualAmount: charged,
+        message: `Order ${order.orderNumber} totals ${order.grandTotal} but ${charged} was charged.`,
+      });
+    }
+
+    const pendingSince = now.getTime() - new Date(order.createdAt).getTime();
+    if (order.paymentStatus === 'pending' && order.status !== 'cancelled' && pendingSince > STALE_PENDING_HOURS * HOUR_MS) {
+      issues.push({
+        ...issue,
+        type: 'stale_pending',
+        expectedAmount: order.grandTotal,
+        message: `Payment for order ${order.orderNumber} has been pending for ${Math.floor(pendingSince / HOUR_MS)} hours.`,
+      });
+    }
+  });
+
+  // Settlement lines against the ledger
+  const settledReferences = new Set();
+  settlements.forEach((line) => {
+    if (line.type === 'adjustment') return;
+    settledReferences.add(`${line.provider}:${line.reference}`);
+
+    const entry = (line.type === 'refund' ? refundsByReference : chargesByReference).get(`${line.provider}:${line.reference}`);
+    const issue = { provider: line.provider, settlement: line._id, reference: line.reference };
+
+    if (!entry) {
+      issues.push({
+        ...issue,
+        type: 'orphan_transaction',
+        actualAmount: line.amount,
+        message: `Settled ${line.type} ${line.reference} has no matching ledger entry.`,
+      });
+    } else if (differs(line.amount, entry.amount)) {
+      const order = ordersById.get(String(entry.order));
+      issues.push({
+        ...issue,
+        type: 'amount_mismatch',
+        order: order._id,
+        orderNumber: order.orderNumber,
+        transaction: entry._id,
+        expectedAmount: entry.amount,
+        actualAmount: line.amount,
+        message: `Settled ${line.type} ${line.reference} is ${line.amount} but the ledger records ${entry.amount}.`,
+      });
+    }
+  });
+
+  // Settled charges the gateway's report should contain by now
+  const reportedProviders = new Set(settlements.map((line) => line.provider));
+  chargesByReference.forEach((entry, key) => {
+    const age = now.getTime() - new Date(entry.createdAt).getTime();
+    if (!isSettled(entry) || !reportedProviders.has(entry.gateway) || settledReferences.has(key) || age < SETTLEMENT_LAG_DAYS * 24 * HOUR_MS) {
+      return;
+    }
+    const order = ordersById.get(String(entry.order));
+    issues.push({
+      type: 'missing_settlement',
+      provider: entry.gateway,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      transaction: entry._id,
+      reference: entry.transactionId,
+      expectedAmount: entry.amount,
+      message: `Charge ${entry.transactionId} for order ${order.orderNumber} is not in the ${entry.gateway} settlement report.`,
+    });
+  });
+
+  return issues;
+};
+
+/**
+ * Run the reconciliation over a period and store its findings.
+ * @param {Object} [params]
+ * @param {Date} [params.from] - Defaults to DEFAULT_PERIOD_DAYS ago.
+ * @param {Date} [params.to] - Defaults to now.
+ * @param {string} [params.trigger] - 'schedule' or 'manual'.
+ * @param {Object|null} [params.actor] - User who asked for a manual run.
+ * @returns {Promise<Object>} - The completed ReconciliationRun.
+ */
+const runReconciliation = async ({ from, to, trigger = 'schedule', actor = null } = {}) => {
+  const periodEnd = to ? new Date(to) : new Date();
+  const periodStart = from ? new Date(from) : new Date(periodEnd.getTime() - DEFAULT_PERIOD_DAYS * 24 * HOUR_MS);
+  const run = await ReconciliationRun.create({
+    periodStart,
+    periodEnd,
+    trigger,
+    requestedBy: actor ? actor._id : null,
+  });
+
+  try {
+    const period = { $gte: periodStart, $lte: periodEnd };
+    const orderFields = 'orderNumber paymentMethod paymentStatus status grandTotal createdAt';
+    const periodOrders = await Order.find({ createdAt: period }).select(orderFields).lean();
+
+    // Documents, not lean objects, so encrypted charge IDs are decrypted
+    const transactions = await Transaction.find({
+      $or: [{ createdAt: period }, { order: { $in: periodOrders.map((order) => order._id) } }],
+    });
+
+    const knownOrders = new Set(periodOrders.map((order) => String(order._id)));
+    const otherOrderIds = [...new Set(transactions.map((entry) => String(entry.order)))].filter((id) => !knownOrders.has(id));
+    const otherOrders = otherOrderIds.length > 0
+      ? await Order.find({ _id: { $in: otherOrderIds } }).select(orderFields).lean()
+      : [];
+
+    const references = transactions
+      .map((entry) => (entry.type === 'refund' ? entry.gatewayRefundId : entry.transactionId))
+      .filter(Boolean);
+    const settlements = await SettlementEntry.find({
+      $or: [{ settledAt: period }, { reference: { $in: references } }],
+    }).lean();
+
+    const issues = findReconciliationIssues({
+      orders: [...periodOrders, ...otherOrders],
+      transactions,
+      settlements,
+    });
+
+    if (issues.length > 0) {
+      await ReconciliationIssue.insertMany(issues.map((issue) => ({ ...issue, run: run._id })));
+    }
+
+    const counts = issues.reduce((acc, issue) => ({ ...acc, [issue.type]: (acc[issue.type] || 0) + 1 }), {});
+    run.summary = {
+      orders: periodOrders.length,
+      transactions: transactions.length,
+      settlements: settlements.length,
+      issues: counts,
+    };
+    run.status = 'completed';
+    run.completedAt = new Date();
+    await run.save();
+
+    logger.info(`Reconciliation ${run._id} found ${issues.length} issues`);
+    return run;
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    run.completedAt = new Date();
+    await run.save();
+    throw error;
+  }
+};
+
+module.exports = {
+  STALE_PENDING_HOURS,
+  SETTLEMENT_LAG_DAYS,
+  parseSettlementRows,
+  importSettlementReport,
+  findReconciliationIssues,
+  runReconciliation,
+};
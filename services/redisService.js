@@ -40,6 +40,26 @@ const getCache = async (key) => {
   }
 };
 
+/**
+ * Sets a value in Redis only if the key does not exist yet (atomic SET NX).
+ * @param {string} key - The key under which the value is stored.
+ * @param {any} value - The value to store (will be stringified).
+ * @param {number} expirationInSeconds - Time to live in seconds.
+ * @returns {boolean|null} - true if stored, false if the key already exists, null if Redis is unavailable.
+ */
+const setCacheIfAbsent = async (key, value, expirationInSeconds) => {
+  try {
+    const result = await redisClient.set(key, JSON.stringify(value), {
+      EX: expirationInSeconds,
+      NX: true,
+    });
+    return result === 'OK';
+  } catch (error) {
+    logger.error('Redis Set If Absent Error:', error);
+    return null;
+  }
+};
+
 /**
  * Deletes a value from Redis cache.
  * @param {string} key - The key to delete.
@@ -60,5 +80,6 @@ const deleteCache = async (key) => {
 module.exports = {
   setCache,
   getCache,
+  setCacheIfAbsent,
   deleteCache,
 };
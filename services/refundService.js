@@ -0,0 +1,181 @@
+// services/refundService.js
+
+const Transaction = require('../models/Transaction');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const { roundCurrency } = require('../utils/money');
+const { getGateway, getGatewayNameForMethod } = require('./paymentGateways');
+
+const { SETTLED_STATUSES } = Transaction;
+const PENDING_REFUND_STATUSES = ['pending', 'processing'];
+
+// Payment statuses under which the order's grand total was collected outside the ledger (e.g. cash on delivery)
+const COLLECTED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+/**
+ * Work out an order's balance from its ledger. Performs no database access.
+ * Pending refunds are held back from the refundable balance so they cannot be paid twice.
+ * @param {Array<Object>} transactions - The order's transactions (charges and refunds).
+ * @param {Object} [options]
+ * @param {number} [options.collectedAmount] - Amount collected without a charge entry (used only when no charge is settled).
+ * @returns {Object} - { charged, refunded, pendingRefunds, refundable }
+ */
+const computeRefundBalance = (transactions, { collectedAmount = 0 } = {}) => {
+  const sum = (entries) => roundCurrency(entries.reduce((total, entry) => total + entry.amount, 0));
+
+  const charges = transactions.filter((entry) => entry.type !== 'refund' && SETTLED_STATUSES.includes(entry.status));
+  const refunds = transactions.filter((entry) => entry.type === 'refund');
+
+  const charged = charges.length > 0 ? sum(charges) : roundCurrency(collectedAmount);
+  const refunded = sum(refunds.filter((entry) => SETTLED_STATUSES.includes(entry.status)));
+  const pendingRefunds = sum(refunds.filter((entry) => PENDING_REFUND_STATUSES.includes(entry.status)));
+
+  return {
+    charged,
+    refunded,
+    pendingRefunds,
+    refundable: roundCurrency(Math.max(charged - refunded - pendingRefunds, 0)),
+  };
+};
+
+/**
+ * Payment status implied by a balance.
+ * @param {Object} balance - From computeRefundBalance.
+ * @param {string} currentStatus - The order's payment status.
+ * @returns {string}
+ */
+const getPaymentStatusForBalance = (balance, currentStatus) => {
+  if (balance.charged > 0 && balance.refunded >= balance.charged) return 'refunded';
+  if (balance.refunded > 0 || balance.pendingRefunds > 0) return 'partially_refunded';
+  return currentStatus;
+};
+
+/**
+ * Load an order's ledger and balance.
+ * @param {Object} order - Order document.
+ * @returns {Promise<Object>} - { transactions, balance }
+ */
+const getOrderLedger = async (order) => {
+  const transactions = await Transaction.find({ order: order._id }).sort({ createdAt: 1 });
+  const balance = computeRefundBalance(transactions, {
+    collectedAmount: COLLECTED_PAYMENT_STATUSES.includes(order.paymentStatus) ? order.grandTotal : 0,
+  });
+  return { transactions, balance };
+};
+
+/**
+ * Bring the order's payment status in line with its ledger and save it.
+ * @param {Object} order - Order document.
+ * @returns {Promise<Object>} - The balance.
+ */
+const syncOrderPaymentStatus = async (order) => {
+  const { balance } = await getOrderLedger(order);
+  const paymentStatus = getPaymentStatusForBalance(balance, order.paymentStatus);
+  if (paymentStatus !== order.paymentStatus) {
+    order.paymentStatus = paymentStatus;
+    await order.save();
+  }
+  return balance;
+};
+
+/**
+ * Record the final status of a refund reported by the gateway (synchronously or by webhook).
+ * The charge's refunded total is kept in step with its settled refunds.
+ * @param {Object} refund - Refund transaction.
+ * @param {Object} result - { status, gatewayRefundId?, failureReason? }
+ * @returns {Promise<Object>} - The saved refund.
+ */
+const updateRefundStatus = async (refund, { status, gatewayRefundId, failureReason = null }) => {
+  const wasSettled = SETTLED_STATUSES.includes(refund.status);
+
+  refund.status = status;
+  if (gatewayRefundId) refund.gatewayRefundId = gatewayRefundId;
+  if (status === 'failed') refund.failureReason = failureReason;
+  await refund.save();
+
+  if (!wasSettled && SETTLED_STATUSES.includes(status) && refund.parentTransaction) {
+    await Transaction.updateOne({ _id: refund.parentTransaction }, { $inc: { refundedAmount: refund.amount } });
+  }
+  return refund;
+};
+
+/**
+ * Refund money on an order. Each refund is a 'refund' transaction linked to the
+ * original charge and sent to the gateway that took the payment; payments collected
+ * without a gateway (cash on delivery) are refunded manually.
+ * @param {Object} order - Order document (saved with its new payment status).
+ * @param {Object} params
+ * @param {number} params.amount - Amount to refund.
+ * @param {string} [params.reason]
+ * @param {Object|null} [params.actor] - Authenticated user issuing the refund.
+ * @returns {Promise<Object>} - { refund, balance }
+ * @throws {Error} - 400 above the refundable balance, 502 when the gateway refuses the refund.
+ */
+const refundOrderPayment = async (order, { amount, reason, actor = null }) => {
+  const refundAmount = roundCurrency(amount);
+  const { transactions, balance } = await getOrderLedger(order);
+
+  if (refundAmount <= 0 || refundAmount > balance.refundable) {
+    throw createHttpError(
+      400,
+      `Refund amount exceeds refundable limit of ${balance.refundable.toFixed(2)}.`,
+      { refundable: balance.refundable }
+    );
+  }
+
+  const charge = [...transactions]
+    .reverse()
+    .find((entry) => entry.type !== 'refund' && SETTLED_STATUSES.includes(entry.status));
+  const gatewayName = (charge && charge.gateway) || getGatewayNameForMethod(charge ? charge.paymentMethod : order.paymentMethod);
+  const chargeId = (charge && charge.transactionId) || (order.paymentDetails && order.paymentDetails.transactionId);
+
+  if (gatewayName !== 'manual' && !chargeId) {
+    throw createHttpError(400, 'No gateway payment was found to refund for this order.');
+  }
+
+  const refund = await Transaction.create({
+    order: order._id,
+    type: 'refund',
+    parentTransaction: charge ? charge._id : null,
+    paymentMethod: order.paymentMethod,
+    gateway: gatewayName,
+    amount: refundAmount,
+    status: 'pending',
+    reason,
+    createdBy: actor ? actor._id : null,
+  });
+
+  // Guard against two refunds racing past the balance check
+  const { balance: afterHold } = await getOrderLedger(order);
+  if (afterHold.charged - afterHold.refunded - afterHold.pendingRefunds < -0.005) {
+    await updateRefundStatus(refund, { status: 'failed', failureReason: 'Refundable balance exceeded by a concurrent refund.' });
+    throw createHttpError(409, 'Another refund for this order is in progress. Please retry.');
+  }
+
+  try {
+    const result = await getGateway(gatewayName).refund({
+      chargeId,
+      amount: refundAmount,
+      metadata: { orderId: String(order._id), refundId: String(refund._id) },
+    });
+    await updateRefundStatus(refund, result);
+  } catch (error) {
+    logger.error(`Refund of ${refundAmount} for order ${order._id} failed at ${gatewayName}: ${error.message}`);
+    await updateRefundStatus(refund, { status: 'failed', failureReason: error.message });
+    throw createHttpError(502, `Refund failed at the payment gateway: ${error.message}`);
+  }
+
+  logger.info(`Refund ${refund._id} of ${refundAmount} for order ${order._id} is ${refund.status} via ${gatewayName}`);
+  const updatedBalance = await syncOrderPaymentStatus(order);
+
+  return { refund, balance: updatedBalance };
+};
+
+module.exports = {
+  computeRefundBalance,
+  getPaymentStatusForBalance,
+  getOrderLedger,
+  syncOrderPaymentStatus,
+  updateRefundStatus,
+  refundOrderPayment,
+};
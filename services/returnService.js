@@ -0,0 +1,475 @@
+// services/returnService.js
+
+const Order = require('../models/Order');
+const Return = require('../models/Return');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const RETURN_STATUS = require('../constants/returnStatus');
+const ORDER_STATUS = require('../constants/orderStatus');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const sendEmail = require('./emailService');
+const { roundCurrency } = require('../utils/money');
+const { createStatusEntry, transitionOrder } = require('./orderLifecycleService');
+const { restockItems, commitOrderStock, releaseReservation } = require('./inventoryService');
+const { createCreditNote } = require('./invoiceService');
+const { refundOrderPayment } = require('./refundService');
+const { renderTemplateString } = require('./templateService');
+
+/**
+ * Allowed RMA status transitions.
+ * Main flow: requested → approved → pickup_scheduled → received → inspected → refunded/replaced.
+ * Items may also be dropped off (approved → received), a pickup may be rescheduled,
+ * and a return can be rejected on request or when the inspection fails.
+ */
+const RETURN_TRANSITIONS = {
+  [RETURN_STATUS.REQUESTED]: [RETURN_STATUS.APPROVED, RETURN_STATUS.REJECTED],
+  [RETURN_STATUS.APPROVED]: [RETURN_STATUS.PICKUP_SCHEDULED, RETURN_STATUS.RECEIVED],
+  [RETURN_STATUS.PICKUP_SCHEDULED]: [RETURN_STATUS.PICKUP_SCHEDULED, RETURN_STATUS.RECEIVED],
+  [RETURN_STATUS.RECEIVED]: [RETURN_STATUS.INSPECTED],
+  [RETURN_STATUS.INSPECTED]: [RETURN_STATUS.REFUNDED, RETURN_STATUS.REPLACED, RETURN_STATUS.REJECTED],
+  [RETURN_STATUS.REJECTED]: [],
+  [RETURN_STATUS.REFUNDED]: [],
+  [RETURN_STATUS.REPLACED]: [],
+};
+
+const FINAL_STATUSES = [RETURN_STATUS.REJECTED, RETURN_STATUS.REFUNDED, RETURN_STATUS.REPLACED];
+
+// Customer notification used when no active 'return_<status>' Email template exists
+const DEFAULT_NOTIFICATIONS = {
+  [RETURN_STATUS.REQUESTED]: {
+    subject: 'We received your return request {{returnNumber}} - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p>We received your return request <strong>{{returnNumber}}</strong> for order <strong>{{orderNumber}}</strong> and will review it shortly.</p>',
+  },
+  [RETURN_STATUS.APPROVED]: {
+    subject: 'Your return {{returnNumber}} has been approved - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p>Your return <strong>{{returnNumber}}</strong> has been approved. We will let you know when the pickup is scheduled.</p>',
+  },
+  [RETURN_STATUS.REJECTED]: {
+    subject: 'Update on your return {{returnNumber}} - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p>Unfortunately we could not accept your return <strong>{{returnNumber}}</strong>.</p><p><strong>Reason:</strong> {{rejectionReason}}</p>',
+  },
+  [RETURN_STATUS.PICKUP_SCHEDULED]: {
+    subject: 'Pickup scheduled for your return {{returnNumber}} - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p>The pickup for your return <strong>{{returnNumber}}</strong> is scheduled for <strong>{{pickupDate}}</strong>{{#if carrier}} with {{carrier}}{{/if}}.</p>{{#if trackingNumber}}<p><strong>Tracking Number:</strong> {{trackingNumber}}</p>{{/if}}',
+  },
+  [RETURN_STATUS.RECEIVED]: {
+    subject: 'We received your returned items - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p>The items of your return <strong>{{returnNumber}}</strong> have reached our warehouse and will be inspected shortly.</p>',
+  },
+  [RETURN_STATUS.INSPECTED]: {
+    subject: 'Your returned items have been inspected - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p>We have inspected the items of your return <strong>{{returnNumber}}</strong> and are completing your {{preferredResolution}}.</p>',
+  },
+  [RETURN_STATUS.REFUNDED]: {
+    subject: 'Your return {{returnNumber}} has been refunded - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p>We have refunded <strong>{{refundAmount}}</strong> for your return <strong>{{returnNumber}}</strong>.</p>{{#if creditNoteNumber}}<p><strong>Credit Note:</strong> {{creditNoteNumber}}</p>{{/if}}',
+  },
+  [RETURN_STATUS.REPLACED]: {
+    subject: 'Your replacement is on its way - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p>We have created replacement order <strong>{{replacementOrderNumber}}</strong> for your return <strong>{{returnNumber}}</strong>.</p>',
+  },
+};
+
+const toId = (value) => String(value && value._id ? value._id : value);
+
+// Key identifying an order line: product and SKU (variant size for lines from before SKUs)
+const itemKey = (productId, line) => `${toId(productId)}:${line.sku ? toId(line.sku) : line.variant || ''}`;
+
+/**
+ * Whether an order or return line is the one a request points at (by SKU, or variant size).
+ * @param {Object} line - { sku, variant }
+ * @param {Object} request - { sku?, variant? }
+ * @returns {boolean}
+ */
+const matchesLine = (line, request) =>
+  (!request.sku || (line.sku && toId(line.sku) === toId(request.sku))) &&
+  (!request.variant || line.variant === request.variant);
+
+/**
+ * Get the statuses a return may move to from its current status.
+ * @param {string} status
+ * @returns {Array<string>}
+ */
+const getAllowedReturnTransitions = (status) => RETURN_TRANSITIONS[status] || [];
+
+/**
+ * Check whether a return status transition is allowed.
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+const canTransitionReturn = (from, to) => getAllowedReturnTransitions(from).includes(to);
+
+/**
+ * Move a return to a new status, recording the change in its statusHistory.
+ * The return is not saved.
+ * @param {Object} returnRequest - Return document.
+ * @param {string} nextStatus
+ * @param {Object} [options]
+ * @param {Object|null} [options.actor] - Authenticated user making the change.
+ * @param {string|null} [options.reason]
+ * @returns {Object} - The same return document.
+ * @throws {Error} - 400 error when the transition is not allowed.
+ */
+const transitionReturn = (returnRequest, nextStatus, { actor = null, reason = null } = {}) => {
+  const currentStatus = returnRequest.status;
+
+  if (!canTransitionReturn(currentStatus, nextStatus)) {
+    throw createHttpError(
+      400,
+      `Invalid return status transition from '${currentStatus}' to '${nextStatus}'.`,
+      { from: currentStatus, to: nextStatus, allowed: getAllowedReturnTransitions(currentStatus) }
+    );
+  }
+
+  returnRequest.statusHistory.push(
+    createStatusEntry(nextStatus, { previousStatus: currentStatus, actor, reason })
+  );
+  returnRequest.status = nextStatus;
+
+  if (nextStatus === RETURN_STATUS.RECEIVED) {
+    returnRequest.receivedAt = new Date();
+  } else if (nextStatus === RETURN_STATUS.INSPECTED) {
+    returnRequest.inspectedAt = new Date();
+  }
+  if (FINAL_STATUSES.includes(nextStatus)) {
+    returnRequest.processedAt = new Date();
+  }
+
+  return returnRequest;
+};
+
+/**
+ * Net amount paid per unit of an order line, after its coupon and promotion shares.
+ * @param {Object} item - Order item.
+ * @returns {number}
+ */
+const getNetUnitPrice = (item) =>
+  roundCurrency(Math.max(item.price * item.quantity - (item.discount || 0) - (item.promotionDiscount || 0), 0) / item.quantity);
+
+/**
+ * Match requested return lines against the order. Performs no database access.
+ * @param {Object} order - Order with items.
+ * @param {Array<Object>} requestedItems - { productId, sku?, variant?, quantity, customerNote?, photos? }
+ * @param {Map<string, number>} [alreadyReturned] - Units already in open returns, by product and SKU.
+ * @returns {Array<Object>} - Return items with SKU, variant, packaging and unit price.
+ * @throws {Error} - 400 error for items not on the order or quantities above what is returnable.
+ */
+const buildReturnItems = (order, requestedItems, alreadyReturned = new Map()) => {
+  const requested = new Map();
+
+  return requestedItems.map((requestedItem) => {
+    const candidates = order.items.filter(
+      (item) => toId(item.product) === toId(requestedItem.productId) && matchesLine(item, requestedItem)
+    );
+    if (candidates.length === 0) {
+      throw createHttpError(400, `Product with ID ${requestedItem.productId} is not part of this order.`);
+    }
+    if (candidates.length > 1) {
+      throw createHttpError(400, `Please specify the SKU to return for product ${requestedItem.productId}.`);
+    }
+
+    const orderedItem = candidates[0];
+    const key = itemKey(orderedItem.product, orderedItem);
+    const taken = (alreadyReturned.get(key) || 0) + (requested.get(key) || 0);
+    if (requestedItem.quantity > orderedItem.quantity - taken) {
+      throw createHttpError(
+        400,
+        `Return quantity for product ${requestedItem.productId} exceeds the purchased quantity.`,
+        {
+          productId: requestedItem.productId,
+          sku: orderedItem.sku,
+          variant: orderedItem.variant,
+          returnable: orderedItem.quantity - taken,
+        }
+      );
+    }
+    requested.set(key, (requested.get(key) || 0) + requestedItem.quantity);
+
+    return {
+      productId: toId(orderedItem.product),
+      sku: orderedItem.sku || null,
+      variant: orderedItem.variant,
+      packaging: orderedItem.packaging,
+      quantity: requestedItem.quantity,
+      unitPrice: getNetUnitPrice(orderedItem),
+      customerNote: requestedItem.customerNote,
+      photos: (requestedItem.photos || []).map((url) => ({ url, source: 'customer' })),
+    };
+  });
+};
+
+/**
+ * Units of an order already covered by returns that were not rejected.
+ * @param {string} orderId
+ * @returns {Promise<Map<string, number>>} - Quantities by product and SKU.
+ */
+const getReturnedQuantities = async (orderId) => {
+  const returns = await Return.find({ order: orderId, status: { $ne: RETURN_STATUS.REJECTED } })
+    .select('items')
+    .lean();
+
+  const quantities = new Map();
+  returns.forEach((returnRequest) =>
+    returnRequest.items.forEach((item) => {
+      const key = itemKey(item.productId, item);
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    })
+  );
+  return quantities;
+};
+
+/**
+ * Refund due for returned items: their net price plus the matching share of the
+ * order's tax. Shipping is not refunded. Performs no database access.
+ * @param {Object} order - Order with items and taxAmount.
+ * @param {Array<Object>} items - Return items ({ unitPrice, quantity }).
+ * @returns {number}
+ */
+const calculateRefundAmount = (order, items) => {
+  const returnedNet = items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+  const orderNet = order.items.reduce((sum, item) => sum + getNetUnitPrice(item) * item.quantity, 0);
+  const taxShare = orderNet > 0 ? ((order.taxAmount || 0) * returnedNet) / orderNet : 0;
+  return roundCurrency(returnedNet + taxShare);
+};
+
+/**
+ * Record the inspection of returned items: condition, notes, photos and the units to restock.
+ * The return is not saved.
+ * @param {Object} returnRequest - Return document.
+ * @param {Array<Object>} inspections - { productId, sku?, variant?, condition, conditionNotes?, restockQuantity?, photos? }
+ * @returns {Object} - The same return document.
+ * @throws {Error} - 400 error for items not in the return or restock quantities above the returned quantity.
+ */
+const applyInspection = (returnRequest, inspections) => {
+  inspections.forEach((inspection) => {
+    const item = returnRequest.items.find(
+      (returnItem) => toId(returnItem.productId) === toId(inspection.productId) && matchesLine(returnItem, inspection)
+    );
+    if (!item) {
+      throw createHttpError(400, `Product with ID ${inspection.productId} is not part of this return.`);
+    }
+
+    const restockQuantity = inspection.restockQuantity || 0;
+    if (restockQuantity > item.quantity) {
+      throw createHttpError(400, `Cannot restock more than the ${item.quantity} unit(s) returned of product ${inspection.productId}.`);
+    }
+
+    item.condition = inspection.condition;
+    item.conditionNotes = inspection.conditionNotes;
+    item.restockQuantity = restockQuantity;
+    (inspection.photos || []).forEach((url) => item.photos.push({ url, source: 'inspection' }));
+  });
+
+  return returnRequest;
+};
+
+/**
+ * Put the restockable units of a return back into their SKUs' stock, once.
+ * @param {Object} returnRequest - Return document (saved by the caller).
+ * @returns {Promise<number>} - Units restocked.
+ */
+const restockReturnItems = async (returnRequest) => {
+  const pending = returnRequest.items.filter((item) => item.restockQuantity > 0 && !item.restocked);
+
+  await restockItems(
+    pending.map((item) => ({
+      product: item.productId,
+      sku: item.sku,
+      variant: item.variant,
+      quantity: item.restockQuantity,
+    }))
+  );
+  pending.forEach((item) => {
+    item.restocked = true;
+  });
+
+  const units = pending.reduce((sum, item) => sum + item.restockQuantity, 0);
+  if (units > 0) {
+    logger.info(`Restocked ${units} unit(s) from return ${returnRequest.returnNumber}`);
+  }
+  return units;
+};
+
+/**
+ * Whether every unit of an order is covered by returns that were not rejected.
+ * @param {Object} order
+ * @returns {Promise<boolean>}
+ */
+const isOrderFullyReturned = async (order) => {
+  const returned = await getReturnedQuantities(order._id);
+  return order.items.every((item) => (returned.get(itemKey(item.product, item)) || 0) >= item.quantity);
+};
+
+/**
+ * Refund an inspected return: pay the amount back through the refund ledger, issue a
+ * credit note and close the return. Once every unit of the order has been returned,
+ * the order moves to refunded; after a partial return it goes back to delivered so
+ * the rest of its items can still be returned.
+ * @param {Object} returnRequest - Return document with `order` populated.
+ * @param {Object} [options]
+ * @param {number} [options.amount] - Override for the calculated refund.
+ * @param {Object|null} [options.actor]
+ * @returns {Promise<Object>} - The saved return.
+ */
+const refundReturn = async (returnRequest, { amount, actor = null } = {}) => {
+  const order = returnRequest.order;
+  const refundAmount = roundCurrency(amount !== undefined ? amount : calculateRefundAmount(order, returnRequest.items));
+  const reason = `Return ${returnRequest.returnNumber}`;
+
+  transitionReturn(returnRequest, RETURN_STATUS.REFUNDED, { actor, reason: 'Return refunded' });
+
+  // The ledger checks the refundable balance and sends the money back through the original gateway
+  const { refund } = await refundOrderPayment(order, { amount: refundAmount, reason, actor });
+  returnRequest.refund = {
+    amount: refundAmount,
+    transaction: refund._id,
+    refundedAt: new Date(),
+  };
+  await returnRequest.save();
+
+  try {
+    const creditNote = await createCreditNote(order, { amount: refundAmount, reason });
+    returnRequest.refund.creditNote = creditNote._id;
+    returnRequest.refund.creditNoteNumber = creditNote.number;
+    await returnRequest.save();
+  } catch (creditNoteError) {
+    logger.error(`Failed to issue credit note for return ${returnRequest.returnNumber}: ${creditNoteError.message}`);
+  }
+
+  if (order.status === ORDER_STATUS.RETURNED) {
+    const nextStatus = (await isOrderFullyReturned(order)) ? ORDER_STATUS.REFUNDED : ORDER_STATUS.DELIVERED;
+    transitionOrder(order, nextStatus, { actor, reason: `Return ${returnRequest.returnNumber} refunded` });
+    await order.save();
+  }
+
+  return returnRequest;
+};
+
+/**
+ * Close an inspected return with a replacement: a free order for the returned units,
+ * with their stock deducted straight away.
+ * @param {Object} returnRequest - Return document with `order` populated.
+ * @param {Object} [options]
+ * @param {Object|null} [options.actor]
+ * @returns {Promise<Object>} - { returnRequest, replacementOrder }
+ */
+const replaceReturn = async (returnRequest, { actor = null } = {}) => {
+  const order = returnRequest.order;
+  transitionReturn(returnRequest, RETURN_STATUS.REPLACED, { actor, reason: 'Replacement order created' });
+
+  const items = returnRequest.items.map((item) => ({
+    product: item.productId,
+    sku: item.sku,
+    variant: item.variant,
+    packaging: item.packaging,
+    quantity: item.quantity,
+    price: item.unitPrice,
+    discount: roundCurrency(item.unitPrice * item.quantity),
+  }));
+  const totalAmount = roundCurrency(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+  const replacementOrder = new Order({
+    customer: order.customer && order.customer._id ? order.customer._id : order.customer,
+    items,
+    totalAmount,
+    discount: totalAmount,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: 'paid',
+    shippingAddress: order.shippingAddress,
+    billingAddress: order.billingAddress,
+    gstin: order.gstin,
+    replacementFor: returnRequest._id,
+  });
+
+  await commitOrderStock(replacementOrder);
+  try {
+    await replacementOrder.save();
+  } catch (error) {
+    await releaseReservation(replacementOrder._id, 'replacement_failed');
+    throw error;
+  }
+
+  returnRequest.replacementOrder = replacementOrder._id;
+  await returnRequest.save();
+
+  // The customer keeps the order, with the returned units replaced
+  if (order.status === ORDER_STATUS.RETURNED) {
+    transitionOrder(order, ORDER_STATUS.DELIVERED, { actor, reason: `Return ${returnRequest.returnNumber} replaced` });
+    await order.save();
+  }
+  logger.info(`Replacement order ${replacementOrder.orderNumber} created for return ${returnRequest.returnNumber}`);
+
+  return { returnRequest, replacementOrder };
+};
+
+/**
+ * Tell the customer about the current step of their return. Uses the active Email
+ * notification template named 'return_<status>' when one exists. Never throws.
+ * @param {Object} returnRequest - Return document.
+ * @param {Object} context
+ * @param {Object} context.customer - { name, email }
+ * @param {Object} context.order - { orderNumber }
+ * @param {Object} [context.replacementOrder] - { orderNumber }
+ * @returns {Promise<boolean>} - True if the email was sent.
+ */
+const notifyReturnUpdate = async (returnRequest, { customer, order, replacementOrder = null }) => {
+  const status = returnRequest.status;
+  try {
+    const template = await NotificationTemplate.findOne({
+      name: `return_${status}`,
+      category: 'Email',
+      isActive: true,
+    }).lean();
+    const content = template || DEFAULT_NOTIFICATIONS[status];
+    if (!content) return false;
+
+    const data = {
+      customerName: customer.name,
+      returnNumber: returnRequest.returnNumber,
+      orderNumber: order.orderNumber,
+      status,
+      reason: returnRequest.reason,
+      rejectionReason: returnRequest.rejectionReason,
+      preferredResolution: returnRequest.preferredResolution,
+      pickupDate: returnRequest.pickup && returnRequest.pickup.scheduledAt
+        ? new Date(returnRequest.pickup.scheduledAt).toDateString()
+        : null,
+      carrier: returnRequest.pickup && returnRequest.pickup.carrier,
+      trackingNumber: returnRequest.pickup && returnRequest.pickup.trackingNumber,
+      refundAmount: returnRequest.refund && returnRequest.refund.amount ? returnRequest.refund.amount.toFixed(2) : null,
+      creditNoteNumber: returnRequest.refund && returnRequest.refund.creditNoteNumber,
+      replacementOrderNumber: replacementOrder && replacementOrder.orderNumber,
+    };
+
+    const html = renderTemplateString(content.body, data);
+    await sendEmail({
+      email: customer.email,
+      subject: renderTemplateString(content.subject, data),
+      message: html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim(),
+      html,
+    });
+    logger.info(`Return ${returnRequest.returnNumber} (${status}) notification sent to ${customer.email}`);
+    return true;
+  } catch (error) {
+    logger.error(`Failed to send return ${returnRequest.returnNumber} notification: ${error.message}`);
+    return false;
+  }
+};
+
+module.exports = {
+  RETURN_TRANSITIONS,
+  DEFAULT_NOTIFICATIONS,
+  getAllowedReturnTransitions,
+  canTransitionReturn,
+  transitionReturn,
+  getNetUnitPrice,
+  buildReturnItems,
+  getReturnedQuantities,
+  calculateRefundAmount,
+  applyInspection,
+  restockReturnItems,
+  refundReturn,
+  replaceReturn,
+  notifyReturnUpdate,
+};
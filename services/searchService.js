@@ -0,0 +1,378 @@
+// services/searchService.js
+
+const Product = require('../models/Product');
+const Tag = require('../models/Tag');
+const Category = require('../models/Category');
+const { escapeRegex, normalizeSearchText, buildTrigrams, trigramSimilarity } = require('../utils/searchText');
+const { PRICE_FROM_EXPRESSION } = require('./catalogService');
+const { resolveProductCategoryIds } = require('./categoryService');
+
+const SEARCH_SORTS = ['relevance', 'price_asc', 'price_desc', 'rating', 'newest'];
+
+// Lower bounds of the price facet buckets (discounted price of the cheapest variant); the last is open-ended
+const PRICE_BUCKET_BOUNDARIES = [0, 250, 500, 1000, 2000, 5000];
+
+// Share of the query's trigrams a product must have to count as a fuzzy match
+const FUZZY_MIN_SIMILARITY = 0.4;
+
+const MAX_SEARCH_LIMIT = 50;
+
+// Fields never sent to clients
+const HIDDEN_SEARCH_FIELDS = { searchKeywords: 0, searchTrigrams: 0 };
+
+/**
+ * Read a comma-separated query value (or repeated query parameter) as a list.
+ * @param {string|Array<string>} value
+ * @returns {Array<string>}
+ */
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+};
+
+/**
+ * Build one match condition per facet from the selected filters.
+ * Facet counts apply every filter except their own, so customers can widen a selection.
+ * @param {Object} filters - { categoryIds, brand, packaging, size, priceMin, priceMax, ratingMin };
+ *   categoryIds are resolved with their descendants, null for no category filter.
+ * @returns {Object} - { [facet]: condition }
+ */
+const buildFacetFilters = ({ categoryIds = null, brand, packaging, size, priceMin, priceMax, ratingMin } = {}) => {
+  const conditions = {};
+
+  if (categoryIds) conditions.category = { category: { $in: categoryIds } };
+
+  const brands = parseList(brand);
+  if (brands.length) conditions.brand = { brand: { $in: brands } };
+
+  const packagings = parseList(packaging).filter((value) => value !== 'All');
+  if (packagings.length) conditions.packaging = { packaging: { $in: packagings } };
+
+  const sizes = parseList(size);
+  if (sizes.length) conditions.size = { 'variants.size': { $in: sizes } };
+
+  if (priceMin !== undefined || priceMax !== undefined) {
+    conditions.price = { minPrice: {} };
+    if (priceMin !== undefined) conditions.price.minPrice.$gte = Number(priceMin);
+    if (priceMax !== undefined) conditions.price.minPrice.$lte = Number(priceMax);
+  }
+
+  if (ratingMin !== undefined) conditions.rating = { rating: { $gte: Number(ratingMin) } };
+
+  return conditions;
+};
+
+/**
+ * Combine facet conditions into one match, optionally leaving one facet out.
+ * @param {Object} conditions - From buildFacetFilters.
+ * @param {string} [except] - Facet whose own condition is skipped.
+ * @returns {Object}
+ */
+const combineFacetFilters = (conditions, except = null) => {
+  const selected = Object.entries(conditions)
+    .filter(([facet]) => facet !== except)
+    .map(([, condition]) => condition);
+  if (selected.length === 0) return {};
+  return selected.length === 1 ? selected[0] : { $and: selected };
+};
+
+/**
+ * Sort stage for a search sort option. Ties fall back to the product ID so pages are stable.
+ * @param {string} sort - One of SEARCH_SORTS.
+ * @returns {Object}
+ */
+const buildSortStage = (sort) => {
+  switch (sort) {
+    case 'price_asc':
+      return { minPrice: 1, _id: 1 };
+    case 'price_desc':
+      return { minPrice: -1, _id: 1 };
+    case 'rating':
+      return { rating: -1, score: -1, _id: 1 };
+    case 'newest':
+      return { createdAt: -1, _id: 1 };
+    default:
+      return { score: -1, rating: -1, _id: 1 };
+  }
+};
+
+/**
+ * Match and score stages for a query: full-text search on the weighted text index, or
+ * trigram overlap when the query has a typo the text index cannot match.
+ * @param {string} q - Search query.
+ * @param {string} mode - 'text' or 'fuzzy'.
+ * @returns {Array<Object>}
+ */
+const buildMatchStages = (q, mode) => {
+  if (mode === 'fuzzy') {
+    const queryTrigrams = buildTrigrams(q);
+    return [
+      { $match: { isActive: true, searchTrigrams: { $in: queryTrigrams } } },
+      {
+        $addFields: {
+          score: {
+            $divide: [{ $size: { $setIntersection: ['$searchTrigrams', queryTrigrams] } }, queryTrigrams.length],
+          },
+        },
+      },
+      { $match: { score: { $gte: FUZZY_MIN_SIMILARITY } } },
+    ];
+  }
+
+  return [
+    { $match: { isActive: true, $text: { $search: q } } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+  ];
+};
+
+/**
+ * Build the search aggregation: match and score, then one $facet with the requested page,
+ * the total and the facet counts.
+ * @param {Object} params
+ * @param {string} params.q - Search query.
+ * @param {string} [params.mode] - 'text' or 'fuzzy'.
+ * @param {Object} [params.filters] - Facet filters (see buildFacetFilters).
+ * @param {string} [params.sort]
+ * @param {number} [params.page]
+ * @param {number} [params.limit]
+ * @returns {Array<Object>}
+ */
+const buildSearchPipeline = ({ q, mode = 'text', filters = {}, sort = 'relevance', page = 1, limit = 20 }) => {
+  const conditions = buildFacetFilters(filters);
+  const matchExcept = (facet) => ({ $match: combineFacetFilters(conditions, facet) });
+  const countBy = (field) => [{ $group: { _id: field, count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }];
+
+  return [
+    ...buildMatchStages(q, mode),
+    // Discounted price of the cheapest variant, which listings show as "from"
+    { $addFields: { minPrice: PRICE_FROM_EXPRESSION } },
+    {
+      $facet: {
+        products: [
+          matchExcept(null),
+          { $sort: buildSortStage(sort) },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: HIDDEN_SEARCH_FIELDS },
+        ],
+        total: [matchExcept(null), { $count: 'count' }],
+        category: [matchExcept('category'), ...countBy('$category')],
+        brand: [matchExcept('brand'), ...countBy('$brand')],
+        packaging: [matchExcept('packaging'), { $unwind: '$packaging' }, ...countBy('$packaging')],
+        size: [
+          matchExcept('size'),
+          { $project: { sizes: { $setUnion: ['$variants.size', []] } } },
+          { $unwind: '$sizes' },
+          ...countBy('$sizes'),
+        ],
+        price: [
+          matchExcept('price'),
+          {
+            $bucket: {
+              groupBy: '$minPrice',
+              boundaries: PRICE_BUCKET_BOUNDARIES,
+              default: PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.length - 1],
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        rating: [matchExcept('rating'), ...countBy({ $floor: '$rating' })],
+      },
+    },
+  ];
+};
+
+/**
+ * Shape the raw $facet counts for clients. Categories get their names, price buckets
+ * their bounds, and rating counts become "N stars & up", matching the filters.
+ * @param {Object} raw - The $facet output.
+ * @param {Array<Object>} [categories] - Categories in the category facet ({ _id, name, slug }).
+ * @returns {Object}
+ */
+const formatFacets = (raw, categories = []) => {
+  const toValues = (buckets = []) => buckets.map((bucket) => ({ value: bucket._id, count: bucket.count }));
+  const categoriesById = new Map(categories.map((category) => [String(category._id), category]));
+
+  const price = (raw.price || []).map((bucket) => {
+    const index = PRICE_BUCKET_BOUNDARIES.indexOf(bucket._id);
+    return {
+      min: bucket._id,
+      max: index >= 0 && index < PRICE_BUCKET_BOUNDARIES.length - 1 ? PRICE_BUCKET_BOUNDARIES[index + 1] : null,
+      count: bucket.count,
+    };
+  });
+
+  const rating = [4, 3, 2, 1]
+    .map((stars) => ({
+      min: stars,
+      count: (raw.rating || []).filter((bucket) => bucket._id >= stars).reduce((sum, bucket) => sum + bucket.count, 0),
+    }))
+    .filter((bucket) => bucket.count > 0);
+
+  return {
+    category: toValues(raw.category).map((bucket) => {
+      const category = categoriesById.get(String(bucket.value));
+      return { ...bucket, name: category ? category.name : null, slug: category ? category.slug : null };
+    }),
+    brand: toValues(raw.brand),
+    packaging: toValues(raw.packaging),
+    size: toValues(raw.size),
+    price,
+    rating,
+  };
+};
+
+/**
+ * Search active products with relevance ranking, facet counts and pagination.
+ * Falls back to trigram (typo-tolerant) matching when the text index finds nothing.
+ * @param {Object} params
+ * @param {string} params.q - Search query.
+ * @param {string} [params.sort] - One of SEARCH_SORTS.
+ * @param {number} [params.page]
+ * @param {number} [params.limit]
+ * @param {Object} [params.filters] - { category, brand, packaging, size, priceMin, priceMax, ratingMin };
+ *   category is a comma-separated list of IDs, slugs or names and includes subcategories.
+ * @returns {Promise<Object>} - { mode, total, page, limit, totalPages, products, facets }
+ */
+const searchProducts = async ({ q, sort = 'relevance', page = 1, limit = 20, filters: requested = {} }) => {
+  const pageSize = Math.min(Number(limit) || 20, MAX_SEARCH_LIMIT);
+  const pageNumber = Math.max(Number(page) || 1, 1);
+  const query = String(q).trim();
+  const { category, ...otherFilters } = requested;
+  const filters = { ...otherFilters, categoryIds: await resolveProductCategoryIds(parseList(category)) };
+
+  const run = async (mode) => {
+    const [result] = await Product.aggregate(
+      buildSearchPipeline({ q: query, mode, filters, sort, page: pageNumber, limit: pageSize })
+    );
+    return { mode, result, total: result.total.length ? result.total[0].count : 0 };
+  };
+
+  let search = await run('text');
+  if (search.total === 0 && normalizeSearchText(query)) {
+    search = await run('fuzzy');
+  }
+
+  const [products, categories] = await Promise.all([
+    Product.populate(search.result.products, [{ path: 'tags' }, { path: 'category', select: 'name slug' }]),
+    Category.find({ _id: { $in: (search.result.category || []).map((bucket) => bucket._id) } })
+      .select('name slug')
+      .lean(),
+  ]);
+
+  return {
+    mode: search.mode,
+    total: search.total,
+    page: pageNumber,
+    limit: pageSize,
+    totalPages: Math.ceil(search.total / pageSize),
+    products,
+    facets: formatFacets(search.result, categories),
+  };
+};
+
+/**
+ * Autocomplete suggestions: products whose title has a word starting with the query
+ * (topped up with close trigram matches), plus matching brands and tags.
+ * @param {Object} params
+ * @param {string} params.q - What the customer has typed so far.
+ * @param {number} [params.limit] - Maximum product suggestions.
+ * @returns {Promise<Object>} - { products, brands, tags }
+ */
+const suggestProducts = async ({ q, limit = 8 }) => {
+  const typed = String(q).trim();
+  // The query is escaped, so it only ever matches literally
+  const wordPrefix = new RegExp(`(^|[^a-z0-9])${escapeRegex(typed)}`, 'i');
+  const fields = 'title slug thumbnail brand category rating';
+
+  const products = await Product.find({ isActive: true, title: wordPrefix })
+    .select(fields)
+    .sort({ rating: -1, _id: 1 })
+    .limit(limit)
+    .lean();
+
+  if (products.length < limit && normalizeSearchText(typed).length >= 3) {
+    const queryTrigrams = buildTrigrams(typed);
+    const candidates = await Product.find({
+      isActive: true,
+      searchTrigrams: { $in: queryTrigrams },
+      _id: { $nin: products.map((product) => product._id) },
+    })
+      .select(`${fields} +searchTrigrams`)
+      .limit(MAX_SEARCH_LIMIT)
+      .lean();
+
+    candidates
+      .map((candidate) => ({ candidate, similarity: trigramSimilarity(queryTrigrams, candidate.searchTrigrams) }))
+      .filter(({ similarity }) => similarity >= FUZZY_MIN_SIMILARITY)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit - products.length)
+      .forEach(({ candidate }) => {
+        const { searchTrigrams, ...product } = candidate;
+        products.push(product);
+      });
+  }
+
+  const [brands, tags] = await Promise.all([
+    Product.distinct('brand', { isActive: true, brand: wordPrefix }),
+    Tag.find({ isActive: true, name: wordPrefix }).select('name').limit(5).lean(),
+  ]);
+
+  return {
+    products,
+    brands: brands.slice(0, 5),
+    tags: tags.map((tag) => tag.name),
+  };
+};
+
+/**
+ * Recompute the search fields of products written without save middleware
+ * (bulk writes, seeding, migrations) or whose tags or categories were renamed.
+ * @param {Object} filter - Product filter.
+ * @returns {Promise<number>} - Number of products refreshed.
+ */
+const refreshProductSearchFields = async (filter) => {
+  const products = await Product.find(filter).select('title brand tags category').lean();
+  if (products.length === 0) return 0;
+
+  const tagIds = [...new Set(products.flatMap((product) => (product.tags || []).map(String)))];
+  const tags = await Tag.find({ _id: { $in: tagIds } }).select('name').lean();
+  const tagNames = new Map(tags.map((tag) => [String(tag._id), tag.name]));
+
+  const categoryIds = [...new Set(products.filter((product) => product.category).map((product) => String(product.category)))];
+  const categoryPaths = new Map(
+    await Promise.all(categoryIds.map(async (id) => [id, (await Category.getPath(id)).map((category) => category.name)]))
+  );
+
+  await Product.bulkWrite(
+    products.map((product) => {
+      const productTagNames = (product.tags || []).map((tag) => tagNames.get(String(tag))).filter(Boolean);
+      const searchKeywords = [...productTagNames, ...(categoryPaths.get(String(product.category)) || [])];
+      return {
+        updateOne: {
+          filter: { _id: product._id },
+          update: {
+            $set: { searchKeywords, searchTrigrams: buildTrigrams(product.title, product.brand, productTagNames) },
+          },
+        },
+      };
+    })
+  );
+  return products.length;
+};
+
+module.exports = {
+  SEARCH_SORTS,
+  PRICE_BUCKET_BOUNDARIES,
+  FUZZY_MIN_SIMILARITY,
+  MAX_SEARCH_LIMIT,
+  buildFacetFilters,
+  combineFacetFilters,
+  buildSearchPipeline,
+  formatFacets,
+  searchProducts,
+  suggestProducts,
+  refreshProductSearchFields,
+};
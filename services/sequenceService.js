@@ -0,0 +1,157 @@
+// services/sequenceService.js
+
+const Counter = require('../models/Counter');
+const Settings = require('../models/Settings');
+const logger = require('../utils/logger');
+
+// Document sequences with their own counters
+const SEQUENCES = {
+  ORDER: 'order',
+  INVOICE: 'invoice',
+  CREDIT_NOTE: 'credit_note',
+  RETURN: 'return',
+};
+
+// Setting holding the numbering configuration:
+// { financialYearStartMonth: 4, formats: { order: '10X/FY{FY}/{SEQ:6}', ... } }
+const NUMBERING_SETTING_KEY = 'documentNumbering';
+
+const DEFAULT_NUMBERING = {
+  financialYearStartMonth: 4, // April
+  formats: {
+    [SEQUENCES.ORDER]: '10X/FY{FY}/{SEQ:6}',
+    [SEQUENCES.INVOICE]: '10X/INV/FY{FY}/{SEQ:6}',
+    [SEQUENCES.CREDIT_NOTE]: '10X/CN/FY{FY}/{SEQ:6}',
+    [SEQUENCES.RETURN]: '10X/RMA/FY{FY}/{SEQ:6}',
+  },
+};
+
+const SEQUENCE_TOKEN = /\{SEQ(?::(\d+))?\}/;
+const FINANCIAL_YEAR_TOKEN = /\{FY(?:FULL)?\}/;
+const CALENDAR_YEAR_TOKEN = /\{YY(?:YY)?\}/;
+
+/**
+ * Work out the financial year a date falls in.
+ * A year starting in April 2025 ends in March 2026 and is labelled FY26 (by its end year).
+ * @param {Date} date
+ * @param {number} [startMonth] - First month of the financial year (1-12).
+ * @returns {Object} - { startYear, endYear, label, fullLabel }
+ */
+const getFinancialYear = (date, startMonth = DEFAULT_NUMBERING.financialYearStartMonth) => {
+  const month = date.getMonth() + 1;
+  const startYear = month >= startMonth ? date.getFullYear() : date.getFullYear() - 1;
+  const endYear = startMonth === 1 ? startYear : startYear + 1;
+  const shortEnd = String(endYear).slice(-2);
+
+  return {
+    startYear,
+    endYear,
+    label: `FY${shortEnd}`,
+    fullLabel: startMonth === 1 ? String(startYear) : `${startYear}-${shortEnd}`,
+  };
+};
+
+/**
+ * Render a document number from a format.
+ * Tokens: {SEQ} or {SEQ:n} (zero-padded to n digits), {FY} ('26'), {FYFULL} ('2025-26'),
+ * {YYYY}, {YY} and {MM} (from the document date).
+ * @param {string} format
+ * @param {Object} params - { value, financialYear, date }
+ * @returns {string}
+ */
+const formatSequenceNumber = (format, { value, financialYear, date }) =>
+  format
+    .replace(new RegExp(SEQUENCE_TOKEN.source, 'g'), (_, width) => String(value).padStart(Number(width) || 0, '0'))
+    .replace(/\{FYFULL\}/g, financialYear.fullLabel)
+    .replace(/\{FY\}/g, financialYear.label.slice(2))
+    .replace(/\{YYYY\}/g, String(date.getFullYear()))
+    .replace(/\{YY\}/g, String(date.getFullYear()).slice(-2))
+    .replace(/\{MM\}/g, String(date.getMonth() + 1).padStart(2, '0'));
+
+/**
+ * Whether a format names the financial year its counter belongs to. With a
+ * financial year starting in January, the calendar year tokens name it too.
+ * @param {string} format
+ * @param {number} startMonth
+ * @returns {boolean}
+ */
+const hasFinancialYearToken = (format, startMonth) =>
+  FINANCIAL_YEAR_TOKEN.test(format) || (startMonth === 1 && CALENDAR_YEAR_TOKEN.test(format));
+
+/**
+ * Load the numbering configuration from Settings, falling back to the defaults.
+ * Formats without a {SEQ} token or without the financial year are ignored: counters
+ * restart every financial year, so such formats could not produce unique numbers.
+ * @returns {Promise<Object>} - { financialYearStartMonth, formats }
+ */
+const getNumberingConfig = async () => {
+  const setting = await Settings.findOne({ key: NUMBERING_SETTING_KEY, isActive: true }).lean();
+  const configured = (setting && setting.value) || {};
+
+  const configuredStartMonth = parseInt(configured.financialYearStartMonth, 10);
+  const startMonth =
+    configuredStartMonth >= 1 && configuredStartMonth <= 12 ? configuredStartMonth : DEFAULT_NUMBERING.financialYearStartMonth;
+
+  const formats = { ...DEFAULT_NUMBERING.formats };
+  Object.entries(configured.formats || {}).forEach(([sequence, format]) => {
+    if (typeof format === 'string' && SEQUENCE_TOKEN.test(format) && hasFinancialYearToken(format, startMonth)) {
+      formats[sequence] = format;
+    } else {
+      logger.warn(`Ignoring numbering format for '${sequence}': it must contain a {SEQ} and a {FY} or {FYFULL} token.`);
+    }
+  });
+
+  return {
+    financialYearStartMonth: startMonth,
+    formats,
+  };
+};
+
+/**
+ * Take the next number of a sequence. The counter is incremented atomically and
+ * starts again from 1 in each financial year.
+ * @param {string} sequence - One of SEQUENCES.
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Document date (decides the financial year).
+ * @returns {Promise<Object>} - { number, value, period }
+ */
+const nextSequenceNumber = async (sequence, { date = new Date() } = {}) => {
+  const config = await getNumberingConfig();
+  const format = config.formats[sequence];
+  if (!format) {
+    throw new Error(`Unknown document sequence '${sequence}'.`);
+  }
+
+  const financialYear = getFinancialYear(date, config.financialYearStartMonth);
+  const increment = () =>
+    Counter.findOneAndUpdate(
+      { sequence, period: financialYear.label },
+      { $inc: { value: 1 } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+  let counter;
+  try {
+    counter = await increment();
+  } catch (error) {
+    // Two first-of-the-year upserts can race on the unique index; the retry finds the new counter
+    if (error.code !== 11000) throw error;
+    counter = await increment();
+  }
+
+  return {
+    number: formatSequenceNumber(format, { value: counter.value, financialYear, date }),
+    value: counter.value,
+    period: financialYear.label,
+  };
+};
+
+module.exports = {
+  SEQUENCES,
+  NUMBERING_SETTING_KEY,
+  DEFAULT_NUMBERING,
+  getFinancialYear,
+  formatSequenceNumber,
+  getNumberingConfig,
+  nextSequenceNumber,
+};
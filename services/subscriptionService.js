@@ -0,0 +1,474 @@
+// services/subscriptionService.js
+
+const Subscription = require('../models/Subscription');
+const Product = require('../models/Product');
+const Settings = require('../models/Settings');
+const User = require('../models/User');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const ORDER_STATUS = require('../constants/orderStatus');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const sendEmail = require('./emailService');
+const { placeOrder } = require('./orderService');
+const { processPayment, savePaymentMethod } = require('./paymentService');
+const { isCashOnDelivery } = require('./codService');
+const { releaseReservation } = require('./inventoryService');
+const { reverseRedemptions } = require('./couponService');
+const { canTransition, transitionOrder } = require('./orderLifecycleService');
+const { renderTemplateString } = require('./templateService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 'Payment Settings' key overriding the defaults below, e.g. { "discountPercent": 15, "retryDelaysHours": [24, 48] }
+const SUBSCRIPTION_SETTING_KEY = 'subscriptions';
+
+const DEFAULT_SUBSCRIPTION_SETTINGS = {
+  // Subscribe & save discount given to new subscriptions
+  discountPercent: 10,
+  // A failed renewal is retried after each of these delays; once they are used up the subscription is cancelled
+  retryDelaysHours: [24, 72, 168],
+  // Longest a customer can pause for
+  maxPauseDays: 90,
+};
+
+// Content used when no active Email template with the dunning step's name exists
+const DEFAULT_SUBSCRIPTION_NOTIFICATIONS = {
+  subscription_renewal_failed: {
+    subject: 'We could not renew your subscription - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p>We could not process the renewal of your {{title}} ({{variant}}) subscription: {{reason}}.</p><p>We will try again on {{nextRetryAt}}. <a href="{{{manageUrl}}}">Update your payment method</a> to avoid missing a delivery.</p>',
+  },
+  subscription_cancelled_unpaid: {
+    subject: 'Your subscription has been cancelled - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p>After {{attempts}} attempts we could not renew your {{title}} ({{variant}}) subscription, so it has been cancelled.</p><p><a href="{{{manageUrl}}}">Subscribe again</a> whenever you like.</p>',
+  },
+};
+
+/**
+ * Read the subscription settings from 'Payment Settings', over the defaults.
+ * @returns {Promise<Object>}
+ */
+const getSubscriptionSettings = async () => {
+  const setting = await Settings.findOne({
+    key: SUBSCRIPTION_SETTING_KEY,
+    category: 'Payment Settings',
+    isActive: true,
+  }).lean();
+  const value = setting && setting.value && typeof setting.value === 'object' ? setting.value : {};
+  return { ...DEFAULT_SUBSCRIPTION_SETTINGS, ...value };
+};
+
+/**
+ * Add a subscription interval to a date.
+ * @param {Date} date
+ * @param {number} count
+ * @param {string} unit - 'week' or 'month'.
+ * @returns {Date}
+ */
+const addInterval = (date, count, unit) => {
+  const next = new Date(date);
+  if (unit === 'week') {
+    next.setDate(next.getDate() + 7 * count);
+    return next;
+  }
+  // Keep the day of the month, clamped to the length of the target month (31 Jan -> 28/29 Feb)
+  const day = next.getDate();
+  next.setDate(1);
+  next.setMonth(next.getMonth() + count);
+  const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+  next.setDate(Math.min(day, lastDay));
+  return next;
+};
+
+/**
+ * Next renewal date after a run: one interval on from the scheduled date, moved
+ * forward past `now` so a late run does not trigger a burst of renewals.
+ * @param {Object} subscription - { nextRunAt, intervalCount, intervalUnit }
+ * @param {Date} now
+ * @returns {Date}
+ */
+const getNextRunAt = (subscription, now) => {
+  let next = addInterval(subscription.nextRunAt, subscription.intervalCount, subscription.intervalUnit);
+  while (next <= now) {
+    next = addInterval(next, subscription.intervalCount, subscription.intervalUnit);
+  }
+  return next;
+};
+
+const assertStatus = (subscription, statuses, action) => {
+  if (!statuses.includes(subscription.status)) {
+    throw createHttpError(400, `A ${subscription.status.replace('_', ' ')} subscription cannot be ${action}.`);
+  }
+};
+
+/**
+ * Keep the payment method renewals are charged to on a gateway customer, so it can be
+ * charged while the customer is away. Cash on delivery keeps nothing.
+ * @param {string} customerId
+ * @param {Object} params - { paymentMethod, paymentMethodId }
+ * @param {string} [gatewayCustomerId] - Gateway customer of the subscription so far.
+ * @returns {Promise<string|null>} - Gateway customer ID.
+ */
+const saveRenewalPaymentMethod = async (customerId, { paymentMethod, paymentMethodId }, gatewayCustomerId = null) => {
+  if (isCashOnDelivery(paymentMethod)) {
+    return null;
+  }
+  const user = await User.findById(customerId).select('name email').lean();
+  return savePaymentMethod({ paymentMethod, paymentMethodId, customerId: gatewayCustomerId, user });
+};
+
+/**
+ * Subscribe a customer to recurring deliveries of a product SKU.
+ * The first order is placed by the scheduler on the start date.
+ * @param {string} customerId
+ * @param {Object} params - { productId, sku, quantity, intervalCount, intervalUnit,
+ *   shippingAddress, billingAddress, paymentMethod, paymentMethodId, startDate }
+ * @returns {Promise<Object>} - The subscription.
+ */
+const createSubscription = async (customerId, params) => {
+  const product = await Product.findOne({ _id: params.productId, isActive: true });
+  if (!product) {
+    throw createHttpError(404, 'Product not found');
+  }
+  const sku = Product.findSku(product, params.sku);
+  if (!sku) {
+    throw createHttpError(400, 'SKU not found for the selected product');
+  }
+  if (!isCashOnDelivery(params.paymentMethod) && !params.paymentMethodId) {
+    throw createHttpError(400, 'A saved payment method is required to charge renewals.');
+  }
+
+  const settings = await getSubscriptionSettings();
+  const gatewayCustomerId = await saveRenewalPaymentMethod(customerId, params);
+  return Subscription.create({
+    customer: customerId,
+    product: product._id,
+    sku: sku._id,
+    variant: sku.size,
+    packaging: sku.packaging,
+    quantity: params.quantity,
+    intervalCount: params.intervalCount,
+    intervalUnit: params.intervalUnit,
+    nextRunAt: params.startDate ? new Date(params.startDate) : new Date(),
+    shippingAddress: params.shippingAddress,
+    billingAddress: params.billingAddress || params.shippingAddress,
+    discountPercent: settings.discountPercent,
+    paymentMethod: params.paymentMethod,
+    paymentMethodId: params.paymentMethodId || null,
+    gatewayCustomerId,
+  });
+};
+
+/**
+ * Pause renewals, indefinitely or until a date.
+ * @param {Object} subscription - Subscription document.
+ * @param {Object} [options]
+ * @param {Date} [options.until] - Resume automatically on this date.
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - The saved subscription.
+ */
+const pauseSubscription = async (subscription, { until = null, now = new Date() } = {}) => {
+  assertStatus(subscription, ['active', 'past_due'], 'paused');
+  if (until) {
+    const settings = await getSubscriptionSettings();
+    const resumeAt = new Date(until);
+    if (resumeAt <= now || resumeAt - now > settings.maxPauseDays * 24 * HOUR_MS) {
+      throw createHttpError(400, `Subscriptions can be paused for up to ${settings.maxPauseDays} days.`);
+    }
+  }
+  subscription.status = 'paused';
+  subscription.pausedUntil = until ? new Date(until) : null;
+  subscription.nextRetryAt = null;
+  await subscription.save();
+  return subscription;
+};
+
+/**
+ * Resume a paused subscription. A renewal date that passed during the pause moves to now.
+ * @param {Object} subscription - Subscription document.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - The saved subscription.
+ */
+const resumeSubscription = async (subscription, { now = new Date() } = {}) => {
+  assertStatus(subscription, ['paused'], 'resumed');
+  subscription.status = 'active';
+  subscription.pausedUntil = null;
+  subscription.failedAttempts = 0;
+  if (subscription.nextRunAt < now) {
+    subscription.nextRunAt = now;
+  }
+  await subscription.save();
+  return subscription;
+};
+
+/**
+ * Skip the next delivery: the renewal date moves on by one interval.
+ * @param {Object} subscription - Subscription document.
+ * @returns {Promise<Object>} - The saved subscription.
+ */
+const skipNextRenewal = async (subscription) => {
+  assertStatus(subscription, ['active', 'paused'], 'skipped');
+  subscription.nextRunAt = addInterval(subscription.nextRunAt, subscription.intervalCount, subscription.intervalUnit);
+  await subscription.save();
+  return subscription;
+};
+
+/**
+ * Cancel a subscription. Orders already placed are not affected.
+ * @param {Object} subscription - Subscription document.
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - The saved subscription.
+ */
+const cancelSubscription = async (subscription, { reason = null, now = new Date() } = {}) => {
+  assertStatus(subscription, ['active', 'paused', 'past_due'], 'cancelled');
+  subscription.status = 'cancelled';
+  subscription.cancelledAt = now;
+  subscription.cancellationReason = reason;
+  subscription.nextRetryAt = null;
+  await subscription.save();
+  return subscription;
+};
+
+/**
+ * Replace the payment method renewals are charged to. A past-due subscription is retried at the next run.
+ * @param {Object} subscription - Subscription document.
+ * @param {Object} params - { paymentMethod, paymentMethodId }
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - The saved subscription.
+ */
+const updatePaymentMethod = async (subscription, { paymentMethod, paymentMethodId }, now = new Date()) => {
+  assertStatus(subscription, ['active', 'paused', 'past_due'], 'updated');
+  if (!isCashOnDelivery(paymentMethod) && !paymentMethodId) {
+    throw createHttpError(400, 'A saved payment method is required to charge renewals.');
+  }
+  subscription.gatewayCustomerId = await saveRenewalPaymentMethod(
+    subscription.customer,
+    { paymentMethod, paymentMethodId },
+    subscription.gatewayCustomerId
+  );
+  subscription.paymentMethod = paymentMethod;
+  subscription.paymentMethodId = paymentMethodId || null;
+  if (subscription.status === 'past_due') {
+    subscription.nextRetryAt = now;
+  }
+  await subscription.save();
+  return subscription;
+};
+
+/**
+ * Cancel a renewal order whose payment did not go through and return its stock and coupon use.
+ * @param {Object} order
+ * @param {string} reason
+ */
+const voidRenewalOrder = async (order, reason) => {
+  await releaseReservation(order._id, 'subscription_payment_failed');
+  await reverseRedemptions(order._id);
+  if (canTransition(order.status, ORDER_STATUS.CANCELLED)) {
+    transitionOrder(order, ORDER_STATUS.CANCELLED, { reason });
+    order.cancellationReason = reason;
+    await order.save();
+  }
+};
+
+/**
+ * Place and charge the renewal order of a subscription.
+ * Online payments are charged off-session to the saved payment method; a payment
+ * that is declined, needs the customer (3-D Secure) or does not complete at once
+ * fails the renewal, which is then retried through dunning.
+ * @param {Object} subscription - Subscription document.
+ * @returns {Promise<Object>} - { order } on success, { order?, reason } on failure.
+ */
+const chargeRenewal = async (subscription) => {
+  let order;
+  try {
+    order = await placeOrder({
+      customer: subscription.customer,
+      items: [
+        {
+          product: subscription.product,
+          sku: subscription.sku,
+          quantity: subscription.quantity,
+        },
+      ],
+      shippingAddress: subscription.shippingAddress,
+      billingAddress: subscription.billingAddress,
+      paymentMethod: subscription.paymentMethod,
+      subscriptionDiscountPercent: subscription.discountPercent,
+      subscription: subscription._id,
+    });
+  } catch (error) {
+    return { order: null, reason: error.message };
+  }
+
+  if (isCashOnDelivery(order.paymentMethod)) {
+    return { order };
+  }
+
+  try {
+    const result = await processPayment(order, {
+      paymentMethodId: subscription.paymentMethodId,
+      customerId: subscription.gatewayCustomerId,
+      offSession: true,
+    });
+    if (['succeeded', 'authorized'].includes(result.status)) {
+      return { order };
+    }
+    const reason = {
+      declined: result.message || 'The payment was declined',
+      requires_action: 'The payment needs to be confirmed by the customer',
+      pending: 'The payment did not complete',
+    }[result.status] || `The payment is ${result.status}`;
+    await voidRenewalOrder(order, `Subscription renewal failed: ${reason}`);
+    return { order, reason };
+  } catch (error) {
+    await voidRenewalOrder(order, `Subscription renewal failed: ${error.message}`);
+    return { order, reason: error.message };
+  }
+};
+
+/**
+ * Send a dunning email. Never throws, so a mail problem cannot stop the renewal run.
+ * @param {string} templateName - Key of DEFAULT_SUBSCRIPTION_NOTIFICATIONS.
+ * @param {Object} subscription - Subscription document.
+ * @param {Object} data - Extra template data.
+ */
+const sendDunningEmail = async (templateName, subscription, data) => {
+  try {
+    const [user, product, template] = await Promise.all([
+      User.findById(subscription.customer).select('name email').lean(),
+      Product.findById(subscription.product).select('title').lean(),
+      NotificationTemplate.findOne({ name: templateName, category: 'Email', isActive: true }).lean(),
+    ]);
+    if (!user || !user.email) return;
+
+    const content = template || DEFAULT_SUBSCRIPTION_NOTIFICATIONS[templateName];
+    const context = {
+      customerName: user.name,
+      title: product ? product.title : 'your product',
+      variant: subscription.variant,
+      manageUrl: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/account/subscriptions/${subscription._id}`,
+      ...data,
+    };
+    const html = renderTemplateString(content.body, context);
+    await sendEmail({
+      email: user.email,
+      subject: renderTemplateString(content.subject, context),
+      message: html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim(),
+      html,
+    });
+  } catch (error) {
+    logger.error(`Dunning email ${templateName} for subscription ${subscription._id} failed: ${error.message}`);
+  }
+};
+
+/**
+ * Renew one subscription and record the outcome. Failed renewals are retried after
+ * each configured delay with a dunning email; when the retries run out the
+ * subscription is cancelled.
+ * @param {Object} subscription - Subscription document (active and due, or past due).
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - From getSubscriptionSettings.
+ * @param {Date} [options.now]
+ * @returns {Promise<boolean>} - Whether the renewal succeeded.
+ */
+const renewSubscription = async (subscription, { settings, now = new Date() } = {}) => {
+  const { retryDelaysHours } = settings || (await getSubscriptionSettings());
+  const { order, reason } = await chargeRenewal(subscription);
+
+  if (!reason) {
+    subscription.attempts.push({ attemptedAt: now, order: order._id, status: 'succeeded' });
+    subscription.status = 'active';
+    subscription.failedAttempts = 0;
+    subscription.nextRetryAt = null;
+    subscription.lastOrder = order._id;
+    subscription.renewalCount += 1;
+    subscription.nextRunAt = getNextRunAt(subscription, now);
+    await subscription.save();
+    logger.info(`Subscription ${subscription._id} renewed with order ${order._id}`);
+    return true;
+  }
+
+  subscription.attempts.push({ attemptedAt: now, order: order ? order._id : null, status: 'failed', reason });
+  subscription.failedAttempts += 1;
+
+  if (subscription.failedAttempts > retryDelaysHours.length) {
+    subscription.status = 'cancelled';
+    subscription.cancelledAt = now;
+    subscription.cancellationReason = 'renewal_failed';
+    subscription.nextRetryAt = null;
+    await subscription.save();
+    await sendDunningEmail('subscription_cancelled_unpaid', subscription, { attempts: subscription.failedAttempts });
+    logger.warn(`Subscription ${subscription._id} cancelled after ${subscription.failedAttempts} failed renewals`);
+    return false;
+  }
+
+  subscription.status = 'past_due';
+  subscription.nextRetryAt = new Date(now.getTime() + retryDelaysHours[subscription.failedAttempts - 1] * HOUR_MS);
+  await subscription.save();
+  await sendDunningEmail('subscription_renewal_failed', subscription, {
+    reason,
+    attempt: subscription.failedAttempts,
+    nextRetryAt: subscription.nextRetryAt.toDateString(),
+  });
+  logger.warn(`Renewal of subscription ${subscription._id} failed (attempt ${subscription.failedAttempts}): ${reason}`);
+  return false;
+};
+
+/**
+ * Resume subscriptions whose pause ended and renew every subscription that is due
+ * or waiting for a retry.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} - { resumed, renewed, failed }
+ */
+const runSubscriptionRenewals = async ({ now = new Date() } = {}) => {
+  const settings = await getSubscriptionSettings();
+
+  let resumed = 0;
+  const pauses = await Subscription.find({ status: 'paused', pausedUntil: { $ne: null, $lte: now } });
+  for (const subscription of pauses) {
+    await resumeSubscription(subscription, { now });
+    resumed += 1;
+  }
+
+  let renewed = 0;
+  let failed = 0;
+  const due = await Subscription.find({
+    $or: [
+      { status: 'active', nextRunAt: { $lte: now } },
+      { status: 'past_due', nextRetryAt: { $lte: now } },
+    ],
+  }).sort({ nextRunAt: 1 });
+  for (const subscription of due) {
+    try {
+      if (await renewSubscription(subscription, { settings, now })) renewed += 1;
+      else failed += 1;
+    } catch (error) {
+      failed += 1;
+      logger.error(`Renewal of subscription ${subscription._id} errored: ${error.message}`);
+    }
+  }
+
+  if (resumed || renewed || failed) {
+    logger.info(`Subscription run: ${resumed} resumed, ${renewed} renewed, ${failed} failed`);
+  }
+  return { resumed, renewed, failed };
+};
+
+module.exports = {
+  DEFAULT_SUBSCRIPTION_SETTINGS,
+  DEFAULT_SUBSCRIPTION_NOTIFICATIONS,
+  getSubscriptionSettings,
+  addInterval,
+  getNextRunAt,
+  createSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  skipNextRenewal,
+  cancelSubscription,
+  updatePaymentMethod,
+  renewSubscription,
+  runSubscriptionRenewals,
+};
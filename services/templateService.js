@@ -24,4 +24,12 @@ const compileTemplate = (templateName, data) => {
   }
 };
 
-module.exports = { compileTemplate };
+/**
+ * Render a Handlebars template held in a string (e.g. a stored notification template)
+ * @param {string} source - Template source
+ * @param {Object} data - Data to inject into the template
+ * @returns {string} - Rendered content
+ */
+const renderTemplateString = (source, data) => handlebars.compile(source)(data);
+
+module.exports = { compileTemplate, renderTemplateString };
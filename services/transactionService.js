@@ -1,28 +1,38 @@
 // src/services/transactionService.js
 
+const logger = require('../utils/logger');
+const { getGateway, resolveGatewayName } = require('./paymentGateways');
+
 /**
- * Simulate creating a transaction.
- * Replace this with actual payment gateway integration.
+ * Charge an amount at the gateway configured for the payment method.
+ * Order payments should go through paymentService.processPayment, which also
+ * records the charge in the order's ledger.
  * @param {Object} paymentDetails - Details required to process the payment.
+ * @param {string} paymentDetails.paymentMethod - e.g. 'card', 'upi', 'paypal'.
+ * @param {string} paymentDetails.reference - ID the gateway stores with the payment (e.g. an order ID).
  * @param {number} amount - The amount to be charged.
  * @returns {Object} - An object containing success status and transaction ID.
  */
 const createTransaction = async (paymentDetails, amount) => {
-    try {
-      // Simulate processing delay (e.g., contacting payment gateway)
-      await new Promise(resolve => setTimeout(resolve, 1000));
-  
-      // Simulate transaction success
-      const transactionId = `txn_${Date.now()}`;
-      return { success: true, transactionId };
-  
-      // To simulate a failed transaction, uncomment the following line:
-      // return { success: false, message: 'Payment failed due to insufficient funds.' };
-    } catch (error) {
-      console.error('Error creating transaction:', error);
-      return { success: false, message: 'Transaction processing failed.' };
+  try {
+    const gatewayName = await resolveGatewayName(paymentDetails.paymentMethod);
+    const gateway = getGateway(gatewayName);
+    if (!gateway.authorize) {
+      return { success: false, message: `Payment method '${paymentDetails.paymentMethod}' is not paid online.` };
     }
-  };
-  
-  module.exports = { createTransaction };
-  
\ No newline at end of file
+
+    const result = await gateway.authorize({ _id: paymentDetails.reference, grandTotal: amount }, paymentDetails);
+    return {
+      success: ['succeeded', 'authorized'].includes(result.status),
+      status: result.status,
+      gateway: gatewayName,
+      transactionId: result.chargeId,
+      message: result.message,
+    };
+  } catch (error) {
+    logger.error(`Error creating transaction: ${error.message}`);
+    return { success: false, message: 'Transaction processing failed.' };
+  }
+};
+
+module.exports = { createTransaction };
@@ -0,0 +1,147 @@
+// services/webhookService.js
+
+const mongoose = require('mongoose');
+const WebhookEvent = require('../models/WebhookEvent');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const { getGateway } = require('./paymentGateways');
+const { applyPaymentEvent } = require('./paymentService');
+
+// Inbox statuses that still need the event applied
+const PENDING_STATUSES = ['received', 'failed'];
+
+// An entry left in 'processing' longer than this was abandoned by a crashed worker
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Whether an entry is stuck in 'processing' past its lease.
+ * @param {Object} webhookEvent
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const isProcessingLeaseExpired = (webhookEvent, now) =>
+  webhookEvent.status === 'processing' &&
+  Boolean(webhookEvent.updatedAt) &&
+  new Date(webhookEvent.updatedAt).getTime() <= now.getTime() - PROCESSING_LEASE_MS;
+
+// Event type as the provider names it
+const getProviderType = (payload) => payload.type || payload.event_type || payload.event || null;
+
+/**
+ * Verify a webhook delivery and store it in the inbox. A delivery whose event is
+ * already stored is recorded as a duplicate instead of a second entry.
+ * @param {string} provider - Gateway name.
+ * @param {Object} request - { rawBody, headers }
+ * @returns {Promise<Object>} - { webhookEvent, duplicate }
+ * @throws {Error} - 400 when the signature cannot be verified.
+ */
+const recordWebhookEvent = async (provider, { rawBody, headers }) => {
+  const gateway = getGateway(provider);
+
+  let payload;
+  try {
+    payload = await gateway.verifyWebhook({ rawBody, headers });
+  } catch (error) {
+    logger.error(`${provider} webhook verification failed: ${error.message}`);
+    throw createHttpError(400, `Webhook Error: ${error.message}`);
+  }
+
+  const event = gateway.parseEvent(payload);
+  try {
+    const webhookEvent = await WebhookEvent.create({
+      provider,
+      eventId: event.id,
+      type: event.type,
+      providerType: getProviderType(payload),
+      order: mongoose.isValidObjectId(event.orderId) ? event.orderId : null,
+      rawBody: Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody),
+      payload,
+    });
+    return { webhookEvent, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Provider retry of an event we already hold
+    const webhookEvent = await WebhookEvent.findOneAndUpdate(
+      { provider, eventId: event.id },
+      { $inc: { deliveries: 1 } },
+      { new: true }
+    );
+    logger.info(`Duplicate ${provider} webhook ${event.id} (${webhookEvent.status})`);
+    return { webhookEvent, duplicate: true };
+  }
+};
+
+/**
+ * Whether an inbox entry still has to be applied: it was never applied, it
+ * failed, or the worker applying it stopped before finishing.
+ * @param {Object} webhookEvent
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const needsProcessing = (webhookEvent, now = new Date()) =>
+  PENDING_STATUSES.includes(webhookEvent.status) || isProcessingLeaseExpired(webhookEvent, now);
+
+/**
+ * Apply a stored event to the ledger and its order. Entries that were already
+ * applied are left alone, so a re-delivered job cannot apply an event twice.
+ * @param {string} webhookEventId
+ * @returns {Promise<Object>} - The inbox entry.
+ * @throws {Error} - When applying fails; the entry is marked failed with the error.
+ */
+const processWebhookEvent = async (webhookEventId) => {
+  const webhookEvent = await WebhookEvent.findById(webhookEventId);
+  if (!webhookEvent) {
+    throw new Error(`Webhook event ${webhookEventId} not found`);
+  }
+  if (['processed', 'ignored'].includes(webhookEvent.status)) {
+    return webhookEvent;
+  }
+
+  webhookEvent.status = 'processing';
+  webhookEvent.attempts += 1;
+  await webhookEvent.save();
+
+  try {
+    const event = getGateway(webhookEvent.provider).parseEvent(webhookEvent.payload);
+    const applied = await applyPaymentEvent(webhookEvent.provider, event);
+
+    webhookEvent.status = applied ? 'processed' : 'ignored';
+    webhookEvent.processedAt = new Date();
+    webhookEvent.lastError = null;
+    await webhookEvent.save();
+  } catch (error) {
+    logger.error(`Processing ${webhookEvent.provider} webhook ${webhookEvent.eventId} failed: ${error.message}`);
+    webhookEvent.status = 'failed';
+    webhookEvent.lastError = error.message;
+    await webhookEvent.save();
+    throw error;
+  }
+
+  return webhookEvent;
+};
+
+/**
+ * Entries that were stored but never picked up (e.g. the queue was down), and
+ * entries whose worker died mid-way and left them in 'processing' past the lease.
+ * @param {Date} receivedBefore
+ * @param {Date} [now]
+ * @returns {Promise<Array<Object>>}
+ */
+const findUnprocessedEvents = (receivedBefore, now = new Date()) =>
+  WebhookEvent.find({
+    $or: [
+      { status: 'received', receivedAt: { $lte: receivedBefore } },
+      { status: 'processing', updatedAt: { $lte: new Date(now.getTime() - PROCESSING_LEASE_MS) } },
+    ],
+  })
+    .select('_id')
+    .limit(100);
+
+module.exports = {
+  PROCESSING_LEASE_MS,
+  recordWebhookEvent,
+  needsProcessing,
+  processWebhookEvent,
+  findUnprocessedEvents,
+};
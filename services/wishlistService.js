@@ -0,0 +1,351 @@
+// services/wishlistService.js
+
+const crypto = require('crypto');
+const Wishlist = require('../models/Wishlist');
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const createHttpError = require('../utils/httpError');
+const logger = require('../utils/logger');
+const { roundCurrency } = require('../utils/money');
+const { resolveEffectivePrice } = require('../utils/effectivePrice');
+const { renderTemplateString } = require('./templateService');
+
+const WISHLIST_ALERT_TYPES = {
+  BACK_IN_STOCK: 'back_in_stock', // Variant stock went from 0 to positive
+  PRICE_DROP: 'price_drop', // Variant discounted price went down
+};
+
+// Content used when no active Email template with the alert's name exists
+const DEFAULT_WISHLIST_NOTIFICATIONS = {
+  wishlist_back_in_stock: {
+    subject: '{{title}} is back in stock - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p>Good news: <strong>{{title}} ({{variant}})</strong> from your wishlist is back in stock at {{price}}.</p><p><a href="{{{productUrl}}}">Shop it now</a></p>',
+  },
+  wishlist_price_drop: {
+    subject: 'Price drop on {{title}} - 10X Formulas',
+    body: '<p>Hi {{customerName}},</p><p><strong>{{title}} ({{variant}})</strong> from your wishlist dropped from {{previousPrice}} to {{price}}.</p><p><a href="{{{productUrl}}}">Shop it now</a></p>',
+  },
+};
+
+const ALERT_TEMPLATES = {
+  [WISHLIST_ALERT_TYPES.BACK_IN_STOCK]: 'wishlist_back_in_stock',
+  [WISHLIST_ALERT_TYPES.PRICE_DROP]: 'wishlist_price_drop',
+};
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+/**
+ * Capture the stock and discounted price of every SKU, to compare after an update.
+ * @param {Object} product - Product document or plain object.
+ * @returns {Object} - { isActive, variants: { [skuId]: { size, stock, price } } }
+ */
+const snapshotProductVariants = (product) => ({
+  isActive: product.isActive !== false,
+  variants: (product.variants || []).reduce((snapshot, variant) => {
+    snapshot[String(variant._id)] = { size: variant.size, stock: variant.stock, price: resolveEffectivePrice(product, variant) };
+    return snapshot;
+  }, {}),
+});
+
+/**
+ * Compare two snapshots of a product for changes wishlist subscribers are alerted about.
+ * Inactive products and SKUs added by the update raise no alerts.
+ * @param {Object} before - snapshotProductVariants() before the update.
+ * @param {Object} after - snapshotProductVariants() after the update.
+ * @returns {Array<Object>} - [{ type, sku, variant, price, previousPrice }]
+ */
+const detectWishlistAlerts = (before, after) => {
+  if (!after.isActive) return [];
+
+  const alerts = [];
+  Object.entries(after.variants).forEach(([sku, current]) => {
+    const previous = before.variants[sku];
+    if (!previous || current.stock <= 0) return;
+
+    const change = { sku, variant: current.size, price: current.price, previousPrice: previous.price };
+    if (previous.stock <= 0) {
+      alerts.push({ type: WISHLIST_ALERT_TYPES.BACK_IN_STOCK, ...change });
+    } else if (current.price < previous.price) {
+      alerts.push({ type: WISHLIST_ALERT_TYPES.PRICE_DROP, ...change });
+    }
+  });
+  return alerts;
+};
+
+/**
+ * Build the alert email for one subscriber.
+ * @param {Object} alert - From detectWishlistAlerts.
+ * @param {Object} context - { user, product }
+ * @returns {Promise<Object>} - { email, subject, message, html }
+ */
+const buildAlertEmail = async (alert, { user, product }) => {
+  const name = ALERT_TEMPLATES[alert.type];
+  const template = await NotificationTemplate.findOne({ name, category: 'Email', isActive: true }).lean();
+  const content = template || DEFAULT_WISHLIST_NOTIFICATIONS[name];
+  const data = {
+    customerName: user.name,
+    title: product.title,
+    variant: alert.variant,
+    price: alert.price.toFixed(2),
+    previousPrice: alert.previousPrice.toFixed(2),
+    productUrl: `${getFrontendUrl()}/products/${product.slug || product._id}`,
+  };
+
+  const html = renderTemplateString(content.body, data);
+  return {
+    email: user.email,
+    subject: renderTemplateString(content.subject, data),
+    message: html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim(),
+    html,
+  };
+};
+
+/**
+ * Queue alerts for the wishlist subscribers of a product that was just updated.
+ * Never throws, so an alert problem cannot fail a product update.
+ * @param {Object} before - snapshotProductVariants() taken before the update.
+ * @param {Object} product - The product after the update.
+ * @returns {Promise<number>} - Number of alert emails queued.
+ */
+const queueWishlistAlerts = async (before, product) => {
+  try {
+    const alerts = detectWishlistAlerts(before, snapshotProductVariants(product));
+    if (alerts.length === 0) return 0;
+
+    // Required here so loading the product routes does not open a queue connection
+    const emailQueue = require('../jobs/emailJob');
+
+    const wishlists = await Wishlist.find({
+      items: { $elemMatch: { product: product._id, sku: { $in: alerts.map((alert) => alert.sku) } } },
+    }).populate('user', 'name email isActive');
+
+    const now = new Date();
+    let queued = 0;
+    for (const wishlist of wishlists) {
+      if (!wishlist.user || !wishlist.user.email || wishlist.user.isActive === false) continue;
+
+      let alerted = false;
+      for (const alert of alerts) {
+        const item = wishlist.items.find(
+          (entry) => String(entry.product) === String(product._id) && String(entry.sku) === alert.sku
+        );
+        const subscribed = item && (alert.type === WISHLIST_ALERT_TYPES.BACK_IN_STOCK ? item.notifyBackInStock : item.notifyPriceDrop);
+        if (!subscribed) continue;
+
+        const email = await buildAlertEmail(alert, { user: wishlist.user, product });
+        await emailQueue.add(ALERT_TEMPLATES[alert.type], email, { removeOnComplete: true });
+        item.lastAlertedAt = now;
+        alerted = true;
+        queued += 1;
+      }
+      if (alerted) {
+        await wishlist.save();
+      }
+    }
+
+    logger.info(`Queued ${queued} wishlist alerts for product ${product._id}`);
+    return queued;
+  } catch (error) {
+    logger.error(`Failed to queue wishlist alerts for product ${product._id}: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Get a customer's wishlist, creating an empty one on first use.
+ * @param {string} userId
+ * @returns {Promise<Object>} - Wishlist document.
+ */
+const getOrCreateWishlist = async (userId) => {
+  const wishlist = await Wishlist.findOne({ user: userId });
+  return wishlist || new Wishlist({ user: userId, items: [] });
+};
+
+/**
+ * Describe wishlist items with their current price and availability.
+ * @param {Object} wishlist - Wishlist document with items.product populated.
+ * @returns {Array<Object>}
+ */
+const describeWishlistItems = (wishlist) =>
+  wishlist.items.map((item) => {
+    const product = item.product && item.product._id ? item.product : null;
+    const variant = product && Product.findSku(product, item.sku);
+    const price = variant ? resolveEffectivePrice(product, variant) : null;
+    return {
+      _id: item._id,
+      product: product ? { _id: product._id, title: product.title, slug: product.slug, thumbnail: product.thumbnail } : null,
+      sku: item.sku,
+      variant: item.variant,
+      packaging: item.packaging,
+      addedAt: item.addedAt,
+      price,
+      priceAtAdd: item.priceAtAdd,
+      priceDrop: price !== null && item.priceAtAdd !== null && price < item.priceAtAdd ? roundCurrency(item.priceAtAdd - price) : 0,
+      inStock: Boolean(variant && variant.stock > 0 && product.isActive !== false),
+      available: Boolean(variant && product.isActive !== false),
+      notifyBackInStock: item.notifyBackInStock,
+      notifyPriceDrop: item.notifyPriceDrop,
+    };
+  });
+
+/**
+ * Add a product SKU to a customer's wishlist, or update its alert preferences if already there.
+ * @param {string} userId
+ * @param {Object} params - { productId, sku, notifyBackInStock, notifyPriceDrop }
+ * @returns {Promise<Object>} - The saved wishlist.
+ */
+const addWishlistItem = async (userId, { productId, sku, notifyBackInStock, notifyPriceDrop }) => {
+  const product = await Product.findOne({ _id: productId, isActive: true });
+  if (!product) {
+    throw createHttpError(404, 'Product not found');
+  }
+  const selectedVariant = Product.findSku(product, sku);
+  if (!selectedVariant) {
+    throw createHttpError(400, 'SKU not found for the selected product');
+  }
+
+  const wishlist = await getOrCreateWishlist(userId);
+  let item = wishlist.items.find((entry) => String(entry.product) === String(product._id) && String(entry.sku) === sku);
+  if (!item) {
+    wishlist.items.push({
+      product: product._id,
+      sku: selectedVariant._id,
+      variant: selectedVariant.size,
+      packaging: selectedVariant.packaging,
+      priceAtAdd: resolveEffectivePrice(product, selectedVariant),
+    });
+    item = wishlist.items[wishlist.items.length - 1];
+  }
+  if (notifyBackInStock !== undefined) item.notifyBackInStock = notifyBackInStock;
+  if (notifyPriceDrop !== undefined) item.notifyPriceDrop = notifyPriceDrop;
+
+  await wishlist.save();
+  return wishlist;
+};
+
+/**
+ * Remove an item from a customer's wishlist.
+ * @param {string} userId
+ * @param {string} itemId
+ * @returns {Promise<Object>} - The saved wishlist.
+ */
+const removeWishlistItem = async (userId, itemId) => {
+  const wishlist = await Wishlist.findOne({ user: userId });
+  const item = wishlist && wishlist.items.id(itemId);
+  if (!item) {
+    throw createHttpError(404, 'Wishlist item not found');
+  }
+  item.deleteOne();
+  await wishlist.save();
+  return wishlist;
+};
+
+/**
+ * Move a wishlist item into the customer's cart and remove it from the wishlist.
+ * @param {string} userId
+ * @param {string} itemId
+ * @param {Object} [options]
+ * @param {number} [options.quantity]
+ * @returns {Promise<Object>} - { wishlist, cart }
+ */
+const moveWishlistItemToCart = async (userId, itemId, { quantity = 1 } = {}) => {
+  const wishlist = await Wishlist.findOne({ user: userId });
+  const item = wishlist && wishlist.items.id(itemId);
+  if (!item) {
+    throw createHttpError(404, 'Wishlist item not found');
+  }
+
+  const product = await Product.findOne({ _id: item.product, isActive: true });
+  const variant = product && Product.findSku(product, item.sku);
+  if (!variant) {
+    throw createHttpError(400, 'This product is no longer available');
+  }
+  if (variant.stock < quantity) {
+    throw createHttpError(400, `Only ${variant.stock} of ${product.title} (${variant.size}) are in stock`);
+  }
+
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) {
+    cart = new Cart({ user: userId, items: [] });
+  }
+  const existing = cart.items.find(
+    (line) => String(line.product) === String(product._id) && String(line.sku) === String(variant._id)
+  );
+  if (existing) {
+    existing.quantity += quantity;
+  } else {
+    cart.items.push({
+      product: product._id,
+      title: product.title,
+      sku: variant._id,
+      variant: variant.size,
+      packaging: variant.packaging,
+      quantity,
+      price: variant.price,
+      thumbnail: variant.images[0] || product.thumbnail,
+    });
+  }
+  await cart.save();
+
+  item.deleteOne();
+  await wishlist.save();
+  return { wishlist, cart };
+};
+
+/**
+ * Turn the public share link of a customer's wishlist on or off.
+ * Turning it on again keeps the existing link.
+ * @param {string} userId
+ * @param {boolean} enabled
+ * @returns {Promise<Object>} - The saved wishlist.
+ */
+const setWishlistSharing = async (userId, enabled) => {
+  const wishlist = await getOrCreateWishlist(userId);
+  if (enabled && !wishlist.shareToken) {
+    wishlist.shareToken = crypto.randomBytes(16).toString('hex');
+    wishlist.sharedAt = new Date();
+  } else if (!enabled) {
+    wishlist.shareToken = null;
+    wishlist.sharedAt = null;
+  }
+  await wishlist.save();
+  return wishlist;
+};
+
+/**
+ * Build the public URL of a shared wishlist.
+ * @param {Object} wishlist
+ * @returns {string|null}
+ */
+const buildShareUrl = (wishlist) => (wishlist.shareToken ? `${getFrontendUrl()}/wishlist/shared/${wishlist.shareToken}` : null);
+
+/**
+ * Find a wishlist by its public share token.
+ * @param {string} token
+ * @returns {Promise<Object>} - Wishlist with items.product and the owner's name populated.
+ */
+const findSharedWishlist = async (token) => {
+  const wishlist = await Wishlist.findOne({ shareToken: token })
+    .populate('user', 'name')
+    .populate('items.product', 'title slug thumbnail variants discountPercentage priceOverrides isActive');
+  if (!wishlist) {
+    throw createHttpError(404, 'Shared wishlist not found');
+  }
+  return wishlist;
+};
+
+module.exports = {
+  WISHLIST_ALERT_TYPES,
+  DEFAULT_WISHLIST_NOTIFICATIONS,
+  snapshotProductVariants,
+  detectWishlistAlerts,
+  queueWishlistAlerts,
+  describeWishlistItems,
+  addWishlistItem,
+  removeWishlistItem,
+  moveWishlistItemToCart,
+  setWishlistSharing,
+  buildShareUrl,
+  findSharedWishlist,
+};
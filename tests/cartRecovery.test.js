@@ -0,0 +1,93 @@
+// tests/cartRecovery.test.js
+jest.mock('../services/emailService', () => jest.fn(async () => undefined));
+
+const jwt = require('jsonwebtoken');
+const sendEmail = require('../services/emailService');
+const Coupon = require('../models/Coupon');
+const CartRecovery = require('../models/CartRecovery');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const {
+  DEFAULT_CART_RECOVERY_SETTINGS,
+  getDueStep,
+  findAttributableRecovery,
+  sendRecoveryStep,
+  restoreCartFromToken,
+} = require('../services/cartRecoveryService');
+
+const now = new Date('2026-10-15T12:00:00Z');
+const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+const { steps } = DEFAULT_CART_RECOVERY_SETTINGS;
+
+const buildRecovery = (fields = {}) =>
+  new CartRecovery({
+    cart: '65f000000000000000000001',
+    user: '65f000000000000000000002',
+    lastActivityAt: hoursAgo(80),
+    items: [{ product: '65f000000000000000000003', title: 'Whey Protein', variant: '1kg', packaging: 'Canister', quantity: 2, price: 1500 }],
+    cartValue: 3000,
+    ...fields,
+  });
+
+describe('Abandoned Cart Recovery', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendEmail.mockClear();
+  });
+
+  it('should time each step from the last cart activity', () => {
+    expect(getDueStep({ lastActivityAt: hoursAgo(0.5), steps: [] }, steps, now)).toBeNull();
+    expect(getDueStep({ lastActivityAt: hoursAgo(2), steps: [] }, steps, now)).toMatchObject({ index: 0 });
+    expect(getDueStep({ lastActivityAt: hoursAgo(30), steps: [{}] }, steps, now)).toMatchObject({ index: 1 });
+    expect(getDueStep({ lastActivityAt: hoursAgo(30), steps: [{}, {}] }, steps, now)).toBeNull();
+    expect(getDueStep({ lastActivityAt: hoursAgo(100), steps: [{}, {}, {}] }, steps, now)).toBeNull();
+  });
+
+  it('should credit orders to the recovery that emailed the customer', () => {
+    const emailed = { lastActivityAt: hoursAgo(30), couponCode: null, steps: [{ sentAt: hoursAgo(6) }] };
+    const couponed = { lastActivityAt: hoursAgo(200), couponCode: 'CART1234', steps: [{ sentAt: hoursAgo(190) }] };
+    const silent = { lastActivityAt: hoursAgo(0.5), couponCode: null, steps: [] };
+    const recoveries = [couponed, emailed, silent];
+
+    expect(findAttributableRecovery(recoveries, { createdAt: now }, 7)).toBe(emailed);
+    expect(findAttributableRecovery(recoveries, { createdAt: now, couponCode: 'CART1234' }, 7)).toBe(couponed);
+    expect(findAttributableRecovery([silent], { createdAt: now }, 7)).toBeNull();
+    expect(findAttributableRecovery([emailed], { createdAt: now }, 0.1)).toBeNull();
+  });
+
+  it('should send the coupon step with a single-use coupon and a restore link', async () => {
+    const recovery = buildRecovery({ steps: [{ step: 1, template: 'cart_recovery_1' }, { step: 2, template: 'cart_recovery_2' }] });
+    jest.spyOn(recovery, 'save').mockResolvedValue(recovery);
+    jest.spyOn(NotificationTemplate, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+    jest.spyOn(Coupon, 'create').mockImplementation(async (data) => ({ _id: 'c1', ...data }));
+
+    await sendRecoveryStep(
+      recovery,
+      { index: 2, step: steps[2] },
+      { user: { name: 'Asha', email: 'asha@example.com' }, settings: DEFAULT_CART_RECOVERY_SETTINGS, now }
+    );
+
+    expect(Coupon.create).toHaveBeenCalledWith(
+      expect.objectContaining({ maxUses: 1, perUserLimit: 1, discountType: 'percentage', discount: 10, assignedTo: recovery.user })
+    );
+    expect(recovery.couponCode).toMatch(/^CART[0-9A-F]{8}$/);
+    expect(recovery.status).toBe('completed');
+    expect(recovery.steps).toHaveLength(3);
+
+    const [{ email, html }] = sendEmail.mock.calls[0];
+    expect(email).toBe('asha@example.com');
+    expect(html).toContain(recovery.couponCode);
+    const token = decodeURIComponent(html.match(/token=([^"]+)/)[1]);
+    expect(jwt.verify(token, process.env.JWT_SECRET)).toMatchObject({ recovery: String(recovery._id), purpose: 'cart_recovery' });
+  });
+
+  it('should reject restore links that were not issued for cart recovery', async () => {
+    const token = jwt.sign({ id: 'someone' }, process.env.JWT_SECRET);
+
+    await expect(restoreCartFromToken(token)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(restoreCartFromToken('not-a-token')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,144 @@
+// tests/cartRevalidation.test.js
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { revalidateCartItems, hasBlockingNotices, revalidateCart } = require('../services/cartService');
+
+const sku1kg = new mongoose.Types.ObjectId();
+
+const line = (fields = {}) => ({
+  product: 'p1',
+  title: 'Whey Protein',
+  sku: sku1kg,
+  variant: '1kg',
+  packaging: 'Canister',
+  quantity: 1,
+  price: 1500,
+  thumbnail: 'https://cdn.example.com/whey.png',
+  ...fields,
+});
+
+const sku = (fields = {}) => ({ _id: sku1kg, size: '1kg', packaging: 'Canister', price: 1500, images: [], ...fields });
+
+const product = (fields = {}) => ({
+  _id: 'p1',
+  title: 'Whey Protein',
+  thumbnail: 'https://cdn.example.com/whey.png',
+  isActive: true,
+  variants: [sku({ stock: 10 })],
+  ...fields,
+});
+
+// Products come back with only the selected fields, as from MongoDB
+const mockProductFind = (products) =>
+  jest.spyOn(Product, 'find').mockReturnValue({
+    select: (fields) => ({
+      lean: () =>
+        Promise.resolve(
+          products.map((found) =>
+            Object.fromEntries(Object.entries(found).filter(([key]) => key === '_id' || fields.split(' ').includes(key)))
+          )
+        ),
+    }),
+  });
+
+describe('Cart Revalidation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should report price changes and refresh the snapshot', () => {
+    const { items, notices } = revalidateCartItems(
+      [line({ price: 1400, title: 'Old title' }), line({ product: 'p2', price: 1000 })],
+      [product(), product({ _id: 'p2', variants: [sku({ price: 900, stock: 5 })] })]
+    );
+
+    expect(items.map((item) => `${item.product}=${item.price}:${item.title}`)).toEqual([
+      'p1=1500:Whey Protein',
+      'p2=900:Whey Protein',
+    ]);
+    expect(notices).toEqual([
+      expect.objectContaining({ type: 'price_increased', product: 'p1', previousPrice: 1400, price: 1500 }),
+      expect.objectContaining({ type: 'price_decreased', product: 'p2', previousPrice: 1000, price: 900 }),
+    ]);
+    expect(notices[0].message).toMatch(/went up from 1400.00 to 1500.00/);
+    expect(hasBlockingNotices(notices)).toBe(false);
+  });
+
+  it('should cap quantities at the stock and drop unavailable and deactivated lines', () => {
+    const { items, notices } = revalidateCartItems(
+      [
+        line({ quantity: 12 }),
+        line({ product: 'p2' }),
+        line({ product: 'p3' }),
+        line({ sku: new mongoose.Types.ObjectId(), variant: '5kg' }),
+        line({ product: 'p4' }),
+      ],
+      [
+        product(),
+        product({ _id: 'p2', variants: [sku({ stock: 0 })] }),
+        product({ _id: 'p3', isActive: false }),
+      ]
+    );
+
+    expect(items).toEqual([expect.objectContaining({ product: 'p1', quantity: 10 })]);
+    expect(notices.map((notice) => `${notice.product}:${notice.variant}:${notice.type}`)).toEqual([
+      'p1:1kg:quantity_reduced',
+      'p2:1kg:unavailable',
+      'p3:1kg:product_deactivated',
+      'p1:5kg:unavailable',
+      'p4:1kg:unavailable',
+    ]);
+    expect(notices[0]).toMatchObject({ requested: 12, quantity: 10 });
+    expect(hasBlockingNotices(notices)).toBe(true);
+  });
+
+  it('should only change the cart when asked to auto-correct', async () => {
+    const productId = new mongoose.Types.ObjectId();
+    const buildCart = () =>
+      new Cart({
+        user: new mongoose.Types.ObjectId(),
+        items: [line({ product: productId, quantity: 4, price: 1400 })],
+      });
+    mockProductFind([product({ _id: productId, variants: [sku({ stock: 3 })] })]);
+
+    const untouched = buildCart();
+    const preview = await revalidateCart(untouched);
+    expect(preview.corrected).toBe(false);
+    expect(preview.notices.map((notice) => notice.type)).toEqual(['quantity_reduced', 'price_increased']);
+    expect(untouched.items[0]).toMatchObject({ quantity: 4, price: 1400 });
+
+    const cart = buildCart();
+    const itemId = cart.items[0]._id;
+    const result = await revalidateCart(cart, { autoCorrect: true });
+    expect(result.corrected).toBe(true);
+    expect(cart.items).toHaveLength(1);
+    expect(cart.items[0]).toMatchObject({ quantity: 3, price: 1500 });
+    expect(cart.items[0]._id).toEqual(itemId);
+  });
+
+  it('should keep lines priced with the standing discount or a running sale', async () => {
+    const [discounted, onSale] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const override = {
+      discountType: 'fixed_price',
+      value: 799,
+      priority: 0,
+      startDate: new Date(Date.now() - 60 * 60 * 1000),
+      endDate: new Date(Date.now() + 60 * 60 * 1000),
+    };
+    mockProductFind([
+      product({ _id: discounted, discountPercentage: 10, variants: [sku({ price: 1000, stock: 5 })] }),
+      product({ _id: onSale, priceOverrides: [override], variants: [sku({ price: 1000, stock: 5 })] }),
+    ]);
+    const cart = new Cart({
+      user: new mongoose.Types.ObjectId(),
+      items: [line({ product: discounted, price: 900 }), line({ product: onSale, price: 799 })],
+    });
+
+    const { notices, corrected } = await revalidateCart(cart, { autoCorrect: true });
+
+    expect(notices).toEqual([]);
+    expect(corrected).toBe(false);
+    expect(cart.items.map((item) => item.price)).toEqual([900, 799]);
+  });
+});
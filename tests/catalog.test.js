@@ -0,0 +1,93 @@
+// tests/catalog.test.js
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const {
+  buildCatalogFilter,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  listProducts,
+  refreshUnitsSold,
+} = require('../services/catalogService');
+
+const buildRow = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Whey Protein',
+  discountPercentage: 10,
+  variants: [{ size: '1kg', price: 1000, stock: 5 }],
+  createdAt: new Date('2026-01-01T00:00:00Z'),
+  ...fields,
+});
+
+describe('Catalogue listing', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should match price and stock on the same variant, using the discounted price', () => {
+    const filter = buildCatalogFilter({ priceMin: 500, priceMax: 900, inStock: true });
+
+    expect(filter.$and[0]).toEqual({ variants: { $elemMatch: { stock: { $gt: 0 }, price: { $gte: 500 } } } });
+    expect(filter.$and[1].$expr.$anyElementTrue[0].$map.in.$and).toHaveLength(3);
+  });
+
+  it('should filter on list prices with $elemMatch alone', () => {
+    expect(buildCatalogFilter({ priceMax: 900, priceBasis: 'list' })).toEqual({
+      variants: { $elemMatch: { price: { $lte: 900 } } },
+    });
+    expect(buildCatalogFilter({ inStock: false })).toEqual({
+      variants: { $not: { $elemMatch: { stock: { $gt: 0 } } } },
+    });
+  });
+
+  it('should round-trip cursors and reject ones from another sort', () => {
+    const row = buildRow();
+    const cursor = encodeCursor(row, 'newest');
+
+    expect(decodeCursor(cursor, 'newest')).toEqual({ value: row.createdAt, id: row._id });
+    expect(buildCursorFilter(decodeCursor(cursor, 'newest'), 'newest')).toEqual({
+      $or: [{ createdAt: { $lt: row.createdAt } }, { createdAt: row.createdAt, _id: { $lt: row._id } }],
+    });
+    expect(() => decodeCursor(cursor, 'price_asc')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => decodeCursor('not-a-cursor', 'newest')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('should return a cursor page without counting and point at the last product', async () => {
+    const rows = [buildRow({ priceFrom: 900 }), buildRow({ priceFrom: 950 }), buildRow({ priceFrom: 990 })];
+    const aggregate = jest.spyOn(Product, 'aggregate').mockResolvedValue(rows);
+    const count = jest.spyOn(Product, 'countDocuments');
+    jest.spyOn(Product, 'populate').mockImplementation(async (docs) => docs);
+
+    const result = await listProducts({ sort: 'price_asc', limit: 2, cursor: '' });
+
+    const pipeline = aggregate.mock.calls[0][0];
+    expect(pipeline.map((stage) => Object.keys(stage)[0])).toEqual(['$match', '$addFields', '$sort', '$limit', '$project']);
+    expect(pipeline[3]).toEqual({ $limit: 3 });
+    expect(count).not.toHaveBeenCalled();
+    expect(result.products).toHaveLength(2);
+    expect(result.products[0].discountedPrices).toEqual([{ size: '1kg', discountedPrice: 900 }]);
+    expect(decodeCursor(result.nextCursor, 'price_asc')).toEqual({ value: 950, id: rows[1]._id });
+  });
+
+  it('should rank best sellers from shipped and delivered orders', async () => {
+    const productId = new mongoose.Types.ObjectId();
+    const aggregate = jest.spyOn(Order, 'aggregate').mockResolvedValue([{ _id: productId, unitsSold: 12 }]);
+    const bulkWrite = jest.spyOn(Product, 'bulkWrite').mockResolvedValue({});
+    const updateMany = jest.spyOn(Product, 'updateMany').mockResolvedValue({});
+
+    await expect(refreshUnitsSold({ now: new Date('2026-04-01T00:00:00Z') })).resolves.toBe(1);
+
+    expect(aggregate.mock.calls[0][0][0].$match).toEqual({
+      status: { $in: ['shipped', 'delivered'] },
+      createdAt: { $gte: new Date('2026-01-01T00:00:00Z') },
+    });
+    expect(bulkWrite).toHaveBeenCalledWith([
+      { updateOne: { filter: { _id: productId }, update: { $set: { unitsSold: 12 } } } },
+    ]);
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $nin: [productId] }, unitsSold: { $ne: 0 } },
+      { $set: { unitsSold: 0 } }
+    );
+  });
+});
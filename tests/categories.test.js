@@ -0,0 +1,102 @@
+// tests/categories.test.js
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const BlogPost = require('../models/BlogPost');
+const categoryController = require('../controllers/categoryController');
+const { resolveProductCategoryIds, cascadeCategoryDeletion } = require('../services/categoryService');
+
+const buildCategory = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Protein',
+  slug: 'protein',
+  type: 'product',
+  parent: null,
+  ...fields,
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Product categories', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should build breadcrumbs from the root category down', async () => {
+    const root = buildCategory({ name: 'Nutrition', slug: 'nutrition' });
+    const middle = buildCategory({ name: 'Protein', slug: 'protein', parent: root._id });
+    const leaf = buildCategory({ name: 'Whey', slug: 'whey', parent: middle._id });
+    jest.spyOn(Category, 'aggregate').mockResolvedValue([
+      { ...leaf, ancestors: [{ ...middle, depth: 0 }, { ...root, depth: 1 }] },
+    ]);
+
+    const path = await Category.getPath(leaf._id);
+
+    expect(path.map((category) => category.name)).toEqual(['Nutrition', 'Protein', 'Whey']);
+    expect(path[0]).toEqual({ _id: root._id, name: 'Nutrition', slug: 'nutrition' });
+  });
+
+  it('should resolve category filters by ID, slug or name and include descendants', async () => {
+    const parent = buildCategory();
+    const child = buildCategory({ name: 'Whey', slug: 'whey', parent: parent._id });
+    const find = jest.spyOn(Category, 'find').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve([{ _id: parent._id }]) }),
+    });
+    jest.spyOn(Category, 'aggregate').mockResolvedValue([{ _id: parent._id, descendants: [{ _id: child._id }] }]);
+
+    await expect(resolveProductCategoryIds(['All'])).resolves.toBeNull();
+    await expect(resolveProductCategoryIds(['Protein'])).resolves.toEqual([parent._id, child._id]);
+    expect(find.mock.calls[0][0]).toMatchObject({ type: 'product' });
+    expect(find.mock.calls[0][0].$or).toEqual([
+      { _id: { $in: [] } },
+      { slug: { $in: ['protein'] } },
+      { name: { $in: ['Protein'] } },
+    ]);
+  });
+
+  it('should block deleting a category that products still reference', async () => {
+    const category = buildCategory();
+    jest.spyOn(Category, 'findById').mockResolvedValue(category);
+    jest.spyOn(BlogPost, 'find').mockResolvedValue([]);
+    jest.spyOn(Product, 'countDocuments').mockResolvedValue(3);
+    const remove = jest.spyOn(Category, 'findByIdAndDelete');
+    const res = mockResponse();
+
+    await categoryController.deleteCategory({ params: { id: String(category._id) }, query: {} }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, productCount: 3 }));
+    expect(remove).not.toHaveBeenCalled();
+  });
+
+  it('should cascade products to the parent and subcategories up a level', async () => {
+    const parent = buildCategory({ name: 'Nutrition' });
+    const category = buildCategory({ parent: parent._id });
+    const productId = new mongoose.Types.ObjectId();
+    jest.spyOn(Product, 'countDocuments').mockResolvedValue(2);
+    jest.spyOn(Category, 'exists').mockResolvedValue({ _id: parent._id });
+    jest.spyOn(Category, 'getDescendantIds').mockResolvedValue([category._id]);
+    jest.spyOn(Product, 'distinct').mockResolvedValue([productId]);
+    const moveProducts = jest.spyOn(Product, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const moveSubcategories = jest.spyOn(Category, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await cascadeCategoryDeletion(category);
+
+    expect(moveProducts).toHaveBeenCalledWith({ category: category._id }, { $set: { category: parent._id } });
+    expect(moveSubcategories).toHaveBeenCalledWith({ parent: category._id }, { $set: { parent: parent._id } });
+    expect(result).toEqual({ productsMoved: 2, subcategoriesMoved: 1, affectedProducts: [productId] });
+  });
+
+  it('should require a target before cascading a top-level category with products', async () => {
+    jest.spyOn(Product, 'countDocuments').mockResolvedValue(1);
+    const moveProducts = jest.spyOn(Product, 'updateMany');
+
+    await expect(cascadeCategoryDeletion(buildCategory())).rejects.toMatchObject({ statusCode: 400 });
+    expect(moveProducts).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,152 @@
+// tests/cod.test.js
+jest.mock('../services/emailService', () => jest.fn(async () => undefined));
+jest.mock('../services/inventoryService');
+jest.mock('../services/couponService');
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ORDER_STATUS = require('../constants/orderStatus');
+const { releaseReservation } = require('../services/inventoryService');
+const { reverseRedemptions } = require('../services/couponService');
+const {
+  DEFAULT_COD_RULES,
+  MAX_OTP_ATTEMPTS,
+  evaluateCodEligibility,
+  hashOtp,
+  checkDeliveryOtp,
+  confirmCodDelivery,
+  recordRefusedDelivery,
+  matchRemittanceLines,
+} = require('../services/codService');
+
+const rules = { ...DEFAULT_COD_RULES, maxOrderValue: 5000, blockedPincodes: ['110 001'] };
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+const buildOrder = (cod = {}) =>
+  new Order({
+    orderNumber: '10X/FY27/000001',
+    customer: new mongoose.Types.ObjectId(),
+    items: [{ product: new mongoose.Types.ObjectId(), variant: '1kg', packaging: 'Canister', quantity: 1, price: 1000 }],
+    totalAmount: 1000,
+    grandTotal: 1180,
+    paymentMethod: 'cod',
+    status: ORDER_STATUS.SHIPPED,
+    shippingAddress: { street: '1 Main St', city: 'Pune', state: 'MH', zip: '411001', country: 'India' },
+    billingAddress: { street: '1 Main St', city: 'Pune', state: 'MH', zip: '411001', country: 'India' },
+    cod: {
+      status: 'out_for_delivery',
+      deliveryOtpHash: hashOtp('123456'),
+      deliveryOtpExpiresAt: inOneHour(),
+      otpAttempts: 0,
+      ...cod,
+    },
+  });
+
+describe('Cash on Delivery', () => {
+  beforeEach(() => {
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    releaseReservation.mockClear();
+    reverseRedemptions.mockClear();
+  });
+
+  it('should allow orders within every rule', () => {
+    expect(evaluateCodEligibility({ amount: 4999, pincode: '411001', refusedDeliveries: 1 }, rules)).toEqual({
+      eligible: true,
+      reasons: [],
+    });
+  });
+
+  it('should refuse large orders, blocked pincodes and customers who refused deliveries', () => {
+    const result = evaluateCodEligibility({ amount: 5200, pincode: '110001', refusedDeliveries: 2 }, rules);
+
+    expect(result.eligible).toBe(false);
+    expect(result.reasons.map((reason) => reason.code)).toEqual(['max_order_value', 'blocked_pincode', 'refused_deliveries']);
+  });
+
+  it('should reject wrong, expired and exhausted delivery OTPs', () => {
+    const cod = { deliveryOtpHash: hashOtp('123456'), deliveryOtpExpiresAt: inOneHour(), otpAttempts: 0 };
+
+    expect(checkDeliveryOtp(cod, '123456')).toBeNull();
+    expect(checkDeliveryOtp(cod, '654321')).toMatch(/Invalid/);
+    expect(checkDeliveryOtp({ ...cod, deliveryOtpExpiresAt: new Date(Date.now() - 1000) }, '123456')).toMatch(/expired/);
+    expect(checkDeliveryOtp({ ...cod, otpAttempts: MAX_OTP_ATTEMPTS }, '123456')).toMatch(/Too many/);
+  });
+
+  it('should deliver the order and record the collection, leaving it unpaid', async () => {
+    const order = buildOrder();
+
+    await confirmCodDelivery(order, { otp: '123456', collectedAmount: 1180 });
+
+    expect(order.status).toBe(ORDER_STATUS.DELIVERED);
+    expect(order.deliveryDate).toBeInstanceOf(Date);
+    expect(order.cod.status).toBe('collected');
+    expect(order.cod.collectedAmount).toBe(1180);
+    expect(order.cod.deliveryOtpHash).toBeNull();
+    expect(order.paymentStatus).toBe('pending');
+  });
+
+  it('should count wrong OTP attempts without delivering the order', async () => {
+    const order = buildOrder();
+
+    await expect(confirmCodDelivery(order, { otp: '000000' })).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(order.status).toBe(ORDER_STATUS.SHIPPED);
+    expect(order.cod.otpAttempts).toBe(1);
+  });
+
+  it('should cancel refused deliveries and return their stock', async () => {
+    const order = buildOrder();
+
+    await recordRefusedDelivery(order, { reason: 'Customer not available' });
+
+    expect(order.status).toBe(ORDER_STATUS.CANCELLED);
+    expect(order.cod.status).toBe('refused');
+    expect(releaseReservation).toHaveBeenCalledWith(order._id, 'cod_refused');
+    expect(reverseRedemptions).toHaveBeenCalledWith(order._id);
+  });
+
+  it('should match remittance lines against collected orders', () => {
+    const remittanceId = new mongoose.Types.ObjectId();
+    const orders = [
+      { _id: 'o1', orderNumber: 'A1', paymentMethod: 'cod', cod: { status: 'collected', collectedAmount: 1180 } },
+      { _id: 'o2', orderNumber: 'A2', paymentMethod: 'cod', cod: { status: 'collected', collectedAmount: 500 } },
+      { _id: 'o3', orderNumber: 'A3', paymentMethod: 'cod', cod: { status: 'out_for_delivery' } },
+      { _id: 'o4', orderNumber: 'A4', paymentMethod: 'cod', cod: { status: 'remitted', collectedAmount: 700, remittance: 'earlier' } },
+      { _id: 'o5', orderNumber: 'A5', paymentMethod: 'card' },
+      { _id: 'o6', orderNumber: 'A6', paymentMethod: 'cod', cod: { status: 'remitted', collectedAmount: 300, remittance: remittanceId } },
+    ];
+
+    const lines = matchRemittanceLines(
+      [
+        { orderNumber: 'A1', amount: 1180 },
+        { orderNumber: 'A2', amount: 450 },
+        { orderNumber: 'A3', amount: 900 },
+        { order: 'o4', amount: 700 },
+        { orderNumber: 'A5', amount: 100 },
+        { orderNumber: 'A9', amount: 100 },
+        { orderNumber: 'A1', amount: 1180 },
+        { orderNumber: 'A6', amount: 300 },
+      ],
+      orders,
+      remittanceId
+    );
+
+    expect(lines.map((line) => line.matchStatus)).toEqual([
+      'matched',
+      'amount_mismatch',
+      'not_collected',
+      'already_remitted',
+      'unknown_order',
+      'unknown_order',
+      'already_remitted',
+      'matched',
+    ]);
+    expect(lines[1]).toMatchObject({ order: 'o2', amount: 450, expectedAmount: 500 });
+  });
+});
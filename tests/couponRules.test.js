@@ -0,0 +1,188 @@
+// tests/couponRules.test.js
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const { evaluateCouponRules, redeemCoupon, reverseRedemptions } = require('../services/couponService');
+
+const now = new Date('2026-03-01T00:00:00Z');
+
+const buildCoupon = (overrides = {}) => ({
+  code: 'SAVE10',
+  discount: 10,
+  discountType: 'percentage',
+  isActive: true,
+  startDate: null,
+  expirationDate: new Date('2026-12-31T00:00:00Z'),
+  maxUses: null,
+  usedCount: 0,
+  perUserLimit: null,
+  minOrderValue: 0,
+  maxDiscount: null,
+  firstOrderOnly: false,
+  applicableProducts: [],
+  applicableCategories: [],
+  ...overrides,
+});
+
+const lines = [
+  { product: 'p1', title: 'Protein', category: 'Health', variant: '1kg', quantity: 2, price: 50 },
+  { product: 'p2', title: 'Chips', category: 'Snacks', variant: '100g', quantity: 1, price: 20 },
+];
+
+describe('Coupon Rule Engine', () => {
+  it('should discount the whole order when the coupon is not scoped', () => {
+    const result = evaluateCouponRules(buildCoupon(), { lines, now });
+
+    expect(result.applicable).toBe(true);
+    expect(result.subtotal).toBe(120);
+    expect(result.discount).toBe(12);
+    expect(result.lines.map((line) => line.discount)).toEqual([10, 2]);
+  });
+
+  it('should discount only lines matching the product scope', () => {
+    const result = evaluateCouponRules(buildCoupon({ applicableProducts: ['p2'] }), { lines, now });
+
+    expect(result.applicable).toBe(true);
+    expect(result.eligibleSubtotal).toBe(20);
+    expect(result.discount).toBe(2);
+    expect(result.lines[0]).toMatchObject({ eligible: false, discount: 0 });
+    expect(result.lines[1]).toMatchObject({ eligible: true, discount: 2 });
+  });
+
+  it('should match category scope by key', () => {
+    const result = evaluateCouponRules(buildCoupon(), {
+      lines,
+      now,
+      scope: { productIds: [], categoryKeys: ['health'] },
+    });
+
+    expect(result.eligibleSubtotal).toBe(100);
+    expect(result.lines[1].reason).toBe('Product is not covered by this coupon');
+  });
+
+  it('should cap the discount at maxDiscount', () => {
+    const result = evaluateCouponRules(buildCoupon({ discount: 50, maxDiscount: 25 }), { lines, now });
+
+    expect(result.discount).toBe(25);
+    expect(result.capped).toBe(true);
+  });
+
+  it('should never discount more than the eligible subtotal for fixed coupons', () => {
+    const result = evaluateCouponRules(
+      buildCoupon({ discountType: 'fixed', discount: 30, applicableProducts: ['p2'] }),
+      { lines, now }
+    );
+
+    expect(result.discount).toBe(20);
+  });
+
+  it('should reject orders below the minimum value', () => {
+    const result = evaluateCouponRules(buildCoupon({ minOrderValue: 150 }), { lines, now });
+
+    expect(result.applicable).toBe(false);
+    expect(result.discount).toBe(0);
+    expect(result.message).toMatch(/minimum order value/);
+  });
+
+  it('should enforce start dates, per-user limits and first-order-only', () => {
+    const notStarted = evaluateCouponRules(buildCoupon({ startDate: new Date('2026-04-01T00:00:00Z') }), {
+      lines,
+      now,
+    });
+    const overLimit = evaluateCouponRules(buildCoupon({ perUserLimit: 1 }), {
+      lines,
+      now,
+      customerRedemptions: 1,
+    });
+    const repeatCustomer = evaluateCouponRules(buildCoupon({ firstOrderOnly: true }), {
+      lines,
+      now,
+      customerOrderCount: 3,
+    });
+
+    expect(notStarted.applicable).toBe(false);
+    expect(notStarted.checks.find((check) => check.rule === 'startDate').passed).toBe(false);
+    expect(overLimit.applicable).toBe(false);
+    expect(overLimit.checks.find((check) => check.rule === 'perUserLimit').passed).toBe(false);
+    expect(repeatCustomer.applicable).toBe(false);
+    expect(repeatCustomer.message).toBe('Coupon is only valid on your first order');
+  });
+
+  it('should only apply assigned coupons for their customer', () => {
+    const coupon = buildCoupon({ assignedTo: 'u1' });
+
+    expect(evaluateCouponRules(coupon, { lines, now, customer: 'u1' }).applicable).toBe(true);
+    expect(evaluateCouponRules(coupon, { lines, now, customer: 'u2' }).message).toBe('Coupon was issued to another customer');
+    expect(evaluateCouponRules(coupon, { lines, now }).applicable).toBe(false);
+  });
+
+  it('should fail when no line qualifies', () => {
+    const result = evaluateCouponRules(buildCoupon({ applicableProducts: ['p9'] }), { lines, now });
+
+    expect(result.applicable).toBe(false);
+    expect(result.message).toBe('None of the items qualify for this coupon');
+  });
+});
+
+describe('Coupon Redemptions', () => {
+  const user = new mongoose.Types.ObjectId();
+  const order = new mongoose.Types.ObjectId();
+
+  const mockTakenSlots = (slots) =>
+    jest.spyOn(CouponRedemption, 'find').mockReturnValue({
+      select: () => ({ lean: async () => slots.map((slot) => ({ slot })) }),
+    });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should take the first free per-customer slot', async () => {
+    const coupon = buildCoupon({ _id: new mongoose.Types.ObjectId(), perUserLimit: 3 });
+    mockTakenSlots([0, 2]);
+    jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue({ ...coupon, usedCount: 3 });
+    const create = jest.spyOn(CouponRedemption, 'create').mockImplementation(async (doc) => doc);
+
+    await redeemCoupon({ coupon, user, order, discount: 12 });
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ slot: 1, discount: 12 }));
+  });
+
+  it('should refuse a customer whose uses are spent without touching the counter', async () => {
+    const coupon = buildCoupon({ _id: new mongoose.Types.ObjectId(), perUserLimit: 1 });
+    mockTakenSlots([0]);
+    const findOneAndUpdate = jest.spyOn(Coupon, 'findOneAndUpdate');
+
+    await expect(redeemCoupon({ coupon, user, order, discount: 12 })).rejects.toMatchObject({ statusCode: 400 });
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should give the use back when a concurrent checkout took the slot first', async () => {
+    const coupon = buildCoupon({ _id: new mongoose.Types.ObjectId(), perUserLimit: 1 });
+    mockTakenSlots([]);
+    const findOneAndUpdate = jest
+      .spyOn(Coupon, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ ...coupon, usedCount: 1 })
+      .mockResolvedValueOnce({ ...coupon, usedCount: 0 });
+    jest.spyOn(CouponRedemption, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000, keyPattern: { coupon: 1, user: 1, slot: 1 } }));
+
+    await expect(redeemCoupon({ coupon, user, order, discount: 12 })).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringMatching(/per customer/),
+    });
+    expect(findOneAndUpdate.mock.calls[1][1]).toEqual({ $inc: { usedCount: -1 } });
+  });
+
+  it('should switch an exhausted coupon back on when an order gives its use back', async () => {
+    const coupon = buildCoupon({ _id: new mongoose.Types.ObjectId(), maxUses: 5 });
+    const redemption = { coupon: coupon._id, code: coupon.code, deleteOne: jest.fn(async () => undefined) };
+    jest.spyOn(CouponRedemption, 'find').mockResolvedValue([redemption]);
+    jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue({ ...coupon, usedCount: 4, isActive: false });
+    const updateOne = jest.spyOn(Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(reverseRedemptions(order)).resolves.toBe(1);
+
+    expect(updateOne).toHaveBeenCalledWith({ _id: coupon._id, isActive: false }, { isActive: true });
+    expect(redemption.deleteOne).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+// tests/guestCart.test.js
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const {
+  issueCartToken,
+  readCartToken,
+  mergeCartItems,
+} = require('../services/guestCartService');
+
+const sku1kg = new mongoose.Types.ObjectId();
+const sku2kg = new mongoose.Types.ObjectId();
+
+const line = (fields = {}) => ({
+  product: 'p1',
+  title: 'Whey Protein',
+  sku: sku1kg,
+  variant: '1kg',
+  packaging: 'Canister',
+  quantity: 1,
+  price: 1500,
+  thumbnail: 'https://cdn.example.com/whey.png',
+  ...fields,
+});
+
+describe('Guest Carts', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  it('should sign cart tokens and refuse tokens issued for anything else', () => {
+    const cart = new Cart({ items: [], expiresAt: new Date(Date.now() + 1000) });
+
+    expect(readCartToken(issueCartToken(cart))).toBe(String(cart._id));
+    expect(readCartToken(jwt.sign({ cart: String(cart._id) }, process.env.JWT_SECRET))).toBeNull();
+    expect(readCartToken(jwt.sign({ cart: String(cart._id), purpose: 'guest_cart' }, 'another-secret'))).toBeNull();
+    expect(readCartToken(undefined)).toBeNull();
+  });
+
+  it('should only allow carts without a user while they can expire', () => {
+    const guest = new Cart({ items: [], expiresAt: new Date(Date.now() + 1000) });
+    const orphan = new Cart({ items: [] });
+
+    expect(guest.validateSync()).toBeUndefined();
+    expect(orphan.validateSync().errors.user).toBeDefined();
+  });
+
+  it('should combine matching lines by the merge strategy', () => {
+    const userItems = [line({ quantity: 2 }), line({ product: 'p2', quantity: 1 })];
+    const guestItems = [line({ quantity: 3 }), line({ sku: sku2kg, variant: '2kg', quantity: 1 })];
+    const quantities = (items) => items.map((item) => `${item.product}:${item.variant}=${item.quantity}`);
+
+    expect(quantities(mergeCartItems(userItems, guestItems, 'sum'))).toEqual(['p1:1kg=5', 'p2:1kg=1', 'p1:2kg=1']);
+    expect(quantities(mergeCartItems(userItems, guestItems, 'max'))).toEqual(['p1:1kg=3', 'p2:1kg=1', 'p1:2kg=1']);
+    expect(quantities(mergeCartItems(userItems, guestItems, 'guest'))).toEqual(['p1:1kg=3', 'p2:1kg=1', 'p1:2kg=1']);
+  });
+});
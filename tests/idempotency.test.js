@@ -0,0 +1,107 @@
+// tests/idempotency.test.js
+const express = require('express');
+const request = require('supertest');
+
+// In-memory stand-in for the Redis cache
+const mockStore = new Map();
+jest.mock('../services/redisService', () => ({
+  getCache: jest.fn(async (key) => (mockStore.has(key) ? JSON.parse(mockStore.get(key)) : null)),
+  setCache: jest.fn(async (key, value) => {
+    mockStore.set(key, JSON.stringify(value));
+  }),
+  setCacheIfAbsent: jest.fn(async (key, value) => {
+    if (mockStore.has(key)) return false;
+    mockStore.set(key, JSON.stringify(value));
+    return true;
+  }),
+  deleteCache: jest.fn(async (key) => {
+    mockStore.delete(key);
+  }),
+}));
+
+const idempotencyMiddleware = require('../middleware/idempotencyMiddleware');
+
+const buildApp = (handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: 'user-1' };
+    next();
+  });
+  app.post('/orders', idempotencyMiddleware('orders:create'), handler);
+  return app;
+};
+
+describe('Idempotency Middleware', () => {
+  let created;
+  let app;
+
+  beforeEach(() => {
+    mockStore.clear();
+    created = 0;
+    app = buildApp((req, res) => {
+      created += 1;
+      res.status(201).json({ success: true, data: { orderNumber: `ORD-${created}` } });
+    });
+  });
+
+  it('should replay the first response for a repeated key', async () => {
+    const first = await request(app).post('/orders').set('Idempotency-Key', 'abc').send({ items: [1, 2] });
+    const second = await request(app).post('/orders').set('Idempotency-Key', 'abc').send({ items: [1, 2] });
+
+    expect(created).toBe(1);
+    expect(second.statusCode).toBe(201);
+    expect(second.body).toEqual(first.body);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('should treat bodies with reordered keys as the same request', async () => {
+    await request(app).post('/orders').set('Idempotency-Key', 'abc').send({ a: 1, b: 2 });
+    const repeat = await request(app).post('/orders').set('Idempotency-Key', 'abc').send({ b: 2, a: 1 });
+
+    expect(repeat.statusCode).toBe(201);
+    expect(created).toBe(1);
+  });
+
+  it('should reject a key reused with a different body', async () => {
+    await request(app).post('/orders').set('Idempotency-Key', 'abc').send({ items: [1] });
+    const conflict = await request(app).post('/orders').set('Idempotency-Key', 'abc').send({ items: [2] });
+
+    expect(conflict.statusCode).toBe(409);
+    expect(created).toBe(1);
+  });
+
+  it('should reject a repeat while the first request is still running', async () => {
+    mockStore.set(
+      'idempotency:orders:create:user-1:abc',
+      JSON.stringify({ status: 'processing', fingerprint: idempotencyMiddleware.fingerprintBody({ items: [1] }) })
+    );
+    const res = await request(app).post('/orders').set('Idempotency-Key', 'abc').send({ items: [1] });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toMatch(/still being processed/);
+  });
+
+  it('should let server errors be retried with the same key', async () => {
+    let attempts = 0;
+    const flaky = buildApp((req, res) => {
+      attempts += 1;
+      if (attempts === 1) return res.status(500).json({ success: false });
+      return res.status(201).json({ success: true });
+    });
+
+    const failed = await request(flaky).post('/orders').set('Idempotency-Key', 'retry').send({});
+    const retried = await request(flaky).post('/orders').set('Idempotency-Key', 'retry').send({});
+
+    expect(failed.statusCode).toBe(500);
+    expect(retried.statusCode).toBe(201);
+    expect(attempts).toBe(2);
+  });
+
+  it('should process requests without a key normally', async () => {
+    await request(app).post('/orders').send({});
+    await request(app).post('/orders').send({});
+
+    expect(created).toBe(2);
+  });
+});
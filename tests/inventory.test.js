@@ -0,0 +1,185 @@
+// tests/inventory.test.js
+jest.mock('../services/emailService', () => jest.fn(async () => undefined));
+jest.mock('../services/promotionService', () => ({
+  applyActivePromotions: jest.fn(async (lines) => ({
+    lines: lines.map(() => ({ promotionDiscount: 0 })),
+    totalDiscount: 0,
+    appliedPromotions: [],
+    couponsAllowed: true,
+  })),
+}));
+jest.mock('../services/pricingService', () => ({
+  quoteOrder: jest.fn(async () => ({ taxRate: 18, taxAmount: 0, shippingAmount: 0, grandTotal: 2000 })),
+}));
+jest.mock('../services/sequenceService', () => ({
+  SEQUENCES: { ORDER: 'order' },
+  nextSequenceNumber: jest.fn(async () => ({ number: '10X/FY27/000001' })),
+}));
+jest.mock('../services/cartRecoveryService', () => ({
+  recordCartRecoveryOrder: jest.fn(async () => undefined),
+}));
+jest.mock('../services/codService', () => ({
+  ...jest.requireActual('../services/codService'),
+  checkCodEligibility: jest.fn(async () => ({ eligible: true, reasons: [] })),
+}));
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const {
+  reserveStock,
+  commitReservation,
+  commitOrderStock,
+  releaseReservation,
+  releaseExpiredReservations,
+} = require('../services/inventoryService');
+const { placeOrder } = require('../services/orderService');
+
+const address = { street: '1 Main St', city: 'Pune', state: 'MH', zip: '411001', country: 'India' };
+
+const buildItem = (fields = {}) => ({
+  product: new mongoose.Types.ObjectId(),
+  sku: new mongoose.Types.ObjectId(),
+  variant: '1kg',
+  quantity: 2,
+  ...fields,
+});
+
+const buildReservation = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  order: new mongoose.Types.ObjectId(),
+  items: [buildItem()],
+  status: 'active',
+  ...fields,
+});
+
+describe('Stock reservations', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should take the stock and keep an active hold until its TTL', async () => {
+    const item = buildItem();
+    const updateOne = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const create = jest.spyOn(StockReservation, 'create').mockImplementation(async (doc) => doc);
+    const before = Date.now();
+
+    const reservation = await reserveStock({ orderId: new mongoose.Types.ObjectId(), customer: 'c1', items: [item], ttlMinutes: 15 });
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: item.product, variants: { $elemMatch: { _id: item.sku, stock: { $gte: 2 } } } },
+      { $inc: { 'variants.$.stock': -2 } }
+    );
+    expect(create.mock.calls[0][0].status).toBe('active');
+    expect(reservation.expiresAt.getTime()).toBeGreaterThanOrEqual(before + 15 * 60 * 1000);
+  });
+
+  it('should give back the units already held when a later line is short', async () => {
+    const [first, second] = [buildItem(), buildItem({ title: 'Creatine' })];
+    const updateOne = jest
+      .spyOn(Product, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 })
+      .mockResolvedValue({ modifiedCount: 1 });
+    const create = jest.spyOn(StockReservation, 'create');
+
+    await expect(reserveStock({ orderId: new mongoose.Types.ObjectId(), customer: 'c1', items: [first, second] }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/Creatine/) });
+
+    expect(updateOne).toHaveBeenLastCalledWith(
+      { _id: first.product, variants: { $elemMatch: { _id: first.sku } } },
+      { $inc: { 'variants.$.stock': 2 } }
+    );
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should commit only an active hold and restock a released one', async () => {
+    const reservation = buildReservation();
+    const findOneAndUpdate = jest.spyOn(StockReservation, 'findOneAndUpdate').mockResolvedValue(reservation);
+    const updateOne = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await commitReservation(reservation.order);
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({ order: reservation.order, status: 'active' });
+    expect(updateOne).not.toHaveBeenCalled();
+
+    await releaseReservation(reservation.order, 'payment_failed');
+    expect(findOneAndUpdate.mock.calls[1][0]).toEqual({ order: reservation.order, status: { $in: ['active', 'committed'] } });
+    expect(findOneAndUpdate.mock.calls[1][1]).toMatchObject({ status: 'released', releaseReason: 'payment_failed' });
+    expect(updateOne.mock.calls[0][1]).toEqual({ $inc: { 'variants.$.stock': 2 } });
+  });
+
+  it('should refuse to commit an expired hold once its units have sold', async () => {
+    const reservation = buildReservation({ status: 'expired' });
+    jest.spyOn(StockReservation, 'findOne').mockResolvedValue(reservation);
+    const updateOne = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+    const findOneAndUpdate = jest.spyOn(StockReservation, 'findOneAndUpdate');
+
+    await expect(commitOrderStock({ _id: reservation.order, customer: 'c1', items: reservation.items }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/Insufficient stock/) });
+
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should expire holds past their TTL and skip ones settled in the meantime', async () => {
+    const [expired, settled] = [buildReservation(), buildReservation()];
+    jest.spyOn(StockReservation, 'find').mockReturnValue({
+      select: () => Promise.resolve([{ _id: expired._id }, { _id: settled._id }]),
+    });
+    const findOneAndUpdate = jest
+      .spyOn(StockReservation, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ ...expired, status: 'expired' })
+      .mockResolvedValueOnce(null);
+    const updateOne = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const released = await releaseExpiredReservations(new Date());
+
+    expect(released).toBe(1);
+    expect(findOneAndUpdate.mock.calls[0]).toEqual([
+      { _id: expired._id, status: 'active' },
+      expect.objectContaining({ status: 'expired', releaseReason: 'ttl_expired' }),
+      { new: true },
+    ]);
+    expect(updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('should leave online orders unpaid with an active hold and commit cash on delivery ones', async () => {
+    const product = new Product({
+      title: 'Whey Protein',
+      slug: 'whey-protein',
+      description: 'Protein',
+      category: new mongoose.Types.ObjectId(),
+      brand: '10X',
+      productBG: 'https://cdn.example.com/bg.png',
+      thumbnail: 'https://cdn.example.com/whey.png',
+      accordion: { details: 'Details', shipping: 'Shipping', returns: 'Returns' },
+      variants: [{ size: '1kg', packaging: 'Canister', price: 1000, stock: 5 }],
+      isActive: true,
+    });
+    jest.spyOn(Product, 'findById').mockResolvedValue(product);
+    jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(StockReservation, 'create').mockImplementation(async (doc) => doc);
+    const findOneAndUpdate = jest.spyOn(StockReservation, 'findOneAndUpdate').mockResolvedValue(null);
+    const create = jest.spyOn(Order, 'create').mockImplementation(async (doc) => doc);
+    const order = (paymentMethod) => ({
+      customer: new mongoose.Types.ObjectId(),
+      items: [{ product: product._id, sku: String(product.variants[0]._id), quantity: 2 }],
+      shippingAddress: address,
+      billingAddress: address,
+      paymentMethod,
+    });
+
+    await placeOrder(order('stripe'));
+    expect(create.mock.calls[0][0].paymentStatus).toBe('pending');
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+
+    const codOrder = await placeOrder(order('cod'));
+    expect(create.mock.calls[1][0].paymentStatus).toBe('pending');
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { order: codOrder._id, status: 'active' },
+      expect.objectContaining({ status: 'committed' }),
+      { new: true }
+    );
+  });
+});
@@ -0,0 +1,159 @@
+// tests/invoice.test.js
+jest.mock('../services/sequenceService', () => ({
+  ...jest.requireActual('../services/sequenceService'),
+  nextSequenceNumber: jest.fn(async () => ({ number: '10X/INV/FY27/000001' })),
+}));
+
+const Invoice = require('../models/Invoice');
+const Product = require('../models/Product');
+const Settings = require('../models/Settings');
+const { nextSequenceNumber } = require('../services/sequenceService');
+const {
+  DEFAULT_SELLER,
+  getSupplyType,
+  splitTax,
+  buildInvoice,
+  buildCreditNote,
+  renderInvoicePdf,
+  getOrCreateInvoice,
+} = require('../services/invoiceService');
+
+const seller = {
+  ...DEFAULT_SELLER,
+  gstin: '27AAACT1234A1Z5',
+  address: { street: '1 Market Road', city: 'Mumbai', state: 'Maharashtra', zip: '400001', country: 'India' },
+};
+
+const customer = { _id: 'user1', name: 'Test Customer', email: 'customer@example.com' };
+
+const products = new Map([
+  ['p1', { title: 'Whey Protein', hsnCode: '2106' }],
+  ['p2', { title: 'Creatine', hsnCode: '29299090' }],
+]);
+
+// Order of 2 x 1000 (100 coupon discount) + 1 x 500, 18% tax on 2400 and 100 shipping
+const buildOrder = (state) => ({
+  _id: 'order1',
+  orderNumber: '10X/FY26/000001',
+  items: [
+    { product: 'p1', variant: '1kg', packaging: 'Jar', quantity: 2, price: 1000, discount: 100, promotionDiscount: 0 },
+    { product: 'p2', variant: '250g', packaging: 'Pouch', quantity: 1, price: 500, discount: 0, promotionDiscount: 0 },
+  ],
+  shippingAddress: { street: '2 Lake View', city: 'Pune', state, zip: '411001', country: 'India' },
+  billingAddress: { street: '2 Lake View', city: 'Pune', state, zip: '411001', country: 'India' },
+  taxRate: 18,
+  taxAmount: 432,
+  shippingAmount: 100,
+  grandTotal: 2932,
+});
+
+describe('GST Invoices', () => {
+  it('should charge CGST and SGST within the seller state and IGST across states', () => {
+    expect(getSupplyType(seller.address, { state: 'maharashtra', country: 'India' })).toBe('intra_state');
+    expect(getSupplyType(seller.address, { state: 'Karnataka', country: 'India' })).toBe('inter_state');
+    expect(getSupplyType({}, { state: 'Karnataka', country: 'India' })).toBe('inter_state');
+  });
+
+  it('should split odd tax amounts without losing a paisa', () => {
+    expect(splitTax(10.01, 'intra_state')).toEqual({ cgst: 5.01, sgst: 5, igst: 0 });
+    expect(splitTax(10.01, 'inter_state')).toEqual({ cgst: 0, sgst: 0, igst: 10.01 });
+  });
+
+  it('should build an intra-state invoice matching the order grand total', () => {
+    const invoice = buildInvoice(buildOrder('Maharashtra'), { number: 'INV-1', seller, customer, products });
+
+    expect(invoice.supplyType).toBe('intra_state');
+    expect(invoice.lines[0]).toMatchObject({ hsnCode: '2106', taxableValue: 1900, cgst: 171, sgst: 171, igst: 0 });
+    expect(invoice.lines[1]).toMatchObject({ hsnCode: '29299090', taxableValue: 500, cgst: 45, sgst: 45 });
+    expect(invoice.totals).toEqual({
+      taxableValue: 2400,
+      cgst: 216,
+      sgst: 216,
+      igst: 0,
+      shipping: 100,
+      grandTotal: 2932,
+    });
+  });
+
+  it('should build an inter-state invoice with IGST only', () => {
+    const invoice = buildInvoice(buildOrder('Karnataka'), { number: 'INV-2', seller, customer, products });
+
+    expect(invoice.supplyType).toBe('inter_state');
+    expect(invoice.totals).toMatchObject({ cgst: 0, sgst: 0, igst: 432, grandTotal: 2932 });
+    expect(invoice.placeOfSupply).toBe('Karnataka, India');
+  });
+
+  it('should reverse the whole invoice in a credit note for a full refund', () => {
+    const invoice = buildInvoice(buildOrder('Maharashtra'), { number: 'INV-1', seller, customer, products });
+    const creditNote = buildCreditNote({ ...invoice, _id: 'inv1' }, { number: 'CN-1', amount: 2932, reason: 'Returned' });
+
+    expect(creditNote.type).toBe('credit_note');
+    expect(creditNote.relatedInvoiceNumber).toBe('INV-1');
+    expect(creditNote.totals).toEqual(invoice.totals);
+  });
+
+  it('should spread a partial refund over the lines and back out the tax', () => {
+    const invoice = buildInvoice(buildOrder('Karnataka'), { number: 'INV-2', seller, customer, products });
+    const creditNote = buildCreditNote({ ...invoice, _id: 'inv2' }, { number: 'CN-2', amount: 1000 });
+
+    expect(creditNote.totals.grandTotal).toBe(1000);
+    creditNote.lines.forEach((line) => {
+      expect(line.igst).toBeCloseTo(line.taxableValue * 0.18, 1);
+    });
+  });
+
+  it('should render the invoice as a PDF document', async () => {
+    const invoice = buildInvoice(buildOrder('Maharashtra'), { number: 'INV-1', seller, customer, products });
+    const pdf = await renderInvoicePdf(invoice);
+
+    expect(Buffer.isBuffer(pdf)).toBe(true);
+    expect(pdf.subarray(0, 4).toString()).toBe('%PDF');
+  });
+
+  describe('issuing', () => {
+    const paidOrder = () => ({ ...buildOrder('Maharashtra'), paymentStatus: 'paid', customer });
+
+    beforeEach(() => {
+      jest.spyOn(Settings, 'findOne').mockReturnValue({ lean: async () => ({ value: seller }) });
+      jest.spyOn(Product, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      nextSequenceNumber.mockClear();
+    });
+
+    it('should draw the invoice number only after holding the order invoice', async () => {
+      jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+      const create = jest.spyOn(Invoice, 'create').mockImplementation(async (fields) => ({
+        ...fields,
+        save: jest.fn(async () => undefined),
+      }));
+
+      const invoice = await getOrCreateInvoice(paidOrder());
+
+      expect(create.mock.calls[0][0].number).toBe('PENDING/order1');
+      expect(nextSequenceNumber).toHaveBeenCalledTimes(1);
+      expect(invoice.number).toBe('10X/INV/FY27/000001');
+      expect(invoice.save).toHaveBeenCalled();
+    });
+
+    it('should not use up a number when another request issues the invoice first', async () => {
+      const issued = { number: '10X/INV/FY27/000007' };
+      jest.spyOn(Invoice, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(issued);
+      jest.spyOn(Invoice, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+      jest.spyOn(Invoice, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(getOrCreateInvoice(paidOrder())).resolves.toBe(issued);
+      expect(nextSequenceNumber).not.toHaveBeenCalled();
+    });
+
+    it('should not use up a number when the invoice is invalid', async () => {
+      jest.spyOn(Invoice, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Invoice, 'create').mockRejectedValue(Object.assign(new Error('Validation failed'), { name: 'ValidationError' }));
+
+      await expect(getOrCreateInvoice(paidOrder())).rejects.toThrow('Validation failed');
+      expect(nextSequenceNumber).not.toHaveBeenCalled();
+    });
+  });
+});
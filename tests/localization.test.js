@@ -0,0 +1,53 @@
+// tests/localization.test.js
+const express = require('express');
+const request = require('supertest');
+
+// Authenticate as whatever role the request names
+jest.mock('../middleware/authMiddleware', () => (req, res, next) => {
+  req.user = { _id: 'user-1', role: req.headers['x-test-role'] };
+  next();
+});
+
+const LocalizationSettings = require('../models/LocalizationSettings');
+const localizationRoutes = require('../routes/localizationRoutes');
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/localization', localizationRoutes);
+  return app;
+};
+
+describe('Localization Routes', () => {
+  const app = buildApp();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should answer admin requests from a super admin', async () => {
+    jest.spyOn(LocalizationSettings, 'find').mockResolvedValue([{ region: 'IN' }]);
+    jest.spyOn(LocalizationSettings, 'findOneAndUpdate').mockResolvedValue({ region: 'IN', currency: 'INR' });
+    jest.spyOn(LocalizationSettings.prototype, 'save').mockResolvedValue(undefined);
+
+    const list = await request(app).get('/api/localization').set('x-test-role', 'super-admin');
+    const update = await request(app).put('/api/localization/IN').set('x-test-role', 'super-admin').send({ region: 'IN', currency: 'INR' });
+    const create = await request(app).post('/api/localization').set('x-test-role', 'super-admin').send({ region: 'US', currency: 'USD' });
+
+    expect(list.statusCode).toBe(200);
+    expect(list.body.data).toEqual([{ region: 'IN' }]);
+    expect(update.statusCode).toBe(200);
+    expect(create.statusCode).toBe(201);
+  });
+
+  it('should refuse admin requests from other roles', async () => {
+    const find = jest.spyOn(LocalizationSettings, 'find');
+
+    const list = await request(app).get('/api/localization').set('x-test-role', 'content-manager');
+    const create = await request(app).post('/api/localization').set('x-test-role', 'customer').send({ region: 'US' });
+
+    expect(list.statusCode).toBe(403);
+    expect(create.statusCode).toBe(403);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
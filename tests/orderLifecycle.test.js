@@ -0,0 +1,99 @@
+// tests/orderLifecycle.test.js
+const ORDER_STATUS = require('../constants/orderStatus');
+const {
+  canTransition,
+  getAllowedTransitions,
+  transitionOrder,
+  buildTimeline,
+} = require('../services/orderLifecycleService');
+
+const buildOrder = (status = ORDER_STATUS.PENDING) => ({
+  status,
+  statusHistory: [],
+  shippingDate: null,
+  deliveryDate: null,
+});
+
+describe('Order Lifecycle', () => {
+  describe('Transitions', () => {
+    it('should allow the main fulfilment flow', () => {
+      expect(canTransition(ORDER_STATUS.PENDING, ORDER_STATUS.PROCESSING)).toBe(true);
+      expect(canTransition(ORDER_STATUS.PROCESSING, ORDER_STATUS.SHIPPED)).toBe(true);
+      expect(canTransition(ORDER_STATUS.SHIPPED, ORDER_STATUS.DELIVERED)).toBe(true);
+    });
+
+    it('should allow the return and refund branches', () => {
+      expect(canTransition(ORDER_STATUS.DELIVERED, ORDER_STATUS.RETURN_REQUESTED)).toBe(true);
+      expect(canTransition(ORDER_STATUS.RETURN_REQUESTED, ORDER_STATUS.RETURNED)).toBe(true);
+      expect(canTransition(ORDER_STATUS.RETURNED, ORDER_STATUS.REFUNDED)).toBe(true);
+      expect(canTransition(ORDER_STATUS.RETURNED, ORDER_STATUS.DELIVERED)).toBe(true);
+      expect(canTransition(ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED)).toBe(true);
+    });
+
+    it('should reject skipping steps or leaving terminal states', () => {
+      expect(canTransition(ORDER_STATUS.PENDING, ORDER_STATUS.DELIVERED)).toBe(false);
+      expect(canTransition(ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED)).toBe(false);
+      expect(getAllowedTransitions(ORDER_STATUS.REFUNDED)).toEqual([]);
+      expect(canTransition('paid', ORDER_STATUS.PROCESSING)).toBe(false);
+    });
+  });
+
+  describe('transitionOrder', () => {
+    it('should update the status and record the actor and reason', () => {
+      const order = buildOrder();
+      const admin = { _id: 'admin-id', role: 'order-manager' };
+
+      transitionOrder(order, ORDER_STATUS.PROCESSING, { actor: admin, reason: 'Order accepted' });
+
+      expect(order.status).toBe(ORDER_STATUS.PROCESSING);
+      expect(order.statusHistory).toHaveLength(1);
+      expect(order.statusHistory[0]).toMatchObject({
+        status: ORDER_STATUS.PROCESSING,
+        previousStatus: ORDER_STATUS.PENDING,
+        changedBy: 'admin-id',
+        actorType: 'admin',
+        reason: 'Order accepted',
+      });
+    });
+
+    it('should stamp shipping and delivery dates', () => {
+      const order = buildOrder(ORDER_STATUS.PROCESSING);
+      transitionOrder(order, ORDER_STATUS.SHIPPED);
+      transitionOrder(order, ORDER_STATUS.DELIVERED);
+
+      expect(order.shippingDate).toBeInstanceOf(Date);
+      expect(order.deliveryDate).toBeInstanceOf(Date);
+      expect(order.statusHistory[1].actorType).toBe('system');
+    });
+
+    it('should throw a 400 error for illegal transitions and leave the order untouched', () => {
+      const order = buildOrder(ORDER_STATUS.PENDING);
+
+      expect(() => transitionOrder(order, ORDER_STATUS.SHIPPED)).toThrow(/Invalid status transition/);
+      try {
+        transitionOrder(order, ORDER_STATUS.SHIPPED);
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+      }
+      expect(order.status).toBe(ORDER_STATUS.PENDING);
+      expect(order.statusHistory).toHaveLength(0);
+    });
+  });
+
+  describe('buildTimeline', () => {
+    it('should hide the acting user unless requested', () => {
+      const order = buildOrder();
+      transitionOrder(order, ORDER_STATUS.CANCELLED, {
+        actor: { _id: 'customer-id', role: 'user' },
+        reason: 'Changed my mind',
+      });
+
+      const [customerView] = buildTimeline(order);
+      const [adminView] = buildTimeline(order, { includeActor: true });
+
+      expect(customerView.changedBy).toBeUndefined();
+      expect(customerView.actorType).toBe('customer');
+      expect(adminView.changedBy).toBe('customer-id');
+    });
+  });
+});
@@ -0,0 +1,170 @@
+// tests/paymentGateways.test.js
+jest.mock('../services/inventoryService', () => ({
+  commitOrderStock: jest.fn(async () => null),
+  releaseReservation: jest.fn(async () => null),
+}));
+jest.mock('../services/couponService', () => ({
+  reverseRedemptions: jest.fn(async () => 0),
+}));
+jest.mock('../config/stripe', () => ({
+  paymentIntents: { create: jest.fn() },
+  customers: { create: jest.fn() },
+  paymentMethods: { attach: jest.fn() },
+}));
+
+const crypto = require('crypto');
+const Settings = require('../models/Settings');
+const Transaction = require('../models/Transaction');
+const { commitOrderStock, releaseReservation } = require('../services/inventoryService');
+const { reverseRedemptions } = require('../services/couponService');
+const fakeGateway = require('../services/paymentGateways/fakeGateway');
+const razorpayGateway = require('../services/paymentGateways/razorpayGateway');
+const stripeGateway = require('../services/paymentGateways/stripeGateway');
+const stripe = require('../config/stripe');
+const { PAYMENT_EVENTS, getGateway, resolveGatewayName } = require('../services/paymentGateways');
+const { processPayment, capturePayment } = require('../services/paymentService');
+
+const { FAKE_OUTCOMES } = fakeGateway;
+
+const mockPaymentSetting = (value) =>
+  jest.spyOn(Settings, 'findOne').mockReturnValue({ lean: async () => (value ? { value } : null) });
+
+const buildOrder = (fields = {}) => ({
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  status: 'pending',
+  paymentMethod: 'card',
+  paymentStatus: 'pending',
+  grandTotal: 1180,
+  paymentDetails: {},
+  statusHistory: [],
+  save: jest.fn(async () => undefined),
+  ...fields,
+});
+
+describe('Payment Gateways', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('should simulate success, decline, 3-D Secure and delayed outcomes deterministically', async () => {
+    const order = buildOrder();
+
+    expect(await fakeGateway.authorize(order, { paymentMethodId: FAKE_OUTCOMES.SUCCESS })).toMatchObject({
+      status: 'succeeded',
+      chargeId: `fake_ch_success_${order._id}`,
+    });
+    expect(await fakeGateway.authorize(order, { paymentMethodId: FAKE_OUTCOMES.DECLINE })).toMatchObject({ status: 'declined' });
+    expect(await fakeGateway.authorize(order, { paymentMethodId: FAKE_OUTCOMES.THREE_DS })).toMatchObject({ status: 'requires_action' });
+    expect(await fakeGateway.authorize(order, { paymentMethodId: FAKE_OUTCOMES.DELAYED })).toMatchObject({ status: 'pending' });
+
+    const threeDsCharge = `fake_ch_3ds_${order._id}`;
+    expect((await fakeGateway.capture(threeDsCharge)).status).toBe('succeeded');
+    expect((await fakeGateway.capture(threeDsCharge, { authenticationResult: 'failed' })).status).toBe('declined');
+  });
+
+  it('should verify and normalize signed fake webhooks', () => {
+    const delivery = fakeGateway.buildWebhook(PAYMENT_EVENTS.PAYMENT_SUCCEEDED, { orderId: 'order1', chargeId: 'fake_ch_delayed_order1', amount: 100 });
+
+    const event = fakeGateway.parseEvent(fakeGateway.verifyWebhook(delivery));
+    expect(event).toMatchObject({ type: PAYMENT_EVENTS.PAYMENT_SUCCEEDED, orderId: 'order1', chargeId: 'fake_ch_delayed_order1' });
+
+    expect(() => fakeGateway.verifyWebhook({ ...delivery, rawBody: delivery.rawBody.replace('100', '1') })).toThrow(/signature/);
+  });
+
+  it('should normalize Razorpay events and reject bad signatures', () => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = 'whsec_test';
+    const rawBody = JSON.stringify({
+      event: 'payment.captured',
+      payload: { payment: { entity: { id: 'pay_1', order_id: 'order_rzp1', amount: 118000, notes: {} } } },
+    });
+    const signature = crypto.createHmac('sha256', 'whsec_test').update(rawBody).digest('hex');
+
+    const event = razorpayGateway.parseEvent(
+      razorpayGateway.verifyWebhook({ rawBody, headers: { 'x-razorpay-signature': signature, 'x-razorpay-event-id': 'evt_1' } })
+    );
+    expect(event).toMatchObject({ id: 'evt_1', type: PAYMENT_EVENTS.PAYMENT_SUCCEEDED, chargeId: 'pay_1', gatewayOrderId: 'order_rzp1', amount: 1180 });
+
+    expect(() => razorpayGateway.verifyWebhook({ rawBody, headers: { 'x-razorpay-signature': 'bad' } })).toThrow();
+  });
+
+  it('should charge saved Stripe payment methods off-session on the customer', async () => {
+    stripe.customers.create.mockResolvedValue({ id: 'cus_1' });
+    stripe.paymentIntents.create.mockResolvedValue({ id: 'pi_1', status: 'requires_action', client_secret: 'secret' });
+
+    await expect(stripeGateway.savePaymentMethod({ paymentMethodId: 'pm_1', user: { _id: 'u1', email: 'asha@example.com' } }))
+      .resolves.toEqual({ customerId: 'cus_1' });
+    const result = await stripeGateway.authorize(buildOrder(), { paymentMethodId: 'pm_1', customerId: 'cus_1', offSession: true });
+
+    expect(stripe.paymentMethods.attach).toHaveBeenCalledWith('pm_1', { customer: 'cus_1' });
+    expect(stripe.paymentIntents.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_method: 'pm_1', customer: 'cus_1', off_session: true, confirm: true, amount: 118000 })
+    );
+    expect(stripe.paymentIntents.create.mock.calls[0][0]).not.toHaveProperty('return_url');
+    expect(result.status).toBe('requires_action');
+  });
+
+  it('should choose the gateway per payment method from Payment Settings', async () => {
+    mockPaymentSetting({ card: 'fake', upi: 'unknown' });
+
+    expect(await resolveGatewayName('card')).toBe('fake');
+    expect(await resolveGatewayName('upi')).toBe('razorpay');
+    expect(await resolveGatewayName('paypal')).toBe('paypal');
+    expect(Settings.findOne).toHaveBeenCalledWith(expect.objectContaining({ key: 'paymentGateways', category: 'Payment Settings' }));
+  });
+
+  it('should not allow the fake gateway in production', async () => {
+    const { NODE_ENV } = process.env;
+    process.env.NODE_ENV = 'production';
+    try {
+      mockPaymentSetting({ card: 'fake' });
+      expect(() => getGateway('fake')).toThrow(/Unsupported payment gateway/);
+      expect(await resolveGatewayName('card')).toBe('stripe');
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+    }
+  });
+
+  it('should record the charge and mark the order paid through the configured gateway', async () => {
+    mockPaymentSetting({ card: 'fake' });
+    jest.spyOn(Transaction, 'create').mockImplementation(async (fields) => fields);
+    const order = buildOrder();
+
+    const result = await processPayment(order, { paymentMethodId: FAKE_OUTCOMES.SUCCESS });
+
+    expect(result).toMatchObject({ status: 'succeeded', gateway: 'fake' });
+    expect(result.transaction).toMatchObject({ type: 'charge', gateway: 'fake', status: 'succeeded', amount: 1180 });
+    expect(order.paymentStatus).toBe('paid');
+    expect(order.status).toBe('processing');
+    expect(order.paymentDetails.transactionId).toBe(`fake_ch_success_${order._id}`);
+    expect(commitOrderStock).toHaveBeenCalledWith(order);
+  });
+
+  it('should flag a paid order instead of processing it when its stock is gone', async () => {
+    mockPaymentSetting({ card: 'fake' });
+    jest.spyOn(Transaction, 'create').mockImplementation(async (fields) => fields);
+    commitOrderStock.mockRejectedValueOnce(new Error('Insufficient stock for product Whey Protein, variant 1kg.'));
+    const order = buildOrder();
+
+    await processPayment(order, { paymentMethodId: FAKE_OUTCOMES.SUCCESS });
+
+    expect(order.paymentStatus).toBe('paid');
+    expect(order.status).toBe('pending');
+    expect(order.stockShortfall).toMatchObject({ detectedAt: expect.any(Date), reason: expect.stringMatching(/Whey Protein/) });
+    expect(order.save).toHaveBeenCalled();
+  });
+
+  it('should release the stock hold when a 3-D Secure challenge fails', async () => {
+    const charge = { gateway: 'fake', status: 'requires_action', transactionId: 'fake_ch_3ds_order1', save: jest.fn(async () => undefined) };
+    jest.spyOn(Transaction, 'findOne').mockReturnValue({ sort: async () => charge });
+    const order = buildOrder({ _id: 'order1' });
+
+    const result = await capturePayment(order, { authenticationResult: 'failed' });
+
+    expect(result.status).toBe('declined');
+    expect(charge.status).toBe('failed');
+    expect(order.paymentStatus).toBe('failed');
+    expect(releaseReservation).toHaveBeenCalledWith('order1', 'payment_failed');
+    expect(reverseRedemptions).toHaveBeenCalledWith('order1');
+  });
+});
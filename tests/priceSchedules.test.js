@@ -0,0 +1,165 @@
+// tests/priceSchedules.test.js
+jest.mock('../services/emailService', () => jest.fn(async () => undefined));
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const PriceSchedule = require('../models/PriceSchedule');
+const Category = require('../models/Category');
+const { resolveEffectivePrice } = require('../utils/effectivePrice');
+const { priceOrderItems } = require('../services/orderService');
+const { syncPriceSchedule, getSaleCountdowns } = require('../services/priceScheduleService');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2026-11-27T10:00:00Z');
+const at = (hours) => new Date(now.getTime() + hours * HOUR);
+
+const buildProduct = (fields = {}) =>
+  new Product({
+    title: 'Whey Protein',
+    slug: 'whey-protein',
+    description: 'Protein',
+    category: new mongoose.Types.ObjectId(),
+    brand: '10X',
+    discountPercentage: 10,
+    productBG: 'https://cdn.example.com/bg.png',
+    thumbnail: 'https://cdn.example.com/whey.png',
+    accordion: { details: 'Details', shipping: 'Shipping', returns: 'Returns' },
+    variants: [{ size: '1kg', packaging: 'Canister', price: 1000, stock: 5 }],
+    isActive: true,
+    ...fields,
+  });
+
+const buildOverride = (fields = {}) => ({
+  schedule: new mongoose.Types.ObjectId(),
+  kind: 'sale',
+  discountType: 'percentage',
+  value: 25,
+  priority: 0,
+  startDate: at(-1),
+  endDate: at(1),
+  ...fields,
+});
+
+const buildSchedule = (fields = {}) =>
+  new PriceSchedule({
+    name: 'Black Friday',
+    kind: 'sale',
+    discountType: 'percentage',
+    value: 30,
+    startDate: at(0.5 / 60),
+    endDate: at(24),
+    targets: { categories: [new mongoose.Types.ObjectId()] },
+    ...fields,
+  });
+
+describe('Scheduled prices and sales', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should resolve the running override with the highest priority, else the standing discount', () => {
+    const product = buildProduct({
+      priceOverrides: [
+        buildOverride(),
+        buildOverride({ kind: 'price_change', discountType: 'fixed_price', value: 850, priority: 5 }),
+        buildOverride({ value: 50, priority: 9, startDate: at(-3), endDate: at(-2) }),
+      ],
+    });
+    const [variant] = product.variants;
+
+    expect(resolveEffectivePrice(product, variant, now)).toBe(850);
+    expect(resolveEffectivePrice(product, variant, at(-2.5))).toBe(500);
+    expect(resolveEffectivePrice(product, variant, at(2))).toBe(900);
+    expect(resolveEffectivePrice({ priceOverrides: [buildOverride({ value: 12.5 })] }, { price: 999 }, now)).toBe(874.13);
+  });
+
+  it('should never let a fixed price raise a SKU above its own price', () => {
+    const product = { priceOverrides: [buildOverride({ kind: 'price_change', discountType: 'fixed_price', value: 1100 })] };
+
+    expect(resolveEffectivePrice(product, { price: 1000 }, now)).toBe(1000);
+    expect(resolveEffectivePrice(product, { price: 1200 }, now)).toBe(1100);
+  });
+
+  it('should use the effective price for discountedPrices and order lines', async () => {
+    const product = buildProduct({ priceOverrides: [buildOverride({ startDate: at(-1000), endDate: at(1000) })] });
+    jest.spyOn(Product, 'findById').mockResolvedValue(product);
+
+    const { orderItems, totalAmount } = await priceOrderItems([
+      { product: product._id, sku: String(product.variants[0]._id), quantity: 2 },
+    ]);
+
+    expect(product.discountedPrices).toEqual([{ size: '1kg', discountedPrice: 750 }]);
+    expect(orderItems[0].price).toBe(750);
+    expect(totalAmount).toBe(1500);
+  });
+
+  it('should apply a schedule about to start to its targets and revert it once it ends', async () => {
+    const schedule = buildSchedule();
+    const [categoryId] = schedule.targets.categories;
+    const childId = new mongoose.Types.ObjectId();
+    jest.spyOn(Category, 'getDescendantIds').mockResolvedValue([categoryId, childId]);
+    const updateMany = jest.spyOn(Product, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+    jest.spyOn(Product, 'countDocuments').mockResolvedValue(3);
+    jest.spyOn(schedule, 'save').mockResolvedValue(schedule);
+
+    await syncPriceSchedule(schedule, now);
+
+    expect(schedule).toMatchObject({ status: 'applied', productCount: 3, appliedAt: now });
+    const [, , [addFilter, addUpdate]] = updateMany.mock.calls;
+    expect(addFilter.$and[0].$or).toContainEqual({ category: { $in: [categoryId, childId] } });
+    expect(addUpdate.$push.priceOverrides).toMatchObject({ schedule: schedule._id, discountType: 'percentage', value: 30 });
+
+    updateMany.mockClear();
+    await syncPriceSchedule(schedule, at(24));
+
+    expect(schedule).toMatchObject({ status: 'ended', revertedAt: at(24) });
+    expect(updateMany).toHaveBeenCalledWith(
+      { 'priceOverrides.schedule': schedule._id },
+      { $pull: { priceOverrides: { schedule: schedule._id } } }
+    );
+  });
+
+  it('should leave future schedules alone and remove cancelled ones', async () => {
+    const upcoming = buildSchedule({ startDate: at(2) });
+    const cancelled = buildSchedule({ status: 'applied', isActive: false });
+    const updateMany = jest.spyOn(Product, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(upcoming, 'save').mockResolvedValue(upcoming);
+    jest.spyOn(cancelled, 'save').mockResolvedValue(cancelled);
+
+    await syncPriceSchedule(upcoming, now);
+    expect(upcoming.status).toBe('scheduled');
+    expect(updateMany).not.toHaveBeenCalled();
+
+    await syncPriceSchedule(cancelled, now);
+    expect(cancelled.status).toBe('cancelled');
+    expect(updateMany).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject schedules without targets or ending before they start', async () => {
+    await expect(buildSchedule({ targets: {} }).validate()).rejects.toMatchObject({ statusCode: 400 });
+    await expect(buildSchedule({ endDate: at(-1) }).validate()).rejects.toThrow(/before the end date/);
+  });
+
+  it('should count down to the end of running sales and the start of upcoming ones', async () => {
+    const product = buildProduct({ tags: [new mongoose.Types.ObjectId()] });
+    const running = buildSchedule({ startDate: at(-1), endDate: at(2) }).toObject();
+    const upcoming = buildSchedule({ name: 'Cyber Monday', discountType: 'fixed_price', value: 799, startDate: at(72) }).toObject();
+    jest.spyOn(Product, 'findOne').mockResolvedValue(product);
+    jest.spyOn(Category, 'getPath').mockResolvedValue([{ _id: product.category, name: 'Protein', slug: 'protein' }]);
+    const find = jest.spyOn(PriceSchedule, 'find').mockReturnValue({
+      sort: () => ({ lean: () => Promise.resolve([running, upcoming]) }),
+    });
+
+    const { serverTime, sales } = await getSaleCountdowns({ product: 'whey-protein', now });
+
+    expect(find.mock.calls[0][0]).toMatchObject({ kind: 'sale', isActive: true, endDate: { $gt: now } });
+    expect(find.mock.calls[0][0].$or).toContainEqual({ 'targets.categories': { $in: [product.category] } });
+    expect(serverTime).toBe(now);
+    expect(sales.map(({ status, secondsRemaining }) => [status, secondsRemaining])).toEqual([
+      ['running', 2 * 3600],
+      ['upcoming', 72 * 3600],
+    ]);
+    expect(sales[0].prices[0]).toMatchObject({ size: '1kg', price: 1000, salePrice: 700 });
+    expect(sales[1].prices[0].salePrice).toBe(799);
+  });
+});
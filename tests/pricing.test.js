@@ -0,0 +1,103 @@
+// tests/pricing.test.js
+const { calculateQuote, selectShippingTable, calculateShipping } = require('../services/pricingService');
+
+const localization = {
+  region: 'US',
+  taxRate: 5,
+  stateTaxRates: [{ state: 'CA', taxRate: 7.25 }],
+};
+
+const shippingTables = [
+  { name: 'California', regions: ['US-CA'], type: 'flat', rate: 4 },
+  {
+    name: 'US Ground',
+    regions: ['US'],
+    type: 'weight',
+    brackets: [
+      { upTo: 500, rate: 5 },
+      { upTo: 2000, rate: 9 },
+    ],
+    perUnitAbove: 2,
+    freeAbove: 200,
+  },
+  { name: 'International', regions: [], type: 'quantity', brackets: [{ upTo: 3, rate: 25 }], rate: 40 },
+];
+
+const lines = [
+  { quantity: 2, price: 30, weight: 400 },
+  { quantity: 1, price: 20, weight: 250 },
+];
+
+describe('Pricing Service', () => {
+  it('should use the state tax rate over the region rate', () => {
+    const quote = calculateQuote({
+      lines,
+      address: { country: 'us', state: 'ca' },
+      localization,
+      shippingTables,
+    });
+
+    expect(quote.subtotal).toBe(80);
+    expect(quote.taxRate).toBe(7.25);
+    expect(quote.tax.source).toBe('state');
+    expect(quote.taxAmount).toBe(5.8);
+    expect(quote.shipping.table).toBe('California');
+    expect(quote.grandTotal).toBe(89.8);
+  });
+
+  it('should tax the discounted subtotal and price shipping by weight bracket', () => {
+    const quote = calculateQuote({
+      lines,
+      discount: 10,
+      address: { country: 'US', state: 'NY' },
+      localization,
+      shippingTables,
+    });
+
+    expect(quote.taxableAmount).toBe(70);
+    expect(quote.taxAmount).toBe(3.5);
+    expect(quote.shippingAmount).toBe(9);
+    expect(quote.grandTotal).toBe(82.5);
+  });
+
+  it('should charge per extra kilogram beyond the last bracket', () => {
+    const shipping = calculateShipping(shippingTables[1], { subtotal: 50, weight: 3500, quantity: 4 });
+
+    expect(shipping.amount).toBe(13);
+  });
+
+  it('should ship free above the threshold', () => {
+    const quote = calculateQuote({
+      lines: [{ quantity: 5, price: 50, weight: 400 }],
+      address: { country: 'US', state: 'NY' },
+      localization,
+      shippingTables,
+    });
+
+    expect(quote.shipping.freeShipping).toBe(true);
+    expect(quote.shippingAmount).toBe(0);
+  });
+
+  it('should fall back to the catch-all table and the default tax rate', () => {
+    const quote = calculateQuote({
+      lines,
+      address: { country: 'FR', state: 'IDF' },
+      localization: null,
+      shippingTables,
+      defaultTaxRate: 20,
+    });
+
+    expect(quote.tax.source).toBe('default');
+    expect(quote.taxAmount).toBe(16);
+    expect(quote.shipping.table).toBe('International');
+    expect(quote.shippingAmount).toBe(25);
+  });
+
+  it('should charge nothing for shipping when no table matches', () => {
+    expect(selectShippingTable([shippingTables[0]], { country: 'IN', state: 'MH' })).toBeNull();
+
+    const quote = calculateQuote({ lines, address: { country: 'IN', state: 'MH' } });
+    expect(quote.shippingAmount).toBe(0);
+    expect(quote.grandTotal).toBe(80);
+  });
+});
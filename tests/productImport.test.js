@@ -0,0 +1,223 @@
+// tests/productImport.test.js
+jest.mock('../jobs/productImportJob', () => ({ add: jest.fn(async () => ({ id: '1' })) }));
+jest.mock('../jobs/emailJob', () => ({ add: jest.fn(async () => undefined) }));
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductImport = require('../models/ProductImport');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const Wishlist = require('../models/Wishlist');
+const productImportQueue = require('../jobs/productImportJob');
+const {
+  SYNC_IMPORT_MAX_ROWS,
+  readProductFile,
+  importProductRows,
+  createProductImport,
+  exportProducts,
+} = require('../services/productImportService');
+
+const category = { _id: new mongoose.Types.ObjectId(), name: 'Protein', slug: 'protein' };
+const tag = { _id: new mongoose.Types.ObjectId(), name: 'whey' };
+
+const productFields = {
+  title: 'Whey Protein',
+  slug: 'whey-protein',
+  description: 'Protein',
+  brand: '10X',
+  discountPercentage: 10,
+  productBG: 'https://cdn.example.com/bg.png',
+  thumbnail: 'https://cdn.example.com/whey.png',
+  accordion: { details: 'Details', shipping: 'Shipping', returns: 'Returns' },
+};
+
+const productRow = {
+  slug: 'whey-protein',
+  title: 'Whey Protein',
+  description: 'Protein',
+  brand: '10X',
+  category: 'protein',
+  tags: 'whey',
+  discountPercentage: '10',
+  thumbnail: 'https://cdn.example.com/whey.png',
+  productBG: 'https://cdn.example.com/bg.png',
+  details: 'Details',
+  shipping: 'Shipping',
+  returns: 'Returns',
+};
+
+const toCsv = (lines) => Buffer.from(lines.map((line) => line.join(',')).join('\n'));
+
+// Lookups made for every import: categories, tags, products holding the SKU codes of
+// rows without a slug and, to check for duplicates, other products holding the same codes
+const mockReferences = (productsByCode = []) => {
+  jest.spyOn(Category, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([category]) }) });
+  jest.spyOn(Tag, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([tag]) }) });
+  jest.spyOn(Category, 'exists').mockResolvedValue({ _id: category._id });
+  jest.spyOn(Tag, 'exists').mockResolvedValue({ _id: tag._id });
+  jest.spyOn(Product, 'find').mockImplementation((query) => ({
+    select: () => ({ lean: () => Promise.resolve(query._id ? [] : productsByCode) }),
+  }));
+};
+
+describe('Product import and export', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should read CSV cells as text and match headers ignoring case and spacing', async () => {
+    const rows = await readProductFile(
+      toCsv([
+        ['Slug', 'SKU', 'Barcode', 'Compare At Price', 'notes'],
+        ['whey-protein', 'whey-1kg', '036000291452', '1600', 'ignored'],
+        ['', '', '', '', ''],
+        ['whey-protein', 'whey-2kg', '', '', ''],
+      ]),
+      'csv'
+    );
+
+    expect(rows).toEqual([
+      { row: 2, values: { slug: 'whey-protein', sku: 'whey-1kg', barcode: '036000291452', compareAtPrice: '1600' } },
+      { row: 4, values: { slug: 'whey-protein', sku: 'whey-2kg' } },
+    ]);
+    await expect(readProductFile(toCsv([['name', 'price']]), 'csv')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should report row errors in a dry run without saving anything', async () => {
+    mockReferences();
+    jest.spyOn(Product, 'findOne').mockResolvedValue(null);
+    const save = jest.spyOn(Product.prototype, 'save');
+
+    const { summary, rowErrors } = await importProductRows(
+      [
+        { row: 2, values: { ...productRow, size: '1kg', packaging: 'Canister', price: '1500', stock: '4' } },
+        { row: 3, values: { ...productRow, size: '2kg', packaging: 'Canister', price: 'abc', stock: '2' } },
+        { row: 4, values: { ...productRow, slug: 'casein', category: 'snacks', size: '1kg', packaging: 'Tin', price: '900' } },
+      ],
+      { dryRun: true }
+    );
+
+    expect(summary).toEqual({ rows: 3, products: 2, created: 0, updated: 0, failed: 2 });
+    expect(rowErrors).toEqual([
+      { row: 3, field: 'price', message: 'price must be a number' },
+      { row: 4, field: 'category', message: "Unknown product category 'snacks'" },
+      { row: 4, field: 'packaging', message: expect.stringMatching(/not a valid enum value/) },
+    ]);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('should update SKUs matched by code, add new ones and keep blank cells and unlisted SKUs', async () => {
+    const product = new Product({
+      ...productFields,
+      category: category._id,
+      variants: [
+        { sku: 'WHEY-1KG', size: '1kg', packaging: 'Canister', price: 1500, stock: 4, barcode: '4006381333931' },
+        { sku: 'WHEY-5KG', size: '5kg', packaging: 'Canister', price: 6000, stock: 1 },
+      ],
+    });
+    const [oneKg] = product.variants;
+    mockReferences([product.toObject()]);
+    jest.spyOn(Product, 'findOne').mockResolvedValue(product);
+    const save = jest.spyOn(product, 'save').mockResolvedValue(product);
+    const findWishlists = jest.spyOn(Wishlist, 'find').mockReturnValue({ populate: async () => [] });
+
+    const { summary, rowErrors } = await importProductRows([
+      { row: 2, values: { sku: 'whey-1kg', price: '1450' } },
+      { row: 3, values: { slug: 'whey-protein', sku: 'WHEY-2KG', size: '2kg', packaging: 'Box', price: '2800', stock: '3' } },
+    ]);
+
+    expect(rowErrors).toEqual([]);
+    expect(summary).toMatchObject({ products: 1, created: 0, updated: 1, failed: 0 });
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(product.variants.map((sku) => [sku.sku, sku.price])).toEqual([
+      ['WHEY-1KG', 1450],
+      ['WHEY-5KG', 6000],
+      ['WHEY-2KG', 2800],
+    ]);
+    expect(product.variants[0]._id).toEqual(oneKg._id);
+    expect(product.variants[0].barcode).toBe('4006381333931');
+    expect(product.title).toBe('Whey Protein');
+    // The price cut is checked against wishlists
+    expect(findWishlists).toHaveBeenCalled();
+  });
+
+  it('should reject SKU codes another product in the file already uses', async () => {
+    mockReferences();
+    jest.spyOn(Product, 'findOne').mockResolvedValue(null);
+
+    const { summary, rowErrors } = await importProductRows(
+      [
+        { row: 2, values: { ...productRow, sku: 'WHEY-1KG', size: '1kg', packaging: 'Canister', price: '1500' } },
+        {
+          row: 3,
+          values: { ...productRow, slug: 'whey-isolate', title: 'Whey Isolate', sku: 'whey-1kg', size: '1kg', packaging: 'Box', price: '1900' },
+        },
+      ],
+      { dryRun: true }
+    );
+
+    expect(summary).toMatchObject({ created: 1, failed: 1 });
+    expect(rowErrors).toEqual([{ row: 3, field: 'sku', message: 'SKU WHEY-1KG is used by another product' }]);
+  });
+
+  it('should queue files over the inline limit for the import job', async () => {
+    const create = jest.spyOn(ProductImport, 'create').mockImplementation(async (fields) => new ProductImport(fields));
+    const lines = [['slug', 'sku', 'price']];
+    for (let i = 0; i <= SYNC_IMPORT_MAX_ROWS; i += 1) lines.push(['whey-protein', `WHEY-${i}`, '100']);
+
+    const { productImport, queued } = await createProductImport({
+      file: { originalname: 'catalog.csv', buffer: toCsv(lines) },
+      dryRun: true,
+    });
+
+    expect(queued).toBe(true);
+    expect(create.mock.calls[0][0]).toMatchObject({ format: 'csv', dryRun: true, summary: { rows: SYNC_IMPORT_MAX_ROWS + 1 } });
+    expect(productImportQueue.add).toHaveBeenCalledWith(
+      'product-import',
+      { importId: String(productImport._id) },
+      { removeOnComplete: true }
+    );
+    await expect(createProductImport({ file: { originalname: 'catalog.pdf', buffer: Buffer.from('') } })).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it('should export one row per SKU that reads back to the same values', async () => {
+    const product = {
+      ...productFields,
+      _id: new mongoose.Types.ObjectId(),
+      isActive: true,
+      hsnCode: '0404',
+      category: { _id: category._id, slug: 'protein' },
+      tags: [{ _id: tag._id, name: 'whey' }],
+      images: ['https://cdn.example.com/a.png', 'https://cdn.example.com/b.png'],
+      variants: [
+        { sku: 'WHEY-1KG', size: '1kg', packaging: 'Canister', price: 1500, stock: 4, barcode: '036000291452' },
+        { sku: 'WHEY-2KG', size: '2kg', packaging: 'Box', price: 2800, stock: 0, dimensions: { length: 20 } },
+      ],
+    };
+    const chain = { sort: () => chain, populate: () => chain, lean: () => chain, cursor: () => [product] };
+    jest.spyOn(Product, 'find').mockReturnValue(chain);
+
+    for (const format of ['csv', 'xlsx']) {
+      const { buffer, fileName } = await exportProducts({ format });
+      const rows = await readProductFile(buffer, format);
+
+      expect(fileName).toMatch(new RegExp(`\\.${format}$`));
+      expect(rows.map((row) => row.row)).toEqual([2, 3]);
+      expect(rows[0].values).toMatchObject({
+        slug: 'whey-protein',
+        category: 'protein',
+        tags: 'whey',
+        hsnCode: '0404',
+        isActive: 'true',
+        images: 'https://cdn.example.com/a.png|https://cdn.example.com/b.png',
+        details: 'Details',
+        sku: 'WHEY-1KG',
+        barcode: '036000291452',
+        price: '1500',
+      });
+      expect(rows[1].values).toMatchObject({ sku: 'WHEY-2KG', packaging: 'Box', stock: '0', length: '20' });
+    }
+  });
+});
@@ -0,0 +1,151 @@
+// tests/promotions.test.js
+const { applyPromotions } = require('../services/promotionService');
+const { evaluateCouponRules } = require('../services/couponService');
+
+const now = new Date('2026-03-01T00:00:00Z');
+
+const buildPromotion = (overrides = {}) => ({
+  _id: 'promo',
+  name: 'Promotion',
+  isActive: true,
+  startDate: null,
+  endDate: null,
+  exclusive: false,
+  combinableWithCoupons: true,
+  maxApplicationsPerOrder: null,
+  targets: {},
+  ...overrides,
+});
+
+const lines = [
+  { product: 'p1', variant: '1kg', packaging: 'Box', quantity: 2, price: 50 },
+  { product: 'p2', variant: '100g', packaging: 'Pouch', quantity: 1, price: 20 },
+];
+
+describe('Promotion Engine', () => {
+  it('should make the cheapest matching units free for buy X get Y', () => {
+    const bogo = buildPromotion({ type: 'bogo', buyQuantity: 2, getQuantity: 1 });
+    const result = applyPromotions(lines, [bogo], { now });
+
+    expect(result.totalDiscount).toBe(20);
+    expect(result.lines.map((line) => line.promotionDiscount)).toEqual([0, 20]);
+    expect(result.appliedPromotions[0].summary).toMatch(/Buy 2 get 1 free/);
+  });
+
+  it('should only count units matching the promotion targets', () => {
+    const bogo = buildPromotion({
+      type: 'bogo',
+      buyQuantity: 1,
+      getQuantity: 1,
+      getDiscountPercent: 50,
+      targets: { variants: ['1KG'] },
+    });
+    const result = applyPromotions(lines, [bogo], { now });
+
+    expect(result.totalDiscount).toBe(25);
+    expect(result.lines[1].promotionDiscount).toBe(0);
+  });
+
+  it('should apply the highest tier reached', () => {
+    const tiered = buildPromotion({
+      type: 'tiered',
+      tiers: [
+        { minSubtotal: 50, discountType: 'percentage', value: 5 },
+        { minSubtotal: 100, discountType: 'percentage', value: 10 },
+        { minSubtotal: 500, discountType: 'percentage', value: 20 },
+      ],
+    });
+    const result = applyPromotions(lines, [tiered], { now });
+
+    expect(result.totalDiscount).toBe(12);
+    expect(result.lines.map((line) => line.promotionDiscount)).toEqual([10, 2]);
+  });
+
+  it('should charge the bundle price for each complete set', () => {
+    const bundle = buildPromotion({
+      type: 'bundle',
+      bundleItems: [
+        { product: 'p1', variant: '1kg', quantity: 1 },
+        { product: 'p2', variant: null, quantity: 1 },
+      ],
+      bundlePrice: 60,
+    });
+    const result = applyPromotions(lines, [bundle], { now });
+
+    expect(result.totalDiscount).toBe(10);
+    expect(result.appliedPromotions[0].summary).toBe('1 bundle(s) at 60.00 each');
+  });
+
+  it('should stop after an exclusive promotion and skip promotions that are not running', () => {
+    const expired = buildPromotion({
+      _id: 'expired',
+      type: 'tiered',
+      endDate: new Date('2026-02-01T00:00:00Z'),
+      tiers: [{ minSubtotal: 0, discountType: 'fixed', value: 5 }],
+    });
+    const exclusive = buildPromotion({
+      _id: 'exclusive',
+      type: 'tiered',
+      exclusive: true,
+      tiers: [{ minSubtotal: 0, discountType: 'fixed', value: 30 }],
+    });
+    const later = buildPromotion({ _id: 'later', type: 'bogo', buyQuantity: 1, getQuantity: 1 });
+
+    const result = applyPromotions(lines, [expired, exclusive, later], { now });
+
+    expect(result.appliedPromotions.map((applied) => applied.promotion)).toEqual(['exclusive']);
+    expect(result.totalDiscount).toBe(30);
+  });
+
+  it('should never discount a line below zero when promotions stack', () => {
+    const first = buildPromotion({ _id: 'a', type: 'bogo', buyQuantity: 1, getQuantity: 1 });
+    const second = buildPromotion({
+      _id: 'b',
+      type: 'tiered',
+      tiers: [{ minSubtotal: 0, discountType: 'fixed', value: 1000 }],
+    });
+    const result = applyPromotions(lines, [first, second], { now });
+
+    expect(result.totalDiscount).toBe(120);
+    result.lines.forEach((line) => expect(line.promotionDiscount).toBeLessThanOrEqual(line.lineTotal));
+  });
+
+  it('should block coupons when an applied promotion is not combinable', () => {
+    const promotion = buildPromotion({
+      name: 'Flash BOGO',
+      type: 'bogo',
+      buyQuantity: 2,
+      getQuantity: 1,
+      combinableWithCoupons: false,
+    });
+    const result = applyPromotions(lines, [promotion], { now });
+
+    expect(result.couponsAllowed).toBe(false);
+    expect(result.couponBlockedBy).toBe('Flash BOGO');
+  });
+
+  it('should let coupons discount only what promotions leave', () => {
+    const tiered = buildPromotion({
+      type: 'tiered',
+      tiers: [{ minSubtotal: 0, discountType: 'percentage', value: 50 }],
+    });
+    const promoted = applyPromotions(lines, [tiered], { now });
+    const coupon = evaluateCouponRules(
+      {
+        code: 'SAVE10',
+        discount: 10,
+        discountType: 'percentage',
+        isActive: true,
+        expirationDate: new Date('2026-12-31T00:00:00Z'),
+        maxUses: null,
+        usedCount: 0,
+        applicableProducts: [],
+        applicableCategories: [],
+      },
+      { lines: promoted.lines, now }
+    );
+
+    expect(coupon.subtotal).toBe(60);
+    expect(coupon.discount).toBe(6);
+  });
+});
@@ -0,0 +1,119 @@
+// tests/reconciliation.test.js
+const { parseSettlementRows, findReconciliationIssues } = require('../services/reconciliationService');
+
+const now = new Date('2026-10-15T12:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+const buildOrder = (id, fields = {}) => ({
+  _id: id,
+  orderNumber: `10X/FY27/${id}`,
+  paymentMethod: 'card',
+  paymentStatus: 'paid',
+  status: 'processing',
+  grandTotal: 1000,
+  createdAt: daysAgo(10),
+  ...fields,
+});
+
+const buildCharge = (id, order, fields = {}) => ({
+  _id: id,
+  order,
+  type: 'charge',
+  gateway: 'stripe',
+  status: 'succeeded',
+  amount: 1000,
+  transactionId: `pi_${order}`,
+  createdAt: daysAgo(10),
+  ...fields,
+});
+
+const typesOf = (issues) => issues.map((issue) => issue.type).sort();
+
+describe('Payment Reconciliation', () => {
+  it('should read settlement exports through column aliases', () => {
+    const entries = parseSettlementRows(
+      [
+        ['PaymentIntent ID', 'Type', 'Amount', 'Fee', 'Created (UTC)'],
+        ['pi_1', 'charge', '1,180.00', 35.4, '2026-10-01 10:00'],
+        ['re_1', 'refund', -50, 0, '2026-10-02'],
+        ['', 'payout', 0, 0, '2026-10-03'],
+      ],
+      'stripe'
+    );
+
+    expect(entries).toEqual([
+      expect.objectContaining({ provider: 'stripe', reference: 'pi_1', type: 'payment', amount: 1180, fee: 35.4 }),
+      expect.objectContaining({ reference: 're_1', type: 'refund', amount: 50 }),
+    ]);
+  });
+
+  it('should refuse settlement files without a reference or amount column', () => {
+    expect(() => parseSettlementRows([['Date', 'Description']], 'paypal')).toThrow(/reference and an amount/);
+  });
+
+  it('should flag paid orders without a settled charge and charges that do not match the total', () => {
+    const issues = findReconciliationIssues({
+      orders: [
+        buildOrder('o1'),
+        buildOrder('o2'),
+        buildOrder('o3', { paymentMethod: 'cod' }),
+      ],
+      transactions: [buildCharge('t2', 'o2', { amount: 900 })],
+      settlements: [],
+      now,
+    });
+
+    expect(typesOf(issues)).toEqual(['amount_mismatch', 'missing_capture']);
+    expect(issues.find((issue) => issue.type === 'missing_capture')).toMatchObject({ order: 'o1', expectedAmount: 1000, actualAmount: 0 });
+    expect(issues.find((issue) => issue.type === 'amount_mismatch')).toMatchObject({ order: 'o2', expectedAmount: 1000, actualAmount: 900 });
+  });
+
+  it('should flag orphan ledger entries and settlement lines', () => {
+    const issues = findReconciliationIssues({
+      orders: [buildOrder('o1')],
+      transactions: [buildCharge('t1', 'o1'), buildCharge('t9', 'missing-order')],
+      settlements: [
+        { _id: 's1', provider: 'stripe', reference: 'pi_o1', type: 'payment', amount: 1000 },
+        { _id: 's2', provider: 'stripe', reference: 'pi_unknown', type: 'payment', amount: 250 },
+      ],
+      now,
+    });
+
+    expect(typesOf(issues)).toEqual(['orphan_transaction', 'orphan_transaction']);
+    expect(issues.map((issue) => issue.transaction || issue.settlement).sort()).toEqual(['s2', 't9']);
+  });
+
+  it('should flag settlement amounts that differ from the ledger and charges missing from the report', () => {
+    const issues = findReconciliationIssues({
+      orders: [buildOrder('o1'), buildOrder('o2'), buildOrder('o3', { createdAt: daysAgo(1) })],
+      transactions: [
+        buildCharge('t1', 'o1'),
+        buildCharge('t2', 'o2'),
+        buildCharge('t3', 'o3', { createdAt: daysAgo(1) }),
+      ],
+      settlements: [{ _id: 's1', provider: 'stripe', reference: 'pi_o1', type: 'payment', amount: 990 }],
+      now,
+    });
+
+    expect(typesOf(issues)).toEqual(['amount_mismatch', 'missing_settlement']);
+    expect(issues.find((issue) => issue.type === 'amount_mismatch')).toMatchObject({ settlement: 's1', expectedAmount: 1000, actualAmount: 990 });
+    // The one-day-old charge is still within the settlement lag
+    expect(issues.find((issue) => issue.type === 'missing_settlement')).toMatchObject({ transaction: 't2' });
+  });
+
+  it('should flag online payments pending past the grace period', () => {
+    const issues = findReconciliationIssues({
+      orders: [
+        buildOrder('o1', { paymentStatus: 'pending', createdAt: daysAgo(2) }),
+        buildOrder('o2', { paymentStatus: 'pending', createdAt: daysAgo(0.5) }),
+        buildOrder('o3', { paymentStatus: 'pending', status: 'cancelled', createdAt: daysAgo(2) }),
+        buildOrder('o4', { paymentStatus: 'pending', paymentMethod: 'cod', createdAt: daysAgo(2) }),
+      ],
+      transactions: [],
+      settlements: [],
+      now,
+    });
+
+    expect(issues).toEqual([expect.objectContaining({ type: 'stale_pending', order: 'o1' })]);
+  });
+});
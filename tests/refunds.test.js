@@ -0,0 +1,114 @@
+// tests/refunds.test.js
+const mockGatewayRefund = jest.fn();
+jest.mock('../services/paymentGateways', () => ({
+  getGateway: jest.fn(() => ({ refund: mockGatewayRefund })),
+  getGatewayNameForMethod: jest.fn((method) => (method === 'cod' ? 'manual' : 'stripe')),
+}));
+
+const Transaction = require('../models/Transaction');
+const { getGateway } = require('../services/paymentGateways');
+const {
+  computeRefundBalance,
+  getPaymentStatusForBalance,
+  refundOrderPayment,
+} = require('../services/refundService');
+
+const charge = { _id: 'charge1', type: 'charge', status: 'succeeded', amount: 1000, gateway: 'stripe', transactionId: 'pi_123' };
+
+// Keep an in-memory ledger behind Transaction.find/create/updateOne
+const mockLedger = (entries) => {
+  const ledger = [...entries];
+  jest.spyOn(Transaction, 'find').mockImplementation(() => ({ sort: () => Promise.resolve(ledger) }));
+  jest.spyOn(Transaction, 'create').mockImplementation(async (fields) => {
+    const entry = { _id: `refund${ledger.length}`, ...fields, save: jest.fn(async () => entry) };
+    ledger.push(entry);
+    return entry;
+  });
+  jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  return ledger;
+};
+
+const buildOrder = (fields = {}) => ({
+  _id: 'order1',
+  paymentMethod: 'card',
+  paymentStatus: 'paid',
+  grandTotal: 1000,
+  paymentDetails: {},
+  save: jest.fn(async () => undefined),
+  ...fields,
+});
+
+describe('Refund Ledger', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    mockGatewayRefund.mockReset();
+  });
+
+  it('should derive the refundable balance from settled and pending refunds', () => {
+    const balance = computeRefundBalance([
+      charge,
+      { type: 'refund', status: 'succeeded', amount: 300 },
+      { type: 'refund', status: 'pending', amount: 200 },
+      { type: 'refund', status: 'failed', amount: 500 },
+    ]);
+
+    expect(balance).toEqual({ charged: 1000, refunded: 300, pendingRefunds: 200, refundable: 500 });
+  });
+
+  it('should use the collected amount for orders paid without a charge entry', () => {
+    expect(computeRefundBalance([], { collectedAmount: 750 }).refundable).toBe(750);
+    expect(computeRefundBalance([charge], { collectedAmount: 750 }).charged).toBe(1000);
+  });
+
+  it('should mark partial and full refunds on the payment status', () => {
+    expect(getPaymentStatusForBalance({ charged: 1000, refunded: 300, pendingRefunds: 0 }, 'paid')).toBe('partially_refunded');
+    expect(getPaymentStatusForBalance({ charged: 1000, refunded: 1000, pendingRefunds: 0 }, 'partially_refunded')).toBe('refunded');
+    expect(getPaymentStatusForBalance({ charged: 1000, refunded: 0, pendingRefunds: 0 }, 'paid')).toBe('paid');
+  });
+
+  it('should record a refund linked to the charge and send it to the gateway', async () => {
+    const ledger = mockLedger([charge]);
+    mockGatewayRefund.mockResolvedValue({ gatewayRefundId: 're_1', status: 'succeeded' });
+    const order = buildOrder();
+
+    const { refund, balance } = await refundOrderPayment(order, { amount: 400, reason: 'Damaged', actor: { _id: 'admin1' } });
+
+    expect(getGateway).toHaveBeenCalledWith('stripe');
+    expect(mockGatewayRefund).toHaveBeenCalledWith(expect.objectContaining({ chargeId: 'pi_123', amount: 400 }));
+    expect(refund).toMatchObject({ type: 'refund', parentTransaction: 'charge1', status: 'succeeded', gatewayRefundId: 're_1' });
+    expect(Transaction.updateOne).toHaveBeenCalledWith({ _id: 'charge1' }, { $inc: { refundedAmount: 400 } });
+    expect(balance.refundable).toBe(600);
+    expect(order.paymentStatus).toBe('partially_refunded');
+    expect(ledger).toHaveLength(2);
+  });
+
+  it('should refuse refunds above the refundable balance', async () => {
+    mockLedger([charge, { type: 'refund', status: 'succeeded', amount: 800 }]);
+
+    await expect(refundOrderPayment(buildOrder(), { amount: 300 })).rejects.toMatchObject({
+      statusCode: 400,
+      details: { refundable: 200 },
+    });
+    expect(mockGatewayRefund).not.toHaveBeenCalled();
+  });
+
+  it('should keep a failed gateway refund in the ledger without reducing the balance', async () => {
+    const ledger = mockLedger([charge]);
+    mockGatewayRefund.mockRejectedValue(new Error('charge_already_refunded'));
+
+    await expect(refundOrderPayment(buildOrder(), { amount: 100 })).rejects.toMatchObject({ statusCode: 502 });
+    expect(ledger[1]).toMatchObject({ status: 'failed', failureReason: 'charge_already_refunded' });
+    expect(computeRefundBalance(ledger).refundable).toBe(1000);
+  });
+
+  it('should refund cash on delivery orders manually from the collected amount', async () => {
+    mockLedger([]);
+    mockGatewayRefund.mockResolvedValue({ gatewayRefundId: null, status: 'succeeded' });
+    const order = buildOrder({ paymentMethod: 'cod', grandTotal: 500 });
+
+    await refundOrderPayment(order, { amount: 500 });
+
+    expect(getGateway).toHaveBeenCalledWith('manual');
+    expect(order.paymentStatus).toBe('refunded');
+  });
+});
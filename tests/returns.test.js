@@ -0,0 +1,180 @@
+// tests/returns.test.js
+jest.mock('../services/emailService', () => jest.fn(async () => undefined));
+jest.mock('../services/refundService', () => ({
+  refundOrderPayment: jest.fn(async () => ({ refund: { _id: 'refund1' } })),
+}));
+jest.mock('../services/invoiceService', () => ({
+  createCreditNote: jest.fn(async () => ({ _id: 'cn1', number: '10X/CN/FY26/000001' })),
+}));
+
+const sendEmail = require('../services/emailService');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const Return = require('../models/Return');
+const RETURN_STATUS = require('../constants/returnStatus');
+const ORDER_STATUS = require('../constants/orderStatus');
+const {
+  canTransitionReturn,
+  transitionReturn,
+  buildReturnItems,
+  calculateRefundAmount,
+  applyInspection,
+  refundReturn,
+  notifyReturnUpdate,
+} = require('../services/returnService');
+
+const SKU_1KG = '65f0000000000000000000a1';
+const SKU_2KG = '65f0000000000000000000a2';
+
+// 2 x 1000 with a 100 coupon share, 1 x 500 with a 50 promotion; 18% tax on 2350
+const order = {
+  _id: 'order1',
+  orderNumber: '10X/FY26/000001',
+  items: [
+    { product: 'p1', sku: SKU_1KG, variant: '1kg', packaging: 'Canister', quantity: 2, price: 1000, discount: 100, promotionDiscount: 0 },
+    { product: 'p1', sku: SKU_2KG, variant: '2kg', packaging: 'Canister', quantity: 1, price: 1800, discount: 0, promotionDiscount: 0 },
+    { product: 'p2', variant: '250g', packaging: 'Bottle', quantity: 1, price: 500, discount: 0, promotionDiscount: 50 },
+  ],
+  taxAmount: 747,
+};
+
+const buildReturn = (status) => ({
+  returnNumber: '10X/RMA/FY26/000001',
+  status,
+  statusHistory: [],
+  items: [{ productId: 'p1', sku: SKU_1KG, variant: '1kg', quantity: 2, unitPrice: 950, photos: [] }],
+});
+
+describe('Returns (RMA)', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendEmail.mockClear();
+  });
+
+  it('should follow the RMA lifecycle and reject skipped steps', () => {
+    expect(canTransitionReturn(RETURN_STATUS.REQUESTED, RETURN_STATUS.APPROVED)).toBe(true);
+    expect(canTransitionReturn(RETURN_STATUS.APPROVED, RETURN_STATUS.RECEIVED)).toBe(true);
+    expect(canTransitionReturn(RETURN_STATUS.INSPECTED, RETURN_STATUS.REPLACED)).toBe(true);
+    expect(canTransitionReturn(RETURN_STATUS.REQUESTED, RETURN_STATUS.REFUNDED)).toBe(false);
+    expect(canTransitionReturn(RETURN_STATUS.REFUNDED, RETURN_STATUS.REJECTED)).toBe(false);
+
+    expect(() => transitionReturn(buildReturn(RETURN_STATUS.RECEIVED), RETURN_STATUS.REFUNDED)).toThrow(
+      "Invalid return status transition from 'received' to 'refunded'."
+    );
+  });
+
+  it('should record each step in the history and close final statuses', () => {
+    const returnRequest = transitionReturn(buildReturn(RETURN_STATUS.INSPECTED), RETURN_STATUS.REJECTED, {
+      actor: { _id: 'admin1', role: 'order-manager' },
+      reason: 'Seal broken',
+    });
+
+    expect(returnRequest.status).toBe(RETURN_STATUS.REJECTED);
+    expect(returnRequest.processedAt).toBeInstanceOf(Date);
+    expect(returnRequest.statusHistory[0]).toMatchObject({
+      status: 'rejected',
+      previousStatus: 'inspected',
+      actorType: 'admin',
+      reason: 'Seal broken',
+    });
+  });
+
+  it('should match return lines to the ordered SKU with the net unit price', () => {
+    const items = buildReturnItems(order, [
+      { productId: 'p1', sku: SKU_1KG, quantity: 1, photos: ['https://example.com/a.jpg'] },
+      { productId: 'p1', variant: '2kg', quantity: 1 },
+      { productId: 'p2', quantity: 1 },
+    ]);
+
+    expect(items[0]).toMatchObject({ sku: SKU_1KG, variant: '1kg', packaging: 'Canister', quantity: 1, unitPrice: 950 });
+    expect(items[0].photos).toEqual([{ url: 'https://example.com/a.jpg', source: 'customer' }]);
+    expect(items[1]).toMatchObject({ sku: SKU_2KG, unitPrice: 1800 });
+    // Lines ordered before SKUs existed are matched by variant size
+    expect(items[2]).toMatchObject({ sku: null, variant: '250g', unitPrice: 450 });
+  });
+
+  it('should refuse ambiguous SKUs and quantities already returned', () => {
+    expect(() => buildReturnItems(order, [{ productId: 'p1', quantity: 1 }])).toThrow(
+      'Please specify the SKU to return for product p1.'
+    );
+    expect(() => buildReturnItems(order, [{ productId: 'p3', quantity: 1 }])).toThrow('is not part of this order');
+    expect(() =>
+      buildReturnItems(order, [{ productId: 'p1', sku: SKU_1KG, quantity: 1 }], new Map([[`p1:${SKU_1KG}`, 2]]))
+    ).toThrow('exceeds the purchased quantity');
+    expect(() =>
+      buildReturnItems(order, [{ productId: 'p2', quantity: 1 }], new Map([['p2:250g', 1]]))
+    ).toThrow('exceeds the purchased quantity');
+  });
+
+  it('should refund the net price plus the matching share of tax', () => {
+    const items = buildReturnItems(order, [{ productId: 'p1', variant: '1kg', quantity: 2 }]);
+
+    // 1900 of the 4150 net subtotal carries 1900 / 4150 of the 747 tax
+    expect(calculateRefundAmount(order, items)).toBe(2242);
+  });
+
+  it('should put a partly returned order back to delivered and refund a fully returned one', async () => {
+    const mockReturned = (items) =>
+      jest.spyOn(Return, 'find').mockReturnValue({ select: () => ({ lean: async () => [{ items }] }) });
+    const returnedOrder = () => ({ ...order, status: ORDER_STATUS.RETURNED, statusHistory: [], save: jest.fn(async () => undefined) });
+    const inspectedReturn = (orderDoc) => ({ ...buildReturn(RETURN_STATUS.INSPECTED), order: orderDoc, save: jest.fn(async () => undefined) });
+
+    const partlyReturned = returnedOrder();
+    mockReturned(buildReturn().items);
+    await refundReturn(inspectedReturn(partlyReturned));
+    expect(partlyReturned.status).toBe(ORDER_STATUS.DELIVERED);
+    expect(partlyReturned.save).toHaveBeenCalled();
+
+    const fullyReturned = returnedOrder();
+    mockReturned(order.items.map((item) => ({ ...item, productId: item.product })));
+    await refundReturn(inspectedReturn(fullyReturned));
+    expect(fullyReturned.status).toBe(ORDER_STATUS.REFUNDED);
+  });
+
+  it('should record item conditions and cap the restock quantity', () => {
+    const returnRequest = applyInspection(buildReturn(RETURN_STATUS.RECEIVED), [
+      { productId: 'p1', condition: 'opened', conditionNotes: 'One tub opened', restockQuantity: 1, photos: ['https://example.com/b.jpg'] },
+    ]);
+
+    expect(returnRequest.items[0]).toMatchObject({ condition: 'opened', restockQuantity: 1 });
+    expect(returnRequest.items[0].photos).toEqual([{ url: 'https://example.com/b.jpg', source: 'inspection' }]);
+
+    expect(() =>
+      applyInspection(buildReturn(RETURN_STATUS.RECEIVED), [{ productId: 'p1', condition: 'unopened', restockQuantity: 3 }])
+    ).toThrow('Cannot restock more than the 2 unit(s) returned');
+  });
+
+  it('should notify the customer through the stored template for the step', async () => {
+    jest.spyOn(NotificationTemplate, 'findOne').mockReturnValue({
+      lean: () =>
+        Promise.resolve({ subject: 'Return {{returnNumber}} approved', body: '<p>Hi {{customerName}}, order {{orderNumber}}</p>' }),
+    });
+
+    const sent = await notifyReturnUpdate(buildReturn(RETURN_STATUS.APPROVED), {
+      customer: { name: 'Asha', email: 'asha@example.com' },
+      order,
+    });
+
+    expect(sent).toBe(true);
+    expect(NotificationTemplate.findOne).toHaveBeenCalledWith({ name: 'return_approved', category: 'Email', isActive: true });
+    expect(sendEmail).toHaveBeenCalledWith(
+      expect.objectContaining({
+        email: 'asha@example.com',
+        subject: 'Return 10X/RMA/FY26/000001 approved',
+        html: '<p>Hi Asha, order 10X/FY26/000001</p>',
+      })
+    );
+  });
+
+  it('should fall back to the default notification when no template exists', async () => {
+    jest.spyOn(NotificationTemplate, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+
+    await notifyReturnUpdate(buildReturn(RETURN_STATUS.RECEIVED), {
+      customer: { name: 'Asha', email: 'asha@example.com' },
+      order,
+    });
+
+    expect(sendEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ subject: 'We received your returned items - 10X Formulas' })
+    );
+  });
+});
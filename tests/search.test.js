@@ -0,0 +1,106 @@
+// tests/search.test.js
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Tag = require('../models/Tag');
+const Category = require('../models/Category');
+const { escapeRegex, buildTrigrams, trigramSimilarity } = require('../utils/searchText');
+const {
+  FUZZY_MIN_SIMILARITY,
+  buildFacetFilters,
+  buildSearchPipeline,
+  formatFacets,
+  searchProducts,
+  suggestProducts,
+} = require('../services/searchService');
+
+const emptyFacets = { products: [], total: [], category: [], brand: [], packaging: [], size: [], price: [], rating: [] };
+
+describe('Product search', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should escape user input so it only matches literally', () => {
+    const pattern = new RegExp(escapeRegex('(a+)+$ [whey]'));
+
+    expect(pattern.test('(a+)+$ [whey]')).toBe(true);
+    expect(pattern.test('aaaa')).toBe(false);
+  });
+
+  it('should tolerate a typo through shared trigrams', () => {
+    const product = buildTrigrams('Whey Protein', 'Muscleblaze', ['gym']);
+
+    expect(trigramSimilarity(buildTrigrams('protien'), product)).toBeGreaterThanOrEqual(FUZZY_MIN_SIMILARITY);
+    expect(trigramSimilarity(buildTrigrams('coffee'), product)).toBeLessThan(FUZZY_MIN_SIMILARITY);
+  });
+
+  it('should count each facet with every filter except its own', () => {
+    const pipeline = buildSearchPipeline({
+      q: 'whey',
+      filters: { categoryIds: [], brand: 'Muscleblaze,Optimum', priceMax: 1000 },
+      sort: 'price_asc',
+      page: 2,
+      limit: 10,
+    });
+    const { $facet: facets } = pipeline[pipeline.length - 1];
+
+    expect(pipeline[0].$match).toEqual({ isActive: true, $text: { $search: 'whey' } });
+    expect(facets.products).toEqual(
+      expect.arrayContaining([{ $sort: { minPrice: 1, _id: 1 } }, { $skip: 10 }, { $limit: 10 }])
+    );
+    expect(facets.category[0].$match).toEqual({
+      $and: [{ brand: { $in: ['Muscleblaze', 'Optimum'] } }, { minPrice: { $lte: 1000 } }],
+    });
+    expect(facets.size[0].$match.$and).toHaveLength(3);
+    expect(buildFacetFilters({ categoryIds: null })).toEqual({});
+  });
+
+  it('should label categories and price buckets and count ratings as "N stars & up"', () => {
+    const category = { _id: new mongoose.Types.ObjectId(), name: 'Protein', slug: 'protein' };
+    const facets = formatFacets(
+      {
+        ...emptyFacets,
+        category: [{ _id: category._id, count: 4 }],
+        price: [{ _id: 250, count: 3 }, { _id: 5000, count: 1 }],
+        rating: [{ _id: 4, count: 2 }, { _id: 3, count: 5 }],
+      },
+      [category]
+    );
+
+    expect(facets.category).toEqual([{ value: category._id, count: 4, name: 'Protein', slug: 'protein' }]);
+    expect(facets.price).toEqual([{ min: 250, max: 500, count: 3 }, { min: 5000, max: null, count: 1 }]);
+    expect(facets.rating).toEqual([{ min: 4, count: 2 }, { min: 3, count: 7 }, { min: 2, count: 7 }, { min: 1, count: 7 }]);
+  });
+
+  it('should fall back to trigram matching when the text index finds nothing', async () => {
+    const product = { _id: new mongoose.Types.ObjectId(), title: 'Whey Protein' };
+    const aggregate = jest
+      .spyOn(Product, 'aggregate')
+      .mockResolvedValueOnce([emptyFacets])
+      .mockResolvedValueOnce([{ ...emptyFacets, products: [product], total: [{ count: 1 }] }]);
+    jest.spyOn(Product, 'populate').mockImplementation(async (docs) => docs);
+    jest.spyOn(Category, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([]) }) });
+
+    const result = await searchProducts({ q: 'protien' });
+
+    expect(aggregate.mock.calls[1][0][0].$match.searchTrigrams.$in).toEqual(buildTrigrams('protien'));
+    expect(result).toMatchObject({ mode: 'fuzzy', total: 1, totalPages: 1, products: [product] });
+  });
+
+  it('should suggest word-prefix matches, brands and tags', async () => {
+    const find = jest.spyOn(Product, 'find').mockReturnValue({
+      select: () => ({
+        sort: () => ({ limit: () => ({ lean: () => Promise.resolve([{ title: 'Whey Protein' }]) }) }),
+      }),
+    });
+    jest.spyOn(Product, 'distinct').mockResolvedValue(['Wellcore']);
+    jest.spyOn(Tag, 'find').mockReturnValue({
+      select: () => ({ limit: () => ({ lean: () => Promise.resolve([{ name: 'whey' }]) }) }),
+    });
+
+    const suggestions = await suggestProducts({ q: 'wh.*', limit: 1 });
+
+    expect(find.mock.calls[0][0].title.test('Whey Protein')).toBe(false);
+    expect(suggestions).toEqual({ products: [{ title: 'Whey Protein' }], brands: ['Wellcore'], tags: ['whey'] });
+  });
+});
@@ -0,0 +1,96 @@
+// tests/sequence.test.js
+const Counter = require('../models/Counter');
+const Settings = require('../models/Settings');
+const {
+  SEQUENCES,
+  getFinancialYear,
+  formatSequenceNumber,
+  nextSequenceNumber,
+} = require('../services/sequenceService');
+
+const mockSettings = (value) =>
+  jest.spyOn(Settings, 'findOne').mockReturnValue({ lean: () => Promise.resolve(value ? { value } : null) });
+
+describe('Document Sequences', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should label April-March financial years by their end year', () => {
+    expect(getFinancialYear(new Date(2026, 2, 31)).label).toBe('FY26');
+    expect(getFinancialYear(new Date(2026, 3, 1)).label).toBe('FY27');
+    expect(getFinancialYear(new Date(2026, 3, 1)).fullLabel).toBe('2026-27');
+  });
+
+  it('should use the calendar year when the financial year starts in January', () => {
+    const financialYear = getFinancialYear(new Date(2026, 5, 15), 1);
+
+    expect(financialYear.label).toBe('FY26');
+    expect(financialYear.fullLabel).toBe('2026');
+  });
+
+  it('should render every supported token', () => {
+    const date = new Date(2025, 10, 5);
+    const number = formatSequenceNumber('10X/FY{FY}/{FYFULL}/{YYYY}{MM}/{YY}/{SEQ:6}-{SEQ}', {
+      value: 123,
+      financialYear: getFinancialYear(date),
+      date,
+    });
+
+    expect(number).toBe('10X/FY26/2025-26/202511/25/000123-123');
+  });
+
+  it('should increment the counter of the financial year and use the default format', async () => {
+    mockSettings(null);
+    const increment = jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ value: 123 });
+
+    const result = await nextSequenceNumber(SEQUENCES.ORDER, { date: new Date(2025, 6, 1) });
+
+    expect(result.number).toBe('10X/FY26/000123');
+    expect(result.period).toBe('FY26');
+    expect(increment).toHaveBeenCalledWith(
+      { sequence: 'order', period: 'FY26' },
+      { $inc: { value: 1 } },
+      expect.objectContaining({ upsert: true })
+    );
+  });
+
+  it('should use formats from Settings and ignore ones without a sequence token', async () => {
+    mockSettings({
+      financialYearStartMonth: 1,
+      formats: { invoice: 'INV-{YYYY}-{SEQ:4}', credit_note: 'CN-FIXED' },
+    });
+    jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ value: 7 });
+
+    const invoice = await nextSequenceNumber(SEQUENCES.INVOICE, { date: new Date(2026, 1, 1) });
+    const creditNote = await nextSequenceNumber(SEQUENCES.CREDIT_NOTE, { date: new Date(2026, 1, 1) });
+
+    expect(invoice.number).toBe('INV-2026-0007');
+    expect(creditNote.number).toBe('10X/CN/FY26/000007');
+  });
+
+  it('should ignore formats that do not name the financial year', async () => {
+    mockSettings({ formats: { invoice: 'INV-{YYYY}-{SEQ:4}', return: 'RMA/{FYFULL}/{SEQ}' } });
+    jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ value: 7 });
+
+    const invoice = await nextSequenceNumber(SEQUENCES.INVOICE, { date: new Date(2026, 1, 1) });
+    const rma = await nextSequenceNumber(SEQUENCES.RETURN, { date: new Date(2026, 1, 1) });
+
+    expect(invoice.number).toBe('10X/INV/FY26/000007');
+    expect(rma.number).toBe('RMA/2025-26/7');
+  });
+
+  it('should retry once when the first counter of a year is created concurrently', async () => {
+    mockSettings(null);
+    const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    const increment = jest
+      .spyOn(Counter, 'findOneAndUpdate')
+      .mockRejectedValueOnce(duplicate)
+      .mockResolvedValueOnce({ value: 2 });
+
+    const result = await nextSequenceNumber(SEQUENCES.RETURN, { date: new Date(2025, 6, 1) });
+
+    expect(increment).toHaveBeenCalledTimes(2);
+    expect(result.number).toBe('10X/RMA/FY26/000002');
+  });
+});
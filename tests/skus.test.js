@@ -0,0 +1,140 @@
+// tests/skus.test.js
+jest.mock('../services/emailService', () => jest.fn(async () => undefined));
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { buildSkuCode, buildSkuMatrix, isValidGtin } = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const { priceOrderItems } = require('../services/orderService');
+const { reserveStock } = require('../services/inventoryService');
+
+const buildProduct = (variants) =>
+  new Product({
+    title: 'Whey Protein',
+    slug: 'whey-protein',
+    description: 'Protein',
+    category: new mongoose.Types.ObjectId(),
+    brand: '10X',
+    productBG: 'https://cdn.example.com/bg.png',
+    thumbnail: 'https://cdn.example.com/whey.png',
+    accordion: { details: 'Details', shipping: 'Shipping', returns: 'Returns' },
+    variants,
+  });
+
+describe('Product SKUs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should give every size and packaging its own SKU code and derive the packaging list', async () => {
+    const product = buildProduct([
+      { size: '1kg', packaging: 'Canister', price: 1500, stock: 4 },
+      { size: '1kg', packaging: 'Box', price: 1400, stock: 2, sku: 'whey-1kg-refill', barcode: '4006381333931' },
+    ]);
+
+    await product.validate(['variants', 'packaging']);
+
+    expect(product.variants.map((sku) => sku.sku)).toEqual(['WHEY-PROTEIN-1KG-CANISTER', 'WHEY-1KG-REFILL']);
+    expect(product.variants[0]._id).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(product.packaging).toEqual(['Canister', 'Box']);
+    expect(Product.findSku(product, String(product.variants[1]._id)).price).toBe(1400);
+  });
+
+  it('should keep generated codes of products sharing a long slug prefix apart', () => {
+    const canister = { size: '1kg', packaging: 'Canister' };
+    const whey = { _id: new mongoose.Types.ObjectId(), slug: 'optimum-nutrition-gold-standard-whey' };
+    const casein = { _id: new mongoose.Types.ObjectId(), slug: 'optimum-nutrition-gold-standard-casein' };
+
+    const codes = [buildSkuCode(whey, canister), buildSkuCode(casein, canister)];
+
+    expect(codes[0]).not.toBe(codes[1]);
+    expect(codes[0]).toBe(`OPTIMUM-NUTRITION-GO-1KG-CANISTER-${String(whey._id).slice(-6).toUpperCase()}`);
+    expect(codes.every((code) => code.length <= 40)).toBe(true);
+  });
+
+  it('should reject repeated combinations, bad barcodes and compare-at prices below the price', () => {
+    const repeated = buildProduct([
+      { size: '1kg', packaging: 'Canister', price: 1500, stock: 4 },
+      { size: '1KG', packaging: 'Canister', price: 1500, stock: 1 },
+    ]);
+    const invalid = buildProduct([
+      { size: '1kg', packaging: 'Canister', price: 1500, stock: 4, barcode: '4006381333932' },
+      { size: '2kg', packaging: 'Canister', price: 1500, stock: 1, compareAtPrice: 1200 },
+    ]);
+
+    expect(repeated.validateSync().errors.variants.message).toMatch(/combination/);
+    const { errors } = invalid.validateSync();
+    expect(errors['variants.0.barcode']).toBeDefined();
+    expect(errors['variants.1.compareAtPrice']).toBeDefined();
+    expect(isValidGtin('036000291452')).toBe(true);
+  });
+
+  it('should keep SKU IDs when variants are replaced without them', () => {
+    const product = buildProduct([
+      { size: '1kg', packaging: 'Canister', price: 1500, stock: 4, sku: 'WHEY-1KG' },
+      { size: '2kg', packaging: 'Canister', price: 2800, stock: 1 },
+    ]);
+    const [oneKg, twoKg] = product.variants;
+
+    const variants = Product.keepSkuIds(product, [
+      { sku: 'whey-1kg', size: '1kg', packaging: 'Canister', price: 1450, stock: 4 },
+      { size: '2KG', packaging: 'Canister', price: 2700, stock: 1 },
+      { size: '2kg', packaging: 'Box', price: 2700, stock: 1 },
+    ]);
+
+    expect(variants.map((variant) => variant._id)).toEqual([oneKg._id, twoKg._id, undefined]);
+  });
+
+  it('should expand sizes listed apart from packaging into one SKU each without doubling stock', () => {
+    expect(buildSkuMatrix([{ size: '1kg', price: 1500, stock: 9 }], ['Bottle', 'Box'])).toEqual([
+      { size: '1kg', packaging: 'Bottle', price: 1500, stock: 9, weight: 0 },
+      { size: '1kg', packaging: 'Box', price: 1500, stock: 0, weight: 0 },
+    ]);
+  });
+
+  it('should price order lines by SKU ID instead of the variant name', async () => {
+    const product = buildProduct([
+      { size: '1kg', packaging: 'Canister', price: 1500, stock: 4 },
+      { size: '1kg', packaging: 'Box', price: 1400, stock: 1 },
+    ]);
+    product.isActive = true;
+    const box = product.variants[1];
+    jest.spyOn(Product, 'findById').mockResolvedValue(product);
+
+    const { orderItems, totalAmount } = await priceOrderItems([{ product: product._id, sku: String(box._id), quantity: 1 }]);
+
+    expect(orderItems).toEqual([
+      { product: product._id, sku: box._id, quantity: 1, price: 1400, variant: '1kg', packaging: 'Box' },
+    ]);
+    expect(totalAmount).toBe(1400);
+    await expect(priceOrderItems([{ product: product._id, sku: String(box._id), quantity: 2 }])).rejects.toMatchObject({
+      statusCode: 400,
+    });
+    await expect(
+      priceOrderItems([{ product: product._id, sku: String(new mongoose.Types.ObjectId()), quantity: 1 }])
+    ).rejects.toThrow(/SKU .* not found/);
+  });
+
+  it('should hold stock on the SKU and fall back to the size for lines without one', async () => {
+    const productId = new mongoose.Types.ObjectId();
+    const skuId = new mongoose.Types.ObjectId();
+    const updateOne = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(StockReservation, 'create').mockImplementation(async (reservation) => reservation);
+
+    const reservation = await reserveStock({
+      orderId: new mongoose.Types.ObjectId(),
+      customer: new mongoose.Types.ObjectId(),
+      items: [
+        { product: productId, sku: skuId, variant: '1kg', quantity: 2 },
+        { product: productId, variant: '2kg', quantity: 1 },
+      ],
+    });
+
+    expect(updateOne.mock.calls[0][0]).toEqual({
+      _id: productId,
+      variants: { $elemMatch: { _id: skuId, stock: { $gte: 2 } } },
+    });
+    expect(updateOne.mock.calls[1][0].variants.$elemMatch).toEqual({ size: '2kg', stock: { $gte: 1 } });
+    expect(reservation.items[0]).toMatchObject({ sku: skuId, variant: '1kg', quantity: 2 });
+  });
+});
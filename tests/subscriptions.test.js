@@ -0,0 +1,198 @@
+// tests/subscriptions.test.js
+jest.mock('../services/emailService', () => jest.fn(async () => undefined));
+jest.mock('../services/inventoryService');
+jest.mock('../services/couponService');
+jest.mock('../services/orderService');
+jest.mock('../services/paymentService');
+
+const mongoose = require('mongoose');
+const Subscription = require('../models/Subscription');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const ORDER_STATUS = require('../constants/orderStatus');
+const sendEmail = require('../services/emailService');
+const { placeOrder } = require('../services/orderService');
+const { processPayment, savePaymentMethod } = require('../services/paymentService');
+const { releaseReservation } = require('../services/inventoryService');
+const { reverseRedemptions } = require('../services/couponService');
+const {
+  DEFAULT_SUBSCRIPTION_SETTINGS,
+  addInterval,
+  getNextRunAt,
+  pauseSubscription,
+  skipNextRenewal,
+  updatePaymentMethod,
+  renewSubscription,
+} = require('../services/subscriptionService');
+
+const address = { street: '1 Main St', city: 'Pune', state: 'MH', zip: '411001', country: 'India' };
+const settings = { ...DEFAULT_SUBSCRIPTION_SETTINGS, retryDelaysHours: [24, 72] };
+const now = new Date('2026-03-10T06:00:00Z');
+
+const buildSubscription = (fields = {}) =>
+  new Subscription({
+    customer: new mongoose.Types.ObjectId(),
+    product: new mongoose.Types.ObjectId(),
+    sku: new mongoose.Types.ObjectId(),
+    variant: '1kg',
+    packaging: 'Canister',
+    quantity: 2,
+    intervalCount: 1,
+    intervalUnit: 'month',
+    nextRunAt: new Date('2026-03-10T00:00:00Z'),
+    shippingAddress: address,
+    billingAddress: address,
+    discountPercent: 10,
+    paymentMethod: 'card',
+    paymentMethodId: 'pm_saved',
+    gatewayCustomerId: 'cus_saved',
+    ...fields,
+  });
+
+const buildOrder = () =>
+  new Order({
+    customer: new mongoose.Types.ObjectId(),
+    items: [{ product: new mongoose.Types.ObjectId(), variant: '1kg', packaging: 'Canister', quantity: 2, price: 1000 }],
+    totalAmount: 2000,
+    paymentMethod: 'card',
+    shippingAddress: address,
+    billingAddress: address,
+  });
+
+describe('Subscriptions', () => {
+  beforeEach(() => {
+    jest.spyOn(Subscription.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve({ name: 'Asha', email: 'asha@example.com' }) }),
+    });
+    jest.spyOn(Product, 'findById').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve({ title: 'Whey Protein' }) }),
+    });
+    jest.spyOn(NotificationTemplate, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('should add weekly and monthly intervals, clamping to the end of the month', () => {
+    expect(addInterval(new Date(2026, 0, 31), 1, 'month')).toEqual(new Date(2026, 1, 28));
+    expect(addInterval(new Date(2026, 0, 15), 2, 'month')).toEqual(new Date(2026, 2, 15));
+    expect(addInterval(new Date(2026, 0, 1), 2, 'week')).toEqual(new Date(2026, 0, 15));
+  });
+
+  it('should schedule the next renewal after now when a run is late', () => {
+    const subscription = { nextRunAt: new Date(2026, 0, 1), intervalCount: 1, intervalUnit: 'week' };
+
+    expect(getNextRunAt(subscription, new Date(2026, 0, 20))).toEqual(new Date(2026, 0, 22));
+  });
+
+  it('should place and charge a renewal with the subscription discount', async () => {
+    const subscription = buildSubscription();
+    const order = buildOrder();
+    placeOrder.mockResolvedValue(order);
+    processPayment.mockResolvedValue({ status: 'succeeded' });
+
+    await expect(renewSubscription(subscription, { settings, now })).resolves.toBe(true);
+
+    expect(placeOrder).toHaveBeenCalledWith(
+      expect.objectContaining({
+        customer: subscription.customer,
+        items: [{ product: subscription.product, sku: subscription.sku, quantity: 2 }],
+        subscriptionDiscountPercent: 10,
+        subscription: subscription._id,
+      })
+    );
+    expect(processPayment).toHaveBeenCalledWith(order, {
+      paymentMethodId: 'pm_saved',
+      customerId: 'cus_saved',
+      offSession: true,
+    });
+    expect(subscription.status).toBe('active');
+    expect(subscription.renewalCount).toBe(1);
+    expect(subscription.lastOrder).toEqual(order._id);
+    expect(subscription.nextRunAt).toEqual(new Date('2026-04-10T00:00:00Z'));
+  });
+
+  it('should cancel the order of a declined renewal, retry later and send a dunning email', async () => {
+    const subscription = buildSubscription();
+    const order = buildOrder();
+    placeOrder.mockResolvedValue(order);
+    processPayment.mockResolvedValue({ status: 'declined', message: 'Your card was declined.' });
+
+    await expect(renewSubscription(subscription, { settings, now })).resolves.toBe(false);
+
+    expect(order.status).toBe(ORDER_STATUS.CANCELLED);
+    expect(releaseReservation).toHaveBeenCalledWith(order._id, 'subscription_payment_failed');
+    expect(reverseRedemptions).toHaveBeenCalledWith(order._id);
+    expect(subscription.status).toBe('past_due');
+    expect(subscription.failedAttempts).toBe(1);
+    expect(subscription.nextRetryAt).toEqual(new Date(now.getTime() + 24 * 60 * 60 * 1000));
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ email: 'asha@example.com' }));
+    expect(sendEmail.mock.calls[0][0].message).toMatch(/Your card was declined/);
+  });
+
+  it('should fail renewals whose payment needs the customer or does not complete', async () => {
+    for (const status of ['requires_action', 'pending']) {
+      const subscription = buildSubscription();
+      const order = buildOrder();
+      placeOrder.mockResolvedValue(order);
+      processPayment.mockResolvedValue({ status });
+
+      await expect(renewSubscription(subscription, { settings, now })).resolves.toBe(false);
+
+      expect(order.status).toBe(ORDER_STATUS.CANCELLED);
+      expect(subscription).toMatchObject({ status: 'past_due', failedAttempts: 1 });
+    }
+    expect(releaseReservation).toHaveBeenCalledTimes(2);
+  });
+
+  it('should save a new payment method on the gateway customer and retry a past-due renewal', async () => {
+    const subscription = buildSubscription({ status: 'past_due' });
+    savePaymentMethod.mockResolvedValue('cus_saved');
+
+    await updatePaymentMethod(subscription, { paymentMethod: 'card', paymentMethodId: 'pm_new' }, now);
+
+    expect(savePaymentMethod).toHaveBeenCalledWith({
+      paymentMethod: 'card',
+      paymentMethodId: 'pm_new',
+      customerId: 'cus_saved',
+      user: { name: 'Asha', email: 'asha@example.com' },
+    });
+    expect(subscription).toMatchObject({ paymentMethodId: 'pm_new', gatewayCustomerId: 'cus_saved', nextRetryAt: now });
+  });
+
+  it('should cancel the subscription once the retries are used up', async () => {
+    const subscription = buildSubscription({ status: 'past_due', failedAttempts: 2 });
+    placeOrder.mockRejectedValue(new Error('Insufficient stock for product Whey Protein, variant 1kg.'));
+
+    await renewSubscription(subscription, { settings, now });
+
+    expect(processPayment).not.toHaveBeenCalled();
+    expect(subscription.status).toBe('cancelled');
+    expect(subscription.cancellationReason).toBe('renewal_failed');
+    expect(subscription.attempts[0]).toMatchObject({ status: 'failed', reason: expect.stringMatching(/Insufficient stock/) });
+    expect(sendEmail.mock.calls[0][0].subject).toMatch(/cancelled/);
+  });
+
+  it('should only pause and skip subscriptions that are still running', async () => {
+    const subscription = buildSubscription();
+
+    await skipNextRenewal(subscription);
+    expect(subscription.nextRunAt).toEqual(new Date('2026-04-10T00:00:00Z'));
+
+    await pauseSubscription(subscription, { now });
+    expect(subscription.status).toBe('paused');
+
+    subscription.status = 'cancelled';
+    await expect(pauseSubscription(subscription, { now })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,124 @@
+// tests/webhooks.test.js
+jest.mock('../services/paymentService', () => ({
+  applyPaymentEvent: jest.fn(),
+}));
+
+const WebhookEvent = require('../models/WebhookEvent');
+const { applyPaymentEvent } = require('../services/paymentService');
+const { buildWebhook } = require('../services/paymentGateways/fakeGateway');
+const { PAYMENT_EVENTS } = require('../services/paymentGateways');
+const {
+  PROCESSING_LEASE_MS,
+  recordWebhookEvent,
+  needsProcessing,
+  processWebhookEvent,
+  findUnprocessedEvents,
+} = require('../services/webhookService');
+
+const delivery = buildWebhook(PAYMENT_EVENTS.PAYMENT_SUCCEEDED, {
+  orderId: '64b7f0c2a1b2c3d4e5f60718',
+  chargeId: 'fake_ch_delayed_64b7f0c2a1b2c3d4e5f60718',
+  amount: 1180,
+});
+
+const buildStoredEvent = (fields = {}) => {
+  const stored = {
+    _id: 'event1',
+    provider: 'fake',
+    eventId: 'evt_1',
+    payload: JSON.parse(delivery.rawBody),
+    status: 'received',
+    attempts: 0,
+    save: jest.fn(async () => stored),
+    ...fields,
+  };
+  return stored;
+};
+
+describe('Webhook Inbox', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    applyPaymentEvent.mockReset();
+  });
+
+  it('should store a verified delivery with its raw body and normalized type', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockImplementation(async (fields) => ({ ...fields, status: 'received' }));
+
+    const { webhookEvent, duplicate } = await recordWebhookEvent('fake', delivery);
+
+    expect(duplicate).toBe(false);
+    expect(webhookEvent).toMatchObject({
+      provider: 'fake',
+      eventId: JSON.parse(delivery.rawBody).id,
+      type: PAYMENT_EVENTS.PAYMENT_SUCCEEDED,
+      order: '64b7f0c2a1b2c3d4e5f60718',
+      rawBody: delivery.rawBody,
+    });
+    expect(needsProcessing(webhookEvent)).toBe(true);
+  });
+
+  it('should reject deliveries with a bad signature before storing them', async () => {
+    const create = jest.spyOn(WebhookEvent, 'create');
+
+    await expect(
+      recordWebhookEvent('fake', { rawBody: delivery.rawBody, headers: { 'x-fake-signature': 'forged' } })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('should dedupe provider retries by event id', async () => {
+    jest.spyOn(WebhookEvent, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    const findOneAndUpdate = jest
+      .spyOn(WebhookEvent, 'findOneAndUpdate')
+      .mockResolvedValue(buildStoredEvent({ status: 'processed', deliveries: 2 }));
+
+    const { webhookEvent, duplicate } = await recordWebhookEvent('fake', delivery);
+
+    expect(duplicate).toBe(true);
+    expect(findOneAndUpdate).toHaveBeenCalledWith(
+      { provider: 'fake', eventId: JSON.parse(delivery.rawBody).id },
+      { $inc: { deliveries: 1 } },
+      { new: true }
+    );
+    expect(needsProcessing(webhookEvent)).toBe(false);
+  });
+
+  it('should apply a stored event once and mark it processed', async () => {
+    const stored = buildStoredEvent();
+    jest.spyOn(WebhookEvent, 'findById').mockResolvedValue(stored);
+    applyPaymentEvent.mockResolvedValue(true);
+
+    await processWebhookEvent('event1');
+    await processWebhookEvent('event1');
+
+    expect(applyPaymentEvent).toHaveBeenCalledTimes(1);
+    expect(applyPaymentEvent).toHaveBeenCalledWith('fake', expect.objectContaining({ type: PAYMENT_EVENTS.PAYMENT_SUCCEEDED }));
+    expect(stored).toMatchObject({ status: 'processed', attempts: 1, lastError: null });
+  });
+
+  it('should mark the event failed and rethrow so the queue retries it', async () => {
+    const stored = buildStoredEvent();
+    jest.spyOn(WebhookEvent, 'findById').mockResolvedValue(stored);
+    applyPaymentEvent.mockRejectedValue(new Error('Mongo unavailable'));
+
+    await expect(processWebhookEvent('event1')).rejects.toThrow('Mongo unavailable');
+    expect(stored).toMatchObject({ status: 'failed', attempts: 1, lastError: 'Mongo unavailable' });
+    expect(needsProcessing(stored)).toBe(true);
+  });
+
+  it('should recover entries left in processing past the lease', async () => {
+    const now = new Date('2026-03-10T06:00:00Z');
+    const stalled = buildStoredEvent({ status: 'processing', updatedAt: new Date(now.getTime() - PROCESSING_LEASE_MS) });
+    const running = buildStoredEvent({ status: 'processing', updatedAt: new Date(now.getTime() - 1000) });
+    const find = jest.spyOn(WebhookEvent, 'find').mockReturnValue({ select: () => ({ limit: async () => [] }) });
+
+    expect(needsProcessing(stalled, now)).toBe(true);
+    expect(needsProcessing(running, now)).toBe(false);
+
+    await findUnprocessedEvents(new Date(now.getTime() - 60 * 1000), now);
+    expect(find.mock.calls[0][0].$or).toContainEqual({
+      status: 'processing',
+      updatedAt: { $lte: new Date(now.getTime() - PROCESSING_LEASE_MS) },
+    });
+  });
+});
@@ -0,0 +1,92 @@
+// tests/wishlist.test.js
+jest.mock('../jobs/emailJob', () => ({ add: jest.fn(async () => undefined) }));
+
+const mongoose = require('mongoose');
+const emailQueue = require('../jobs/emailJob');
+const Wishlist = require('../models/Wishlist');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const {
+  snapshotProductVariants,
+  detectWishlistAlerts,
+  queueWishlistAlerts,
+} = require('../services/wishlistService');
+
+const sku1kg = new mongoose.Types.ObjectId();
+const sku2kg = new mongoose.Types.ObjectId();
+const sku = (id, size, price, stock) => ({ _id: id, size, packaging: 'Canister', price, stock });
+
+const product = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId('65f000000000000000000001'),
+  title: 'Whey Protein',
+  slug: 'whey-protein',
+  discountPercentage: 0,
+  isActive: true,
+  variants: [sku(sku1kg, '1kg', 1500, 0), sku(sku2kg, '2kg', 2800, 4)],
+  ...fields,
+});
+
+describe('Wishlist Alerts', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    emailQueue.add.mockClear();
+  });
+
+  it('should detect restocked SKUs and discounted price drops', () => {
+    const before = snapshotProductVariants(product());
+    const after = snapshotProductVariants(
+      product({
+        discountPercentage: 10,
+        variants: [
+          sku(sku1kg, '1kg', 1500, 3),
+          sku(sku2kg, '2kg', 2800, 4),
+          sku(new mongoose.Types.ObjectId(), '5kg', 6000, 2),
+        ],
+      })
+    );
+
+    expect(detectWishlistAlerts(before, after)).toEqual([
+      { type: 'back_in_stock', sku: String(sku1kg), variant: '1kg', price: 1350, previousPrice: 1500 },
+      { type: 'price_drop', sku: String(sku2kg), variant: '2kg', price: 2520, previousPrice: 2800 },
+    ]);
+  });
+
+  it('should not alert for price rises, sold-out variants or inactive products', () => {
+    const before = snapshotProductVariants(product({ discountPercentage: 10 }));
+
+    expect(detectWishlistAlerts(before, snapshotProductVariants(product()))).toEqual([]);
+    expect(
+      detectWishlistAlerts(
+        before,
+        snapshotProductVariants(product({ isActive: false, variants: [sku(sku1kg, '1kg', 1500, 5)] }))
+      )
+    ).toEqual([]);
+  });
+
+  it('should queue emails only for subscribers of the changed SKU', async () => {
+    const current = product({ variants: [sku(sku1kg, '1kg', 1500, 5), sku(sku2kg, '2kg', 2800, 4)] });
+    const before = snapshotProductVariants(product());
+    const wishlist = (name, email, item = {}) => ({
+      user: { _id: new mongoose.Types.ObjectId(), name, email },
+      items: [{ product: current._id, sku: sku1kg, variant: '1kg', notifyBackInStock: true, notifyPriceDrop: true, lastAlertedAt: null, ...item }],
+      save: jest.fn(async () => undefined),
+    });
+    const subscribed = wishlist('Asha', 'asha@example.com');
+    const optedOut = wishlist('Ravi', 'ravi@example.com', { notifyBackInStock: false });
+
+    jest.spyOn(Wishlist, 'find').mockReturnValue({ populate: () => Promise.resolve([subscribed, optedOut]) });
+    jest.spyOn(NotificationTemplate, 'findOne').mockReturnValue({ lean: () => Promise.resolve(null) });
+
+    const queued = await queueWishlistAlerts(before, current);
+
+    expect(queued).toBe(1);
+    expect(emailQueue.add).toHaveBeenCalledTimes(1);
+    expect(emailQueue.add).toHaveBeenCalledWith(
+      'wishlist_back_in_stock',
+      expect.objectContaining({ email: 'asha@example.com', subject: 'Whey Protein is back in stock - 10X Formulas' }),
+      { removeOnComplete: true }
+    );
+    expect(subscribed.items[0].lastAlertedAt).toBeInstanceOf(Date);
+    expect(optedOut.items[0].lastAlertedAt).toBeNull();
+    expect(optedOut.save).not.toHaveBeenCalled();
+  });
+});
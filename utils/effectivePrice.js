@@ -0,0 +1,125 @@
+// utils/effectivePrice.js
+
+const { roundCurrency } = require('./money');
+
+/*
+ * The price a SKU sells for is resolved here and nowhere else: product pages
+ * (Product#discountedPrices), carts, coupons, wishlist alerts, catalogue filters and
+ * orders all use it.
+ *
+ * - A scheduled price change or sale running on the product (an entry of
+ *   product.priceOverrides, kept by the price scheduler) replaces the standing
+ *   discount: a percentage override takes its percentage off the SKU price, a
+ *   fixed-price override sets the price of every SKU it covers, but never above
+ *   the SKU's own price.
+ * - When several overrides run at once, the highest priority wins (the earliest
+ *   applied on a tie).
+ * - Otherwise the product's discountPercentage comes off the SKU price.
+ */
+
+/**
+ * Apply a percentage or fixed-price adjustment to a price. A fixed price above the
+ * SKU price leaves the SKU price.
+ * @param {number} price - SKU price.
+ * @param {Object} adjustment - { discountType: 'percentage' | 'fixed_price', value }
+ * @returns {number}
+ */
+const adjustPrice = (price, { discountType, value }) =>
+  discountType === 'fixed_price' ? roundCurrency(Math.min(value, price)) : roundCurrency(price - (price * value) / 100);
+
+/**
+ * The price override running on a product at a time.
+ * @param {Object} product - { priceOverrides }
+ * @param {Date} [now]
+ * @returns {Object|null} - { schedule, kind, discountType, value, priority, startDate, endDate }
+ */
+const findActivePriceOverride = (product, now = new Date()) =>
+  (product.priceOverrides || []).reduce((active, override) => {
+    const running = new Date(override.startDate) <= now && new Date(override.endDate) > now;
+    return running && (!active || override.priority > active.priority) ? override : active;
+  }, null);
+
+/**
+ * Unit price of a SKU at a time.
+ * @param {Object} product - { discountPercentage, priceOverrides }
+ * @param {Object} variant - { price }
+ * @param {Date} [now]
+ * @returns {number}
+ */
+const resolveEffectivePrice = (product, variant, now = new Date()) => {
+  const override = findActivePriceOverride(product, now);
+  return adjustPrice(
+    variant.price,
+    override || { discountType: 'percentage', value: product.discountPercentage || 0 }
+  );
+};
+
+/**
+ * Aggregation expression for resolveEffectivePrice at the time the query runs ($$NOW).
+ * @param {string} variant - Variable holding the variant (e.g. '$$variant').
+ * @returns {Object}
+ */
+const effectivePriceExpression = (variant) => ({
+  $let: {
+    vars: {
+      override: {
+        $reduce: {
+          input: {
+            $filter: {
+              input: { $ifNull: ['$priceOverrides', []] },
+              as: 'override',
+              cond: { $and: [{ $lte: ['$$override.startDate', '$$NOW'] }, { $gt: ['$$override.endDate', '$$NOW'] }] },
+            },
+          },
+          initialValue: null,
+          in: {
+            $cond: [
+              { $or: [{ $eq: ['$$value', null] }, { $gt: ['$$this.priority', '$$value.priority'] }] },
+              '$$this',
+              '$$value',
+            ],
+          },
+        },
+      },
+    },
+    in: {
+      $let: {
+        vars: {
+          adjusted: {
+            $cond: [
+              { $eq: ['$$override.discountType', 'fixed_price'] },
+              { $min: ['$$override.value', `${variant}.price`] },
+              {
+                $subtract: [
+                  `${variant}.price`,
+                  {
+                    $divide: [
+                      {
+                        $multiply: [
+                          `${variant}.price`,
+                          { $ifNull: ['$$override.value', { $ifNull: ['$discountPercentage', 0] }] },
+                        ],
+                      },
+                      100,
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+        },
+        // Half-up to 2 decimals, as roundCurrency does ($round rounds half to even)
+        in: {
+          $divide: [{ $trunc: { $add: [{ $multiply: [{ $add: ['$$adjusted', Number.EPSILON] }, 100] }, 0.5] } }, 100],
+        },
+      },
+    },
+  },
+});
+
+module.exports = {
+  adjustPrice,
+  findActivePriceOverride,
+  resolveEffectivePrice,
+  effectivePriceExpression,
+};
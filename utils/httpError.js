@@ -0,0 +1,19 @@
+// utils/httpError.js
+
+/**
+ * Create an Error carrying an HTTP status code.
+ * errorMiddleware reads `statusCode` and `details`, so services can throw these
+ * and let asyncHandler-wrapped controllers surface them unchanged.
+ * @param {number} statusCode - HTTP status code to respond with.
+ * @param {string} message - Human-readable error message.
+ * @param {any} [details] - Optional structured details (returned as errorDetails).
+ * @returns {Error}
+ */
+const createHttpError = (statusCode, message, details = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+module.exports = createHttpError;
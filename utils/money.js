@@ -0,0 +1,31 @@
+// utils/money.js
+
+/**
+ * Round a currency amount to two decimals.
+ * @param {number} value
+ * @returns {number}
+ */
+const roundCurrency = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Split an amount across weights in proportion, keeping the rounded parts summing to the amount.
+ * The rounding remainder goes to the last weighted part.
+ * @param {number} amount - Amount to split.
+ * @param {Array<number>} weights - Non-negative weights (e.g. line totals).
+ * @returns {Array<number>} - One share per weight.
+ */
+const allocateProportionally = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0) return weights.map(() => 0);
+
+  const shares = weights.map((weight) => roundCurrency((amount * weight) / totalWeight));
+  const lastIndex = weights.reduce((last, weight, index) => (weight > 0 ? index : last), -1);
+  const allocated = shares.reduce((sum, share) => sum + share, 0);
+  shares[lastIndex] = roundCurrency(shares[lastIndex] + amount - allocated);
+  return shares;
+};
+
+module.exports = {
+  roundCurrency,
+  allocateProportionally,
+};
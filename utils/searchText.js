@@ -0,0 +1,72 @@
+// utils/searchText.js
+
+/**
+ * Escape a string for literal use inside a regular expression.
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Lower-case a string, strip accents and punctuation and collapse whitespace.
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizeSearchText = (value) =>
+  String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Split text into normalized search words.
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+const tokenize = (value) => {
+  const normalized = normalizeSearchText(value);
+  return normalized ? normalized.split(' ') : [];
+};
+
+/**
+ * Build the distinct trigrams of some text. Each word is padded (" whey ") so word
+ * starts and ends count, which lets one typo still share most trigrams with the intended word.
+ * @param {...string} values - Text to index (e.g. title, brand, tag names).
+ * @returns {Array<string>}
+ */
+const buildTrigrams = (...values) => {
+  const trigrams = new Set();
+  values
+    .flat()
+    .flatMap(tokenize)
+    .forEach((word) => {
+      const padded = ` ${word} `;
+      for (let index = 0; index + 3 <= padded.length; index += 1) {
+        trigrams.add(padded.slice(index, index + 3));
+      }
+    });
+  return [...trigrams];
+};
+
+/**
+ * Share of the query's trigrams that a candidate also has (0–1).
+ * @param {Array<string>} queryTrigrams
+ * @param {Array<string>} candidateTrigrams
+ * @returns {number}
+ */
+const trigramSimilarity = (queryTrigrams, candidateTrigrams) => {
+  if (!queryTrigrams.length) return 0;
+  const candidate = new Set(candidateTrigrams);
+  const shared = queryTrigrams.filter((trigram) => candidate.has(trigram)).length;
+  return shared / queryTrigrams.length;
+};
+
+module.exports = {
+  escapeRegex,
+  normalizeSearchText,
+  tokenize,
+  buildTrigrams,
+  trigramSimilarity,
+};
@@ -26,6 +26,10 @@ const configSchema = Joi.object({
   PAYPAL_CLIENT_ID: Joi.string().when('PAYMENT_METHOD', { is: 'paypal', then: Joi.required() }),
   PAYPAL_CLIENT_SECRET: Joi.string().when('PAYMENT_METHOD', { is: 'paypal', then: Joi.required() }),
   STRIPE_WEBHOOK_SECRET: Joi.string().when('PAYMENT_METHOD', { is: 'stripe', then: Joi.required() }),
+  RAZORPAY_KEY_ID: Joi.string().optional(),
+  RAZORPAY_KEY_SECRET: Joi.string().optional(),
+  STOCK_RESERVATION_TTL_MINUTES: Joi.number().integer().min(1).optional(),
+  IDEMPOTENCY_TTL_HOURS: Joi.number().integer().min(1).optional(),
 }).unknown(true); // Allow other environment variables
 
 const validateConfig = () => {